@@ -12,6 +12,7 @@ dotenv.config();
 
 import { generateUnifiedReport, generateStandaloneUnifiedReport } from '../src/generateUnifiedReport.js';
 import { loadConfiguration } from '../src/config/configLoader.js';
+import { validateSteadyStateConfig } from '../src/jmeter/steadyState.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -29,6 +30,10 @@ function parseArgs() {
         automation: null, // null = use config, true/false = override
         aiAnalysis: null, // null = use config, true/false = override
         output: null,
+        steadyState: null, // null = use config, false = disable, { start, end } = window
+        baseline: null, // null = use config
+        label: null, // null = use config
+        history: null, // null = use config, false = disable
         help: false,
     };
 
@@ -55,6 +60,25 @@ function parseArgs() {
             if (i + 1 < args.length) {
                 options.output = args[++i];
             }
+        } else if (arg === '--steady-state') {
+            if (i + 1 < args.length) {
+                // "<start>,<end>" (either may be empty) or "auto"
+                const value = args[++i];
+                const [start, end] = value === 'auto' ? [] : value.split(',');
+                options.steadyState = { start: start || null, end: end || null };
+            }
+        } else if (arg === '--no-steady-state') {
+            options.steadyState = false;
+        } else if (arg === '--baseline' || arg === '-b') {
+            if (i + 1 < args.length) {
+                options.baseline = args[++i];
+            }
+        } else if (arg === '--label' || arg === '-l') {
+            if (i + 1 < args.length) {
+                options.label = args[++i];
+            }
+        } else if (arg === '--no-history') {
+            options.history = false;
         }
     }
 
@@ -79,6 +103,13 @@ Options:
   --no-ai-analysis              Disable AI analysis (overrides config)
   --enable-ai-analysis          Enable AI analysis (overrides config)
   --output, -o <dir>            Output directory (overrides config.outputDir, default: .artifacts/unified-report)
+  --steady-state <start>,<end>  Steady state window as offsets ('5m,-2m') or timestamps, or 'auto' to detect it
+                                (overrides config.jmeter.steadyState)
+  --no-steady-state             Report full run statistics only
+  --baseline, -b <path>         Compare with an earlier run: its report-data.json, report directory or artifacts
+                                directory (overrides config.baseline.path)
+  --label, -l <label>           Release/build label of this run on the Trends page (overrides config.history.label)
+  --no-history                  Do not record this run in the run history (no Trends page)
   --help, -h                    Show this help message
 
 Examples:
@@ -86,10 +117,18 @@ Examples:
   unified-report --standalone
   unified-report --config ./my-config.js --no-automation
   unified-report --output ./reports --enable-ai-analysis
+  unified-report --steady-state 5m,-2m
+  unified-report --baseline ./previous-run/unified-report
+  unified-report --label v2.4.0
 
 Configuration:
   Create a config.js file in your project root or specify with --config.
   See config.example.js for configuration options.
+
+Exit codes:
+  0  Report generated (and all SLA rules passed)
+  1  Report generation failed, or an SLA rule in config.sla failed or every rule was skipped
+     for lack of data (unless sla.failOnViolation is false; sla.allowSkipped accepts skipped rules)
 `);
 }
 
@@ -126,6 +165,36 @@ async function main() {
             console.log(`   AI Analysis: ${options.aiAnalysis ? 'enabled' : 'disabled'} (CLI override)\n`);
         }
 
+        if (options.steadyState !== null) {
+            if (!config.jmeter) {
+                config.jmeter = {};
+            }
+            const steadyState = options.steadyState ? { ...config.jmeter.steadyState, enabled: true, ...options.steadyState } : { ...config.jmeter.steadyState, enabled: false };
+            const { errors } = validateSteadyStateConfig(steadyState);
+            if (errors.length > 0) {
+                throw new Error(`Invalid --steady-state: ${errors.join('; ')}`);
+            }
+            config.jmeter.steadyState = steadyState;
+            console.log(
+                `   Steady state: ${!options.steadyState ? 'disabled' : options.steadyState.start || options.steadyState.end ? `${options.steadyState.start || 'start'} to ${options.steadyState.end || 'end'}` : 'detected automatically'} (CLI override)\n`
+            );
+        }
+
+        if (options.baseline) {
+            config.baseline = { ...config.baseline, path: options.baseline };
+            console.log(`   Baseline: ${options.baseline} (CLI override)\n`);
+        }
+
+        if (options.history === false) {
+            config.history = { ...config.history, enabled: false };
+            console.log('   Run history: disabled (CLI override)\n');
+        }
+
+        if (options.label) {
+            config.history = { ...config.history, label: options.label };
+            console.log(`   Run label: ${options.label} (CLI override)\n`);
+        }
+
         // Determine output directory: CLI flag > config > default
         const outputDir = options.output || config.outputDir || '.artifacts/unified-report';
         
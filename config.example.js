@@ -30,15 +30,27 @@ export default {
     // If not provided, the tool will try to extract it from artifacts
     testRunId: null,  // e.g., '99c67ad2-b598-46fe-a413-9890b4b78d54'
     // Array of Azure resources to monitor
+    // A metric is an Azure Monitor metric name, or { name, aggregation, unit, label, thresholds }:
+    // - aggregation: 'average', 'total', 'maximum' or 'minimum' (well-known metrics have a default, others use 'average')
+    // - unit: display unit, e.g. 'ms' for a metric Azure reports in seconds ('%', 'count', 'ms', 's', 'KB', 'MB', 'GB', 'KB/s', 'MB/s')
+    // - thresholds: { warning, critical, better: 'lower' | 'higher' } colour the metric's card on the Azure summary
     appComponents: [
       {
         resourceId: '/subscriptions/YOUR_SUBSCRIPTION_ID/resourcegroups/YOUR_RESOURCE_GROUP/providers/microsoft.web/serverfarms/YOUR_APP_SERVICE_PLAN',
-        metrics: ['CpuPercentage', 'MemoryPercentage'],
+        metrics: [
+          { name: 'CpuPercentage', thresholds: { warning: 70, critical: 90 } },
+          'MemoryPercentage',
+        ],
         name: 'App Service Plan',
       },
       {
         resourceId: '/subscriptions/YOUR_SUBSCRIPTION_ID/resourcegroups/YOUR_RESOURCE_GROUP/providers/microsoft.web/sites/YOUR_APP_SERVICE',
-        metrics: ['Requests', 'Http5xx', 'HttpResponseTime'],
+        metrics: [
+          'Requests',
+          'Http5xx',
+          { name: 'HttpResponseTime', aggregation: 'maximum', unit: 'ms', label: 'Peak Response Time', thresholds: { warning: 1000, critical: 3000 } },
+          { name: 'Threads', aggregation: 'maximum', label: 'Peak Threads' },
+        ],
         name: 'Your App Service',
       },
       // Add more components as needed
@@ -46,7 +58,7 @@ export default {
   },
   // JMeter configuration
   jmxFile: {
-    path: 'path/to/your/test-plan.jmx',  // Path relative to project root, or null to disable
+    path: 'path/to/your/test-plan.jmx',  // Path relative to project root, or null to disable (enables the Test Plan section)
   },
   // User type configuration for JMeter analysis
   // Customize these to match your application's user roles
@@ -80,6 +92,126 @@ export default {
     rampUpWindowMs: 10000,
     executionGapMs: 30000,
   },
+  // JMeter results parsing configuration
+  jmeter: {
+    // Raw transaction executions kept per transaction for the detail pages
+    // Statistics always cover every sample; set to 0 to keep no raw samples
+    maxRawSamplesPerTransaction: 1000,
+    // Flag a load shortfall when less than this fraction of the planned (JMX) threads
+    // or target throughput was reached at full load
+    loadShortfallThreshold: 0.9,
+    // CSV/JTL format - match your jmeter.save.saveservice.* properties
+    csv: {
+      delimiter: ',',  // Field delimiter (jmeter.save.saveservice.default_delimiter); use '\t' or 'tab' for tabs
+      header: 'auto',  // true, false, or 'auto' (detect a header row in each file)
+      columns: [],  // Column order for header-less files (defaults to JMeter's standard order)
+      aliases: {},  // Alternative header names, e.g. { Latency: ['latency_ms'], timeStamp: ['ts'] }
+    },
+    // Throughput, response time and error rate charts over time
+    timeSeries: {
+      bucketSeconds: 'auto',  // Bucket size in seconds; 'auto' uses 1s, or 10s (60s, 300s) for longer runs
+    },
+    // Steady state window: statistics are also reported without ramp-up and ramp-down
+    steadyState: {
+      enabled: true,
+      start: null,  // Offset from the test start (300, '5m') or a timestamp; null with end null = detect automatically
+      end: null,  // Offset from the test start, negative from the end ('-2m'), or a timestamp
+      threshold: 0.95,  // Detection: fraction of the peak active threads (or throughput) that counts as steady
+    },
+    // Apdex scores (overall, per transaction, per user type and over time): executions are satisfied
+    // up to `satisfied` ms, tolerating up to `tolerated` ms, frustrated above that or when they failed
+    apdex: {
+      enabled: true,
+      satisfied: 500,  // ms (T)
+      tolerated: 1500,  // ms (F); null = 4 x satisfied
+      rules: [  // Per transaction thresholds, first matching transaction regex wins
+        // { transaction: '^Checkout', satisfied: 1000, tolerated: 4000 },
+      ],
+    },
+    // Per endpoint statistics: requests grouped by HTTP method and URL path template.
+    // Numeric IDs, GUIDs and long hex IDs in path segments become {id} / {guid}; rules
+    // rewrite the path first (in order, every match; the template may use $1)
+    endpoints: {
+      enabled: true,
+      detectIds: true,
+      rules: [
+        // { pattern: '/users/[^/]+@[^/]+', template: '/users/{email}' },
+        // { pattern: '^/search/.*', template: '/search/{query}' },
+      ],
+      maxEndpoints: 500,  // Further templates are grouped as "(other endpoints)"
+    },
+    // Error categories (timeout, SSL/TLS, connection refused/reset, HTTP 4xx/5xx, assertion failure).
+    // Rules are tried first, against "responseCode responseMessage failureMessage"; first match wins
+    errors: {
+      rules: [
+        // { category: 'Rate limited', pattern: '^429 ' },
+        // { category: 'Stale order data', pattern: 'Order version mismatch', flags: 'i' },
+      ],
+    },
+    // What counts as a transaction in the report
+    grouping: {
+      strategy: 'transactionControllers',  // 'transactionControllers', 'labelRegex' or 'samplerLabels' (plans without Transaction Controllers)
+      labelGroups: [  // labelRegex rules, first match wins; name may use capture groups ($1)
+        // { name: 'Login', pattern: '^(POST|GET) /api/(login|token)' },
+        // { name: 'Orders $1', pattern: '^\\w+ /api/orders/?(\\w*)', flags: 'i' },
+      ],
+      unmatchedGroup: null,  // labelRegex: group for requests matching no rule (null keeps the sampler label)
+    },
+  },
+  // Baseline comparison: per-transaction and Azure metric deltas against an earlier run
+  // Every report saves report-data.json; point path at it, at that report's directory,
+  // or at the baseline run's artifacts directory (parsed with this config's paths)
+  // CLI --baseline flag will override path
+  baseline: {
+    path: null,  // e.g. './baseline/unified-report'
+    tolerances: {
+      responseTime: 10,  // % increase of avg/p90/p95 that counts as a regression
+      errorRate: 1,  // Percentage points increase
+      throughput: 10,  // % decrease
+      azure: 15,  // % change of an Azure server metric in the worse direction
+    },
+    minSamples: 10,  // Transactions with fewer samples (in either run) are not flagged
+    // Each change is labelled significant or not by a statistical test on the response time
+    // samples saved with both runs (error rates: two-proportion z-test)
+    significance: {
+      enabled: true,
+      method: 'mannWhitney',  // 'mannWhitney' (U test) or 'bootstrap' (confidence interval of avg/p90/p95 differences)
+      confidence: 95,  // %
+      iterations: 1000,  // Bootstrap resamples (method 'bootstrap' only)
+      sampleSize: 5000,  // Response times of all requests saved per run (per transaction: jmeter.maxRawSamplesPerTransaction)
+    },
+  },
+  // SLA / quality gate: rules are evaluated after parsing, shown on the dashboard,
+  // and a failing rule makes the CLI exit with code 1
+  sla: {
+    failOnViolation: true,  // false: only report failing rules
+    allowSkipped: false,  // true: pass when every rule was skipped (no data) - verdict 'incomplete'
+    rules: [
+      // Metrics: avg, p90, p95, p99, max (ms), errorRate (%), throughput (/s) - all requests, or per
+      // transaction matching `transaction` (regex); window: 'fullRun' (default) or 'steadyState'
+      // { metric: 'p95', max: 800 },
+      // { name: 'Checkout p95', metric: 'p95', max: 1500, transaction: '^Checkout', window: 'steadyState' },
+      // { metric: 'errorRate', max: 1 },
+      // { metric: 'throughput', min: 20 },
+      // Azure Monitor: azureCpuMax, azureCpuAvg, azureMemoryMax, azureMemoryAvg, azureDbCpuMax (%)
+      // { metric: 'azureCpuMax', max: 80 },
+      // Playwright web vitals per test matching `test` (regex): lcp, fcp (ms), cls
+      // { metric: 'lcp', max: 2500 },
+      // Baseline changes (needs baseline.path): regressions (count), avgChange, p90Change, p95Change,
+      // throughputChange (%), errorRateChange (points); requireSignificance ignores noise-level changes
+      // { metric: 'p95Change', max: 10, transaction: '^Checkout', requireSignificance: true },
+    ],
+  },
+  // Run history: every report appends a summary of its run to <dir>/runs.jsonl and
+  // generates a Trends page charting the last `runs` runs. Keep dir outside folders
+  // that are cleaned between runs (e.g. on a CI cache or shared volume)
+  // CLI --label and --no-history flags will override label / enabled
+  history: {
+    enabled: true,
+    dir: 'history',  // Relative to artifactsDir or absolute, e.g. '/var/perf-history/my-app'
+    runs: 20,  // Runs shown on the Trends page
+    label: null,  // Release/build label of this run, e.g. process.env.BUILD_NUMBER
+  },
   // Output directory configuration
   // Default directory where unified reports will be generated
   // Can be relative to current working directory or absolute path
@@ -90,7 +222,8 @@ export default {
   // You can customize these if your test data is stored in different locations
   paths: {
     // JMeter CSV file path (relative to artifactsDir or absolute)
-    // The package will look for CSV files in this directory
+    // The package will look for results files (.csv, or XML .jtl/.xml) in this directory
+    // Can also be a single file or a glob (e.g. 'jmeter/engine*/results.jtl'); multiple files are merged
     jmeterCsvPath: 'jmeter',  // Default: artifactsDir/jmeter/
     // Alternative locations to check if jmeterCsvPath doesn't exist
     // The package will try these in order until it finds CSV files
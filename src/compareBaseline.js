@@ -0,0 +1,407 @@
+/**
+ * Baseline Comparison
+ *
+ * Every report saves a compact data model of its run (REPORT_DATA_FILE). A later run can
+ * point `baseline.path` at that file (or at the report directory, or at the baseline's
+ * artifacts directory, which is parsed again) to get:
+ * - per transaction and all requests deltas for avg, p90, p95, error rate and throughput
+ * - Azure server metric deltas
+ * - regressions: changes in the worse direction beyond `baseline.tolerances`
+ * - significance: whether each change is statistically significant (`baseline.significance`),
+ *   tested on the random response time samples saved with each run
+ */
+
+import fs from 'fs';
+import { DEFAULT_SIGNIFICANCE, SIGNIFICANCE_METHODS, validateSignificanceConfig, testSignificance } from './testSignificance.js';
+import { DEFAULT_METRIC_SETTINGS } from './fetchAzureMetrics.js';
+
+export const REPORT_DATA_FILE = 'report-data.json';
+export const REPORT_DATA_VERSION = 1;
+
+export const DEFAULT_BASELINE_TOLERANCES = {
+    responseTime: 10, // % increase of avg, p90, p95
+    errorRate: 1, // Percentage points increase
+    throughput: 10, // % decrease
+    azure: 15, // % change of an Azure metric in the worse direction
+};
+
+// Transactions with fewer samples (in either run) are compared but never flagged
+export const DEFAULT_BASELINE_MIN_SAMPLES = 10;
+
+// Compared JMeter metrics; `better` is the direction of an improvement
+const JMETER_METRICS = [
+    { key: 'avg', label: 'Avg Response Time', unit: 'ms', better: 'lower', tolerance: 'responseTime' },
+    { key: 'p90', label: '90th %ile', unit: 'ms', better: 'lower', tolerance: 'responseTime' },
+    { key: 'p95', label: '95th %ile', unit: 'ms', better: 'lower', tolerance: 'responseTime' },
+    { key: 'errorRate', label: 'Error Rate', unit: '%', better: 'lower', tolerance: 'errorRate', absolute: true },
+    { key: 'throughput', label: 'Throughput', unit: '/s', better: 'higher', tolerance: 'throughput' },
+];
+
+/**
+ * Validate the `baseline` config block
+ * @param {Object} baselineConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateBaselineConfig(baselineConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!baselineConfig) {
+        return { errors, warnings };
+    }
+
+    if (baselineConfig.path !== null && baselineConfig.path !== undefined && typeof baselineConfig.path !== 'string') {
+        errors.push(`baseline.path must be a path (got ${JSON.stringify(baselineConfig.path)})`);
+    }
+    Object.entries(baselineConfig.tolerances || {}).forEach(([key, value]) => {
+        if (!(key in DEFAULT_BASELINE_TOLERANCES)) {
+            warnings.push(`baseline.tolerances.${key} is not used (known: ${Object.keys(DEFAULT_BASELINE_TOLERANCES).join(', ')})`);
+        } else if (typeof value !== 'number' || !(value >= 0)) {
+            errors.push(`baseline.tolerances.${key} must be a number >= 0 (got ${JSON.stringify(value)})`);
+        }
+    });
+    const minSamples = baselineConfig.minSamples;
+    if (minSamples !== undefined && minSamples !== null && !(Number.isInteger(minSamples) && minSamples >= 0)) {
+        errors.push(`baseline.minSamples must be a whole number >= 0 (got ${JSON.stringify(minSamples)})`);
+    }
+    const significance = validateSignificanceConfig(baselineConfig.significance);
+    errors.push(...significance.errors);
+    warnings.push(...significance.warnings);
+
+    return { errors, warnings };
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function pickResponseTimes(stats) {
+    return stats ? { avg: stats.avg, p90: stats.p90, p95: stats.p95, p99: stats.p99, max: stats.max } : null;
+}
+
+// Sorted response times of the retained random sample (used for significance tests)
+function pickSamples(samples) {
+    return (samples || []).map((sample) => (typeof sample === 'number' ? sample : sample.elapsed)).sort((a, b) => a - b);
+}
+
+/**
+ * Azure server metrics as flat { key: { label, unit, value, better } } entries
+ * @param {Object} serverMetrics - azureData.serverMetrics.serverMetrics
+ * @returns {Object|null} null without server metrics
+ */
+export function flattenAzureMetrics(serverMetrics) {
+    if (!serverMetrics || !serverMetrics.hasData) {
+        return null;
+    }
+
+    const metrics = {};
+    const add = (key, label, unit, value, better) => {
+        const number = toNumber(value);
+        if (number !== null) metrics[key] = { label, unit, value: number, better };
+    };
+
+    const plan = serverMetrics.appServicePlan || {};
+    add('appServicePlan.cpuAvg', 'App Service Plan CPU (avg)', '%', plan.cpuPercentage?.avg, 'lower');
+    add('appServicePlan.cpuMax', 'App Service Plan CPU (max)', '%', plan.cpuPercentage?.max, 'lower');
+    add('appServicePlan.memoryAvg', 'App Service Plan memory (avg)', '%', plan.memoryPercentage?.avg, 'lower');
+    add('appServicePlan.memoryMax', 'App Service Plan memory (max)', '%', plan.memoryPercentage?.max, 'lower');
+
+    Object.values(serverMetrics.appServices || {}).forEach((appService) => {
+        add(`appServices.${appService.name}.httpResponseTimeAvg`, `${appService.name} HTTP response time (avg)`, 'ms', appService.httpResponseTime?.avg, 'lower');
+        add(`appServices.${appService.name}.requests`, `${appService.name} requests`, '', appService.requests?.total, null);
+        add(`appServices.${appService.name}.http5xx`, `${appService.name} HTTP 5xx`, '', appService.http5xx?.total, 'lower');
+    });
+
+    const database = serverMetrics.database || {};
+    add('database.cpuAvg', 'Database CPU (avg)', '%', database.cpuPercent?.avg, 'lower');
+    add('database.cpuMax', 'Database CPU (max)', '%', database.cpuPercent?.max, 'lower');
+    add('database.connectionsFailed', 'Database connection failures', '', database.connectionsFailed?.total, 'lower');
+    add('database.deadlocks', 'Database deadlocks', '', database.deadlocks?.total, 'lower');
+
+    const storage = serverMetrics.storage || {};
+    add('storage.availability', 'Storage availability', '%', storage.availability?.avg, 'higher');
+    add('storage.e2eLatency', 'Storage E2E latency', 'ms', storage.successE2ELatency?.avg, 'lower');
+    add('storage.serverLatency', 'Storage server latency', 'ms', storage.successServerLatency?.avg, 'lower');
+
+    // With several resources of a type the values above are combined over them; compare each one as well
+    const perResource = (resources, addMetrics) => {
+        const entries = Object.values(resources || {});
+        if (entries.length > 1) entries.forEach(addMetrics);
+    };
+    perResource(serverMetrics.appServicePlans, (resource) => {
+        add(`appServicePlans.${resource.name}.cpuAvg`, `${resource.name} CPU (avg)`, '%', resource.cpuPercentage?.avg, 'lower');
+        add(`appServicePlans.${resource.name}.cpuMax`, `${resource.name} CPU (max)`, '%', resource.cpuPercentage?.max, 'lower');
+        add(`appServicePlans.${resource.name}.memoryAvg`, `${resource.name} memory (avg)`, '%', resource.memoryPercentage?.avg, 'lower');
+        add(`appServicePlans.${resource.name}.memoryMax`, `${resource.name} memory (max)`, '%', resource.memoryPercentage?.max, 'lower');
+    });
+    perResource(serverMetrics.databases, (resource) => {
+        add(`databases.${resource.name}.cpuAvg`, `${resource.name} CPU (avg)`, '%', resource.cpuPercent?.avg, 'lower');
+        add(`databases.${resource.name}.cpuMax`, `${resource.name} CPU (max)`, '%', resource.cpuPercent?.max, 'lower');
+        add(`databases.${resource.name}.connectionsFailed`, `${resource.name} connection failures`, '', resource.connectionsFailed?.total, 'lower');
+        add(`databases.${resource.name}.deadlocks`, `${resource.name} deadlocks`, '', resource.deadlocks?.total, 'lower');
+    });
+    perResource(serverMetrics.storageAccounts, (resource) => {
+        add(`storageAccounts.${resource.name}.availability`, `${resource.name} availability`, '%', resource.availability?.avg, 'higher');
+        add(`storageAccounts.${resource.name}.e2eLatency`, `${resource.name} E2E latency`, 'ms', resource.successE2ELatency?.avg, 'lower');
+        add(`storageAccounts.${resource.name}.serverLatency`, `${resource.name} server latency`, 'ms', resource.successServerLatency?.avg, 'lower');
+    });
+
+    // Other configured metrics (the well-known ones are covered above), at their configured aggregation.
+    // Their thresholds give the better direction; without thresholds changes are shown but not flagged.
+    (serverMetrics.components || []).forEach((component) => {
+        (component.metrics || []).forEach((metric) => {
+            if (DEFAULT_METRIC_SETTINGS[metric.metric.toLowerCase()]) return;
+            const better = metric.thresholds ? metric.thresholds.better || 'lower' : null;
+            add(`components.${component.name}.${metric.metric}`, `${component.name} ${metric.label} (${metric.aggregation})`, metric.unit === 'count' ? '' : metric.unit, metric.value, better);
+        });
+    });
+
+    return metrics;
+}
+
+/**
+ * Playwright web vitals per test as { testName: { lcp, fcp, cls, pageLoadTime } }
+ * @param {Object} playwrightData
+ * @returns {Object|null} null without Playwright tests
+ */
+function pickPlaywrightVitals(playwrightData) {
+    const tests = (playwrightData && playwrightData.individualTests) || [];
+    if (tests.length === 0) {
+        return null;
+    }
+
+    return Object.fromEntries(
+        tests.map((test) => {
+            const webVitals = (test.metrics && test.metrics.webVitals) || {};
+            return [test.testName, { lcp: toNumber(webVitals.LCP), fcp: toNumber(webVitals.FCP), cls: toNumber(webVitals.CLS), pageLoadTime: toNumber(test.pageLoadTime) }];
+        })
+    );
+}
+
+/**
+ * Compact data model of a run - what is saved as REPORT_DATA_FILE and compared against
+ * (the SLA verdict is added when the run is saved, see summarizeSLAResults)
+ * @param {Object} data
+ * @param {Object|null} data.jmeterData
+ * @param {Object|null} data.playwrightData
+ * @param {Object|null} data.azureData
+ * @returns {Object}
+ */
+export function buildReportDataModel({ jmeterData = null, playwrightData = null, azureData = null }) {
+    const duration = jmeterData ? jmeterData.testDuration : 0;
+    const errorRate = (errors, total) => (total > 0 ? Math.round((errors / total) * 10000) / 100 : 0);
+    const throughput = (count) => (duration > 0 ? Math.round((count / duration) * 100) / 100 : 0);
+
+    return {
+        version: REPORT_DATA_VERSION,
+        generatedAt: new Date().toISOString(),
+        run: jmeterData
+            ? {
+                  startTime: jmeterData.startTime,
+                  endTime: jmeterData.endTime,
+                  timezone: jmeterData.timezone || null,
+                  startTimestamp: jmeterData.startTimestamp,
+                  endTimestamp: jmeterData.endTimestamp,
+                  testDuration: duration,
+                  environment: jmeterData.userConfig ? jmeterData.userConfig.environment : null,
+              }
+            : null,
+        jmeter: jmeterData
+            ? {
+                  totalRequests: jmeterData.totalRequests,
+                  totalErrorCount: jmeterData.totalErrorCount,
+                  errorRate: errorRate(jmeterData.totalErrorCount, jmeterData.totalRequests),
+                  throughput: jmeterData.throughput,
+                  responseTimes: pickResponseTimes(jmeterData.requestStats),
+                  samples: pickSamples(jmeterData.requestSamples),
+                  transactions: Object.fromEntries(
+                      Object.values(jmeterData.transactions || {}).map((transaction) => [
+                          transaction.name,
+                          {
+                              parentTransaction: transaction.parentTransaction || null,
+                              totalSamples: transaction.totalSamples,
+                              errorCount: transaction.errorCount,
+                              errorRate: errorRate(transaction.errorCount, transaction.totalSamples),
+                              throughput: throughput(transaction.totalSamples),
+                              responseTimes: pickResponseTimes(transaction.stats),
+                              samples: pickSamples(transaction.samples),
+                          },
+                      ])
+                  ),
+              }
+            : null,
+        azure: flattenAzureMetrics(azureData && azureData.serverMetrics && azureData.serverMetrics.serverMetrics),
+        playwright: pickPlaywrightVitals(playwrightData),
+    };
+}
+
+/**
+ * Read a saved data model
+ * @param {string} filePath - Path of a REPORT_DATA_FILE
+ * @returns {Object}
+ */
+export function readReportDataModel(filePath) {
+    let model;
+    try {
+        model = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`${filePath} is not a report data file: ${error.message}`);
+    }
+    if (!model || model.version !== REPORT_DATA_VERSION || !('jmeter' in model)) {
+        throw new Error(`${filePath} is not a report data file (version ${REPORT_DATA_VERSION} expected)`);
+    }
+    return model;
+}
+
+/**
+ * Compare one value; a change counts when it goes beyond the tolerance
+ */
+function compareValue(current, baseline, { better, tolerance, absolute }, flag) {
+    const delta = current !== null && baseline !== null ? Math.round((current - baseline) * 100) / 100 : null;
+    const deltaPercent = delta !== null && baseline !== 0 ? Math.round((delta / baseline) * 1000) / 10 : null;
+
+    let status = 'unchanged';
+    if (delta !== null && better && flag) {
+        // Absolute metrics (error rate) compare percentage points; counts starting at 0 change by any amount
+        const change = absolute ? delta : deltaPercent !== null ? deltaPercent : delta !== 0 ? Math.sign(delta) * Infinity : 0;
+        const worse = better === 'lower' ? change : -change;
+        if (worse > tolerance) status = 'regressed';
+        else if (-worse > tolerance) status = 'improved';
+    }
+    return { current, baseline, delta, deltaPercent, status };
+}
+
+/**
+ * Compare the JMeter metrics of all requests or one transaction
+ * @param {Object|null} significance - Merged `baseline.significance` settings, null to skip the tests
+ */
+function compareJMeterMetrics(current, baseline, tolerances, flag, significance) {
+    const tests = significance
+        ? testSignificance(
+              { samples: current.samples, errorCount: current.totalErrorCount ?? current.errorCount, totalSamples: current.totalRequests ?? current.totalSamples },
+              { samples: baseline.samples, errorCount: baseline.totalErrorCount ?? baseline.errorCount, totalSamples: baseline.totalRequests ?? baseline.totalSamples },
+              significance
+          )
+        : {};
+    return Object.fromEntries(
+        JMETER_METRICS.map((metric) => {
+            const valueOf = (entry) => toNumber(metric.key === 'errorRate' || metric.key === 'throughput' ? entry[metric.key] : entry.responseTimes && entry.responseTimes[metric.key]);
+            const comparison = compareValue(valueOf(current), valueOf(baseline), { ...metric, tolerance: tolerances[metric.tolerance] }, flag);
+            return [metric.key, { ...comparison, significance: tests[metric.key] || null }];
+        })
+    );
+}
+
+function metricStatus(metrics) {
+    const statuses = Object.values(metrics).map((metric) => metric.status);
+    return statuses.includes('regressed') ? 'regressed' : statuses.includes('improved') ? 'improved' : 'unchanged';
+}
+
+/**
+ * Compare the current run with the baseline
+ * @param {Object} current - From buildReportDataModel()
+ * @param {Object} baseline - From buildReportDataModel() / readReportDataModel()
+ * @param {Object} options
+ * @param {Object} options.tolerances - Overrides of DEFAULT_BASELINE_TOLERANCES
+ * @param {number} options.minSamples - Transactions with fewer samples are not flagged
+ * @param {string} options.source - Where the baseline came from (for display)
+ * @param {Object} options.significance - Overrides of DEFAULT_SIGNIFICANCE (`enabled: false` skips the tests)
+ * @returns {Object} { baseline, tolerances, significance, overall, transactions, azure, regressions, summary }
+ *   Compared metrics carry `significance` ({ method, confidence, significant, pValue | ci }, null when not tested)
+ *   and regressions `significant` (true / false / null)
+ */
+export function compareWithBaseline(current, baseline, { tolerances = {}, minSamples = DEFAULT_BASELINE_MIN_SAMPLES, source = null, significance = {} } = {}) {
+    const effectiveTolerances = { ...DEFAULT_BASELINE_TOLERANCES, ...tolerances };
+    const significanceSettings = { ...DEFAULT_SIGNIFICANCE, ...significance };
+    const tests = significanceSettings.enabled ? { ...significanceSettings, minSamples } : null;
+    const regressions = [];
+    const addRegressions = (scope, metrics, definitions) => {
+        definitions.forEach((definition) => {
+            const metric = metrics[definition.key];
+            if (metric && metric.status === 'regressed') {
+                regressions.push({ scope, metric: definition.key, label: definition.label, unit: definition.unit, ...metric, significant: metric.significance ? metric.significance.significant : null });
+            }
+        });
+    };
+
+    // All requests
+    let overall = null;
+    if (current.jmeter && baseline.jmeter) {
+        overall = compareJMeterMetrics(current.jmeter, baseline.jmeter, effectiveTolerances, true, tests);
+        addRegressions('All requests', overall, JMETER_METRICS);
+    }
+
+    // Per transaction (union of both runs)
+    const currentTransactions = (current.jmeter && current.jmeter.transactions) || {};
+    const baselineTransactions = (baseline.jmeter && baseline.jmeter.transactions) || {};
+    const names = Array.from(new Set([...Object.keys(currentTransactions), ...Object.keys(baselineTransactions)]));
+    const transactions = names.map((name) => {
+        const currentTransaction = currentTransactions[name];
+        const baselineTransaction = baselineTransactions[name];
+        if (!currentTransaction || !baselineTransaction) {
+            return {
+                name,
+                status: currentTransaction ? 'new' : 'missing',
+                totalSamples: currentTransaction ? currentTransaction.totalSamples : 0,
+                baselineSamples: baselineTransaction ? baselineTransaction.totalSamples : 0,
+                metrics: null,
+            };
+        }
+        const flag = currentTransaction.totalSamples >= minSamples && baselineTransaction.totalSamples >= minSamples;
+        const metrics = compareJMeterMetrics(currentTransaction, baselineTransaction, effectiveTolerances, flag, tests);
+        addRegressions(name, metrics, JMETER_METRICS);
+        return {
+            name,
+            parentTransaction: currentTransaction.parentTransaction,
+            status: metricStatus(metrics),
+            totalSamples: currentTransaction.totalSamples,
+            baselineSamples: baselineTransaction.totalSamples,
+            lowSamples: !flag,
+            metrics,
+        };
+    });
+    const statusOrder = { regressed: 0, improved: 1, new: 2, missing: 3, unchanged: 4 };
+    transactions.sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || a.name.localeCompare(b.name));
+
+    // Azure server metrics present in both runs
+    const azure = [];
+    if (current.azure && baseline.azure) {
+        Object.entries(current.azure).forEach(([key, metric]) => {
+            if (!baseline.azure[key]) return;
+            const comparison = compareValue(metric.value, baseline.azure[key].value, { better: metric.better, tolerance: effectiveTolerances.azure }, true);
+            azure.push({ key, label: metric.label, unit: metric.unit, ...comparison });
+            if (comparison.status === 'regressed') {
+                regressions.push({ scope: 'Azure', metric: key, label: metric.label, unit: metric.unit, ...comparison, significance: null, significant: null });
+            }
+        });
+    }
+
+    const count = (status) => transactions.filter((transaction) => transaction.status === status).length;
+    return {
+        baseline: {
+            source,
+            generatedAt: baseline.generatedAt,
+            startTime: baseline.run ? baseline.run.startTime : null,
+            timezone: baseline.run ? baseline.run.timezone : null,
+            testDuration: baseline.run ? baseline.run.testDuration : null,
+            environment: baseline.run ? baseline.run.environment : null,
+        },
+        tolerances: effectiveTolerances,
+        minSamples,
+        significance: tests ? { method: tests.method, methodLabel: SIGNIFICANCE_METHODS[tests.method], confidence: tests.confidence } : null,
+        overall,
+        transactions,
+        azure,
+        regressions,
+        summary: {
+            regressions: regressions.length,
+            significantRegressions: regressions.filter((regression) => regression.significant === true).length,
+            regressedTransactions: count('regressed'),
+            improvedTransactions: count('improved'),
+            newTransactions: count('new'),
+            missingTransactions: count('missing'),
+            azureRegressions: azure.filter((metric) => metric.status === 'regressed').length,
+        },
+    };
+}
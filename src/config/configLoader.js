@@ -8,6 +8,16 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { defaultConfig } from './defaultConfig.js';
+import { validateCSVConfig, resolveColumns, describeDegradedSections } from '../jmeter/csvColumns.js';
+import { validateGroupingConfig } from '../jmeter/transactionGrouping.js';
+import { validateSteadyStateConfig } from '../jmeter/steadyState.js';
+import { validateApdexConfig } from '../jmeter/apdex.js';
+import { validateEndpointsConfig } from '../jmeter/endpoints.js';
+import { validateErrorsConfig } from '../jmeter/errorClassification.js';
+import { validateSLAConfig } from '../evaluateSLA.js';
+import { validateBaselineConfig } from '../compareBaseline.js';
+import { validateHistoryConfig } from '../recordRunHistory.js';
+import { validateAppComponentsConfig } from '../fetchAzureMetrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -97,9 +107,139 @@ export async function loadConfiguration(configPath = null) {
     config.azure.loadTestDataPlaneUri = process.env.AZURE_LOAD_TEST_DATA_PLANE_URI;
   }
 
+  validateConfiguration(config);
+
+  return config;
+}
+
+// Config sections checked by validateConfiguration, in order. A section that fails validation
+// is replaced by defaults.value(section, errors); without defaults.value it is left as is.
+const CONFIG_SECTIONS = [
+  ['jmeter.csv', validateCSVConfig, {
+    label: 'JMeter CSV',
+    message: 'Using default JMeter CSV settings (comma delimiter, header row detected automatically)',
+    value: () => ({ ...defaultConfig.jmeter.csv })
+  }],
+  ['jmeter.grouping', validateGroupingConfig, {
+    label: 'JMeter grouping',
+    message: 'Grouping requests by Transaction Controllers',
+    value: () => ({ ...defaultConfig.jmeter.grouping })
+  }],
+  ['jmeter.steadyState', validateSteadyStateConfig, {
+    label: 'JMeter steady state',
+    message: 'Detecting the steady state window automatically',
+    value: () => ({ ...defaultConfig.jmeter.steadyState })
+  }],
+  ['jmeter.apdex', validateApdexConfig, {
+    label: 'Apdex',
+    message: `Using the default Apdex thresholds (${defaultConfig.jmeter.apdex.satisfied} ms / ${defaultConfig.jmeter.apdex.tolerated} ms)`,
+    value: (apdex) => ({ ...defaultConfig.jmeter.apdex, enabled: apdex.enabled !== false })
+  }],
+  ['jmeter.endpoints', validateEndpointsConfig, {
+    label: 'endpoint',
+    message: 'Using the built-in ID/GUID detection without rules',
+    value: (endpoints) => ({ ...defaultConfig.jmeter.endpoints, enabled: endpoints.enabled !== false })
+  }],
+  ['jmeter.errors', validateErrorsConfig, {
+    label: 'error category',
+    message: 'Using the built-in error categories only',
+    value: () => ({ ...defaultConfig.jmeter.errors })
+  }],
+  ['baseline', validateBaselineConfig, {
+    label: 'baseline',
+    message: 'Using the default baseline tolerances',
+    value: (baseline) => ({ ...defaultConfig.baseline, path: typeof baseline.path === 'string' ? baseline.path : null })
+  }],
+  // Invalid SLA rules are not dropped (that would silently pass the quality gate); report generation fails on them instead
+  ['sla', validateSLAConfig, {
+    label: 'SLA',
+    message: 'Report generation will fail until the SLA rules are fixed'
+  }],
+  ['history', validateHistoryConfig, {
+    label: 'history',
+    message: `Using the default run history settings (${defaultConfig.history.dir} in the artifacts directory)`,
+    value: (history) => ({ ...defaultConfig.history, enabled: history.enabled !== false, label: typeof history.label === 'string' ? history.label : null })
+  }],
+  ['azure.appComponents', validateAppComponentsConfig, {
+    label: 'Azure component',
+    message: 'Server metrics will not be fetched for the invalid components',
+    value: (components, errors) => Array.isArray(components)
+      ? components.filter((component, index) => !errors.some((error) => error.startsWith(`azure.appComponents[${index}]`)))
+      : []
+  }]
+];
+
+// Configs already validated, so a config from loadConfiguration() is not checked (and warned about) again
+const validatedConfigs = new WeakSet();
+
+/**
+ * Validate every config section, falling back to defaults for the invalid ones.
+ * Runs once per config object; later calls with the same object do nothing.
+ * @param {Object} config - Merged configuration object (updated in place)
+ * @returns {Object} The same config object
+ */
+export function validateConfiguration(config) {
+  if (!config || validatedConfigs.has(config)) {
+    return config;
+  }
+  validatedConfigs.add(config);
+
+  CONFIG_SECTIONS.forEach(([sectionPath, validator, defaults]) => validateSection(config, sectionPath, validator, defaults));
+  warnMissingCSVColumns(config);
+
   return config;
 }
 
+/**
+ * Validate one config section, logging its warnings and errors
+ * @param {Object} config - Merged configuration object (updated in place)
+ * @param {string} sectionPath - Dotted path of the section, e.g. 'jmeter.apdex'
+ * @param {Function} validator - Returns { errors, warnings } for the section
+ * @param {Object} defaults - { label, message, value(section, errors) } used when the section is invalid
+ */
+function validateSection(config, sectionPath, validator, defaults) {
+  const keys = sectionPath.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => (node ? node[key] : undefined), config);
+  const key = keys[keys.length - 1];
+  const section = parent ? parent[key] : undefined;
+  if (!section) {
+    return;
+  }
+
+  const { errors, warnings } = validator(section);
+  warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+
+  if (errors.length === 0) {
+    return;
+  }
+
+  errors.forEach((error) => console.warn(`⚠️  Invalid ${defaults.label} config: ${error}`));
+  console.warn(`   ${defaults.message}`);
+  if (defaults.value) {
+    parent[key] = defaults.value(section, errors);
+  }
+}
+
+/**
+ * With an explicit jmeter.csv column list the available columns are known up front,
+ * so the report sections that will be degraded can be listed before parsing
+ * @param {Object} config - Merged configuration object
+ */
+function warnMissingCSVColumns(config) {
+  const csvConfig = config.jmeter && config.jmeter.csv;
+  if (!csvConfig || !csvConfig.columns || csvConfig.columns.length === 0) {
+    return;
+  }
+
+  const { missingOptional } = resolveColumns(csvConfig.columns, csvConfig.aliases);
+  const degraded = describeDegradedSections(missingOptional);
+  if (degraded.length > 0) {
+    console.warn(`⚠️  jmeter.csv.columns does not include: ${missingOptional.join(', ')}`);
+    console.warn('   Degraded report sections:');
+    degraded.forEach((line) => console.warn(`   - ${line}`));
+  }
+}
+
 /**
  * Deep merge two objects
  * @param {Object} target - Target object
@@ -110,7 +250,7 @@ function deepMerge(target, source) {
   const output = { ...target };
   
   // Arrays that should be replaced entirely (not merged)
-  const replaceArrays = ['userTypes', 'appComponents', 'jmxThreadGroupNames', 'threadGroupPatterns', 'fallbackModels'];
+  const replaceArrays = ['userTypes', 'appComponents', 'jmxThreadGroupNames', 'threadGroupPatterns', 'fallbackModels', 'columns', 'labelGroups', 'rules'];
   
   if (isObject(target) && isObject(source)) {
     Object.keys(source).forEach((key) => {
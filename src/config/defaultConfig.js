@@ -18,10 +18,10 @@ const defaultConfig = {
     loadTestResource: '',  // Azure Load Testing resource name
     loadTestDataPlaneUri: '',  // Azure Load Testing data plane URI
     apiVersion: '2024-12-01-preview',  // Azure API version
-    appComponents: [],  // Array of Azure resources to monitor
+    appComponents: [],  // Array of Azure resources to monitor: { resourceId, name, metrics: ['MetricName' | { name, aggregation, unit, label, thresholds }] }
   },
   jmxFile: {
-    path: null,  // Path to JMeter JMX file (relative to project root). Set to null to disable.
+    path: null,  // Path to JMeter JMX file (relative to project root). Set to null to disable. Enables the Test Plan section.
   },
   userTypes: [
     {
@@ -56,13 +56,96 @@ const defaultConfig = {
     rampUpWindowMs: 10000,
     executionGapMs: 30000,
   },
+  jmeter: {
+    // Raw transaction executions kept per transaction for the detail pages
+    // Statistics always cover every sample; set to 0 to keep no raw samples
+    maxRawSamplesPerTransaction: 1000,
+    // Flag a load shortfall when less than this fraction of the planned (JMX) threads
+    // or target throughput was reached at full load
+    loadShortfallThreshold: 0.9,
+    // CSV/JTL format - match your jmeter.save.saveservice.* properties
+    csv: {
+      delimiter: ',',  // Field delimiter (jmeter.save.saveservice.default_delimiter); use '\t' or 'tab' for tabs
+      header: 'auto',  // true, false, or 'auto' (detect a header row in each file)
+      columns: [],  // Column order for header-less files (defaults to JMeter's standard order)
+      aliases: {},  // Alternative header names, e.g. { Latency: ['latency_ms'], timeStamp: ['ts'] }
+    },
+    // Throughput, response time and error rate charts over time
+    timeSeries: {
+      bucketSeconds: 'auto',  // Bucket size in seconds; 'auto' uses 1s, or 10s (60s, 300s) for longer runs
+    },
+    // Steady state window: statistics are also reported without ramp-up and ramp-down
+    steadyState: {
+      enabled: true,
+      start: null,  // Offset from the test start (300, '5m') or a timestamp; null with end null = detect automatically
+      end: null,  // Offset from the test start, negative from the end ('-2m'), or a timestamp
+      threshold: 0.95,  // Detection: fraction of the peak active threads (or throughput) that counts as steady
+    },
+    // Apdex scores: satisfied up to `satisfied` ms, tolerating up to `tolerated` ms, frustrated above or on errors
+    apdex: {
+      enabled: true,
+      satisfied: 500,  // ms (T)
+      tolerated: 1500,  // ms (F); null = 4 x satisfied
+      rules: [],  // Per transaction thresholds: [{ transaction: regex, satisfied, tolerated }], first match wins
+    },
+    // Requests per endpoint: HTTP method and URL path template (IDs replaced by placeholders)
+    endpoints: {
+      enabled: true,
+      detectIds: true,  // Replace numeric IDs, GUIDs and long hex IDs in path segments with {id} / {guid}
+      rules: [],  // Applied to the URL path in order before ID detection: [{ pattern: regex, template, flags }]
+      maxEndpoints: 500,  // Further templates are grouped as "(other endpoints)"
+    },
+    // Error categories: timeout, SSL/TLS, connection refused/reset, HTTP 4xx/5xx, assertion failure
+    errors: {
+      rules: [],  // Tried before the built-in categories: [{ category, pattern: regex, flags }], first match wins
+    },
+    // What counts as a transaction in the report
+    grouping: {
+      strategy: 'transactionControllers',  // 'transactionControllers', 'labelRegex' or 'samplerLabels' (plans without Transaction Controllers)
+      labelGroups: [],  // labelRegex rules: [{ name, pattern, flags }], first match wins; name may use capture groups ($1)
+      unmatchedGroup: null,  // labelRegex: group for requests matching no rule (null keeps the sampler label)
+    },
+  },
+  // Comparison with an earlier run
+  baseline: {
+    path: null,  // report-data.json of an earlier report, its report directory, or the baseline run's artifacts directory
+    tolerances: {
+      responseTime: 10,  // % increase of avg/p90/p95 that counts as a regression
+      errorRate: 1,  // Percentage points increase
+      throughput: 10,  // % decrease
+      azure: 15,  // % change of an Azure server metric in the worse direction
+    },
+    minSamples: 10,  // Transactions with fewer samples (in either run) are not flagged
+    // Statistical test telling significant changes from noise (on the saved response time samples)
+    significance: {
+      enabled: true,
+      method: 'mannWhitney',  // 'mannWhitney' (U test) or 'bootstrap' (confidence interval of avg/p90/p95 differences)
+      confidence: 95,  // % - significant when p < 1 - confidence, or when the interval excludes zero
+      iterations: 1000,  // Bootstrap resamples
+      sampleSize: 5000,  // Response times of all requests kept per run for the tests (random sample)
+    },
+  },
+  // SLA / quality gate, evaluated after the results are parsed
+  sla: {
+    failOnViolation: true,  // Report failure (CLI exit code 1) when any rule fails
+    allowSkipped: false,  // Pass the gate when every rule was skipped for lack of data (verdict 'incomplete')
+    rules: [],  // [{ name, metric, max, min, transaction, test, window }] - see README
+  },
+  // Run history for the Trends page
+  history: {
+    enabled: true,
+    dir: 'history',  // Directory of runs.jsonl (relative to artifactsDir or absolute)
+    runs: 20,  // Runs shown on the Trends page
+    label: null,  // Release/build label of this run (CLI --label)
+  },
   // Output directory configuration
   outputDir: '.artifacts/unified-report',  // Default output directory (relative to current working directory or absolute)
   
   // Paths configuration - all paths are relative to artifactsDir unless absolute
   paths: {
     // JMeter CSV file path (relative to artifactsDir or absolute)
-    // The package will look for CSV files in this directory
+    // The package will look for results files (.csv, or XML .jtl/.xml) in this directory
+    // Can also be a single file or a glob (e.g. 'jmeter/engine*/results.jtl'); multiple files are merged
     jmeterCsvPath: 'jmeter',  // Default: artifactsDir/jmeter/
     // Alternative locations to check (if jmeterCsvPath doesn't exist)
     jmeterCsvAlternatives: ['unified-report/jmeter', 'jmeter'],
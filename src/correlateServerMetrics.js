@@ -0,0 +1,155 @@
+/**
+ * Error / Server Metric Correlation
+ *
+ * Lines the JMeter error timeline (jmeter/errorTimeline.js) up with the Azure Monitor time
+ * series of the signals that usually explain failing requests - App Service HTTP 5xx, App
+ * Service Plan CPU, database CPU and database connection failures - and finds spikes in them:
+ * - counts (5xx, connection failures): an interval with at least SPIKE_COUNT_FACTOR x the
+ *   average count of the run
+ * - percentages (CPU): an interval at or above SPIKE_PERCENT, or SPIKE_SIGMA standard
+ *   deviations (and at least SPIKE_PERCENT_MARGIN points) above the average
+ *
+ * An error category is flagged for a signal when at least MIN_FLAG_ERRORS and FLAG_SHARE of
+ * its errors fall into that signal's spikes, and the errors are concentrated there: their
+ * share is at least FLAG_CONCENTRATION x the share of the run the spikes cover.
+ *
+ * Each signal reads its own aggregation of the series, whatever aggregation the metric is
+ * configured with for the Azure summary.
+ */
+
+export const SERVER_SIGNALS = [
+    { key: 'http5xx', label: 'HTTP 5xx', resourceType: 'appService', metric: 'http5xx', aggregation: 'total', unit: 'count' },
+    { key: 'appServicePlanCpu', label: 'App Service Plan CPU', resourceType: 'appServicePlan', metric: 'cpupercentage', aggregation: 'average', unit: '%' },
+    { key: 'databaseCpu', label: 'Database CPU', resourceType: 'database', metric: 'cpu_percent', aggregation: 'average', unit: '%' },
+    { key: 'dbConnectionsFailed', label: 'DB connection failures', resourceType: 'database', metric: 'connection_failed', aggregation: 'total', unit: 'count' },
+];
+
+const SPIKE_COUNT_FACTOR = 2;
+const SPIKE_PERCENT = 80;
+const SPIKE_SIGMA = 2;
+const SPIKE_PERCENT_MARGIN = 10;
+const MIN_FLAG_ERRORS = 3;
+const FLAG_SHARE = 0.5;
+const FLAG_CONCENTRATION = 2;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Spike windows of a signal: consecutive spike intervals merged into { start, end, peak }
+ */
+function findSpikes(points, signal, intervalMs) {
+    const values = points.filter((point) => point.value !== null).map((point) => point.value);
+    if (values.length === 0) {
+        return [];
+    }
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const sigma = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    const isSpike = (value) => {
+        if (value === null) return false;
+        if (signal.unit === 'count') return value > 0 && value >= mean * SPIKE_COUNT_FACTOR;
+        return value >= SPIKE_PERCENT || (value >= mean + SPIKE_SIGMA * sigma && value - mean >= SPIKE_PERCENT_MARGIN);
+    };
+
+    const spikes = [];
+    points.forEach((point) => {
+        if (!isSpike(point.value)) return;
+        const last = spikes[spikes.length - 1];
+        if (last && point.timestamp <= last.end) {
+            last.end = point.timestamp + intervalMs;
+            last.peak = Math.max(last.peak, point.value);
+        } else {
+            spikes.push({ start: point.timestamp, end: point.timestamp + intervalMs, peak: point.value });
+        }
+    });
+    return spikes;
+}
+
+/**
+ * Signal value per error timeline bucket: counts are summed over the Azure intervals in a
+ * bucket (when the buckets are longer), percentages take the highest interval; null without data
+ */
+function alignToBuckets(points, signal, intervalMs, timestamps, bucketMs) {
+    return timestamps.map((bucketStart) => {
+        const values = points
+            .filter((point) => point.value !== null && point.timestamp < bucketStart + bucketMs && point.timestamp + intervalMs > bucketStart)
+            .map((point) => point.value);
+        if (values.length === 0) return null;
+        if (signal.unit === 'count' && intervalMs < bucketMs) return values.reduce((sum, value) => sum + value, 0);
+        return Math.max(...values);
+    });
+}
+
+/**
+ * Correlate the error timeline with the Azure server metrics
+ * @param {Object|null} errorTimeline - jmeterData.errorAnalysis.timeline
+ * @param {Object[]|null} serverTimeSeries - Azure Monitor series (serverMetrics.timeSeries from fetchAzureMetrics)
+ * @returns {Object|null} { signals: [{ key, label, unit, resourceName, intervalSeconds, values, spikes }],
+ *                        flags: [{ categoryKey, category, signalKey, signal, errors, totalErrors, share, timeShare, spikes }] }
+ *                        (values per error timeline bucket), or null without errors or server series in the run window
+ */
+export function correlateErrorsWithServerMetrics(errorTimeline, serverTimeSeries) {
+    if (!errorTimeline || !Array.isArray(serverTimeSeries) || serverTimeSeries.length === 0) {
+        return null;
+    }
+
+    const { timestamps } = errorTimeline;
+    const bucketMs = errorTimeline.bucketSeconds * 1000;
+    const runStart = timestamps[0];
+    const runEnd = timestamps[timestamps.length - 1] + bucketMs;
+
+    const signals = [];
+    SERVER_SIGNALS.forEach((signal) => {
+        const series = serverTimeSeries.filter((entry) => entry.resourceType === signal.resourceType && entry.metric.toLowerCase() === signal.metric);
+        series.forEach((entry) => {
+            const intervalMs = (entry.intervalSeconds || 60) * 1000;
+            const points = (entry.points || [])
+                .filter((point) => point.timestamp < runEnd && point.timestamp + intervalMs > runStart)
+                .map((point) => ({ timestamp: point.timestamp, value: point[signal.aggregation] ?? null }));
+            if (!points.some((point) => point.value !== null)) return;
+            signals.push({
+                key: series.length > 1 ? `${signal.key}:${entry.resourceName}` : signal.key,
+                label: series.length > 1 ? `${signal.label} (${entry.resourceName})` : signal.label,
+                unit: signal.unit,
+                resourceName: entry.resourceName,
+                intervalSeconds: entry.intervalSeconds || 60,
+                values: alignToBuckets(points, signal, intervalMs, timestamps, bucketMs),
+                spikes: findSpikes(points, signal, intervalMs),
+            });
+        });
+    });
+    if (signals.length === 0) {
+        return null;
+    }
+
+    const flags = [];
+    signals
+        .filter((signal) => signal.spikes.length > 0)
+        .forEach((signal) => {
+            const overlaps = (start, end) => signal.spikes.filter((spike) => start < spike.end && end > spike.start);
+            const spikeBuckets = timestamps.map((bucketStart) => overlaps(bucketStart, bucketStart + bucketMs).length > 0);
+            const timeShare = spikeBuckets.filter(Boolean).length / timestamps.length;
+
+            errorTimeline.categories.forEach((category) => {
+                const errors = category.counts.reduce((sum, count, index) => sum + (spikeBuckets[index] ? count : 0), 0);
+                const share = category.total > 0 ? errors / category.total : 0;
+                if (errors < MIN_FLAG_ERRORS || share < FLAG_SHARE || share < timeShare * FLAG_CONCENTRATION) return;
+
+                const spikes = signal.spikes.filter((spike) => category.counts.some((count, index) => count > 0 && overlaps(timestamps[index], timestamps[index] + bucketMs).includes(spike)));
+                flags.push({
+                    categoryKey: category.key,
+                    category: category.name,
+                    signalKey: signal.key,
+                    signal: signal.label,
+                    unit: signal.unit,
+                    errors,
+                    totalErrors: category.total,
+                    share: round1(share * 100),
+                    timeShare: round1(timeShare * 100),
+                    spikes,
+                });
+            });
+        });
+    flags.sort((a, b) => b.errors - a.errors || b.share - a.share);
+
+    return { signals, flags };
+}
@@ -0,0 +1,340 @@
+/**
+ * SLA / Quality Gate
+ *
+ * Evaluates the `sla.rules` from the config once the JMeter, Playwright and Azure data
+ * has been collected. Each rule checks one metric against a `max` and/or `min` threshold:
+ * - JMeter metrics for all requests, or for every transaction matching `transaction` (regex),
+ *   over the full run or the steady state window (`window`)
+ * - Azure Monitor metrics of the App Service Plan and database
+ * - Playwright web vitals for every test matching `test` (regex)
+ * - changes against the baseline run: the number of regressions, or the change of a metric for
+ *   all requests or every matching transaction; `requireSignificance` only counts changes that
+ *   are statistically significant
+ *
+ * The verdict fails when any rule fails. Rules without data (no Azure metrics, no matching
+ * transaction, no baseline) are skipped rather than failed; when every rule is skipped the
+ * verdict is 'incomplete', as nothing was actually checked.
+ */
+
+import { compilePattern } from './regexPatterns.js';
+
+export const SLA_METRICS = {
+    avg: { label: 'Avg response time', unit: 'ms', source: 'jmeter' },
+    p90: { label: '90th percentile', unit: 'ms', source: 'jmeter' },
+    p95: { label: '95th percentile', unit: 'ms', source: 'jmeter' },
+    p99: { label: '99th percentile', unit: 'ms', source: 'jmeter' },
+    max: { label: 'Max response time', unit: 'ms', source: 'jmeter' },
+    errorRate: { label: 'Error rate', unit: '%', source: 'jmeter' },
+    throughput: { label: 'Throughput', unit: '/s', source: 'jmeter' },
+    azureCpuMax: { label: 'App Service Plan CPU (max)', unit: '%', source: 'azure' },
+    azureCpuAvg: { label: 'App Service Plan CPU (avg)', unit: '%', source: 'azure' },
+    azureMemoryMax: { label: 'App Service Plan memory (max)', unit: '%', source: 'azure' },
+    azureMemoryAvg: { label: 'App Service Plan memory (avg)', unit: '%', source: 'azure' },
+    azureDbCpuMax: { label: 'Database CPU (max)', unit: '%', source: 'azure' },
+    lcp: { label: 'Largest Contentful Paint', unit: 'ms', source: 'playwright' },
+    fcp: { label: 'First Contentful Paint', unit: 'ms', source: 'playwright' },
+    cls: { label: 'Cumulative Layout Shift', unit: '', source: 'playwright' },
+    regressions: { label: 'Regressions vs baseline', unit: '', source: 'baseline' },
+    avgChange: { label: 'Avg response time change vs baseline', unit: '%', source: 'baseline', comparison: 'avg' },
+    p90Change: { label: '90th percentile change vs baseline', unit: '%', source: 'baseline', comparison: 'p90' },
+    p95Change: { label: '95th percentile change vs baseline', unit: '%', source: 'baseline', comparison: 'p95' },
+    errorRateChange: { label: 'Error rate change vs baseline', unit: 'pts', source: 'baseline', comparison: 'errorRate' },
+    throughputChange: { label: 'Throughput change vs baseline', unit: '%', source: 'baseline', comparison: 'throughput' },
+};
+
+const SLA_WINDOWS = ['fullRun', 'steadyState'];
+
+function isThreshold(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Validate the `sla` config block
+ * @param {Object} slaConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateSLAConfig(slaConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!slaConfig) {
+        return { errors, warnings };
+    }
+
+    ['failOnViolation', 'allowSkipped'].forEach((key) => {
+        if (slaConfig[key] !== undefined && typeof slaConfig[key] !== 'boolean') {
+            errors.push(`sla.${key} must be true or false (got ${JSON.stringify(slaConfig[key])})`);
+        }
+    });
+
+    const rules = slaConfig.rules || [];
+    if (!Array.isArray(rules)) {
+        errors.push('sla.rules must be an array of { metric, max | min } rules');
+        return { errors, warnings };
+    }
+
+    rules.forEach((rule, index) => {
+        const prefix = `sla.rules[${index}]`;
+        const metric = rule && SLA_METRICS[rule.metric];
+        if (!metric) {
+            errors.push(`${prefix}.metric must be one of ${Object.keys(SLA_METRICS).join(', ')} (got ${JSON.stringify(rule && rule.metric)})`);
+            return;
+        }
+        if (!isThreshold(rule.max) && !isThreshold(rule.min)) {
+            errors.push(`${prefix} needs a numeric max and/or min`);
+        }
+        ['transaction', 'test'].forEach((key) => {
+            if (rule[key] === undefined || rule[key] === null) return;
+            try {
+                compilePattern(rule[key]);
+            } catch (error) {
+                errors.push(`${prefix}.${key} is not a valid regular expression: ${error.message}`);
+            }
+        });
+        if (rule.transaction && metric.source !== 'jmeter' && metric.source !== 'baseline') {
+            warnings.push(`${prefix}.transaction only applies to JMeter and baseline metrics - ignored for ${rule.metric}`);
+        }
+        if (rule.requireSignificance !== undefined && typeof rule.requireSignificance !== 'boolean') {
+            errors.push(`${prefix}.requireSignificance must be true or false (got ${JSON.stringify(rule.requireSignificance)})`);
+        } else if (rule.requireSignificance && metric.source !== 'baseline') {
+            warnings.push(`${prefix}.requireSignificance only applies to baseline metrics - ignored for ${rule.metric}`);
+        }
+        if (rule.test && metric.source !== 'playwright') {
+            warnings.push(`${prefix}.test only applies to Playwright metrics - ignored for ${rule.metric}`);
+        }
+        if (rule.window !== undefined && !SLA_WINDOWS.includes(rule.window)) {
+            errors.push(`${prefix}.window must be one of ${SLA_WINDOWS.join(', ')} (got ${JSON.stringify(rule.window)})`);
+        }
+    });
+
+    return { errors, warnings };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * JMeter values to check: all requests, or each matching transaction
+ */
+function jmeterChecks(rule, jmeterData) {
+    if (!jmeterData || !jmeterData.transactions) return { checks: [], note: null };
+
+    // The steady state window when asked for and available, otherwise the full run
+    const steadyState = rule.window === 'steadyState' ? jmeterData.steadyState : null;
+    const note = rule.window === 'steadyState' && !steadyState ? 'Steady state not available - full run used' : null;
+    const duration = steadyState ? steadyState.duration : jmeterData.testDuration;
+
+    const valueOf = (stats, totals) => {
+        if (rule.metric === 'errorRate') return totals.total > 0 ? (totals.errors / totals.total) * 100 : 0;
+        if (rule.metric === 'throughput') return duration > 0 ? totals.total / duration : 0;
+        return stats[rule.metric];
+    };
+
+    if (!rule.transaction) {
+        const source = steadyState || jmeterData;
+        const stats = steadyState ? steadyState.requestStats : jmeterData.requestStats;
+        if (!stats || !(source.totalRequests > 0)) return { checks: [], note };
+        return { checks: [{ target: 'All requests', value: valueOf(stats, { total: source.totalRequests, errors: source.totalErrorCount }) }], note };
+    }
+
+    const pattern = compilePattern(rule.transaction);
+    const checks = Object.values(jmeterData.transactions)
+        .filter((transaction) => pattern.test(transaction.name))
+        .map((transaction) => (steadyState ? { name: transaction.name, ...transaction.steadyState } : transaction))
+        .filter((transaction) => transaction.totalSamples > 0 && transaction.stats)
+        .map((transaction) => ({
+            target: transaction.name,
+            value: valueOf(transaction.stats, { total: transaction.totalSamples, errors: transaction.errorCount }),
+        }));
+    return { checks, note };
+}
+
+// Azure SLA metrics: the per-resource map, the combined slot (older metrics files only have that) and the value
+const AZURE_SLA_VALUES = {
+    azureCpuMax: { resources: 'appServicePlans', combined: 'appServicePlan', value: (slots) => slots.cpuPercentage?.max },
+    azureCpuAvg: { resources: 'appServicePlans', combined: 'appServicePlan', value: (slots) => slots.cpuPercentage?.avg },
+    azureMemoryMax: { resources: 'appServicePlans', combined: 'appServicePlan', value: (slots) => slots.memoryPercentage?.max },
+    azureMemoryAvg: { resources: 'appServicePlans', combined: 'appServicePlan', value: (slots) => slots.memoryPercentage?.avg },
+    azureDbCpuMax: { resources: 'databases', combined: 'database', value: (slots) => slots.cpuPercent?.max },
+};
+
+/**
+ * Azure Monitor values (aggregated over the test run), one check per resource
+ */
+function azureChecks(rule, azureData) {
+    const serverMetrics = azureData && azureData.serverMetrics && azureData.serverMetrics.serverMetrics;
+    if (!serverMetrics || !serverMetrics.hasData) return { checks: [], note: null };
+
+    const source = AZURE_SLA_VALUES[rule.metric];
+    const resources = Object.values(serverMetrics[source.resources] || {});
+    const checks = (resources.length > 0 ? resources : [{ name: SLA_METRICS[rule.metric].label, ...(serverMetrics[source.combined] || {}) }])
+        .map((slots) => ({ target: slots.name, value: parseFloat(source.value(slots)) }))
+        .filter((check) => Number.isFinite(check.value));
+    return { checks, note: null };
+}
+
+/**
+ * Playwright web vitals per test
+ */
+function playwrightChecks(rule, playwrightData) {
+    const tests = (playwrightData && playwrightData.individualTests) || [];
+    const pattern = rule.test ? compilePattern(rule.test) : null;
+    const vital = rule.metric.toUpperCase();
+    const checks = tests
+        .filter((test) => !pattern || pattern.test(test.testName))
+        .filter((test) => test.metrics && test.metrics.webVitals && typeof test.metrics.webVitals[vital] === 'number')
+        .map((test) => ({ target: test.testName, value: test.metrics.webVitals[vital] }));
+    return { checks, note: null };
+}
+
+/**
+ * Changes against the baseline run (regression count, or metric change per transaction).
+ * With `requireSignificance`, changes that are not statistically significant never fail.
+ */
+function baselineChecks(rule, baselineComparison) {
+    if (!baselineComparison) return { checks: [], note: null };
+
+    const pattern = rule.transaction ? compilePattern(rule.transaction) : null;
+    const transactionNames = new Set(baselineComparison.transactions.map((transaction) => transaction.name));
+
+    if (rule.metric === 'regressions') {
+        const regressions = baselineComparison.regressions
+            .filter((regression) => !pattern || (transactionNames.has(regression.scope) && pattern.test(regression.scope)))
+            .filter((regression) => !rule.requireSignificance || regression.significant === true);
+        const target = `${regressions.length > 0 ? regressions.map((regression) => `${regression.scope} ${regression.label}`).slice(0, 5).join(', ') : 'No regressions'}${regressions.length > 5 ? ', ...' : ''}`;
+        return { checks: [{ target, value: regressions.length }], note: null };
+    }
+
+    const key = SLA_METRICS[rule.metric].comparison;
+    const changeOf = (comparison) => (key === 'errorRate' ? comparison.delta : comparison.deltaPercent);
+    const candidates = pattern
+        ? baselineComparison.transactions.filter((transaction) => transaction.metrics && pattern.test(transaction.name)).map((transaction) => ({ target: transaction.name, comparison: transaction.metrics[key] }))
+        : baselineComparison.overall
+          ? [{ target: 'All requests', comparison: baselineComparison.overall[key] }]
+          : [];
+
+    const checks = candidates
+        .filter(({ comparison }) => comparison && changeOf(comparison) !== null)
+        .map(({ target, comparison }) => ({
+            target,
+            value: changeOf(comparison),
+            // Not significant (or not tested) changes are reported but cannot fail the rule
+            exempt: Boolean(rule.requireSignificance) && !(comparison.significance && comparison.significance.significant),
+        }));
+    return { checks, note: null };
+}
+
+/**
+ * Human readable threshold ("≤ 800 ms", "≥ 20/s", "100-800 ms")
+ */
+export function describeThreshold(rule) {
+    const unit = SLA_METRICS[rule.metric].unit;
+    const suffix = unit === '' ? '' : unit === '/s' || unit === '%' ? unit : ` ${unit}`;
+    if (isThreshold(rule.min) && isThreshold(rule.max)) return `${rule.min}-${rule.max}${suffix}`;
+    return isThreshold(rule.max) ? `≤ ${rule.max}${suffix}` : `≥ ${rule.min}${suffix}`;
+}
+
+/**
+ * Evaluate the SLA rules
+ * @param {Object} slaConfig - `sla` (already validated)
+ * @param {Object} data
+ * @param {Object|null} data.jmeterData
+ * @param {Object|null} data.playwrightData
+ * @param {Object|null} data.azureData
+ * @param {Object|null} data.baselineComparison - From compareWithBaseline()
+ * @returns {Object} { verdict: 'passed'|'failed'|'incomplete'|'none', passed, failed, skipped, rules: [...] }
+ */
+export function evaluateSLA(slaConfig, { jmeterData = null, playwrightData = null, azureData = null, baselineComparison = null } = {}) {
+    const rules = (slaConfig && slaConfig.rules) || [];
+
+    const results = rules.map((rule) => {
+        const metric = SLA_METRICS[rule.metric];
+        const { checks, note: checkNote } =
+            metric.source === 'jmeter'
+                ? jmeterChecks(rule, jmeterData)
+                : metric.source === 'azure'
+                  ? azureChecks(rule, azureData)
+                  : metric.source === 'playwright'
+                    ? playwrightChecks(rule, playwrightData)
+                    : baselineChecks(rule, baselineComparison);
+
+        checks.forEach((check) => {
+            check.value = round(check.value);
+            check.passed = check.exempt || ((!isThreshold(rule.max) || check.value <= rule.max) && (!isThreshold(rule.min) || check.value >= rule.min));
+        });
+        const failedChecks = checks.filter((check) => !check.passed);
+        const exempted = checks.filter((check) => check.exempt && ((isThreshold(rule.max) && check.value > rule.max) || (isThreshold(rule.min) && check.value < rule.min))).length;
+        const note = exempted > 0 ? [checkNote, `${exempted} change(s) beyond the threshold not statistically significant`].filter(Boolean).join('; ') : checkNote;
+
+        // The value shown for the rule: the worst one in the direction of the threshold
+        const worst = checks.reduce((current, check) => {
+            if (!current) return check;
+            return isThreshold(rule.max) ? (check.value > current.value ? check : current) : check.value < current.value ? check : current;
+        }, null);
+
+        const transactionScope = rule.transaction ? `Transactions /${rule.transaction instanceof RegExp ? rule.transaction.source : rule.transaction}/` : 'All requests';
+        const scope =
+            metric.source === 'jmeter'
+                ? `${transactionScope}${rule.window === 'steadyState' ? ' (steady state)' : ''}`
+                : metric.source === 'baseline'
+                  ? `${rule.metric === 'regressions' && !rule.transaction ? 'All regressions' : transactionScope} vs baseline${rule.requireSignificance ? ' (significant changes only)' : ''}`
+                  : metric.source === 'playwright'
+                    ? rule.test
+                        ? `Tests /${rule.test instanceof RegExp ? rule.test.source : rule.test}/`
+                        : 'All tests'
+                    : 'Azure Monitor';
+        const noDataNote =
+            metric.source === 'baseline' && !baselineComparison
+                ? 'No baseline comparison (baseline.path)'
+                : `No data for ${(metric.source === 'jmeter' || metric.source === 'baseline') && rule.transaction ? 'matching transactions' : metric.label}`;
+
+        return {
+            name: rule.name || `${metric.label} ${describeThreshold(rule)}`,
+            metric: rule.metric,
+            metricLabel: metric.label,
+            unit: metric.unit,
+            scope,
+            threshold: describeThreshold(rule),
+            min: isThreshold(rule.min) ? rule.min : null,
+            max: isThreshold(rule.max) ? rule.max : null,
+            status: checks.length === 0 ? 'skipped' : failedChecks.length > 0 ? 'failed' : 'passed',
+            actual: worst ? worst.value : null,
+            actualTarget: worst ? worst.target : null,
+            checks,
+            failedChecks: failedChecks.length,
+            note: checks.length === 0 ? noDataNote : note,
+        };
+    });
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    const passed = count('passed');
+    const failed = count('failed');
+    const skipped = count('skipped');
+    return {
+        verdict: results.length === 0 ? 'none' : failed > 0 ? 'failed' : passed === 0 && skipped > 0 ? 'incomplete' : 'passed',
+        passed,
+        failed,
+        skipped,
+        rules: results,
+    };
+}
+
+/**
+ * Compact SLA outcome saved with the run data
+ * @param {Object} slaResults - From evaluateSLA()
+ * @returns {Object|null} null when no rules are configured
+ */
+export function summarizeSLAResults(slaResults) {
+    if (!slaResults || slaResults.verdict === 'none') {
+        return null;
+    }
+
+    return {
+        verdict: slaResults.verdict,
+        passed: slaResults.passed,
+        failed: slaResults.failed,
+        skipped: slaResults.skipped,
+        failedRules: slaResults.rules.filter((rule) => rule.status === 'failed').map((rule) => rule.name),
+    };
+}
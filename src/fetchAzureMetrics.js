@@ -11,6 +11,147 @@
 
 import https from 'https';
 
+// Display units of the Azure Monitor units
+export const AZURE_UNITS = { Percent: '%', MilliSeconds: 'ms', Seconds: 's', Bytes: 'bytes', BytesPerSecond: 'bytes/s', Count: 'count', CountPerSecond: '/s' };
+
+// Factors from an Azure Monitor unit to other display units
+const UNIT_CONVERSIONS = {
+    Seconds: { ms: 1000 },
+    MilliSeconds: { s: 0.001 },
+    Bytes: { KB: 1 / 1024, MB: 1 / 1024 ** 2, GB: 1 / 1024 ** 3 },
+    BytesPerSecond: { 'KB/s': 1 / 1024, 'MB/s': 1 / 1024 ** 2 },
+};
+
+// Aggregations a configured metric can use (Azure Monitor names; avg/max/min/sum are accepted too)
+export const METRIC_AGGREGATIONS = ['average', 'total', 'maximum', 'minimum'];
+const AGGREGATION_ALIASES = { avg: 'average', max: 'maximum', min: 'minimum', sum: 'total' };
+
+// Settings of well-known metrics (by lowercase metric name) for metrics configured by name only;
+// other metrics use the average and the unit Azure Monitor reports
+export const DEFAULT_METRIC_SETTINGS = {
+    cpupercentage: { label: 'CPU Usage', aggregation: 'average', unit: '%' },
+    memorypercentage: { label: 'Memory Usage', aggregation: 'average', unit: '%' },
+    requests: { label: 'Total Requests', aggregation: 'total', unit: 'count' },
+    http5xx: { label: 'HTTP 5xx Errors', aggregation: 'total', unit: 'count', thresholds: { critical: 1 } },
+    httpresponsetime: { label: 'HTTP Response Time', aggregation: 'average', unit: 'ms' },
+    cpu_percent: { label: 'Database CPU', aggregation: 'average', unit: '%' },
+    connection_failed: { label: 'Connection Failures', aggregation: 'total', unit: 'count', thresholds: { warning: 1 } },
+    deadlock: { label: 'Deadlocks', aggregation: 'total', unit: 'count', thresholds: { critical: 1 } },
+    availability: { label: 'Availability', aggregation: 'average', unit: '%' },
+    successe2elatency: { label: 'E2E Latency', aggregation: 'average', unit: 'ms' },
+    successserverlatency: { label: 'Server Latency', aggregation: 'average', unit: 'ms' },
+};
+
+/**
+ * Validate `azure.appComponents`: [{ resourceId, name, metrics: ['MetricName' | { name, aggregation, unit, label, thresholds }] }]
+ * @param {Object[]} appComponents
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateAppComponentsConfig(appComponents) {
+    const errors = [];
+    const warnings = [];
+
+    if (appComponents === undefined || appComponents === null) {
+        return { errors, warnings };
+    }
+    if (!Array.isArray(appComponents)) {
+        errors.push('azure.appComponents must be an array of { resourceId, name, metrics } components');
+        return { errors, warnings };
+    }
+
+    appComponents.forEach((component, index) => {
+        const path = `azure.appComponents[${index}]`;
+        if (!component || typeof component.resourceId !== 'string' || component.resourceId.trim() === '') {
+            errors.push(`${path} needs a resourceId`);
+            return;
+        }
+        if (component.name !== undefined && typeof component.name !== 'string') {
+            errors.push(`${path}.name must be a string`);
+        }
+        if (!Array.isArray(component.metrics) || component.metrics.length === 0) {
+            errors.push(`${path}.metrics must be a non-empty array of metric names or { name, aggregation, unit, label, thresholds }`);
+            return;
+        }
+
+        component.metrics.forEach((metric, metricIndex) => {
+            const metricPath = `${path}.metrics[${metricIndex}]`;
+            if (typeof metric === 'string') {
+                if (metric.trim() === '') errors.push(`${metricPath} must not be empty`);
+                return;
+            }
+            if (!metric || typeof metric.name !== 'string' || metric.name.trim() === '') {
+                errors.push(`${metricPath} needs a metric name`);
+                return;
+            }
+            if (metric.aggregation !== undefined && !METRIC_AGGREGATIONS.includes(normalizeAggregation(metric.aggregation))) {
+                errors.push(`${metricPath}.aggregation must be one of ${METRIC_AGGREGATIONS.join(', ')} (got ${JSON.stringify(metric.aggregation)})`);
+            }
+            ['unit', 'label'].forEach((field) => {
+                if (metric[field] !== undefined && typeof metric[field] !== 'string') {
+                    errors.push(`${metricPath}.${field} must be a string`);
+                }
+            });
+
+            const thresholds = metric.thresholds;
+            if (thresholds === undefined || thresholds === null) return;
+            if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+                errors.push(`${metricPath}.thresholds must be an object of { warning, critical, better }`);
+                return;
+            }
+            ['warning', 'critical'].forEach((level) => {
+                if (thresholds[level] !== undefined && !(typeof thresholds[level] === 'number' && Number.isFinite(thresholds[level]))) {
+                    errors.push(`${metricPath}.thresholds.${level} must be a number (got ${JSON.stringify(thresholds[level])})`);
+                }
+            });
+            if (thresholds.better !== undefined && !['lower', 'higher'].includes(thresholds.better)) {
+                errors.push(`${metricPath}.thresholds.better must be 'lower' or 'higher' (got ${JSON.stringify(thresholds.better)})`);
+            }
+            if (typeof thresholds.warning === 'number' && typeof thresholds.critical === 'number') {
+                const higherIsBetter = thresholds.better === 'higher';
+                if (higherIsBetter ? thresholds.warning < thresholds.critical : thresholds.warning > thresholds.critical) {
+                    warnings.push(`${metricPath}.thresholds: warning (${thresholds.warning}) is past critical (${thresholds.critical}) - the warning level is never reached`);
+                }
+            }
+        });
+    });
+
+    return { errors, warnings };
+}
+
+function normalizeAggregation(aggregation) {
+    const name = String(aggregation).toLowerCase();
+    return AGGREGATION_ALIASES[name] || name;
+}
+
+/**
+ * Settings of a configured metric (name or object), completed from DEFAULT_METRIC_SETTINGS
+ * @returns {{ name: string, label: string|null, aggregation: string, unit: string|null, thresholds: Object|null }}
+ */
+export function resolveMetricSettings(metric) {
+    const configured = typeof metric === 'string' ? { name: metric } : metric;
+    const defaults = DEFAULT_METRIC_SETTINGS[configured.name.toLowerCase()] || {};
+    return {
+        name: configured.name,
+        label: configured.label || defaults.label || null,
+        aggregation: normalizeAggregation(configured.aggregation || defaults.aggregation || 'average'),
+        unit: configured.unit || defaults.unit || null,
+        thresholds: configured.thresholds || defaults.thresholds || null,
+    };
+}
+
+/**
+ * Threshold status of a value: 'critical', 'warning', 'ok', or null without thresholds or value
+ */
+function thresholdStatus(value, thresholds) {
+    if (value === null || !thresholds || (thresholds.warning === undefined && thresholds.critical === undefined)) {
+        return null;
+    }
+    const breaches = (limit) => limit !== undefined && (thresholds.better === 'higher' ? value <= limit : value >= limit);
+    if (breaches(thresholds.critical)) return 'critical';
+    if (breaches(thresholds.warning)) return 'warning';
+    return 'ok';
+}
+
 /**
  * Get Azure AD access token
  * In Azure DevOps pipeline, this uses the service connection's managed identity
@@ -113,7 +254,7 @@ async function getTestRunServerMetrics(testRunId, dataPlaneUri, accessToken) {
 /**
  * Get Azure Monitor metrics for a specific resource with appropriate aggregations
  */
-async function getAzureMonitorMetrics(resourceId, metricNames, timespan, accessToken, aggregations = 'Average,Maximum,Total') {
+async function getAzureMonitorMetrics(resourceId, metricNames, timespan, accessToken, aggregations = 'Average,Minimum,Maximum,Total') {
     const metricsParam = metricNames.join(',');
     const url = `https://management.azure.com${resourceId}/providers/Microsoft.Insights/metrics?api-version=2023-10-01&timespan=${timespan}&metricnames=${metricsParam}&aggregation=${aggregations}`;
 
@@ -131,11 +272,29 @@ async function getAzureMonitorMetrics(resourceId, metricNames, timespan, accessT
 }
 
 /**
- * Parse and aggregate server-side metrics per resource (like Azure Portal)
+ * Parse and aggregate server-side metrics per resource (like Azure Portal).
+ * `components` has every configured component with its metrics - aggregated as configured,
+ * in the configured unit, with a threshold status - followed by resources in the response
+ * that are not configured. Resources are keyed by resource ID and shown under the component
+ * `name` (the last resource ID segment for unconfigured resources).
+ * The fixed metric slots used by the dashboard, SLA rules and baseline comparison are kept per
+ * resource - appServices, appServicePlans, databases and storageAccounts, by resource ID - and
+ * combined over all resources of a type in appServicePlan, database and storage: the average
+ * of the resource averages, the highest maximum, the lowest minimum and the summed totals.
+ * The per-interval data points behind each aggregate are kept in `timeSeries`, with every
+ * aggregation Azure Monitor returned, so the report can chart them over the JMeter test window.
+ * @param {Object} serverMetricsResponse - { value: [Azure Monitor metric] } (each with its resourceId)
+ * @param {Object[]} [appComponents] - `azure.appComponents`
  */
-export function aggregateMetrics(serverMetricsResponse) {
+export function aggregateMetrics(serverMetricsResponse, appComponents = []) {
     const aggregated = {
-        appServices: {}, // Will store metrics per app service
+        // Per resource, by lowercase resource ID: { name, resourceId, ...metric slots } - App Services
+        // with all their slots (0 until reported), the other types with the slots they reported
+        appServices: {},
+        appServicePlans: {},
+        databases: {},
+        storageAccounts: {},
+        // Combined over the resources of each type (see combineResources())
         appServicePlan: {
             cpuPercentage: { avg: 0, max: 0, min: 0 },
             memoryPercentage: { avg: 0, max: 0, min: 0 },
@@ -150,9 +309,28 @@ export function aggregateMetrics(serverMetricsResponse) {
             successE2ELatency: { avg: 0 },
             successServerLatency: { avg: 0 },
         },
+        // One entry per metric and resource: { resourceId, resourceName, resourceType, metric, displayName, unit, label,
+        // displayUnit, scale, aggregation, aggregations, intervalSeconds, points: [{ timestamp, average, maximum, ... }] } - see toTimeSeries()
+        timeSeries: [],
+        components: [],
         hasData: false,
     };
 
+    // Configured components and metrics, by lowercase resource ID and metric name
+    const components = new Map();
+    const componentFor = (resourceId, name = null) => {
+        const key = resourceId.toLowerCase();
+        if (!components.has(key)) {
+            components.set(key, { name: name || resourceId.split('/').pop() || 'unknown', resourceId, resourceType: getResourceType(resourceId), metrics: [] });
+        }
+        return components.get(key);
+    };
+    (appComponents || []).forEach((component) => {
+        const entry = componentFor(component.resourceId, component.name);
+        (component.metrics || []).forEach((metric) => entry.metrics.push(createComponentMetric(resolveMetricSettings(metric))));
+    });
+    aggregated.components = Array.from(components.values());
+
     if (!serverMetricsResponse || !serverMetricsResponse.value) {
         return aggregated;
     }
@@ -171,22 +349,30 @@ export function aggregateMetrics(serverMetricsResponse) {
 
         aggregated.hasData = true;
 
-        // Extract resource name from resource ID
-        const resourceName = resourceId.split('/').pop() || 'unknown';
-
-        // Determine which aggregation to use based on metric type
         const metricLower = metricName.toLowerCase();
-        let values = [];
 
-        // For count/total metrics, use total aggregation
-        if (['requests', 'http5xx', 'connection_failed', 'deadlock'].includes(metricLower)) {
-            values = dataPoints.map((dp) => dp.total || 0).filter((v) => v !== null && v !== undefined);
-        }
-        // For percentage and time metrics, use average aggregation
-        else {
-            values = dataPoints.map((dp) => dp.average || 0).filter((v) => v !== null && v !== undefined);
+        // Configured metric (or a metric of an unconfigured resource, with the default settings)
+        const component = componentFor(resourceId);
+        const resourceName = component.name;
+        const resourceKey = resourceId.toLowerCase();
+        const resourceSlots = (type, slots = {}) => {
+            if (!aggregated[type][resourceKey]) {
+                aggregated[type][resourceKey] = { name: resourceName, resourceId, ...slots };
+            }
+            return aggregated[type][resourceKey];
+        };
+        let componentMetric = component.metrics.find((entry) => entry.metric.toLowerCase() === metricLower);
+        if (!componentMetric) {
+            componentMetric = createComponentMetric(resolveMetricSettings(metricName));
+            component.metrics.push(componentMetric);
         }
+        summarizeComponentMetric(componentMetric, metric, dataPoints);
 
+        aggregated.timeSeries.push(toTimeSeries(metric, resourceId, resourceName, componentMetric, dataPoints));
+
+        // The per resource slots use the metric's configured aggregation too (total for the
+        // count metrics, average for percentages and times unless configured otherwise)
+        const values = dataPoints.map((dp) => dp[componentMetric.aggregation]).filter((value) => typeof value === 'number');
         if (values.length === 0) return;
 
         // Calculate statistics
@@ -195,21 +381,18 @@ export function aggregateMetrics(serverMetricsResponse) {
         const min = Math.min(...values);
         const total = values.reduce((a, b) => a + b, 0);
 
-        // Determine if this is an app service metric (sites/)
-        const isAppService = resourceId.includes('/microsoft.web/sites/');
-        const isAppServicePlan = resourceId.includes('/microsoft.web/serverfarms/');
+        // Resource IDs from Azure Monitor may use any casing (Microsoft.Web/sites vs microsoft.web/sites)
+        const resourceType = getResourceType(resourceId);
+        const isAppService = resourceType === 'appService';
+        const isAppServicePlan = resourceType === 'appServicePlan';
 
         // Map to our structure with per-resource tracking
         if (isAppService) {
-            // Initialize app service if not exists
-            if (!aggregated.appServices[resourceName]) {
-                aggregated.appServices[resourceName] = {
-                    name: resourceName,
-                    httpResponseTime: { avg: 0, max: 0, min: 0 },
-                    requests: { total: 0 },
-                    http5xx: { total: 0 },
-                };
-            }
+            const appService = resourceSlots('appServices', {
+                httpResponseTime: { avg: 0, max: 0, min: 0 },
+                requests: { total: 0 },
+                http5xx: { total: 0 },
+            });
 
             switch (metricLower) {
                 case 'httpresponsetime':
@@ -217,57 +400,202 @@ export function aggregateMetrics(serverMetricsResponse) {
                     const avgMs = avg < 1 ? avg * 1000 : avg;
                     const maxMs = max < 1 ? max * 1000 : max;
                     const minMs = min < 1 ? min * 1000 : min;
-                    aggregated.appServices[resourceName].httpResponseTime = {
+                    appService.httpResponseTime = {
                         avg: avgMs.toFixed(2),
                         max: maxMs.toFixed(2),
                         min: minMs.toFixed(2),
                     };
                     break;
                 case 'requests':
-                    aggregated.appServices[resourceName].requests = { total: Math.round(total) };
+                    appService.requests = { total: Math.round(total) };
                     break;
                 case 'http5xx':
-                    aggregated.appServices[resourceName].http5xx = { total: Math.round(total) };
+                    appService.http5xx = { total: Math.round(total) };
                     break;
             }
         } else if (isAppServicePlan) {
             // App Service Plan metrics
+            const plan = () => resourceSlots('appServicePlans');
             switch (metricLower) {
                 case 'cpupercentage':
-                    aggregated.appServicePlan.cpuPercentage = { avg: avg.toFixed(2), max: max.toFixed(2), min: min.toFixed(2) };
+                    plan().cpuPercentage = { avg: avg.toFixed(2), max: max.toFixed(2), min: min.toFixed(2) };
                     break;
                 case 'memorypercentage':
-                    aggregated.appServicePlan.memoryPercentage = { avg: avg.toFixed(2), max: max.toFixed(2), min: min.toFixed(2) };
+                    plan().memoryPercentage = { avg: avg.toFixed(2), max: max.toFixed(2), min: min.toFixed(2) };
                     break;
             }
         } else {
             // Database and Storage metrics
+            const database = () => resourceSlots('databases');
+            const storage = () => resourceSlots('storageAccounts');
             switch (metricLower) {
                 case 'cpu_percent':
-                    aggregated.database.cpuPercent = { avg: avg.toFixed(2), max: max.toFixed(2), min: min.toFixed(2), sum: total.toFixed(2) };
+                    database().cpuPercent = { avg: avg.toFixed(2), max: max.toFixed(2), min: min.toFixed(2), sum: total.toFixed(2) };
                     break;
                 case 'connection_failed':
-                    aggregated.database.connectionsFailed = { total: Math.round(total) };
+                    database().connectionsFailed = { total: Math.round(total) };
                     break;
                 case 'deadlock':
-                    aggregated.database.deadlocks = { total: Math.round(total) };
+                    database().deadlocks = { total: Math.round(total) };
                     break;
                 case 'availability':
-                    aggregated.storage.availability = { avg: avg.toFixed(2) };
+                    storage().availability = { avg: avg.toFixed(2) };
                     break;
                 case 'successe2elatency':
-                    aggregated.storage.successE2ELatency = { avg: avg.toFixed(2) };
+                    storage().successE2ELatency = { avg: avg.toFixed(2) };
                     break;
                 case 'successserverlatency':
-                    aggregated.storage.successServerLatency = { avg: avg.toFixed(2) };
+                    storage().successServerLatency = { avg: avg.toFixed(2) };
                     break;
             }
         }
     });
 
+    combineResources(aggregated.appServicePlan, aggregated.appServicePlans);
+    combineResources(aggregated.database, aggregated.databases);
+    combineResources(aggregated.storage, aggregated.storageAccounts);
+    aggregated.components = Array.from(components.values());
     return aggregated;
 }
 
+/**
+ * Fill the combined slots of a resource type from its resources: the average of the resource
+ * averages, the highest maximum, the lowest minimum and the summed totals (strings with 2
+ * decimals like the per-resource slots; totals are whole counts)
+ * @param {Object} combined - e.g. aggregated.appServicePlan (updated in place)
+ * @param {Object} resources - e.g. aggregated.appServicePlans
+ */
+function combineResources(combined, resources) {
+    const entries = Object.values(resources);
+    if (entries.length === 0) {
+        return;
+    }
+    Object.keys(combined).forEach((slot) => {
+        const values = entries.map((entry) => entry[slot]).filter(Boolean);
+        if (values.length === 0) return;
+        const numbers = (field) => values.map((value) => parseFloat(value[field])).filter(Number.isFinite);
+        const result = {};
+        Object.keys(combined[slot]).forEach((field) => {
+            const fieldValues = numbers(field);
+            if (fieldValues.length === 0) return;
+            if (field === 'total') {
+                result.total = fieldValues.reduce((sum, value) => sum + value, 0);
+                return;
+            }
+            const value = {
+                avg: () => fieldValues.reduce((sum, v) => sum + v, 0) / fieldValues.length,
+                max: () => Math.max(...fieldValues),
+                min: () => Math.min(...fieldValues),
+                sum: () => fieldValues.reduce((sum, v) => sum + v, 0),
+            }[field]();
+            result[field] = value.toFixed(2);
+        });
+        combined[slot] = { ...combined[slot], ...result };
+    });
+}
+
+/**
+ * Metric entry of a component, before its data points are known
+ */
+function createComponentMetric(settings) {
+    return {
+        metric: settings.name,
+        label: settings.label || settings.name,
+        aggregation: settings.aggregation,
+        unit: settings.unit || '',
+        scale: 1,
+        value: null,
+        avg: null,
+        max: null,
+        min: null,
+        total: null,
+        intervals: 0,
+        thresholds: settings.thresholds,
+        status: null,
+    };
+}
+
+/**
+ * Aggregate the configured aggregation of a metric's data points: avg/max/min/total over the
+ * intervals, and `value` - the avg for average, the total for total, the max for maximum and
+ * the min for minimum - converted into the configured unit
+ */
+function summarizeComponentMetric(entry, metric, dataPoints) {
+    const round = (value) => Math.round(value * 100) / 100;
+    if (!entry.unit) {
+        entry.unit = AZURE_UNITS[metric.unit] || metric.unit || '';
+    }
+    if (entry.label === entry.metric && metric.name.localizedValue) {
+        entry.label = metric.name.localizedValue;
+    }
+    entry.scale = (UNIT_CONVERSIONS[metric.unit] && UNIT_CONVERSIONS[metric.unit][entry.unit]) || 1;
+
+    const values = dataPoints.map((dp) => dp[entry.aggregation]).filter((value) => typeof value === 'number').map((value) => value * entry.scale);
+    if (values.length === 0) {
+        return;
+    }
+    const total = values.reduce((sum, value) => sum + value, 0);
+    entry.avg = round(total / values.length);
+    entry.max = round(Math.max(...values));
+    entry.min = round(Math.min(...values));
+    entry.total = round(total);
+    entry.intervals = values.length;
+    entry.value = { average: entry.avg, total: entry.total, maximum: entry.max, minimum: entry.min }[entry.aggregation];
+    entry.status = thresholdStatus(entry.value, entry.thresholds);
+}
+
+// Aggregations Azure Monitor can return per data point
+const AGGREGATIONS = ['average', 'minimum', 'maximum', 'total', 'count'];
+
+/**
+ * Resource type of an Azure resource ID, as used by the report
+ */
+function getResourceType(resourceId) {
+    const id = resourceId.toLowerCase();
+    if (id.includes('/microsoft.web/sites/')) return 'appService';
+    if (id.includes('/microsoft.web/serverfarms/')) return 'appServicePlan';
+    if (id.includes('/microsoft.sql/')) return 'database';
+    if (id.includes('/microsoft.storage/')) return 'storage';
+    return 'other';
+}
+
+/**
+ * Per-interval data points of one metric. Every aggregation present in the response is kept
+ * (null where Azure Monitor has no value for an interval), in Azure Monitor's unit; the label,
+ * display unit (value x scale) and aggregation are the configured ones.
+ */
+function toTimeSeries(metric, resourceId, resourceName, componentMetric, dataPoints) {
+    const aggregation = componentMetric.aggregation;
+    const aggregations = AGGREGATIONS.filter((name) => name === aggregation || dataPoints.some((dp) => typeof dp[name] === 'number'));
+    const points = dataPoints
+        .map((dp) => {
+            const point = { timestamp: Date.parse(dp.timeStamp) };
+            aggregations.forEach((name) => {
+                point[name] = typeof dp[name] === 'number' ? dp[name] : null;
+            });
+            return point;
+        })
+        .filter((point) => !Number.isNaN(point.timestamp))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const steps = points.slice(1).map((point, index) => point.timestamp - points[index].timestamp).filter((step) => step > 0);
+
+    return {
+        resourceId,
+        resourceName,
+        resourceType: getResourceType(resourceId),
+        metric: metric.name.value,
+        displayName: metric.name.localizedValue || metric.name.value,
+        unit: metric.unit || null,
+        label: componentMetric.label,
+        displayUnit: componentMetric.unit,
+        scale: componentMetric.scale,
+        aggregation,
+        aggregations,
+        intervalSeconds: steps.length > 0 ? Math.min(...steps) / 1000 : 60,
+        points,
+    };
+}
+
 /**
  * Fetch all Azure metrics for a test run
  * @param {string} testRunId - Azure Load Test run ID
@@ -355,7 +683,8 @@ export async function fetchAzureMetrics(testRunId, config) {
         for (let i = 0; i < appComponents.length; i++) {
             const component = appComponents[i];
             try {
-                const metrics = await getAzureMonitorMetrics(component.resourceId, component.metrics, timespan, managementToken);
+                const metricNames = component.metrics.map((metric) => (typeof metric === 'string' ? metric : metric.name));
+                const metrics = await getAzureMonitorMetrics(component.resourceId, metricNames, timespan, managementToken);
                 metricsData.push(metrics);
                 const displayName = component.name || component.resourceId.split('/').pop();
                 console.log(`✅ Metrics retrieved for: ${displayName}`);
@@ -371,7 +700,7 @@ export async function fetchAzureMetrics(testRunId, config) {
         }
 
         // Aggregate all metrics
-        const aggregated = aggregateMetrics({ value: metricsData.flatMap((m) => m.value || []) });
+        const aggregated = aggregateMetrics({ value: metricsData.flatMap((m) => m.value || []) }, appComponents);
 
         const result = {
             testRunId,
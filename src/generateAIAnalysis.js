@@ -7,6 +7,7 @@
  * @param {Object} playwrightData - Parsed Playwright test results
  * @param {Object} azureData - Azure server metrics
  * @param {Object} config - Configuration object with AI settings
+ * @param {Object} baselineComparison - Comparison with the baseline run (optional)
  * @returns {Promise<Object>} Analysis result with HTML content and metadata
  */
 
@@ -18,9 +19,10 @@ import { GoogleGenerativeAI } from '@google/generative-ai';
  * @param {Object} playwrightData - Parsed Playwright test results
  * @param {Object} azureData - Azure server metrics
  * @param {Object} config - Configuration object with AI settings
+ * @param {Object} baselineComparison - Comparison with the baseline run (optional)
  * @returns {Promise<Object>} Analysis result with HTML content and metadata
  */
-export async function generateAIAnalysis(jmeterData, playwrightData, azureData, config) {
+export async function generateAIAnalysis(jmeterData, playwrightData, azureData, config, baselineComparison = null) {
     // Check if AI analysis is enabled
     if (!config || !config.features || !config.features.aiAnalysis) {
         console.log('⚠️  AI analysis is disabled in configuration. Skipping AI analysis.');
@@ -57,7 +59,7 @@ export async function generateAIAnalysis(jmeterData, playwrightData, azureData,
         const genAI = new GoogleGenerativeAI(apiKey);
 
         // Prepare structured data for analysis
-        const analysisData = prepareAnalysisData(jmeterData, playwrightData, azureData);
+        const analysisData = prepareAnalysisData(jmeterData, playwrightData, azureData, baselineComparison);
 
         // Create prompt for AI analysis
         const prompt = createAnalysisPrompt(analysisData);
@@ -132,16 +134,18 @@ export async function generateAIAnalysis(jmeterData, playwrightData, azureData,
 /**
  * Prepare structured data for AI analysis
  */
-function prepareAnalysisData(jmeterData, playwrightData, azureData) {
+function prepareAnalysisData(jmeterData, playwrightData, azureData, baselineComparison) {
     const data = {
         summary: {
             hasJMeter: !!jmeterData,
             hasPlaywright: !!playwrightData,
             hasAzure: !!azureData,
+            hasBaseline: !!baselineComparison,
         },
         jmeter: null,
         playwright: null,
         azure: null,
+        baseline: null,
     };
 
     // Extract JMeter insights
@@ -149,25 +153,105 @@ function prepareAnalysisData(jmeterData, playwrightData, azureData) {
         const transactions = jmeterData.transactions || {};
         const transactionList = Object.values(transactions);
 
-        // Calculate overall stats
-        const allResponseTimes = transactionList.flatMap((tx) => (tx.samples ? tx.samples.map((s) => s.elapsed) : []));
+        // Calculate overall stats (weighted by sample count - raw samples are only a bounded subset)
+        const weightedSamples = transactionList.reduce((sum, tx) => sum + (tx.stats ? tx.totalSamples || 0 : 0), 0);
+        const weightedResponseTime = transactionList.reduce((sum, tx) => sum + (tx.stats ? (tx.stats.avg || 0) * (tx.totalSamples || 0) : 0), 0);
 
         data.jmeter = {
+            transactionGrouping: jmeterData.grouping ? jmeterData.grouping.strategy : 'transactionControllers',
             totalTransactions: transactionList.length,
             totalSamples: jmeterData.totalSamples || 0,
             errorRate: jmeterData.errorRate || 0,
-            avgResponseTime: allResponseTimes.length > 0 ? allResponseTimes.reduce((a, b) => a + b, 0) / allResponseTimes.length : 0,
+            avgResponseTime: weightedSamples > 0 ? weightedResponseTime / weightedSamples : 0,
             slowestTransactions: transactionList
                 .filter((tx) => tx.stats)
                 .sort((a, b) => (b.stats?.avg || 0) - (a.stats?.avg || 0))
                 .slice(0, 5)
                 .map((tx) => ({
                     name: tx.name,
+                    parentTransaction: tx.parentTransaction || null,
                     avgResponseTime: tx.stats?.avg || 0,
                     p95: tx.stats?.p95 || 0,
                     errorRate: tx.stats?.errorRate || 0,
+                    apdex: tx.apdex ? tx.apdex.score : null,
+                    latencyBreakdown: tx.latencyBreakdown ? { connectMs: tx.latencyBreakdown.connect, serverMs: tx.latencyBreakdown.server, downloadMs: tx.latencyBreakdown.download } : null,
+                    steadyState: tx.steadyState
+                        ? { avgResponseTime: tx.steadyState.stats.avg, p95: tx.steadyState.stats.p95, errorRate: tx.steadyState.errorRate }
+                        : null,
                 })),
+            steadyState: jmeterData.steadyState
+                ? {
+                      window: `${jmeterData.steadyState.startOffset}s - ${jmeterData.steadyState.endOffset}s of ${jmeterData.testDuration}s`,
+                      source: jmeterData.steadyState.source,
+                      totalRequests: jmeterData.steadyState.totalRequests,
+                      throughput: jmeterData.steadyState.throughput,
+                      passPercentage: jmeterData.steadyState.passPercentage,
+                      responseTimes: jmeterData.steadyState.requestStats,
+                      fullRun: { throughput: jmeterData.throughput, passPercentage: jmeterData.passPercentage, responseTimes: jmeterData.requestStats },
+                  }
+                : null,
+            byUserType: (jmeterData.userTypeStats || []).map((userType) => ({
+                userType: userType.displayName,
+                requests: userType.totalSamples,
+                throughput: userType.throughput,
+                errorRate: userType.errorRate,
+                responseTimes: userType.stats,
+            })),
+            apdex: jmeterData.apdex
+                ? {
+                      score: jmeterData.apdex.overall.score,
+                      rating: jmeterData.apdex.overall.rating,
+                      satisfiedMs: jmeterData.apdex.thresholds.satisfied,
+                      toleratedMs: jmeterData.apdex.thresholds.tolerated,
+                      transactionRules: jmeterData.apdex.rules,
+                      byUserType: jmeterData.apdex.userTypes.map((userType) => ({ userType: userType.displayName, score: userType.score, rating: userType.rating })),
+                  }
+                : null,
+            latencyBreakdown: jmeterData.latencyBreakdown
+                ? {
+                      connectMs: jmeterData.latencyBreakdown.connect,
+                      serverMs: jmeterData.latencyBreakdown.server,
+                      downloadMs: jmeterData.latencyBreakdown.download,
+                      sharesPercent: jmeterData.latencyBreakdown.shares,
+                  }
+                : null,
             errors: jmeterData.errorAnalysis?.topErrorsBySampler || [],
+            errorCategories: (jmeterData.errorAnalysis?.categories || []).map((category) => ({
+                category: category.name,
+                count: category.count,
+                sharePercent: category.share,
+                firstOccurrenceSec: category.firstOffset,
+                lastOccurrenceSec: category.lastOffset,
+                responseCodes: category.responseCodes.slice(0, 3),
+                examples: category.examples.map((example) => example.message),
+            })),
+            errorsDuringServerSpikes: (jmeterData.errorAnalysis?.serverCorrelation?.flags || []).map((flag) => ({
+                category: flag.category,
+                serverMetric: flag.signal,
+                errorsInSpikes: flag.errors,
+                totalErrors: flag.totalErrors,
+                sharePercent: flag.share,
+                spikeTimeSharePercent: flag.timeShare,
+                spikes: flag.spikes.map((spike) => ({ start: new Date(spike.start).toISOString(), end: new Date(spike.end).toISOString(), peak: spike.peak })),
+            })),
+            loadProfile: jmeterData.loadProfile
+                ? {
+                      shortfalls: jmeterData.loadProfile.shortfalls.map((shortfall) => ({
+                          userType: shortfall.displayName,
+                          metric: shortfall.metric,
+                          cause: shortfall.cause,
+                          message: shortfall.message,
+                      })),
+                      plannedVsActual: [...jmeterData.loadProfile.userTypes, jmeterData.loadProfile.total].map((comparison) => ({
+                          userType: comparison.displayName,
+                          plannedThreads: comparison.plannedThreads,
+                          actualThreads: comparison.actualThreads,
+                          targetThroughput: comparison.targetThroughput,
+                          actualThroughput: comparison.actualThroughput,
+                          avgResponseTime: comparison.avgResponseTime,
+                      })),
+                  }
+                : null,
         };
     }
 
@@ -227,6 +311,16 @@ function prepareAnalysisData(jmeterData, playwrightData, azureData) {
                     e2eLatency: storage.successE2ELatency?.avg || null,
                     serverLatency: storage.successServerLatency?.avg || null,
                 },
+                // Every resource separately, with its configured metrics (newer metrics files only)
+                resources: (serverMetrics.components || [])
+                    .filter((component) => component.metrics.some((metric) => metric.value !== null))
+                    .map((component) => ({
+                        name: component.name,
+                        type: component.resourceType,
+                        metrics: component.metrics
+                            .filter((metric) => metric.value !== null)
+                            .map((metric) => ({ metric: metric.label, aggregation: metric.aggregation, value: metric.value, max: metric.max, unit: metric.unit, status: metric.status })),
+                    })),
                 // Also include top-level metrics for compatibility
                 avgCpu: cpuMetrics.avg || azureData.metrics?.cpuPercent || null,
                 maxCpu: cpuMetrics.max || null,
@@ -244,6 +338,33 @@ function prepareAnalysisData(jmeterData, playwrightData, azureData) {
         }
     }
 
+    // Regressions against the baseline run
+    if (baselineComparison) {
+        const change = (comparison) => ({ baseline: comparison.baseline, current: comparison.current, deltaPercent: comparison.deltaPercent });
+        data.baseline = {
+            baselineRun: baselineComparison.baseline.startTime,
+            tolerances: baselineComparison.tolerances,
+            significance: baselineComparison.significance,
+            summary: baselineComparison.summary,
+            allRequests: baselineComparison.overall
+                ? Object.fromEntries(Object.entries(baselineComparison.overall).map(([metric, comparison]) => [metric, change(comparison)]))
+                : null,
+            regressions: baselineComparison.regressions.slice(0, 20).map((regression) => ({
+                scope: regression.scope,
+                metric: regression.label,
+                unit: regression.unit,
+                baseline: regression.baseline,
+                current: regression.current,
+                delta: regression.delta,
+                deltaPercent: regression.deltaPercent,
+                significant: regression.significant,
+            })),
+            improvedTransactions: baselineComparison.transactions.filter((transaction) => transaction.status === 'improved').map((transaction) => transaction.name).slice(0, 10),
+            newTransactions: baselineComparison.transactions.filter((transaction) => transaction.status === 'new').map((transaction) => transaction.name),
+            missingTransactions: baselineComparison.transactions.filter((transaction) => transaction.status === 'missing').map((transaction) => transaction.name),
+        };
+    }
+
     return data;
 }
 
@@ -268,9 +389,19 @@ ${JSON.stringify(analysisData, null, 2)}
 IMPORTANT NOTES:
 - If Azure data is present (hasServerMetrics: true), it includes App Service Plan CPU/Memory, Database metrics, and Storage metrics
 - Azure metrics include: CPU usage (avg/max), Memory usage (avg/max), Database connections, deadlocks, and storage latency
+- Azure appServicePlan, database and storage are combined over all resources of that type (average of the averages, highest max, summed counts); azure.resources lists every resource separately by name with its configured metrics (status is the configured threshold verdict: ok, warning, critical). With several resources of a type, name the resource when discussing its metrics
 - If Azure data shows "hasServerMetrics: false" but "basicMetrics: true", only basic CPU/Memory percentages are available
 - JMeter data includes transaction response times, error rates, and sample counts
+- transactionGrouping says what a JMeter transaction is: "transactionControllers" (user workflows made of several requests), "labelRegex" (requests grouped by label rules) or "samplerLabels" (individual requests)
+- If JMeter steadyState is present, it holds the statistics of the steady state window (ramp-up and ramp-down excluded) next to the full run ones; judge sustained performance on the steady state values and treat large full run vs steady state differences as ramp effects
+- JMeter byUserType holds the full run request statistics of each configured user type (thread groups mapped to user types); compare them with each other and with the overall values, and call out user types that perform worse than the rest
+- If JMeter apdex is present, it is the Apdex score (0 to 1) over the transaction executions: satisfied up to satisfiedMs, tolerating up to toleratedMs, frustrated above that or on errors (transactionRules override the thresholds by transaction name). Report the overall and per user type scores with their rating, as stakeholders read Apdex more easily than percentiles
+- If JMeter latencyBreakdown is present, it splits the average request time into connect (network), server (time to first byte minus connect) and download (response time minus latency, i.e. payload); per slow transaction it is per execution. Use it to say whether slowness is network, server or payload related
+- JMeter errorCategories classifies failed requests (timeouts, connection refused/reset, SSL/TLS, HTTP 4xx/5xx, assertion failures on successful responses, plus user-defined categories) with their first and last occurrence in seconds from the test start; name the dominant categories and whether they were spread over the run or limited to a period
+- JMeter errorsDuringServerSpikes lists error categories whose errors are concentrated in spikes of an Azure server metric (HTTP 5xx, App Service Plan CPU, database CPU, DB connection failures); treat these as likely server-side causes and name the metric and time window
+- If JMeter loadProfile is present, it compares the planned load from the JMX test plan with what was generated per user type. Shortfalls with cause "loadGenerator" mean JMeter did not generate the intended load (the results under-state the load, not a slow system); cause "system" means response times were too slow for the planned threads to reach the target throughput
 - Playwright data includes UI test page load times and action durations
+- If baseline is present, this run was compared with an earlier (baseline) run: regressions lists the metrics that got worse beyond the configured tolerances (error rate deltas are percentage points). Call out each regression, relate it to the other data (errors, Azure metrics, load) where possible, and state whether the run is worse, better or on par with the baseline. significant tells whether a change passed the statistical significance test (null = not tested); treat regressions that are not significant as likely noise
 
 Provide a comprehensive, professional analysis in clear, actionable language.
 Format your response with clear sections using markdown headers (## for main sections, ### for subsections).
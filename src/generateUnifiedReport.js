@@ -8,7 +8,7 @@
  * @param {Object} options.config - Configuration object
  * @param {string} options.outputDir - Output directory (defaults to .artifacts/unified-report)
  * @param {string} options.artifactsDir - Artifacts directory (defaults to .artifacts)
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} Success status (false when an SLA rule failed, or every rule was skipped without sla.allowSkipped, and sla.failOnViolation is set)
  */
 
 import fs from 'fs';
@@ -16,12 +16,36 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { generateAIAnalysis } from './generateAIAnalysis.js';
-import { fetchAzureMetrics } from './fetchAzureMetrics.js';
+import { validateConfiguration } from './config/configLoader.js';
+import { fetchAzureMetrics, AZURE_UNITS } from './fetchAzureMetrics.js';
+import { isJMeterXMLFile, streamCSVRecords, streamXMLSamples } from './jmeter/streamResults.js';
+import { ResponseTimeHistogram } from './jmeter/responseTimeHistogram.js';
+import { DEFAULT_JTL_COLUMNS, normalizeDelimiter, resolveColumns, describeDegradedSections } from './jmeter/csvColumns.js';
+import { createActiveThreadsTracker, recordActiveThreads, buildActiveThreadSeries, activeThreadsPerBucket, getThreadGroupName } from './jmeter/activeThreads.js';
+import { parseJMX } from './jmeter/parseJMX.js';
+import { createLoadProfileTracker, recordRequest, buildLoadProfile } from './jmeter/loadProfile.js';
+import { GROUPING_STRATEGIES, DEFAULT_GROUPING_STRATEGY, createRequestGrouper } from './jmeter/transactionGrouping.js';
+import { createTimeSeriesTracker, recordTimeSeriesRequest, recordTimeSeriesTransaction, recordTimeSeriesSampler, buildTimeSeries } from './jmeter/timeSeries.js';
+import { resolveSteadyStateWindow, buildSteadyStateStats } from './jmeter/steadyState.js';
+import { createApdexTracker, recordApdexSample, buildApdex, getApdexRating } from './jmeter/apdex.js';
+import { recordThreadGroupSample, mergeUserTypeStats, findUnmappedThreadGroups } from './jmeter/userTypeStats.js';
+import { createLatencyBreakdown, recordLatencyBreakdown, summarizeLatencyBreakdown } from './jmeter/latencyBreakdown.js';
+import { createEndpointTracker, recordEndpointRequest, buildEndpointStats, OTHER_ENDPOINTS } from './jmeter/endpoints.js';
+import { createErrorCategoryTracker, recordErrorCategory, buildErrorCategories } from './jmeter/errorClassification.js';
+import { createErrorTimelineTracker, recordErrorTimeline, buildErrorTimeline } from './jmeter/errorTimeline.js';
+import { evaluateSLA, validateSLAConfig, summarizeSLAResults } from './evaluateSLA.js';
+import { correlateErrorsWithServerMetrics } from './correlateServerMetrics.js';
+import { DEFAULT_SIGNIFICANCE } from './testSignificance.js';
+import { REPORT_DATA_FILE, DEFAULT_BASELINE_TOLERANCES, buildReportDataModel, readReportDataModel, compareWithBaseline } from './compareBaseline.js';
+import { HISTORY_FILE, DEFAULT_HISTORY_RUNS, recordRun, summarizeTransactionTrends } from './recordRunHistory.js';
 
 // Get current file path for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// JMeter results file extensions, in order of preference (.jtl may hold CSV or XML)
+const JMETER_RESULT_EXTENSIONS = ['.csv', '.jtl', '.xml'];
+
 // Note: This is a large file. The full implementation would include all helper functions
 // from the original file. For now, this provides the main structure and entry points.
 // The full implementation would need to be completed by copying and refactoring
@@ -33,7 +57,7 @@ const __dirname = dirname(__filename);
  * @param {Object} options.config - Configuration object
  * @param {string} options.outputDir - Output directory
  * @param {string} options.artifactsDir - Artifacts directory
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} Success status (false when an SLA rule failed, or every rule was skipped without sla.allowSkipped, and sla.failOnViolation is set)
  */
 export async function generateUnifiedReport(options = {}) {
     const { config, outputDir, artifactsDir } = options;
@@ -41,6 +65,8 @@ export async function generateUnifiedReport(options = {}) {
     if (!config) {
         throw new Error('Configuration object is required');
     }
+    // Configs built in code skip loadConfiguration(), so validate them here (no-op for loaded configs)
+    validateConfiguration(config);
 
     // Set up directories
     const baseArtifactsDir = artifactsDir || path.join(process.cwd(), '.artifacts');
@@ -51,6 +77,7 @@ export async function generateUnifiedReport(options = {}) {
     const playwrightDir = path.join(baseOutputDir, 'playwright');
     const azureDir = path.join(baseOutputDir, 'azure');
     const aiAnalysisDir = path.join(baseOutputDir, 'ai-analysis');
+    const trendsDir = path.join(baseOutputDir, 'trends');
 
     // Output files
     const masterDashboard = path.join(baseOutputDir, 'index.html');
@@ -58,6 +85,7 @@ export async function generateUnifiedReport(options = {}) {
     const jmeterSummary = path.join(jmeterDir, 'summary.html');
     const azureSummary = path.join(azureDir, 'summary.html');
     const aiAnalysisSummary = path.join(aiAnalysisDir, 'summary.html');
+    const trendsSummary = path.join(trendsDir, 'summary.html');
 
     console.log('🚀 Starting Unified Performance Report Generation...\n');
 
@@ -68,7 +96,7 @@ export async function generateUnifiedReport(options = {}) {
 
         // Step 2: Parse JMeter results
         console.log('📊 Parsing JMeter results...');
-        const jmeterData = parseJMeterResults(baseArtifactsDir, baseOutputDir, config);
+        const jmeterData = await parseJMeterResults(baseArtifactsDir, baseOutputDir, config);
 
         // Step 3: Parse Playwright results (only if automation is enabled)
         let playwrightData = null;
@@ -82,41 +110,57 @@ export async function generateUnifiedReport(options = {}) {
         // Step 4: Get Azure Load Test info
         console.log('☁️  Processing Azure Load Test info...');
         const azureData = await getAzureLoadTestInfo(azureDir, config, baseArtifactsDir);
+        correlateServerErrors(jmeterData, azureData);
+
+        // Step 5: Compare with the baseline run
+        const reportData = buildReportDataModel({ jmeterData, playwrightData, azureData });
+        const baselineComparison = await compareWithBaselineRun(config, reportData, baseOutputDir);
+
+        // Step 6: Evaluate SLA rules
+        const slaResults = evaluateSLARules(config, { jmeterData, playwrightData, azureData, baselineComparison }, baseOutputDir);
+
+        // Step 7: Save this run's data for later comparisons and add it to the run history
+        const runHistory = saveRunData(config, reportData, slaResults, baseOutputDir, baseArtifactsDir);
 
-        // Step 5: Generate section summaries
+        // Step 8: Generate section summaries
         console.log('📝 Generating section summaries...');
-        generateJMeterSummary(jmeterData, jmeterDir, jmeterSummary, config);
+        generateJMeterSummary(jmeterData, jmeterDir, jmeterSummary, config, baselineComparison);
         
         if (config.features && config.features.automation && playwrightData) {
             generatePlaywrightSummary(playwrightData, playwrightDir, playwrightSummary);
         }
         
-        generateAzureSummary(azureData, jmeterData, azureDir, azureSummary, config);
+        generateAzureSummary(azureData, jmeterData, azureDir, azureSummary, config, baselineComparison);
 
-        // Step 6: Generate transaction detail pages
+        if (runHistory) {
+            fs.mkdirSync(trendsDir, { recursive: true });
+            generateTrendsSummary(runHistory, trendsSummary);
+        }
+
+        // Step 9: Generate transaction detail pages
         if (jmeterData && jmeterData.transactions) {
             console.log('🔍 Generating transaction detail pages...');
-            generateTransactionDetails(jmeterData.transactions, jmeterDir);
+            generateTransactionDetails(jmeterData.transactions, jmeterDir, jmeterData.timeSeries, jmeterData.steadyState);
         }
 
-        // Step 7: Generate AI analysis (only if enabled)
+        // Step 10: Generate AI analysis (only if enabled)
         let aiAnalysis = null;
         if (config.features && config.features.aiAnalysis) {
             console.log('🤖 Generating AI analysis...');
-            aiAnalysis = await generateAIAnalysis(jmeterData, playwrightData, azureData, config);
+            aiAnalysis = await generateAIAnalysis(jmeterData, playwrightData, azureData, config, baselineComparison);
             generateAIAnalysisSummary(aiAnalysis, aiAnalysisDir, aiAnalysisSummary);
         } else {
             console.log('⏭️  Skipping AI analysis (disabled in configuration)');
         }
 
-        // Step 8: Generate master dashboard
+        // Step 11: Generate master dashboard
         console.log('🎨 Generating master dashboard...');
-        generateMasterDashboard(jmeterData, playwrightData, azureData, aiAnalysis, masterDashboard, config);
+        generateMasterDashboard(jmeterData, playwrightData, azureData, aiAnalysis, masterDashboard, config, slaResults, baselineComparison, runHistory);
 
         console.log('\n✅ Unified Performance Report generated successfully!');
         console.log(`📄 Report location: ${masterDashboard}\n`);
 
-        return true;
+        return slaGatePassed(slaResults, config);
     } catch (error) {
         console.error('\n❌ Error generating unified report:', error);
         console.error(error.stack);
@@ -130,7 +174,7 @@ export async function generateUnifiedReport(options = {}) {
  * @param {Object} options.config - Configuration object
  * @param {string} options.outputDir - Output directory
  * @param {string} options.artifactsDir - Artifacts directory
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} Success status (false when an SLA rule failed, or every rule was skipped without sla.allowSkipped, and sla.failOnViolation is set)
  */
 export async function generateStandaloneUnifiedReport(options = {}) {
     const { config, outputDir, artifactsDir } = options;
@@ -138,6 +182,8 @@ export async function generateStandaloneUnifiedReport(options = {}) {
     if (!config) {
         throw new Error('Configuration object is required');
     }
+    // Configs built in code skip loadConfiguration(), so validate them here (no-op for loaded configs)
+    validateConfiguration(config);
 
     // Set up directories
     const baseArtifactsDir = artifactsDir || path.join(process.cwd(), '.artifacts');
@@ -158,7 +204,7 @@ export async function generateStandaloneUnifiedReport(options = {}) {
 
         // Step 2: Parse all data
         console.log('📊 Parsing JMeter results...');
-        const jmeterData = parseJMeterResults(baseArtifactsDir, baseOutputDir, config);
+        const jmeterData = await parseJMeterResults(baseArtifactsDir, baseOutputDir, config);
 
         let playwrightData = null;
         if (config.features && config.features.automation) {
@@ -170,21 +216,32 @@ export async function generateStandaloneUnifiedReport(options = {}) {
 
         console.log('☁️  Processing Azure Load Test info...');
         const azureData = await getAzureLoadTestInfo(azureDir, config, baseArtifactsDir);
+        correlateServerErrors(jmeterData, azureData);
+
+        // Step 3: Compare with the baseline run
+        const reportData = buildReportDataModel({ jmeterData, playwrightData, azureData });
+        const baselineComparison = await compareWithBaselineRun(config, reportData, baseOutputDir);
 
-        // Step 3: Generate AI analysis (only if enabled)
+        // Step 4: Evaluate SLA rules
+        const slaResults = evaluateSLARules(config, { jmeterData, playwrightData, azureData, baselineComparison }, baseOutputDir);
+
+        // Step 5: Save this run's data for later comparisons and add it to the run history
+        const runHistory = saveRunData(config, reportData, slaResults, baseOutputDir, baseArtifactsDir);
+
+        // Step 6: Generate AI analysis (only if enabled)
         let aiAnalysis = null;
         if (config.features && config.features.aiAnalysis) {
             console.log('🤖 Generating AI analysis...');
-            aiAnalysis = await generateAIAnalysis(jmeterData, playwrightData, azureData, config);
+            aiAnalysis = await generateAIAnalysis(jmeterData, playwrightData, azureData, config, baselineComparison);
         } else {
             console.log('⏭️  Skipping AI analysis (disabled in configuration)');
         }
 
-        // Step 4: Generate standalone HTML
+        // Step 7: Generate standalone HTML
         console.log('📝 Generating standalone HTML file...');
-        const standaloneHTML = generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysis, config);
+        const standaloneHTML = generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysis, config, slaResults, baselineComparison, runHistory);
 
-        // Step 5: Write to file
+        // Step 8: Write to file
         const outputPath = path.join(baseOutputDir, 'unified-report-standalone.html');
         fs.writeFileSync(outputPath, standaloneHTML, 'utf-8');
 
@@ -192,7 +249,7 @@ export async function generateStandaloneUnifiedReport(options = {}) {
         console.log(`📄 Report location: ${outputPath}`);
         console.log(`📦 File size: ${(fs.statSync(outputPath).size / 1024 / 1024).toFixed(2)} MB\n`);
 
-        return true;
+        return slaGatePassed(slaResults, config);
     } catch (error) {
         console.error('\n❌ Error generating standalone unified report:', error);
         console.error(error.stack);
@@ -225,6 +282,194 @@ function createDirectories(baseOutputDir, jmeterDir, playwrightDir, azureDir, ai
     });
 }
 
+/**
+ * Line the JMeter error timeline up with the Azure server metric series and flag the error
+ * categories that coincide with server-side spikes (jmeterData.errorAnalysis.serverCorrelation)
+ */
+function correlateServerErrors(jmeterData, azureData) {
+    if (!jmeterData || !jmeterData.errorAnalysis) {
+        return;
+    }
+
+    const correlation = correlateErrorsWithServerMetrics(jmeterData.errorAnalysis.timeline, azureData?.serverMetrics?.serverMetrics?.timeSeries);
+    jmeterData.errorAnalysis.serverCorrelation = correlation;
+    if (correlation) {
+        correlation.flags.forEach((flag) => {
+            console.log(`   ⚡ ${flag.category}: ${flag.share}% of the errors during ${flag.signal} spikes (${flag.timeShare}% of the run)`);
+        });
+    }
+}
+
+/**
+ * Evaluate the `sla` rules, log the outcome per rule and save it as sla-results.json
+ * @returns {Object} From evaluateSLA()
+ */
+function evaluateSLARules(config, data, baseOutputDir) {
+    const { errors } = validateSLAConfig(config.sla);
+    if (errors.length > 0) {
+        throw new Error(`Invalid SLA configuration:\n   - ${errors.join('\n   - ')}`);
+    }
+
+    const slaResults = evaluateSLA(config.sla, data);
+    if (slaResults.verdict === 'none') {
+        console.log('⏭️  No SLA rules configured (sla.rules)');
+        return slaResults;
+    }
+
+    console.log(`🚦 Evaluating ${slaResults.rules.length} SLA rule(s)...`);
+    slaResults.rules.forEach((rule) => {
+        const icon = rule.status === 'passed' ? '✓' : rule.status === 'failed' ? '✗' : '-';
+        const actual = rule.actual !== null ? `${rule.actual}${rule.unit === 'ms' || rule.unit === 'pts' ? ` ${rule.unit}` : rule.unit}${rule.checks.length > 1 ? ` (${rule.actualTarget})` : ''}` : rule.note;
+        console.log(`   ${icon} ${rule.name} [${rule.scope}]: ${actual}, threshold ${rule.threshold}`);
+    });
+    fs.writeFileSync(path.join(baseOutputDir, 'sla-results.json'), JSON.stringify(slaResults, null, 2), 'utf-8');
+
+    const summary = `${slaResults.passed} passed, ${slaResults.failed} failed, ${slaResults.skipped} skipped`;
+    if (slaResults.verdict === 'passed') {
+        console.log(`   ✅ SLA verdict: PASSED (${summary})`);
+    } else if (slaResults.verdict === 'incomplete') {
+        console.log(`   ⚠️  SLA verdict: INCOMPLETE (${summary} - no rule had data to check)`);
+    } else {
+        console.log(`   ❌ SLA verdict: FAILED (${summary})`);
+    }
+    return slaResults;
+}
+
+/**
+ * Whether the run passes the quality gate (report generation itself succeeded).
+ * An incomplete verdict (every rule skipped) fails it unless sla.allowSkipped is set.
+ */
+function slaGatePassed(slaResults, config) {
+    const slaConfig = config.sla || {};
+    if (slaConfig.failOnViolation === false) {
+        return true;
+    }
+    if (slaResults.verdict === 'failed') {
+        console.log('❌ SLA rules failed - reporting failure (set sla.failOnViolation to false to only report them)\n');
+        return false;
+    }
+    if (slaResults.verdict === 'incomplete' && slaConfig.allowSkipped !== true) {
+        console.log('❌ No SLA rule had data to check - reporting failure (set sla.allowSkipped to true to accept skipped rules)\n');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Compare this run's data model with `baseline.path` (when set)
+ * @returns {Promise<Object|null>} From compareWithBaseline(), or null without a usable baseline
+ */
+async function compareWithBaselineRun(config, reportData, baseOutputDir) {
+    const baselineConfig = config.baseline || {};
+
+    // The baseline is read before this run's data is saved, so baseline.path may be this report's own directory
+    let comparison = null;
+    if (baselineConfig.path) {
+        console.log('📐 Comparing with baseline...');
+        const baseline = await loadBaselineReportData(path.resolve(baselineConfig.path), baseOutputDir, config);
+        if (baseline) {
+            comparison = compareWithBaseline(reportData, baseline.data, {
+                tolerances: baselineConfig.tolerances,
+                minSamples: baselineConfig.minSamples,
+                source: baseline.source,
+                significance: baselineConfig.significance,
+            });
+            const { summary } = comparison;
+            console.log(
+                `   Baseline run${comparison.baseline.startTime ? ` of ${comparison.baseline.startTime}` : ''}: ${summary.regressions} regression(s)${comparison.significance ? ` (${summary.significantRegressions} significant)` : ''} - ${summary.regressedTransactions} transaction(s) regressed, ${summary.improvedTransactions} improved, ${summary.newTransactions} new, ${summary.missingTransactions} missing, ${summary.azureRegressions} Azure metric(s) regressed`
+            );
+            comparison.regressions.slice(0, 10).forEach((regression) => {
+                const change = regression.metric === 'errorRate' ? `${regression.delta > 0 ? '+' : ''}${regression.delta} pts` : regression.deltaPercent !== null ? `${regression.deltaPercent > 0 ? '+' : ''}${regression.deltaPercent}%` : 'new';
+                const significance = regression.significance ? `, ${formatSignificance(regression.significance, regression.unit)}` : '';
+                console.log(`   ⚠️  ${regression.scope} - ${regression.label}: ${regression.baseline} → ${regression.current}${regression.unit === 'ms' ? ' ms' : regression.unit} (${change}${significance})`);
+            });
+            if (comparison.regressions.length > 10) {
+                console.log(`   ... and ${comparison.regressions.length - 10} more`);
+            }
+        }
+    }
+
+    return comparison;
+}
+
+/**
+ * Save this run's data model (with the SLA verdict) as REPORT_DATA_FILE and record it in the run history
+ * @returns {Object|null} { runs (last `history.runs`, oldest first), totalRuns, dir, currentId, tolerance, transactionTrends },
+ *   or null when the history is disabled or could not be written
+ */
+function saveRunData(config, reportData, slaResults, baseOutputDir, baseArtifactsDir) {
+    const runData = { ...reportData, sla: summarizeSLAResults(slaResults) };
+    fs.writeFileSync(path.join(baseOutputDir, REPORT_DATA_FILE), JSON.stringify(runData, null, 2), 'utf-8');
+    console.log(`💾 Run data saved to ${REPORT_DATA_FILE} (usable as baseline.path for later runs)`);
+
+    const historyConfig = config.history || {};
+    if (historyConfig.enabled === false || !historyConfig.dir) {
+        console.log('⏭️  Skipping run history (history.enabled is false)');
+        return null;
+    }
+
+    try {
+        const historyDir = resolvePath(historyConfig.dir, baseArtifactsDir);
+        const { entry, runs, replaced, invalidLines } = recordRun(historyDir, runData, { label: historyConfig.label });
+        if (invalidLines > 0) {
+            console.warn(`⚠️  Dropped ${invalidLines} unreadable line(s) from the run history`);
+        }
+        console.log(`📈 Run ${replaced ? 'updated in' : 'added to'} the history: ${path.join(historyDir, HISTORY_FILE)} (${runs.length} run(s))`);
+
+        const shownRuns = runs.slice(-(historyConfig.runs || DEFAULT_HISTORY_RUNS));
+        const tolerance = config.baseline?.tolerances?.responseTime ?? DEFAULT_BASELINE_TOLERANCES.responseTime;
+        return {
+            runs: shownRuns,
+            totalRuns: runs.length,
+            dir: historyDir,
+            currentId: entry.id,
+            tolerance,
+            transactionTrends: summarizeTransactionTrends(shownRuns, { metric: 'p95', tolerance }),
+        };
+    } catch (error) {
+        console.warn(`⚠️  Could not update the run history: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Load the baseline: a saved report data file, a report directory containing one, or the
+ * baseline run's artifacts directory (parsed with the same config)
+ * @returns {Promise<{ data: Object, source: string }|null>}
+ */
+async function loadBaselineReportData(baselinePath, baseOutputDir, config) {
+    if (!fs.existsSync(baselinePath)) {
+        console.warn(`⚠️  Baseline not found: ${baselinePath}`);
+        return null;
+    }
+
+    try {
+        const isDirectory = fs.statSync(baselinePath).isDirectory();
+        const dataFile = isDirectory ? path.join(baselinePath, REPORT_DATA_FILE) : baselinePath;
+        if (fs.existsSync(dataFile)) {
+            console.log(`   Baseline report data: ${dataFile}`);
+            return { data: readReportDataModel(dataFile), source: dataFile };
+        }
+
+        console.log(`   Parsing baseline artifacts: ${baselinePath}`);
+        const jmeterData = await parseJMeterResults(baselinePath, baseOutputDir, config);
+        if (!jmeterData) {
+            console.warn('⚠️  Baseline artifacts contain no JMeter results - skipping the baseline comparison');
+            return null;
+        }
+
+        // Saved Azure server metrics only; the baseline run's metrics are not fetched again
+        const azureDirs = [config.paths?.azureDataPath || 'unified-report/azure', ...(config.paths?.azureDataAlternatives || ['azure'])].map((dir) => resolvePath(dir, baselinePath));
+        const metricsFile = azureDirs.map((dir) => path.join(dir, 'azure-server-metrics.json')).find((file) => fs.existsSync(file));
+        const azureData = metricsFile ? { serverMetrics: JSON.parse(fs.readFileSync(metricsFile, 'utf-8')) } : null;
+
+        return { data: buildReportDataModel({ jmeterData, azureData }), source: baselinePath };
+    } catch (error) {
+        console.warn(`⚠️  Could not load the baseline: ${error.message}`);
+        return null;
+    }
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -590,10 +835,36 @@ function formatBytes(bytes) {
 // HELPER FUNCTIONS
 // ============================================================================
 
+// User types used when the configuration does not define any
+const DEFAULT_USER_TYPES = [
+    { key: 'districtCoordinators', displayName: 'District Coordinators', threadGroupPatterns: ['District Coordinator'] },
+    { key: 'schoolUsers', displayName: 'School Users', threadGroupPatterns: ['School User'] },
+    { key: 'gtAdmins', displayName: 'GT Admins', threadGroupPatterns: ['GT Admin', 'District GT Admin'] },
+    { key: 'stateAdmins', displayName: 'State Admins', threadGroupPatterns: ['State Admin', 'SEA'] },
+];
+
+/**
+ * Check whether a thread (or thread group) name belongs to a user type
+ * Uses JMX thread group names when available, otherwise the configured patterns
+ */
+function matchesUserType(name, userType, threadGroupNames = null) {
+    if (!name) return false;
+    if (threadGroupNames && threadGroupNames.length > 0) {
+        return threadGroupNames.some((groupName) => name.includes(groupName));
+    }
+    const patterns = userType.threadGroupPatterns || [userType.displayName];
+    return patterns.some((pattern) => name.includes(pattern));
+}
+
 /**
  * Extract user configuration and environment from thread names and URLs
+ * When JMeter's active thread counts (grpThreads/allThreads) were recorded, the peak
+ * concurrent threads per user type are used; thread name heuristics are the fallback.
+ * @param {Object} threadActivity - { threads: Map(threadName -> activity), environmentUrls: Map(host -> url), activeThreads } collected while parsing
  */
-function extractUserConfiguration(allSamples, threadGroupMap = null, reportConfig = null) {
+function extractUserConfiguration(threadActivity, threadGroupMap = null, reportConfig = null) {
+    const { threads, environmentUrls, activeThreads } = threadActivity;
+
     // Initialize config with all user types from configuration
     const config = {
         environment: 'Unknown',
@@ -606,13 +877,12 @@ function extractUserConfiguration(allSamples, threadGroupMap = null, reportConfi
         });
     } else {
         // Fallback to default user types if no config provided
-        config.districtCoordinators = 0;
-        config.schoolUsers = 0;
-        config.gtAdmins = 0;
-        config.stateAdmins = 0;
+        DEFAULT_USER_TYPES.forEach((userType) => {
+            config[userType.key] = 0;
+        });
     }
 
-    if (allSamples.length === 0) {
+    if (threads.size === 0 && environmentUrls.size === 0) {
         return config;
     }
 
@@ -623,50 +893,26 @@ function extractUserConfiguration(allSamples, threadGroupMap = null, reportConfi
     // Helper function to count distinct thread instances for a given user type
     // Uses JMX thread group mappings if available, otherwise falls back to pattern matching
     const countThreadInstances = (userTypeConfig, threadGroupNames = null) => {
-        let matchingSamples = [];
-
-        if (threadGroupNames && threadGroupNames.length > 0) {
-            // Use JMX thread group names for exact matching (most reliable)
-            matchingSamples = allSamples.filter((s) => {
-                if (!s.threadName) return false;
-                return threadGroupNames.some((groupName) => s.threadName.includes(groupName));
-            });
-        } else {
-            // Fallback to pattern matching using configured patterns
-            const patterns = userTypeConfig.threadGroupPatterns || [userTypeConfig.displayName];
-            matchingSamples = allSamples.filter((s) => {
-                if (!s.threadName) return false;
-                return patterns.some((pattern) => s.threadName.includes(pattern));
-            });
-        }
+        // JMX thread group names are the most reliable match; configured patterns are the fallback
+        const matchingThreadNames = Array.from(threads.keys()).filter((threadName) => matchesUserType(threadName, userTypeConfig, threadGroupNames));
 
-        if (matchingSamples.length === 0) return 0;
+        if (matchingThreadNames.length === 0) return 0;
 
         // Get all unique thread names
-        const threadNames = matchingSamples.map((s) => s.threadName);
-        const uniqueThreadNames = new Set(threadNames);
+        const uniqueThreadNames = new Set(matchingThreadNames);
 
         // If we have multiple thread groups for this user type, we need to count threads per group and sum them
         // Group threads by their thread group name (the part before the thread number)
         const threadsByGroup = new Map();
 
         uniqueThreadNames.forEach((threadName) => {
-            // Extract the thread group name (everything before the last number pattern)
-            // Patterns: "ThreadGroupName ThreadGroupNum-ThreadNum" or "ThreadGroupName-ThreadNum"
-            const groupMatch = threadName.match(/^(.+?)\s*\d+-\d+$/);
-            if (groupMatch) {
-                const groupName = groupMatch[1].trim();
-                if (!threadsByGroup.has(groupName)) {
-                    threadsByGroup.set(groupName, new Set());
-                }
-                threadsByGroup.get(groupName).add(threadName);
-            } else {
-                // Fallback: use the full thread name as the group
-                if (!threadsByGroup.has(threadName)) {
-                    threadsByGroup.set(threadName, new Set());
-                }
-                threadsByGroup.get(threadName).add(threadName);
+            // Extract the thread group name (everything before the "ThreadGroupNum-ThreadNum" suffix,
+            // or the full thread name when there is no such suffix)
+            const groupName = getThreadGroupName(threadName);
+            if (!threadsByGroup.has(groupName)) {
+                threadsByGroup.set(groupName, new Set());
             }
+            threadsByGroup.get(groupName).add(threadName);
         });
 
         // If we have multiple thread groups, count threads per group and sum them
@@ -733,11 +979,17 @@ function extractUserConfiguration(allSamples, threadGroupMap = null, reportConfi
 
         // All threads have the same name - need to count distinct instances
         // Identify distinct thread instances by finding the first sample from each execution
-        const samples = matchingSamples;
-        if (samples.length === 0) return 0;
-
-        // Sort samples by timestamp
-        samples.sort((a, b) => a.timestamp - b.timestamp);
+        // (activity is tracked per second while parsing)
+        const activeSeconds = new Set();
+        matchingThreadNames.forEach((threadName) => {
+            const thread = threads.get(threadName);
+            if (thread.activeSeconds) {
+                thread.activeSeconds.forEach((second) => activeSeconds.add(second));
+            }
+        });
+        const timestamps = Array.from(activeSeconds)
+            .sort((a, b) => a - b)
+            .map((second) => second * 1000);
 
         // Find the first sample from each thread instance
         // A new thread instance starts when there's a significant gap in timestamps
@@ -747,12 +999,12 @@ function extractUserConfiguration(allSamples, threadGroupMap = null, reportConfi
         const firstSampleTimestamps = [];
         let lastTimestamp = 0;
 
-        samples.forEach((sample) => {
+        timestamps.forEach((timestamp) => {
             // If this is the first sample or there's a significant gap, it's likely a new thread instance
-            if (firstSampleTimestamps.length === 0 || sample.timestamp - lastTimestamp > EXECUTION_GAP_MS) {
-                firstSampleTimestamps.push(sample.timestamp);
+            if (firstSampleTimestamps.length === 0 || timestamp - lastTimestamp > EXECUTION_GAP_MS) {
+                firstSampleTimestamps.push(timestamp);
             }
-            lastTimestamp = sample.timestamp;
+            lastTimestamp = timestamp;
         });
 
         // Group first samples by time windows to handle threads starting at similar times during ramp-up
@@ -768,37 +1020,28 @@ function extractUserConfiguration(allSamples, threadGroupMap = null, reportConfi
         return Math.max(timeWindows.size, uniqueThreadNames.size, 1);
     };
 
-    // Count each user type - use JMX thread group mappings if available
-    if (reportConfig && reportConfig.userTypes) {
-        reportConfig.userTypes.forEach((userType) => {
-            const threadGroupNames = threadGroupMap ? threadGroupMap[userType.key] : null;
-            config[userType.key] = countThreadInstances(userType, threadGroupNames);
-        });
-    } else {
-        // Fallback to default user types if no config provided
-        const defaultUserTypes = [
-            { key: 'districtCoordinators', displayName: 'District Coordinators', threadGroupPatterns: ['District Coordinator'] },
-            { key: 'schoolUsers', displayName: 'School Users', threadGroupPatterns: ['School User'] },
-            { key: 'gtAdmins', displayName: 'GT Admins', threadGroupPatterns: ['GT Admin', 'District GT Admin'] },
-            { key: 'stateAdmins', displayName: 'State Admins', threadGroupPatterns: ['State Admin', 'SEA'] },
-        ];
-        defaultUserTypes.forEach((userType) => {
-            const threadGroupNames = threadGroupMap ? threadGroupMap[userType.key] : null;
-            config[userType.key] = countThreadInstances(userType, threadGroupNames);
-        });
-    }
+    // Count each user type - peak active threads when JMeter recorded them (grpThreads),
+    // otherwise thread name heuristics with JMX thread group mappings if available
+    const userTypes = reportConfig && reportConfig.userTypes ? reportConfig.userTypes : DEFAULT_USER_TYPES;
+    config.userLoadSource = activeThreads ? 'activeThreads' : 'threadNames';
+    userTypes.forEach((userType) => {
+        if (activeThreads) {
+            config[userType.key] = activeThreads.peak.byUserType[userType.key] || 0;
+            return;
+        }
+        const threadGroupNames = threadGroupMap ? threadGroupMap[userType.key] : null;
+        config[userType.key] = countThreadInstances(userType, threadGroupNames);
+    });
 
     // Extract environment from URLs using configured pattern
         const urlPattern = reportConfig?.environment?.urlPattern || 'app-(?:ui-)?(\\w+)\\.azurewebsites\\.net';
     const envRegex = new RegExp(urlPattern);
 
-    for (const sample of allSamples) {
-        if (sample.url && sample.url.includes('azurewebsites.net')) {
-            const envMatch = sample.url.match(envRegex);
-            if (envMatch && envMatch[1]) {
-                config.environment = envMatch[1].toUpperCase();
-                break;
-            }
+    for (const url of environmentUrls.values()) {
+        const envMatch = url.match(envRegex);
+        if (envMatch && envMatch[1]) {
+            config.environment = envMatch[1].toUpperCase();
+            break;
         }
     }
 
@@ -806,65 +1049,91 @@ function extractUserConfiguration(allSamples, threadGroupMap = null, reportConfi
 }
 
 /**
- * Analyze errors - group by type and find top errors by sampler
+ * Create the incremental error accumulator used while parsing
+ * @param {Object} errorsConfig - `jmeter.errors` (category rules)
+ */
+function createErrorStats(errorsConfig) {
+    return {
+        totalErrors: 0,
+        errorsByType: {},
+        errorsBySampler: {},
+        categories: createErrorCategoryTracker(errorsConfig),
+        timeline: createErrorTimelineTracker(),
+    };
+}
+
+/**
+ * Record a failed request - grouped by response code, by sampler and by category, and counted over time
+ */
+function recordError(errorStats, error) {
+    const errorType = error.responseCode || 'Unknown';
+    const sampler = error.label;
+
+    errorStats.totalErrors++;
+    const category = recordErrorCategory(errorStats.categories, error);
+    recordErrorTimeline(errorStats.timeline, error, category);
+
+    // Group by error type
+    if (!errorStats.errorsByType[errorType]) {
+        errorStats.errorsByType[errorType] = {
+            code: errorType,
+            count: 0,
+            message: error.responseMessage || 'No message',
+        };
+    }
+    errorStats.errorsByType[errorType].count++;
+
+    // Group by sampler
+    if (!errorStats.errorsBySampler[sampler]) {
+        errorStats.errorsBySampler[sampler] = {
+            sampler: sampler,
+            count: 0,
+            errorType: errorType,
+            category: category.name,
+            message: error.failureMessage || error.responseMessage || '',
+        };
+    }
+    errorStats.errorsBySampler[sampler].count++;
+}
+
+/**
+ * Summarize recorded errors - group by type and category and find top errors by sampler
+ * @param {Object} options
+ * @param {number} options.startTimestamp - Run start (first/last occurrence offsets of the categories)
+ * @param {Object|null} options.timeSeries - jmeterData.timeSeries (buckets of the error timeline)
  */
-function analyzeErrors(errors) {
-    if (errors.length === 0) {
+function summarizeErrors(errorStats, { startTimestamp, timeSeries }) {
+    if (errorStats.totalErrors === 0) {
         return {
             hasErrors: false,
             totalErrors: 0,
             errorsByType: {},
+            categories: [],
+            timeline: null,
             topErrorsBySampler: [],
         };
     }
 
-    // Group errors by response code
-    const errorsByType = {};
-    const errorsBySampler = {};
-
-    errors.forEach((error) => {
-        const errorType = error.responseCode || 'Unknown';
-        const sampler = error.label;
-
-        // Group by error type
-        if (!errorsByType[errorType]) {
-            errorsByType[errorType] = {
-                code: errorType,
-                count: 0,
-                message: error.responseMessage || 'No message',
-            };
-        }
-        errorsByType[errorType].count++;
-
-        // Group by sampler
-        if (!errorsBySampler[sampler]) {
-            errorsBySampler[sampler] = {
-                sampler: sampler,
-                count: 0,
-                errorType: errorType,
-                message: error.failureMessage || error.responseMessage || '',
-            };
-        }
-        errorsBySampler[sampler].count++;
-    });
-
     // Get top 5 errors by sampler (most frequent)
-    const topErrorsBySampler = Object.values(errorsBySampler)
+    const topErrorsBySampler = Object.values(errorStats.errorsBySampler)
         .sort((a, b) => b.count - a.count)
         .slice(0, 5);
 
     return {
         hasErrors: true,
-        totalErrors: errors.length,
-        errorsByType,
+        totalErrors: errorStats.totalErrors,
+        errorsByType: errorStats.errorsByType,
+        categories: buildErrorCategories(errorStats.categories, { startTimestamp }),
+        timeline: buildErrorTimeline(errorStats.timeline, timeSeries),
         topErrorsBySampler,
     };
 }
 
 /**
  * Parse CSV line handling quoted values
+ * @param {string} delimiter - Field delimiter (default comma)
  */
-function parseCSVLine(line) {
+function parseCSVLine(line, delimiter = ',') {
     const result = [];
     let current = '';
     let inQuotes = false;
@@ -879,7 +1148,7 @@ function parseCSVLine(line) {
             } else {
                 inQuotes = !inQuotes;
             }
-        } else if (char === ',' && !inQuotes) {
+        } else if (char === delimiter && !inQuotes) {
             result.push(current);
             current = '';
         } else {
@@ -890,36 +1159,6 @@ function parseCSVLine(line) {
     return result;
 }
 
-/**
- * Calculate statistics for a set of values
- */
-function calculateStatistics(values) {
-    if (values.length === 0) {
-        return { min: 0, max: 0, avg: 0, p90: 0, p95: 0, p99: 0 };
-    }
-
-    const sorted = values.slice().sort((a, b) => a - b);
-    const sum = sorted.reduce((a, b) => a + b, 0);
-
-    return {
-        min: sorted[0],
-        max: sorted[sorted.length - 1],
-        avg: Math.round(sum / sorted.length),
-        p90: percentile(sorted, 90),
-        p95: percentile(sorted, 95),
-        p99: percentile(sorted, 99),
-    };
-}
-
-/**
- * Calculate percentile
- */
-function percentile(sortedArray, p) {
-    if (sortedArray.length === 0) return 0;
-    const index = Math.ceil((p / 100) * sortedArray.length) - 1;
-    return sortedArray[Math.max(0, index)];
-}
-
 /**
  * Resolve a path from config (can be relative to artifactsDir or absolute)
  */
@@ -934,7 +1173,67 @@ function resolvePath(configPath, artifactsDir) {
 }
 
 /**
- * Find JMeter CSV file using config paths
+ * Expand a path containing * or ? wildcards (** matches any number of directories)
+ * @returns {Array<string>} Matching file paths, sorted
+ */
+function expandGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const firstWildcard = segments.findIndex((segment) => /[*?]/.test(segment));
+    if (firstWildcard === -1) {
+        return fs.existsSync(pattern) ? [pattern] : [];
+    }
+
+    const baseDir = segments.slice(0, firstWildcard).join(path.sep) || (path.isAbsolute(pattern) ? path.sep : '.');
+    const toRegex = (segment) => new RegExp('^' + segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+    const results = [];
+
+    const walk = (dir, index) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+
+        const segment = segments[index];
+        const isLast = index === segments.length - 1;
+
+        if (segment === '**') {
+            if (isLast) {
+                entries.forEach((entry) => {
+                    const fullPath = path.join(dir, entry.name);
+                    if (entry.isFile()) results.push(fullPath);
+                    else if (entry.isDirectory()) walk(fullPath, index);
+                });
+                return;
+            }
+            // ** matches zero or more directories
+            walk(dir, index + 1);
+            entries.filter((entry) => entry.isDirectory()).forEach((entry) => walk(path.join(dir, entry.name), index));
+            return;
+        }
+
+        const regex = toRegex(segment);
+        entries.forEach((entry) => {
+            if (!regex.test(entry.name)) return;
+            const fullPath = path.join(dir, entry.name);
+            if (isLast) {
+                if (entry.isFile()) results.push(fullPath);
+            } else if (entry.isDirectory()) {
+                walk(fullPath, index + 1);
+            }
+        });
+    };
+
+    walk(baseDir, firstWildcard);
+    return [...new Set(results)].sort();
+}
+
+/**
+ * Find JMeter results files (CSV or XML JTL) using config paths
+ * Every results file in the first matching location is returned so that distributed
+ * and multi-engine runs (one file per engine) can be merged. Paths may be a directory,
+ * a single file or a glob pattern.
  */
 function findJMeterCSV(artifactsDir, config) {
     const pathsToTry = [];
@@ -955,29 +1254,46 @@ function findJMeterCSV(artifactsDir, config) {
         });
     }
     
-    // Try each path until we find CSV files
-    for (const dirPath of pathsToTry) {
-        if (fs.existsSync(dirPath)) {
-            const files = fs.readdirSync(dirPath);
-            const csvFiles = files.filter((f) => f.toLowerCase().endsWith('.csv'));
-            
-            if (csvFiles.length > 0) {
-                return {
-                    csvPath: path.join(dirPath, csvFiles[0]),
-                    directory: dirPath,
-                };
+    const isResultsFile = (f) => JMETER_RESULT_EXTENSIONS.includes(path.extname(f).toLowerCase());
+    const byPreference = (a, b) =>
+        JMETER_RESULT_EXTENSIONS.indexOf(path.extname(a).toLowerCase()) - JMETER_RESULT_EXTENSIONS.indexOf(path.extname(b).toLowerCase()) || a.localeCompare(b);
+
+    // Try each path until we find results files (.csv, .jtl or .xml)
+    for (const searchPath of pathsToTry) {
+        let resultFiles = [];
+
+        if (/[*?]/.test(searchPath)) {
+            resultFiles = expandGlob(searchPath).filter(isResultsFile);
+        } else if (fs.existsSync(searchPath) && fs.statSync(searchPath).isFile()) {
+            resultFiles = [searchPath];
+        } else if (fs.existsSync(searchPath)) {
+            const files = fs.readdirSync(searchPath).filter(isResultsFile);
+            if (files.length > 0) {
+                // Only merge files of the preferred format so a CSV export and an XML copy
+                // of the same run are not counted twice
+                const preferredExtension = path.extname(files.sort(byPreference)[0]).toLowerCase();
+                resultFiles = files.filter((f) => path.extname(f).toLowerCase() === preferredExtension).map((f) => path.join(searchPath, f));
             }
         }
+
+        if (resultFiles.length > 0) {
+            resultFiles.sort(byPreference);
+            return {
+                csvPath: resultFiles[0],
+                csvPaths: resultFiles,
+                directory: fs.existsSync(searchPath) && fs.statSync(searchPath).isDirectory() ? searchPath : path.dirname(resultFiles[0]),
+            };
+        }
     }
     
     return null;
 }
 
 /**
- * Parse JMX file to extract thread group configurations
- * Returns a map of user type keys to thread group names
+ * Resolve the configured JMX file path
+ * Returns null (with a warning) when the file cannot be found
  */
-function parseJMXThreadGroups(config) {
+function resolveJMXPath(config) {
     if (!config.jmxFile || !config.jmxFile.path) {
         return null;
     }
@@ -1005,51 +1321,71 @@ function parseJMXThreadGroups(config) {
         return null;
     }
 
-    try {
-        const jmxContent = fs.readFileSync(jmxPath, 'utf-8');
-        const threadGroupMap = {};
-
-        // Initialize map with empty arrays for each user type
-        config.userTypes.forEach((userType) => {
-            threadGroupMap[userType.key] = [];
-        });
-
-        // Extract thread group names using regex
-        // Match: <ThreadGroup ... testname="Thread Group Name">
-        const threadGroupRegex = /<ThreadGroup[^>]*testname="([^"]+)"/g;
-        let match;
+    return jmxPath;
+}
 
-        while ((match = threadGroupRegex.exec(jmxContent)) !== null) {
-            const threadGroupName = match[1];
+/**
+ * Parse the JMX test plan (thread groups, throughput timers, CSV Data Sets, assertions)
+ * Thread groups are tagged with the keys of the user types they belong to
+ */
+function loadJMXTestPlan(config) {
+    const jmxPath = resolveJMXPath(config);
+    if (!jmxPath) {
+        return null;
+    }
 
-            // Map thread group names to user types based on configuration
-            config.userTypes.forEach((userType) => {
-                // Check if this thread group name matches any of the configured patterns
-                const matchesJmxName = userType.jmxThreadGroupNames.some((pattern) => threadGroupName.includes(pattern));
+    try {
+        const testPlan = parseJMX(fs.readFileSync(jmxPath, 'utf-8'));
+        testPlan.file = path.basename(jmxPath);
 
-                if (matchesJmxName) {
-                    threadGroupMap[userType.key].push(threadGroupName);
-                }
-            });
-        }
+        testPlan.threadGroups.forEach((threadGroup) => {
+            threadGroup.userTypes = (config.userTypes || [])
+                .filter((userType) => (userType.jmxThreadGroupNames || []).some((pattern) => threadGroup.name.includes(pattern)))
+                .map((userType) => userType.key);
+        });
 
-        return threadGroupMap;
+        console.log(
+            `   Test plan: ${testPlan.summary.enabledThreadGroups} thread group(s), ${testPlan.summary.plannedThreads} planned threads (${testPlan.file})`
+        );
+        return testPlan;
     } catch (error) {
         console.warn(`   ⚠️  Error parsing JMX file: ${error.message}`);
         return null;
     }
 }
 
+/**
+ * Map user type keys to the JMX thread group names configured for them
+ */
+function parseJMXThreadGroups(testPlan, config) {
+    if (!testPlan) {
+        return null;
+    }
+
+    const threadGroupMap = {};
+
+    // Initialize map with empty arrays for each user type
+    config.userTypes.forEach((userType) => {
+        threadGroupMap[userType.key] = [];
+    });
+
+    testPlan.threadGroups.forEach((threadGroup) => {
+        threadGroup.userTypes.forEach((key) => threadGroupMap[key].push(threadGroup.name));
+    });
+
+    return threadGroupMap;
+}
+
 // ============================================================================
 // CORE PARSING FUNCTIONS
 // ============================================================================
 
-function parseJMeterResults(artifactsDir, outputDir, config) {
+async function parseJMeterResults(artifactsDir, outputDir, config) {
     try {
-        // Look for JMeter CSV file using config paths
+        // Look for JMeter results file using config paths
         const csvResult = findJMeterCSV(artifactsDir, config);
         if (!csvResult || !csvResult.csvPath) {
-            console.warn('⚠️  No JMeter CSV file found');
+            console.warn('⚠️  No JMeter results file found (.csv, .jtl or .xml)');
             if (config.paths && config.paths.jmeterCsvPath) {
                 console.warn(`   Checked path: ${config.paths.jmeterCsvPath}`);
             }
@@ -1059,311 +1395,1017 @@ function parseJMeterResults(artifactsDir, outputDir, config) {
             return null;
         }
 
-        const jmeterCSVPath = csvResult.csvPath;
-        const jmeterDir = path.join(outputDir, 'jmeter');
-        
-        console.log(`   Found JMeter CSV: ${path.basename(jmeterCSVPath)}`);
+        const resultFiles = csvResult.csvPaths || [csvResult.csvPath];
+
+        if (resultFiles.length === 1) {
+            console.log(`   Found JMeter results: ${path.basename(resultFiles[0])}`);
+        } else {
+            console.log(`   Found ${resultFiles.length} JMeter results files (merging): ${resultFiles.map((f) => path.basename(f)).join(', ')}`);
+        }
         console.log(`   Source directory: ${csvResult.directory}`);
 
-        const csvContent = fs.readFileSync(jmeterCSVPath, 'utf-8');
-        const lines = csvContent.split('\n').filter((line) => line.trim());
+        // Files are streamed into one shared accumulator; child request grouping state
+        // is kept per file because it depends on row order within a file
+        const state = createParseState(config);
 
-        if (lines.length < 2) {
-            console.warn('⚠️  JMeter CSV is empty');
-            return null;
+        for (const resultFile of resultFiles) {
+            const sourceFile = path.basename(resultFile);
+            state.fileCount++;
+
+            if (isJMeterXMLFile(resultFile)) {
+                console.log(`   Format: XML JTL${resultFiles.length > 1 ? ` (${sourceFile})` : ''}`);
+                await collectXMLSamples(state, resultFile, sourceFile);
+            } else {
+                await collectCSVSamples(state, resultFile, sourceFile, config);
+            }
         }
 
-        // Parse CSV header
-        const headers = parseCSVLine(lines[0]);
-        const labelIndex = headers.indexOf('label');
-        const elapsedIndex = headers.indexOf('elapsed');
-        const successIndex = headers.indexOf('success');
-        const responseCodeIndex = headers.indexOf('responseCode');
-        const responseMessageIndex = headers.indexOf('responseMessage');
-        const dataTypeIndex = headers.indexOf('dataType');
-        const latencyIndex = headers.indexOf('Latency');
-        const connectIndex = headers.indexOf('Connect');
-        const bytesIndex = headers.indexOf('bytes');
-        const urlIndex = headers.indexOf('URL');
-
-        if (labelIndex === -1 || elapsedIndex === -1) {
-            console.warn('⚠️  Invalid JMeter CSV format');
+        if (state.sampleCount === 0) {
+            console.warn('⚠️  JMeter results contain no samples');
             return null;
         }
 
-        // Parse all samples - capture both Transaction Controllers and their child requests
-        const samples = [];
-        const transactions = {};
-        const allSamples = []; // All samples including individual requests for error analysis
-        const errors = [];
-        const threadGroupIndex = headers.indexOf('threadName');
-        const failureMessageIndex = headers.indexOf('failureMessage');
-        const timestampIndex = headers.indexOf('timeStamp');
-        let minTimestamp = Infinity;
-        let maxTimestamp = 0;
-        let totalSuccessCount = 0;
-        let totalErrorCount = 0;
-        let currentTransaction = null; // Track current transaction for grouping child requests
-        let currentTransactionExecutionIndex = -1; // Track which execution we're on for the current transaction
-        let expectedChildRequestCount = 0; // Track expected number of child requests for current transaction
-        let collectedChildRequestCount = 0; // Track how many child requests we've collected for current execution
-
-        for (let i = 1; i < lines.length; i++) {
-            const values = parseCSVLine(lines[i]);
-            if (values.length > Math.max(labelIndex, elapsedIndex)) {
-                const timestamp = parseInt(values[timestampIndex]) || 0;
-                const sample = {
-                    label: values[labelIndex] || '',
-                    elapsed: parseInt(values[elapsedIndex]) || 0,
-                    success: values[successIndex] === 'true',
-                    responseCode: values[responseCodeIndex] || '',
-                    responseMessage: values[responseMessageIndex] || '',
-                    dataType: values[dataTypeIndex] || '',
-                    threadName: values[threadGroupIndex] || '',
-                    failureMessage: values[failureMessageIndex] || '',
-                    latency: parseInt(values[latencyIndex]) || 0,
-                    connect: parseInt(values[connectIndex]) || 0,
-                    bytes: parseInt(values[bytesIndex]) || 0,
-                    url: values[urlIndex] || '',
-                    timestamp: timestamp,
-                };
-
-                allSamples.push(sample);
-
-                // Track min/max timestamps for duration calculation
-                if (timestamp > 0) {
-                    minTimestamp = Math.min(minTimestamp, timestamp);
-                    maxTimestamp = Math.max(maxTimestamp, timestamp + sample.elapsed);
-                }
+        return buildJMeterData(state, config);
+    } catch (error) {
+        console.error('   Error parsing JMeter results:', error.message);
+        return null;
+    }
+}
 
-                // Track errors (individual HTTP requests only, not transaction controllers)
-                // Track errors from actual HTTP requests:
-                // - Must have dataType (individual request) OR have a URL (individual request)
-                // - Must NOT be a transaction controller (dataType === '' AND responseMessage contains "Number of samples")
-                const isTransactionController = sample.dataType === '' && sample.responseMessage && sample.responseMessage.includes('Number of samples in transaction');
-                const isIndividualRequest = sample.dataType !== '' || (sample.url && sample.url !== 'null' && sample.url !== '');
-
-                if (!sample.success && isIndividualRequest && !isTransactionController) {
-                    errors.push({
-                        label: sample.label,
-                        responseCode: sample.responseCode,
-                        responseMessage: sample.responseMessage,
-                        failureMessage: sample.failureMessage,
-                    });
-                    totalErrorCount++;
-                } else if (sample.success) {
-                    totalSuccessCount++;
-                }
+/**
+ * Create the accumulator shared by the CSV and XML result parsers.
+ * Statistics are computed incrementally so memory does not grow with the number of samples;
+ * only a bounded reservoir of raw executions per transaction is kept for the detail pages.
+ */
+function createParseState(config) {
+    const groupingStrategy = config?.jmeter?.grouping?.strategy || DEFAULT_GROUPING_STRATEGY;
+    return {
+        maxRawSamples: Math.max(0, parseInt(config?.jmeter?.maxRawSamplesPerTransaction ?? 1000, 10) || 0),
+        maxRequestSamples: Math.max(0, parseInt(config?.baseline?.significance?.sampleSize ?? DEFAULT_SIGNIFICANCE.sampleSize, 10) || 0),
+        groupingStrategy,
+        groupRequest: createRequestGrouper(config?.jmeter?.grouping), // null: group by Transaction Controllers
+        random: createSeededRandom(0x5eed),
+        requestRandom: createSeededRandom(0x5eed + 1),
+        requestSamples: [], // Random sample of request response times (significance tests against a baseline)
+        requestSampleCount: 0, // Requests offered to the reservoir
+        sources: {}, // Per load generator (hostname or results file) counters
+        transactions: {},
+        threads: new Map(), // Thread name -> activity summary (for user load detection)
+        threadGroups: new Map(), // Thread group -> request counters and histogram (per user type statistics)
+        activeThreads: createActiveThreadsTracker(), // grpThreads/allThreads per second
+        loadProfile: createLoadProfileTracker(), // Requests per second per thread group
+        timeSeries: createTimeSeriesTracker(config?.jmeter?.timeSeries?.bucketSeconds), // Throughput/response time/errors per time bucket
+        apdex: createApdexTracker(config?.jmeter?.apdex), // Satisfied/tolerating/frustrated executions (null when disabled)
+        latencyBreakdown: createLatencyBreakdown(), // Connect/server/download time of all requests
+        endpoints: createEndpointTracker(config?.jmeter?.endpoints), // Requests per method and URL path template (null when disabled)
+        environmentUrls: new Map(), // Host -> first Azure App Service URL seen
+        errorStats: createErrorStats(config?.jmeter?.errors),
+        reportedColumnSets: new Set(), // Missing optional CSV column sets already logged
+        fileCount: 0,
+        sampleCount: 0,
+        transactionSampleCount: 0,
+        minTimestamp: Infinity,
+        maxTimestamp: 0,
+        totalSuccessCount: 0,
+        totalErrorCount: 0,
+    };
+}
 
-                // Check if this is a Transaction Controller
-                if (sample.dataType === '' && sample.responseMessage.includes('Number of samples in transaction')) {
-                    samples.push(sample);
-
-                    // Parse expected child request count from responseMessage
-                    // Format: "Number of samples in transaction : 2, number of failing samples : 2"
-                    const countMatch = sample.responseMessage.match(/Number of samples in transaction\s*:\s*(\d+)/);
-                    const expectedCount = countMatch ? parseInt(countMatch[1]) : 0;
-
-                    // Group by transaction name
-                    const transactionName = sample.label;
-                    if (!transactions[transactionName]) {
-                        transactions[transactionName] = {
-                            name: transactionName,
-                            samples: [],
-                            totalSamples: 0,
-                            successCount: 0,
-                            errorCount: 0,
-                            childRequests: [], // Store individual API requests (flat array for backward compatibility)
-                            childRequestsByExecution: [], // Store child requests grouped by execution index
-                        };
-                    }
+/**
+ * Small deterministic PRNG (mulberry32) so sampled executions are stable between runs
+ */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-                    const executionIndex = transactions[transactionName].samples.length;
-                    transactions[transactionName].samples.push(sample);
-                    transactions[transactionName].totalSamples++;
-                    if (sample.success) {
-                        transactions[transactionName].successCount++;
-                    } else {
-                        transactions[transactionName].errorCount++;
-                    }
+/**
+ * Record one sample (transaction controller or request) in the shared totals
+ * @param {boolean} isIndividualRequest - Count towards request success/error totals
+ */
+function trackSample(state, sample, sourceFile, isIndividualRequest) {
+    // Tag the sample with the load generator that produced it
+    sample.sourceFile = sourceFile;
+    sample.source = sample.hostname || sourceFile;
+
+    state.sampleCount++;
+
+    if (!state.sources[sample.source]) {
+        state.sources[sample.source] = {
+            source: sample.source,
+            hostname: sample.hostname || '',
+            files: [],
+            successCount: 0,
+            errorCount: 0,
+            histogram: new ResponseTimeHistogram(),
+            minTimestamp: Infinity,
+            maxTimestamp: 0,
+        };
+    }
+    const sourceStats = state.sources[sample.source];
+    if (!sourceStats.files.includes(sourceFile)) {
+        sourceStats.files.push(sourceFile);
+    }
 
-                    // Initialize child requests array for this execution
-                    if (!transactions[transactionName].childRequestsByExecution[executionIndex]) {
-                        transactions[transactionName].childRequestsByExecution[executionIndex] = [];
-                    }
+    // Track min/max timestamps for duration calculation
+    if (sample.timestamp > 0) {
+        state.minTimestamp = Math.min(state.minTimestamp, sample.timestamp);
+        state.maxTimestamp = Math.max(state.maxTimestamp, sample.timestamp + sample.elapsed);
+        sourceStats.minTimestamp = Math.min(sourceStats.minTimestamp, sample.timestamp);
+        sourceStats.maxTimestamp = Math.max(sourceStats.maxTimestamp, sample.timestamp + sample.elapsed);
+    }
 
-                    // Set as current transaction for child request grouping
-                    currentTransaction = transactionName;
-                    currentTransactionExecutionIndex = executionIndex;
-                    expectedChildRequestCount = expectedCount;
-                    collectedChildRequestCount = 0; // Reset counter for new execution
-                } else if (currentTransaction && currentTransactionExecutionIndex >= 0) {
-                    // Check if we've collected all expected child requests for this execution
-                    if (collectedChildRequestCount >= expectedChildRequestCount) {
-                        // Stop collecting child requests for this execution
-                        currentTransaction = null;
-                        currentTransactionExecutionIndex = -1;
-                        expectedChildRequestCount = 0;
-                        collectedChildRequestCount = 0;
-                    }
+    trackThreadActivity(state, sample);
+    recordActiveThreads(state.activeThreads, sample);
 
-                    // Check if this is a child request (individual sampler) of the current transaction
-                    // Child requests have: dataType is not empty OR have a URL (some child requests have empty dataType but have URL)
-                    // AND it's not a transaction controller
-                    const isChildRequest =
-                        (sample.dataType !== '' || (sample.url && sample.url !== 'null' && sample.url !== '')) &&
-                        !(sample.dataType === '' && sample.responseMessage && sample.responseMessage.includes('Number of samples in transaction'));
-
-                    if (isChildRequest && transactions[currentTransaction] && collectedChildRequestCount < expectedChildRequestCount) {
-                        // Store in flat array for backward compatibility
-                        transactions[currentTransaction].childRequests.push(sample);
-                        // Store in execution-specific array for accurate matching
-                        transactions[currentTransaction].childRequestsByExecution[currentTransactionExecutionIndex].push(sample);
-                        collectedChildRequestCount++;
-                    } else if (sample.dataType === '' && sample.responseMessage && sample.responseMessage.includes('Number of samples in transaction')) {
-                        // This is a new transaction controller, reset current transaction tracking
-                        currentTransaction = null;
-                        currentTransactionExecutionIndex = -1;
-                        expectedChildRequestCount = 0;
-                        collectedChildRequestCount = 0;
-                    }
-                }
-            }
+    if (isIndividualRequest) {
+        sourceStats.histogram.record(sample.elapsed);
+        recordRequest(state.loadProfile, sample);
+        recordTimeSeriesRequest(state.timeSeries, sample);
+        recordRequestSample(state, sample);
+        recordThreadGroupSample(state.threadGroups, sample);
+        recordLatencyBreakdown(state.latencyBreakdown, sample);
+        if (state.endpoints) {
+            recordEndpointRequest(state.endpoints, sample);
         }
+    }
 
-        console.log(`   Parsed ${samples.length} transaction controllers`);
+    if (!sample.success && isIndividualRequest) {
+        recordError(state.errorStats, sample);
+        state.totalErrorCount++;
+        sourceStats.errorCount++;
+    } else if (sample.success) {
+        state.totalSuccessCount++;
+        sourceStats.successCount++;
+    }
+}
 
-        // Calculate statistics for each transaction
-        Object.values(transactions).forEach((transaction) => {
-            const responseTimes = transaction.samples.map((s) => s.elapsed);
-            transaction.stats = calculateStatistics(responseTimes);
-            transaction.errorRate = ((transaction.errorCount / transaction.totalSamples) * 100).toFixed(2);
+/**
+ * Keep the response time of a request in a bounded reservoir (uniform reservoir sampling)
+ */
+function recordRequestSample(state, sample) {
+    state.requestSampleCount++;
+    if (state.requestSamples.length < state.maxRequestSamples) {
+        state.requestSamples.push(sample.elapsed);
+        return;
+    }
+    const slot = Math.floor(state.requestRandom() * state.requestSampleCount);
+    if (slot < state.maxRequestSamples) {
+        state.requestSamples[slot] = sample.elapsed;
+    }
+}
 
-            // Remove duplicate child requests and get unique samplers
-            const uniqueChildRequests = [];
-            const seenLabels = new Set();
-            transaction.childRequests.forEach((req) => {
-                if (!seenLabels.has(req.label)) {
-                    seenLabels.add(req.label);
-                    uniqueChildRequests.push(req);
-                }
-            });
-            transaction.uniqueChildRequests = uniqueChildRequests;
-        });
+/**
+ * Keep the per-thread information needed to count users and detect the environment
+ */
+function trackThreadActivity(state, sample) {
+    if (sample.threadName) {
+        let thread = state.threads.get(sample.threadName);
+        if (!thread) {
+            // Threads without a trailing number can only be counted from their activity over time,
+            // so remember which seconds they were active in
+            const hasThreadNumber = /-(\d+)$/.test(sample.threadName) || /\s+(\d+)$/.test(sample.threadName);
+            thread = { sampleCount: 0, activeSeconds: hasThreadNumber ? null : new Set() };
+            state.threads.set(sample.threadName, thread);
+        }
+        thread.sampleCount++;
+        if (thread.activeSeconds && sample.timestamp > 0) {
+            thread.activeSeconds.add(Math.floor(sample.timestamp / 1000));
+        }
+    }
 
-        console.log(`   Identified ${Object.keys(transactions).length} unique transactions`);
-
-        // Log child requests for debugging
-        const totalChildRequests = Object.values(transactions).reduce((sum, t) => sum + t.uniqueChildRequests.length, 0);
-        console.log(`   Captured ${totalChildRequests} unique API samplers across all transactions`);
-
-        // Calculate actual test duration from timestamps
-        const testDurationMs = maxTimestamp - minTimestamp;
-        const testDurationSec = Math.round(testDurationMs / 1000);
-        const minutes = Math.floor(testDurationSec / 60);
-        const seconds = testDurationSec % 60;
-        console.log(`   Test duration: ${minutes}m ${seconds}s (${testDurationSec}s total)`);
-
-        // Format start and end times
-        const startTime = new Date(minTimestamp);
-        const endTime = new Date(maxTimestamp);
-        const formatTime = (date) => {
-            return date.toLocaleString('en-US', {
-                month: 'short',
-                day: 'numeric',
-                year: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: true,
-            });
+    if (sample.url && sample.url.includes('azurewebsites.net')) {
+        const hostMatch = sample.url.match(/^[a-z]+:\/\/([^/?#]+)/i);
+        const host = hostMatch ? hostMatch[1] : sample.url;
+        if (!state.environmentUrls.has(host)) {
+            state.environmentUrls.set(host, sample.url);
+        }
+    }
+}
+
+/**
+ * Add a transaction controller sample to its transaction.
+ * Statistics always include the sample; the raw sample is kept in a bounded reservoir
+ * (uniform reservoir sampling) for the transaction detail pages.
+ * @param {string|null} parentName - Enclosing transaction controller (nested controllers)
+ * @returns {Object|null} Retained execution ({ sample, childRequests, nestedTransactions }) or null if not retained
+ */
+function addTransactionSample(state, sample, parentName = null) {
+    state.transactionSampleCount++;
+
+    // Group by transaction name
+    const transactionName = sample.label;
+    if (!state.transactions[transactionName]) {
+        state.transactions[transactionName] = {
+            name: transactionName,
+            parentTransaction: null, // First transaction controller this one was nested in
+            childTransactions: [], // Transaction controllers nested directly in this one
+            totalSamples: 0,
+            successCount: 0,
+            errorCount: 0,
+            histogram: new ResponseTimeHistogram(),
+            executions: [], // Retained executions: { sample, childRequests, nestedTransactions }
+            uniqueChildRequests: [], // First request seen for each sampler label
+            childLabels: new Set(),
+            samplers: new Map(), // Direct sampler label -> counters and histogram
+            threadGroups: new Map(), // Thread group -> counters and histogram (per user type statistics)
+            latencyBreakdown: createLatencyBreakdown(), // Connect/server/download time of every request inside it
         };
+    }
 
-        // Get timezone abbreviation from a timestamp
-        const getTimezoneAbbr = (timestamp) => {
-            const date = new Date(timestamp);
-            try {
-                // Get the system's timezone
-                const systemTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const transaction = state.transactions[transactionName];
+    if (parentName && parentName !== transactionName) {
+        linkChildTransaction(state, state.transactions[parentName], transaction);
+    }
 
-                // Format the date to get timezone abbreviation
-                const formatter = new Intl.DateTimeFormat('en-US', {
-                    timeZoneName: 'short',
-                    timeZone: systemTimeZone,
-                });
+    transaction.totalSamples++;
+    transaction.histogram.record(sample.elapsed);
+    recordThreadGroupSample(transaction.threadGroups, sample);
+    recordTimeSeriesTransaction(state.timeSeries, transactionName, sample);
+    if (state.apdex) {
+        recordApdexSample(state.apdex, transactionName, sample, !parentName || parentName === transactionName);
+    }
+    if (sample.success) {
+        transaction.successCount++;
+    } else {
+        transaction.errorCount++;
+    }
+
+    if (state.maxRawSamples === 0) {
+        return null;
+    }
 
-                const parts = formatter.formatToParts(date);
-                const timeZoneName = parts.find((part) => part.type === 'timeZoneName')?.value;
+    const execution = { sequence: transaction.totalSamples, sample, childRequests: [], nestedTransactions: [] };
+    if (transaction.executions.length < state.maxRawSamples) {
+        transaction.executions.push(execution);
+        return execution;
+    }
 
-                if (timeZoneName) {
-                    return timeZoneName;
-                }
-            } catch (e) {
-                // Fall through to offset-based detection
-            }
+    const slot = Math.floor(state.random() * transaction.totalSamples);
+    if (slot < state.maxRawSamples) {
+        transaction.executions[slot] = execution;
+        return execution;
+    }
+    return null;
+}
+
+/**
+ * Record that `child` ran inside `parent` (ignored when it would create a cycle)
+ */
+function linkChildTransaction(state, parent, child) {
+    if (parent.childTransactions.includes(child.name)) return;
+
+    for (let ancestor = parent; ancestor; ancestor = state.transactions[ancestor.parentTransaction]) {
+        if (ancestor.name === child.name) return;
+    }
+
+    parent.childTransactions.push(child.name);
+    if (child.parentTransaction === null) {
+        child.parentTransaction = parent.name;
+    }
+}
 
-            // Fallback: determine from UTC offset
-            const offsetMinutes = date.getTimezoneOffset();
-            const offsetHours = -offsetMinutes / 60;
+/**
+ * Attach a child request to a transaction execution
+ * @param {Object|null} execution - Retained execution returned by addTransactionSample
+ */
+function addChildRequest(transaction, execution, request) {
+    if (!transaction.childLabels.has(request.label)) {
+        transaction.childLabels.add(request.label);
+        transaction.uniqueChildRequests.push(request);
+    }
+    if (execution) {
+        execution.childRequests.push(request);
+    }
+}
+
+/**
+ * Open a transaction controller inside the currently open ones (`frames`, outermost first).
+ * Retained executions of the enclosing controllers get a marker for the nested controller
+ * so the detail pages can show where its requests start and end.
+ * @returns {Object} Frame { transaction, sample, execution, depth, expectedRequests, collectedRequests, markers }
+ */
+function openTransactionFrame(state, sample, frames) {
+    const parent = frames.length > 0 ? frames[frames.length - 1] : null;
+    const execution = addTransactionSample(state, sample, parent ? parent.transaction.name : null);
+
+    const markers = frames
+        .filter((frame) => frame.execution)
+        .map((frame) => {
+            const marker = { sample, depth: frames.length - frame.depth, start: frame.execution.childRequests.length, requestCount: 0 };
+            frame.execution.nestedTransactions.push(marker);
+            return { marker, execution: frame.execution };
+        });
+
+    return {
+        transaction: state.transactions[sample.label],
+        sample,
+        execution,
+        depth: frames.length,
+        expectedRequests: 0,
+        collectedRequests: 0,
+        markers,
+    };
+}
+
+/**
+ * Close a nested transaction controller: its requests are the ones added since it was opened
+ */
+function closeTransactionFrame(frame) {
+    frame.markers.forEach(({ marker, execution }) => {
+        marker.requestCount = execution.childRequests.length - marker.start;
+    });
+}
 
-            // Common timezones
-            if (offsetHours === 0) return 'UTC';
-            if (offsetHours === -5) return 'EST';
-            if (offsetHours === -4) return 'EDT';
-            if (offsetHours === -6) return 'CST';
-            if (offsetHours === -7) return 'MST';
-            if (offsetHours === -8) return 'PST';
+/**
+ * Attach a request to every open transaction controller; its sampler statistics
+ * belong to the innermost one
+ */
+function addFrameRequest(state, frames, request) {
+    frames.forEach((frame) => {
+        addChildRequest(frame.transaction, frame.execution, request);
+        recordLatencyBreakdown(frame.transaction.latencyBreakdown, request);
+    });
 
-            // Generic offset format
-            return `UTC${offsetHours >= 0 ? '+' : ''}${offsetHours}`;
+    const transaction = frames[frames.length - 1].transaction;
+    recordTimeSeriesSampler(state.timeSeries, transaction.name, request);
+    let sampler = transaction.samplers.get(request.label);
+    if (!sampler) {
+        sampler = {
+            label: request.label,
+            totalSamples: 0,
+            successCount: 0,
+            errorCount: 0,
+            histogram: new ResponseTimeHistogram(),
+            threadGroups: new Map(),
+            latencyBreakdown: createLatencyBreakdown(),
         };
+        transaction.samplers.set(request.label, sampler);
+    }
+    sampler.totalSamples++;
+    sampler.histogram.record(request.elapsed);
+    recordThreadGroupSample(sampler.threadGroups, request);
+    recordLatencyBreakdown(sampler.latencyBreakdown, request);
+    if (request.success) {
+        sampler.successCount++;
+    } else {
+        sampler.errorCount++;
+    }
+}
+
+/**
+ * Add a request as one execution of its group (label regex and sampler label strategies)
+ */
+function addGroupedRequest(state, request) {
+    const groupSample = { ...request, label: state.groupRequest(request.label) };
+    const frame = openTransactionFrame(state, groupSample, []);
+    addFrameRequest(state, [frame], request);
+    closeTransactionFrame(frame);
+}
+
+/**
+ * Resolve the column layout of a CSV results file from its first record
+ * Uses the header row when there is one, otherwise jmeter.csv.columns (or JMeter's default order)
+ * @returns {{ hasHeader: boolean, columns: Object, missingRequired: string[], missingOptional: string[] }}
+ */
+function resolveCSVLayout(firstRecordValues, csvConfig) {
+    const aliases = csvConfig.aliases || {};
+    const configuredColumns = Array.isArray(csvConfig.columns) && csvConfig.columns.length > 0 ? csvConfig.columns : null;
+    const fromHeader = resolveColumns(firstRecordValues, aliases);
+
+    // 'auto': the first record is a header when it names the required columns
+    const hasHeader = csvConfig.header === true || (csvConfig.header !== false && fromHeader.missingRequired.length === 0);
+    const layout = hasHeader ? fromHeader : resolveColumns(configuredColumns || DEFAULT_JTL_COLUMNS, aliases);
+
+    // Without a header the first record must already be data - a non-numeric elapsed value
+    // means an unrecognized header (or the wrong delimiter)
+    const missingRequired = [...layout.missingRequired];
+    if (!hasHeader && missingRequired.length === 0 && !/^\d+$/.test((firstRecordValues[layout.indexes.elapsed] || '').trim())) {
+        missingRequired.push(...fromHeader.missingRequired);
+    }
+
+    return {
+        hasHeader,
+        fromConfig: !hasHeader && !!configuredColumns,
+        columns: layout.indexes,
+        missingRequired,
+        missingOptional: layout.missingOptional,
+    };
+}
 
-        // Use config parameter instead of loadConfiguration()
-        const reportConfig = config;
+/**
+ * Group flat result rows (CSV, or XML without "Generate parent sample") into transactions.
+ * Child requests are grouped under the preceding Transaction Controller using the
+ * "Number of samples in transaction" count from its response message. A controller that
+ * starts before the enclosing one has collected all of its requests is nested in it
+ * (the enclosing count includes the requests of nested controllers).
+ * @returns {{ add: Function, closeAll: Function }} add(sample, isTransactionController, isIndividualRequest)
+ */
+function createFlatTransactionGrouper(state) {
+    const frames = []; // Open transaction controllers, outermost first
 
-        // Parse JMX file to get thread group mappings (more reliable than pattern matching)
-        const threadGroupMap = parseJMXThreadGroups(reportConfig);
+    // Close controllers that have collected all of their requests
+    const closeCompletedFrames = () => {
+        while (frames.length > 0 && frames[frames.length - 1].collectedRequests >= frames[frames.length - 1].expectedRequests) {
+            closeTransactionFrame(frames.pop());
+        }
+    };
+    const closeAll = () => {
+        while (frames.length > 0) {
+            closeTransactionFrame(frames.pop());
+        }
+    };
 
-        // Extract user configuration from thread names
-        const userConfig = extractUserConfiguration(allSamples, threadGroupMap, reportConfig);
+    const add = (sample, isTransactionController, isIndividualRequest) => {
+        closeCompletedFrames();
 
-        // Calculate pass percentage
-        const totalRequestCount = totalSuccessCount + totalErrorCount;
-        const passPercentage = totalRequestCount > 0 ? ((totalSuccessCount / totalRequestCount) * 100).toFixed(2) : 100;
+        if (isTransactionController) {
+            // Parse expected child request count from responseMessage
+            // Format: "Number of samples in transaction : 2, number of failing samples : 2"
+            const countMatch = sample.responseMessage.match(/Number of samples in transaction\s*:\s*(\d+)/);
+            const expectedRequests = countMatch ? parseInt(countMatch[1]) : 0;
 
-        // Analyze errors - group by type and find top errors
-        const errorAnalysis = analyzeErrors(errors);
+            // Nested only when it runs on the same thread and its requests fit into the
+            // enclosing controller's remaining count; otherwise a new top-level execution starts
+            const parent = frames[frames.length - 1];
+            if (parent && (parent.sample.threadName !== sample.threadName || expectedRequests > parent.expectedRequests - parent.collectedRequests)) {
+                closeAll();
+            }
 
-        console.log(`   Success rate: ${passPercentage}% (${totalSuccessCount}/${totalRequestCount} requests)`);
-        if (totalErrorCount > 0) {
-            console.log(`   Total errors: ${totalErrorCount}`);
+            const frame = openTransactionFrame(state, sample, frames);
+            frame.expectedRequests = expectedRequests;
+            frames.push(frame);
+        } else if (frames.length > 0 && isIndividualRequest) {
+            // Child request (individual sampler) of the open transactions
+            addFrameRequest(state, frames, sample);
+            frames.forEach((frame) => frame.collectedRequests++);
         }
+    };
 
-        // Get timezone abbreviation
-        const timezone = getTimezoneAbbr(minTimestamp);
+    return { add, closeAll };
+}
 
-        return {
-            totalSamples: samples.length,
-            samples,
-            transactions,
-            testDuration: testDurationSec,
-            testDurationFormatted: `${minutes}m ${seconds}s`,
-            startTime: formatTime(startTime),
-            endTime: formatTime(endTime),
-            startTimestamp: minTimestamp,
-            endTimestamp: maxTimestamp,
-            timezone: timezone,
-            userConfig,
-            passPercentage,
-            totalRequests: totalRequestCount,
-            totalSuccessCount,
-            totalErrorCount,
-            errorAnalysis,
+/**
+ * Stream samples from a JMeter CSV file
+ * Rows are grouped into transactions by createFlatTransactionGrouper()
+ */
+async function collectCSVSamples(state, filePath, sourceFile, config) {
+    const csvConfig = config?.jmeter?.csv || {};
+    const delimiter = normalizeDelimiter(csvConfig.delimiter);
+    let columns = null;
+    const grouper = createFlatTransactionGrouper(state);
+    let invalidFormat = false;
+    let dataRecordCount = 0;
+
+    await streamCSVRecords(filePath, (record) => {
+        if (invalidFormat) return;
+
+        const values = parseCSVLine(record, delimiter);
+
+        // Resolve columns from the first record (header row or configured column list)
+        if (!columns) {
+            const layout = resolveCSVLayout(values, csvConfig);
+            if (layout.missingRequired.length > 0) {
+                console.warn(`⚠️  Invalid JMeter CSV format: ${sourceFile} (missing ${layout.missingRequired.join(', ')} column${layout.missingRequired.length > 1 ? 's' : ''})`);
+                if (values.length === 1 && delimiter !== '\t' && record.includes('\t')) {
+                    console.warn("   The file looks tab-delimited - set jmeter.csv.delimiter to '\\t'");
+                }
+                invalidFormat = true;
+                return;
+            }
+            columns = layout.columns;
+            // A configured column list is already reported when the configuration is loaded
+            if (!layout.fromConfig) {
+                reportMissingColumns(state, sourceFile, layout);
+            }
+            if (layout.hasHeader) {
+                return;
+            }
+        }
+
+        dataRecordCount++;
+        if (values.length <= Math.max(columns.label, columns.elapsed)) {
+            return;
+        }
+
+        // A missing optional column reads as undefined and falls back to its default below
+
+        const sample = {
+            label: values[columns.label] || '',
+            elapsed: parseInt(values[columns.elapsed]) || 0,
+            success: values[columns.success] === 'true',
+            responseCode: values[columns.responseCode] || '',
+            responseMessage: values[columns.responseMessage] || '',
+            dataType: values[columns.dataType] || '',
+            threadName: values[columns.threadName] || '',
+            failureMessage: values[columns.failureMessage] || '',
+            latency: parseInt(values[columns.Latency]) || 0,
+            connect: parseInt(values[columns.Connect]) || 0,
+            bytes: parseInt(values[columns.bytes]) || 0,
+            sentBytes: parseInt(values[columns.sentBytes]) || 0,
+            grpThreads: parseInt(values[columns.grpThreads]) || 0,
+            allThreads: parseInt(values[columns.allThreads]) || 0,
+            url: values[columns.URL] || '',
+            hostname: values[columns.Hostname] || '',
+            timestamp: parseInt(values[columns.timeStamp]) || 0,
         };
-    } catch (error) {
-        console.error('   Error parsing JMeter results:', error.message);
-        return null;
+
+        // Track errors from actual HTTP requests:
+        // - Must have dataType (individual request) OR have a URL (individual request)
+        // - Must NOT be a transaction controller (dataType === '' AND responseMessage contains "Number of samples")
+        const isTransactionController = sample.dataType === '' && sample.responseMessage && sample.responseMessage.includes('Number of samples in transaction');
+        const isIndividualRequest = sample.dataType !== '' || (sample.url && sample.url !== 'null' && sample.url !== '');
+
+        trackSample(state, sample, sourceFile, isIndividualRequest && !isTransactionController);
+
+        // Requests grouped by label: Transaction Controller rows only count as samples
+        if (state.groupRequest) {
+            if (isIndividualRequest && !isTransactionController) {
+                addGroupedRequest(state, sample);
+            }
+            return;
+        }
+
+        grouper.add(sample, isTransactionController, isIndividualRequest);
+    });
+
+    grouper.closeAll();
+
+    if (dataRecordCount === 0 && !invalidFormat) {
+        console.warn(`⚠️  JMeter CSV is empty: ${sourceFile}`);
+    }
+}
+
+/**
+ * Log optional columns missing from a results file and the report sections they affect
+ * (once per distinct set of missing columns)
+ */
+function reportMissingColumns(state, sourceFile, layout) {
+    const degraded = describeDegradedSections(layout.missingOptional);
+    const key = layout.missingOptional.join(',');
+    if (degraded.length === 0 || state.reportedColumnSets.has(key)) {
+        return;
+    }
+    state.reportedColumnSets.add(key);
+
+    console.warn(`   ⚠️  ${sourceFile}${layout.hasHeader ? '' : ' (no header row)'} is missing optional columns: ${layout.missingOptional.join(', ')}`);
+    console.warn('      Degraded report sections:');
+    degraded.forEach((line) => console.warn(`      - ${line}`));
+}
+
+/**
+ * Check whether an XML sample is a Transaction Controller result
+ * With "Generate parent sample" the controller is a <sample> wrapping its samplers;
+ * without it, the controller is a flat <sample> with the "Number of samples" message
+ */
+function isXMLTransactionSample(sample) {
+    const hasTransactionMessage = sample.responseMessage.includes('Number of samples in transaction');
+    if (sample.subResults.length > 0) {
+        return sample.elementName === 'sample' || hasTransactionMessage;
+    }
+    return sample.dataType === '' && hasTransactionMessage;
+}
+
+/**
+ * Strip XML-only structure from a sample so it matches the CSV sample shape
+ */
+function toReportSample(xmlSample) {
+    const { subResults, elementName, ...sample } = xmlSample;
+    return sample;
+}
+
+/**
+ * Stream samples from an XML JTL file
+ * Parent/child grouping follows the real <sample>/<httpSample> nesting; controllers without
+ * "Generate parent sample" are flat <sample> rows followed by their samplers, grouped like CSV rows
+ */
+async function collectXMLSamples(state, filePath, sourceFile) {
+    const grouper = createFlatTransactionGrouper(state);
+
+    // Open a transaction controller and walk its sub-results; inner transaction
+    // controllers become child transactions, their requests count for every enclosing one
+    const collectTransaction = (xmlSample, frames) => {
+        const sample = toReportSample(xmlSample);
+        trackSample(state, sample, sourceFile, false);
+        const openFrames = [...frames, openTransactionFrame(state, sample, frames)];
+
+        xmlSample.subResults.forEach((sub) => {
+            if (isXMLTransactionSample(sub)) {
+                collectTransaction(sub, openFrames);
+            } else {
+                const request = toReportSample(sub);
+                trackSample(state, request, sourceFile, true);
+                addFrameRequest(state, openFrames, request);
+            }
+        });
+
+        closeTransactionFrame(openFrames[openFrames.length - 1]);
+    };
+
+    // Requests grouped by label: every request is one execution of its group
+    const collectGroupedRequests = (xmlSample) => {
+        if (isXMLTransactionSample(xmlSample)) {
+            trackSample(state, toReportSample(xmlSample), sourceFile, false);
+            xmlSample.subResults.forEach(collectGroupedRequests);
+        } else {
+            const request = toReportSample(xmlSample);
+            trackSample(state, request, sourceFile, true);
+            addGroupedRequest(state, request);
+        }
+    };
+
+    const { unclosedSamples } = await streamXMLSamples(filePath, (root) => {
+        if (state.groupRequest) {
+            collectGroupedRequests(root);
+        } else if (isXMLTransactionSample(root) && root.subResults.length > 0) {
+            grouper.closeAll();
+            collectTransaction(root, []);
+        } else {
+            // Flat transaction controller, or a sampler of one (or outside any controller)
+            const isTransactionController = isXMLTransactionSample(root);
+            const sample = toReportSample(root);
+            trackSample(state, sample, sourceFile, !isTransactionController);
+            grouper.add(sample, isTransactionController, !isTransactionController);
+        }
+    });
+
+    grouper.closeAll();
+
+    if (unclosedSamples > 0) {
+        console.warn(`⚠️  JTL XML ended with ${unclosedSamples} unclosed sample${unclosedSamples > 1 ? 's' : ''}: ${sourceFile} (file may be truncated - the last sample is partial)`);
+    }
+}
+
+/**
+ * Build the jmeterData model (statistics, duration, user configuration, errors)
+ * from collected samples
+ */
+function buildJMeterData(parsed, config) {
+    const { transactions, threads, environmentUrls, errorStats, minTimestamp, maxTimestamp, totalSuccessCount, totalErrorCount, sources } = parsed;
+
+    if (parsed.groupRequest) {
+        console.log(`   Grouped ${parsed.transactionSampleCount.toLocaleString()} requests by ${GROUPING_STRATEGIES[parsed.groupingStrategy].toLowerCase()} (${parsed.sampleCount.toLocaleString()} samples)`);
+    } else {
+        console.log(`   Parsed ${parsed.transactionSampleCount} transaction controllers (${parsed.sampleCount.toLocaleString()} samples)`);
+        if (parsed.transactionSampleCount === 0) {
+            console.warn("   ⚠️  No Transaction Controllers found - set jmeter.grouping.strategy to 'samplerLabels' or 'labelRegex' to report requests");
+        }
+    }
+
+    // Calculate statistics for each transaction and order the retained executions
+    let sampledTransactions = 0;
+    Object.values(transactions).forEach((transaction) => {
+        transaction.stats = transaction.histogram.getStats();
+        transaction.distribution = transaction.histogram.toDistribution();
+        transaction.errorRate = ((transaction.errorCount / transaction.totalSamples) * 100).toFixed(2);
+
+        // Single file: keep file order; merged files: interleave by time
+        transaction.executions.sort((a, b) => (parsed.fileCount > 1 ? a.sample.timestamp - b.sample.timestamp : 0) || a.sequence - b.sequence);
+        transaction.samples = transaction.executions.map((execution) => execution.sample);
+        transaction.childRequestsByExecution = transaction.executions.map((execution) => execution.childRequests);
+        transaction.childRequests = transaction.childRequestsByExecution.flat(); // Flat array for backward compatibility
+        // Nested transaction controllers per execution: { sample, depth, start, requestCount } over childRequestsByExecution
+        transaction.nestedTransactionsByExecution = transaction.executions.map((execution) => execution.nestedTransactions);
+        transaction.sampled = transaction.samples.length < transaction.totalSamples;
+        if (transaction.sampled) sampledTransactions++;
+
+        // Statistics of the samplers directly inside this transaction (nested transactions have their own)
+        transaction.samplerStats = Array.from(transaction.samplers.values()).map((sampler) => ({
+            label: sampler.label,
+            totalSamples: sampler.totalSamples,
+            successCount: sampler.successCount,
+            errorCount: sampler.errorCount,
+            errorRate: ((sampler.errorCount / sampler.totalSamples) * 100).toFixed(2),
+            stats: sampler.histogram.getStats(),
+            threadGroups: sampler.threadGroups, // Replaced by userTypes once the user types are resolved
+            latencyBreakdown: summarizeLatencyBreakdown(sampler.latencyBreakdown),
+        }));
+        // Per execution: the request time of all requests inside the transaction, nested ones included
+        transaction.latencyBreakdown = summarizeLatencyBreakdown(transaction.latencyBreakdown, transaction.totalSamples);
+
+        // Parse-time structures are not part of the report data
+        delete transaction.executions;
+        delete transaction.childLabels;
+        delete transaction.histogram;
+        delete transaction.samplers;
+    });
+
+    // Nesting level in the transaction controller hierarchy (0 = top level)
+    Object.values(transactions).forEach((transaction) => {
+        let depth = 0;
+        for (let parent = transactions[transaction.parentTransaction]; parent; parent = transactions[parent.parentTransaction]) {
+            depth++;
+        }
+        transaction.depth = depth;
+    });
+    const nestedCount = Object.values(transactions).filter((transaction) => transaction.depth > 0).length;
+    if (nestedCount > 0) {
+        console.log(`   Nested transaction controllers: ${nestedCount}`);
+    }
+
+    console.log(`   Identified ${Object.keys(transactions).length} unique transactions`);
+    if (sampledTransactions > 0) {
+        console.log(`   Raw executions kept: up to ${parsed.maxRawSamples} per transaction (${sampledTransactions} transaction(s) sampled)`);
+    }
+
+    // Log child requests for debugging
+    const totalChildRequests = Object.values(transactions).reduce((sum, t) => sum + t.uniqueChildRequests.length, 0);
+    console.log(`   Captured ${totalChildRequests} unique API samplers across all transactions`);
+
+    // Calculate actual test duration from timestamps
+    const testDurationMs = maxTimestamp - minTimestamp;
+    const testDurationSec = Math.round(testDurationMs / 1000);
+    const minutes = Math.floor(testDurationSec / 60);
+    const seconds = testDurationSec % 60;
+    console.log(`   Test duration: ${minutes}m ${seconds}s (${testDurationSec}s total)`);
+
+    // Format start and end times
+    const startTime = new Date(minTimestamp);
+    const endTime = new Date(maxTimestamp);
+    const formatTime = (date) => {
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: true,
+        });
+    };
+
+    // Get timezone abbreviation from a timestamp
+    const getTimezoneAbbr = (timestamp) => {
+        const date = new Date(timestamp);
+        try {
+            // Get the system's timezone
+            const systemTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+            // Format the date to get timezone abbreviation
+            const formatter = new Intl.DateTimeFormat('en-US', {
+                timeZoneName: 'short',
+                timeZone: systemTimeZone,
+            });
+
+            const parts = formatter.formatToParts(date);
+            const timeZoneName = parts.find((part) => part.type === 'timeZoneName')?.value;
+
+            if (timeZoneName) {
+                return timeZoneName;
+            }
+        } catch (e) {
+            // Fall through to offset-based detection
+        }
+
+        // Fallback: determine from UTC offset
+        const offsetMinutes = date.getTimezoneOffset();
+        const offsetHours = -offsetMinutes / 60;
+
+        // Common timezones
+        if (offsetHours === 0) return 'UTC';
+        if (offsetHours === -5) return 'EST';
+        if (offsetHours === -4) return 'EDT';
+        if (offsetHours === -6) return 'CST';
+        if (offsetHours === -7) return 'MST';
+        if (offsetHours === -8) return 'PST';
+
+        // Generic offset format
+        return `UTC${offsetHours >= 0 ? '+' : ''}${offsetHours}`;
+    };
+
+    // Use config parameter instead of loadConfiguration()
+    const reportConfig = config;
+
+    // Parse the JMX test plan; its thread group mappings are more reliable than pattern matching
+    const testPlan = loadJMXTestPlan(reportConfig);
+    const threadGroupMap = parseJMXThreadGroups(testPlan, reportConfig);
+
+    // Active threads over time from JMeter's grpThreads/allThreads (null when not recorded)
+    const userTypes = (reportConfig && reportConfig.userTypes ? reportConfig.userTypes : DEFAULT_USER_TYPES).map((userType) => ({
+        key: userType.key,
+        displayName: userType.displayName,
+        matches: (groupName) => matchesUserType(groupName, userType, threadGroupMap ? threadGroupMap[userType.key] : null),
+    }));
+    const activeThreads = buildActiveThreadSeries(parsed.activeThreads, {
+        startTimestamp: minTimestamp,
+        endTimestamp: maxTimestamp,
+        userTypes,
+        testPlan,
+    });
+    if (activeThreads) {
+        console.log(`   User load from JMeter active thread counts (peak ${activeThreads.peak.total} threads)`);
+    } else {
+        console.log('   User load estimated from thread names (grpThreads/allThreads not recorded)');
+    }
+
+    // Planned (JMX) vs actual concurrency and throughput per user type
+    const loadProfile = buildLoadProfile(parsed.loadProfile, {
+        testPlan,
+        activeThreads,
+        startTimestamp: minTimestamp,
+        endTimestamp: maxTimestamp,
+        userTypes,
+        shortfallThreshold: reportConfig?.jmeter?.loadShortfallThreshold ?? 0.9,
+    });
+    if (loadProfile) {
+        loadProfile.shortfalls.forEach((shortfall) => {
+            console.warn(`   ⚠️  Load shortfall (${shortfall.displayName}, ${shortfall.metric}): ${shortfall.message}`);
+        });
+    }
+
+    // Throughput, response times and error rate over time (overall and per transaction)
+    const timeSeries = buildTimeSeries(parsed.timeSeries, {
+        startTimestamp: minTimestamp,
+        endTimestamp: maxTimestamp,
+        activeThreads: (firstBucket, bucketCount, bucketSeconds) => activeThreadsPerBucket(parsed.activeThreads, firstBucket, bucketCount, bucketSeconds),
+    });
+    if (timeSeries) {
+        console.log(`   Time series: ${timeSeries.timestamps.length} buckets of ${timeSeries.bucketSeconds}s`);
+    }
+
+    // Full statistics per user type, for all requests and per transaction/sampler (same thread group mapping as the user counts)
+    const userTypeStats = mergeUserTypeStats(parsed.threadGroups, userTypes, { durationSec: testDurationSec });
+    const unmappedThreadGroups = findUnmappedThreadGroups(parsed.threadGroups, userTypes);
+    Object.values(transactions).forEach((transaction) => {
+        transaction.userTypes = mergeUserTypeStats(transaction.threadGroups, userTypes);
+        delete transaction.threadGroups;
+        transaction.samplerStats.forEach((sampler) => {
+            sampler.userTypes = mergeUserTypeStats(sampler.threadGroups, userTypes);
+            delete sampler.threadGroups;
+        });
+    });
+    if (Object.keys(userTypeStats).length > 0) {
+        console.log(`   User types: ${userTypes.filter((userType) => userTypeStats[userType.key]).map((userType) => `${userType.displayName} (${userTypeStats[userType.key].totalSamples.toLocaleString()} requests)`).join(', ')}`);
+    }
+    if (unmappedThreadGroups.length > 0) {
+        console.log(`   Thread groups matching no user type: ${unmappedThreadGroups.map((entry) => entry.threadGroup).join(', ')}`);
+    }
+
+    // Apdex overall, per transaction and per user type (the series uses the time series buckets)
+    const apdexScores = buildApdex(parsed.apdex, { userTypes, timeSeries });
+    let apdex = null;
+    if (apdexScores) {
+        const { transactions: apdexTransactions, ...apdexSummary } = apdexScores;
+        Object.entries(apdexTransactions).forEach(([name, { userTypes: userTypeApdex, ...transactionApdex }]) => {
+            const transaction = transactions[name];
+            if (!transaction) return;
+            transaction.apdex = transactionApdex;
+            Object.entries(userTypeApdex).forEach(([key, score]) => {
+                if (transaction.userTypes[key]) transaction.userTypes[key].apdex = score;
+            });
+        });
+        apdex = apdexSummary;
+        console.log(`   Apdex: ${apdex.overall.score} (${apdex.overall.rating}, T = ${apdex.thresholds.satisfied} ms${apdex.rules.length > 0 ? `, ${apdex.rules.length} transaction rule(s)` : ''})`);
+    }
+
+    // Steady state window (configured or detected): the summary statistics again without ramp-up/ramp-down.
+    // Per transaction and sampler the steady state stats sit next to the full run ones.
+    const { window: steadyWindow, reason: noSteadyStateReason } = resolveSteadyStateWindow(reportConfig?.jmeter?.steadyState, {
+        timeSeries,
+        startTimestamp: minTimestamp,
+        endTimestamp: maxTimestamp,
+    });
+    let steadyState = null;
+    if (steadyWindow) {
+        const { transactions: steadyTransactions, ...steadyStats } = buildSteadyStateStats(parsed.timeSeries, steadyWindow);
+        Object.entries(steadyTransactions).forEach(([name, { samplerStats, ...stats }]) => {
+            const transaction = transactions[name];
+            if (!transaction) return;
+            transaction.steadyState = stats;
+            transaction.samplerStats.forEach((sampler) => {
+                const { label, ...samplerSteadyState } = samplerStats.find((entry) => entry.label === sampler.label) || {};
+                sampler.steadyState = label !== undefined ? samplerSteadyState : null;
+            });
+        });
+        steadyState = steadyStats;
+        const windowSource = steadyState.source === 'auto' ? `detected from ${steadyState.basis === 'activeThreads' ? 'active threads' : 'throughput'}` : 'configured';
+        console.log(`   Steady state: ${steadyState.startOffset}s - ${steadyState.endOffset}s (${windowSource}, ${steadyState.totalRequests.toLocaleString()} requests)`);
+        if (parsed.timeSeries.untrackedSamplerRequests > 0) {
+            console.warn(`⚠️  Steady state sampler stats skipped for ${parsed.timeSeries.untrackedSamplerRequests.toLocaleString()} requests (too many distinct sampler labels in a transaction)`);
+        }
+    } else {
+        console.log(`   Steady state: not available (${noSteadyStateReason})`);
+    }
+
+    // Extract user configuration (peak active threads, or thread name heuristics as fallback)
+    const userConfig = extractUserConfiguration({ threads, environmentUrls, activeThreads }, threadGroupMap, reportConfig);
+
+    // Where request time goes: connect, server processing (time to first byte) and download
+    const latencyBreakdown = summarizeLatencyBreakdown(parsed.latencyBreakdown);
+    if (latencyBreakdown) {
+        const { connect, server, download } = latencyBreakdown.shares;
+        console.log(`   Latency breakdown: connect ${connect}%, server ${server}%, download ${download}%`);
+    } else if (parsed.latencyBreakdown.requests > 0) {
+        console.log('   Latency breakdown: not available (no Latency values in the results)');
+    }
+
+    // Requests per endpoint (method and URL path template)
+    const endpoints = buildEndpointStats(parsed.endpoints, { durationSec: testDurationSec });
+    if (endpoints) {
+        console.log(`   Endpoints: ${endpoints.endpoints.filter((endpoint) => endpoint.template !== OTHER_ENDPOINTS).length} URL templates`);
+        if (endpoints.overflowRequests > 0) {
+            console.warn(`   ⚠️  More than ${parsed.endpoints.maxEndpoints} endpoints - ${endpoints.overflowRequests.toLocaleString()} requests are grouped as ${OTHER_ENDPOINTS}; add jmeter.endpoints.rules for the dynamic path segments`);
+        }
+    }
+
+    // Calculate pass percentage
+    const totalRequestCount = totalSuccessCount + totalErrorCount;
+    const passPercentage = totalRequestCount > 0 ? ((totalSuccessCount / totalRequestCount) * 100).toFixed(2) : 100;
+    const throughput = testDurationSec > 0 ? Math.round((totalRequestCount / testDurationSec) * 100) / 100 : 0;
+
+    // Summarize errors - grouped by type with top errors by sampler
+    const errorAnalysis = summarizeErrors(errorStats, { startTimestamp: minTimestamp, timeSeries });
+    if (errorAnalysis.categories.length > 0) {
+        console.log(`   Error categories: ${errorAnalysis.categories.map((category) => `${category.name} (${category.count.toLocaleString()})`).join(', ')}`);
+    }
+
+    console.log(`   Success rate: ${passPercentage}% (${totalSuccessCount}/${totalRequestCount} requests)`);
+    if (totalErrorCount > 0) {
+        console.log(`   Total errors: ${totalErrorCount}`);
+    }
+
+    // Get timezone abbreviation
+    const timezone = getTimezoneAbbr(minTimestamp);
+
+    // Per load generator statistics (one entry per hostname or results file)
+    const engines = buildEngineStats(sources);
+    const requestStats = Object.values(sources)
+        .reduce((histogram, sourceStats) => histogram.merge(sourceStats.histogram), new ResponseTimeHistogram())
+        .getStats();
+    if (engines.length > 1) {
+        console.log(`   Load generators: ${engines.length} (${engines.map((e) => e.source).join(', ')})`);
     }
+
+    return {
+        totalSamples: parsed.transactionSampleCount,
+        transactions,
+        grouping: { strategy: parsed.groupingStrategy, label: GROUPING_STRATEGIES[parsed.groupingStrategy] },
+        testDuration: testDurationSec,
+        testDurationFormatted: `${minutes}m ${seconds}s`,
+        startTime: formatTime(startTime),
+        endTime: formatTime(endTime),
+        startTimestamp: minTimestamp,
+        endTimestamp: maxTimestamp,
+        timezone: timezone,
+        userConfig,
+        activeThreads,
+        testPlan,
+        loadProfile,
+        timeSeries,
+        steadyState,
+        apdex,
+        userTypeStats: userTypes
+            .filter((userType) => userTypeStats[userType.key])
+            .map((userType) => ({
+                key: userType.key,
+                displayName: userType.displayName,
+                ...userTypeStats[userType.key],
+                apdex: apdex ? apdex.userTypes.find((entry) => entry.key === userType.key) || null : null,
+            })),
+        unmappedThreadGroups,
+        latencyBreakdown,
+        endpoints,
+        passPercentage,
+        throughput,
+        totalRequests: totalRequestCount,
+        totalSuccessCount,
+        totalErrorCount,
+        errorAnalysis,
+        requestStats,
+        requestSamples: parsed.requestSamples,
+        engines,
+    };
+}
+
+/**
+ * Summarize per load generator counters collected while parsing
+ */
+function buildEngineStats(sources) {
+    return Object.values(sources)
+        .map((sourceStats) => {
+            const requests = sourceStats.successCount + sourceStats.errorCount;
+            const durationSec = sourceStats.maxTimestamp > sourceStats.minTimestamp ? (sourceStats.maxTimestamp - sourceStats.minTimestamp) / 1000 : 0;
+            return {
+                source: sourceStats.source,
+                hostname: sourceStats.hostname,
+                files: sourceStats.files,
+                requests,
+                successCount: sourceStats.successCount,
+                errorCount: sourceStats.errorCount,
+                errorRate: requests > 0 ? ((sourceStats.errorCount / requests) * 100).toFixed(2) : '0.00',
+                stats: sourceStats.histogram.getStats(),
+                throughput: durationSec > 0 ? (requests / durationSec).toFixed(2) : '0.00',
+                startTimestamp: sourceStats.minTimestamp,
+                endTimestamp: sourceStats.maxTimestamp,
+            };
+        })
+        .sort((a, b) => a.source.localeCompare(b.source));
 }
 
 function parsePlaywrightResults(artifactsDir, outputDir, config) {
@@ -1845,14 +2887,14 @@ async function getAzureLoadTestInfo(azureDir, config, artifactsDir) {
 /**
  * Generate JMeter summary page
  */
-function generateJMeterSummary(jmeterData, jmeterDir, jmeterSummary, config) {
+function generateJMeterSummary(jmeterData, jmeterDir, jmeterSummary, config, baselineComparison = null) {
     if (!jmeterData || !jmeterData.transactions) {
         const html = generateEmptyJMeterSummary();
         fs.writeFileSync(jmeterSummary, html, 'utf-8');
         return;
     }
 
-    const html = generateJMeterSummaryHTML(jmeterData);
+    const html = generateJMeterSummaryHTML(jmeterData, baselineComparison);
     fs.writeFileSync(jmeterSummary, html, 'utf-8');
     console.log(`   ✓ JMeter summary generated`);
 }
@@ -1880,51 +2922,414 @@ function generateEmptyJMeterSummary() {
 }
 
 /**
- * Generate JMeter summary HTML
+ * Generate the rows of a transaction table as a tree: transaction controllers, the
+ * transactions nested in them and their samplers, each with its own statistics.
+ * Nested rows start collapsed (except the first `expandLevels` levels); visibility is
+ * applied by the script from getTransactionTreeScript().
+ * @param {Object} transactions - jmeterData.transactions
+ * @param {Array<Object>} roots - Transactions shown at the top level
+ * @param {Object} options
+ * @param {Function} options.renderAction - (transaction) => HTML of the Actions cell
+ * @param {boolean} options.markSetup - Tag setup/teardown rows (hidden until toggled)
+ * @param {number} options.expandLevels - Number of levels expanded initially
+ * @param {boolean} options.showApdex - Add the Apdex column (full run only; samplers have no score)
+ * @param {string[]} options.userTypeKeys - User types the user type filter can switch the cells to
  */
-function generateJMeterSummaryHTML(jmeterData) {
-    const transactions = Object.values(jmeterData.transactions);
-
-    // Sort by total samples (most active transactions first)
-    transactions.sort((a, b) => b.totalSamples - a.totalSamples);
+function generateTransactionTreeRows(transactions, roots, { renderAction, markSetup = true, expandLevels = 0, showApdex = false, userTypeKeys = [] }) {
+    const rows = [];
+    let rowCounter = 0;
+
+    // With a steady state window every cell holds both values; the scope toggle shows one of them.
+    // The full run values of each user type are added for the user type filter.
+    const statCells = (item, labelHtml, level) => {
+        const steady = item.steadyState;
+        const cell = (format, className = () => '') => {
+            const userTypeValues = userTypeKeys
+                .map((key) => {
+                    const stats = item.userTypes && item.userTypes[key];
+                    return stats ? `<span class="scope-user-type ${className(stats)}" data-user-type="${escapeHtml(key)}">${format(stats)}</span>` : `<span class="scope-user-type" data-user-type="${escapeHtml(key)}">-</span>`;
+                })
+                .join('');
+            if (steady === undefined && !userTypeValues) {
+                return `<td class="${className(item)}">${format(item)}</td>`;
+            }
+            let steadyValue = '';
+            if (steady !== undefined) {
+                steadyValue = steady && steady.totalSamples > 0 ? `<span class="scope-steady ${className(steady)}">${format(steady)}</span>` : '<span class="scope-steady">-</span>';
+            }
+            return `<td><span class="scope-full ${className(item)}">${format(item)}</span>${steadyValue}${userTypeValues}</td>`;
+        };
+        return `
+            <td style="padding-left: ${12 + level * 24}px;">${labelHtml}</td>
+            ${cell((stats) => stats.totalSamples.toLocaleString())}
+            ${cell((stats) => `${stats.stats.avg} ms`, () => 'metric-value')}
+            ${cell((stats) => `${stats.stats.min} ms`)}
+            ${cell((stats) => `${stats.stats.max} ms`)}
+            ${cell((stats) => `${stats.stats.p90} ms`)}
+            ${cell((stats) => `${stats.stats.p95} ms`)}
+            ${cell((stats) => `${stats.stats.p99} ms`)}
+            ${cell((stats) => `${stats.errorRate}%`, (stats) => (stats.errorRate > 0 ? 'error-rate' : 'success-rate'))}
+            ${showApdex ? cell((stats) => formatApdexScore(stats.apdex)) : ''}`;
+    };
 
-    // Separate business transactions from setup/teardown
-    const businessTransactions = transactions.filter((tx) => !tx.name.toLowerCase().includes('insert') && !tx.name.toLowerCase().includes('clean'));
-    const setupTransactions = transactions.filter((tx) => tx.name.toLowerCase().includes('insert') || tx.name.toLowerCase().includes('clean'));
+    // User types with samples in the row (rows without the selected user type are hidden)
+    const userTypesAttribute = (item) => (userTypeKeys.length > 0 ? ` data-user-types="${escapeHtml(userTypeKeys.filter((key) => item.userTypes && item.userTypes[key]).join(' '))}"` : '');
+
+    const addTransaction = (tx, parentId, level, ancestors) => {
+        const rowId = `tx-row-${rowCounter++}`;
+        const isSetup = markSetup && (tx.name.toLowerCase().includes('insert') || tx.name.toLowerCase().includes('clean'));
+        const children = (tx.childTransactions || []).map((name) => transactions[name]).filter((child) => child && !ancestors.includes(child.name));
+        const samplers = tx.samplerStats || [];
+        const expandable = children.length + samplers.length > 0;
+        const expanded = expandable && level < expandLevels;
+        const toggle = expandable
+            ? `<span class="tree-toggle" onclick="toggleTransactionRow('${rowId}')">${expanded ? '▼' : '▶'}</span>`
+            : '<span class="tree-toggle-spacer"></span>';
+
+        rows.push(`
+        <tr class="transaction-row ${isSetup ? 'setup-transaction' : 'business-transaction'}" data-row-id="${rowId}" data-parent-id="${parentId || ''}" data-kind="transaction" data-name="${escapeHtml(tx.name)}" data-expanded="${expanded}"${userTypesAttribute(tx)}${level > expandLevels ? ' style="display: none;"' : ''}>
+            ${statCells(tx, `${toggle}<strong>${escapeHtml(tx.name)}</strong>${children.length > 0 ? ` <span class="tree-badge">${children.length} nested</span>` : ''}`, level)}
+            <td>${renderAction(tx)}</td>
+        </tr>`);
+
+        children.forEach((child) => addTransaction(child, rowId, level + 1, [...ancestors, child.name]));
+        samplers.forEach((sampler) => {
+            rows.push(`
+        <tr class="transaction-row sampler-tree-row ${isSetup ? 'setup-transaction' : 'business-transaction'}" data-row-id="tx-row-${rowCounter++}" data-parent-id="${rowId}" data-kind="sampler" data-name="${escapeHtml(sampler.label)}"${userTypesAttribute(sampler)}${level + 1 > expandLevels ? ' style="display: none;"' : ''}>
+            ${statCells(sampler, `<span class="tree-toggle-spacer"></span><span style="color: #667eea;">└─</span> ${escapeHtml(sampler.label)}`, level + 1)}
+            <td></td>
+        </tr>`);
+        });
+    };
 
-    const transactionRows = transactions
-        .map((tx) => {
-            const isSetup = tx.name.toLowerCase().includes('insert') || tx.name.toLowerCase().includes('clean');
-            return `
-        <tr class="transaction-row ${isSetup ? 'setup-transaction' : 'business-transaction'}">
-            <td><strong>${escapeHtml(tx.name)}</strong></td>
-            <td>${tx.totalSamples.toLocaleString()}</td>
-            <td class="metric-value">${tx.stats.avg} ms</td>
-            <td>${tx.stats.min} ms</td>
-            <td>${tx.stats.max} ms</td>
-            <td>${tx.stats.p90} ms</td>
-            <td>${tx.stats.p95} ms</td>
-            <td>${tx.stats.p99} ms</td>
-            <td class="${tx.errorRate > 0 ? 'error-rate' : 'success-rate'}">${tx.errorRate}%</td>
-            <td>
-                <a href="transactions/${sanitizeFilename(tx.name)}.html" class="btn-details">View Details →</a>
-            </td>
-        </tr>
-    `;
-        })
-        .join('');
+    roots.forEach((tx) => addTransaction(tx, null, 0, [tx.name]));
+    return rows.join('');
+}
 
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>JMeter Load Test Summary</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
-    ${getCommonStyles()}
-    <style>
-        .transaction-row:hover {
-            background: #f8f9fa;
+/**
+ * Styles for the transaction tree rows
+ */
+function getTransactionTreeStyles() {
+    return `
+        .tree-toggle {
+            display: inline-block;
+            width: 20px;
+            cursor: pointer;
+            color: #667eea;
+            font-size: 0.85em;
+            user-select: none;
+        }
+        .tree-toggle-spacer {
+            display: inline-block;
+            width: 20px;
+        }
+        .tree-badge {
+            background: #eef1fb;
+            color: #667eea;
+            border-radius: 10px;
+            padding: 2px 8px;
+            font-size: 0.75em;
+            font-weight: 600;
+        }
+        .sampler-tree-row td {
+            color: #555;
+            font-size: 0.95em;
+        }
+        .scope-steady {
+            display: none;
+        }
+        .show-steady .scope-steady {
+            display: inline;
+        }
+        .show-steady .scope-full {
+            display: none;
+        }
+        .stats-scope-btn {
+            background: #eef1fb;
+            color: #667eea;
+        }
+        .stats-scope-btn.active {
+            background: #667eea;
+            color: white;
+        }
+        .stats-scope-btn:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+        .scope-user-type {
+            display: none;
+        }
+        .stats-scope-table.show-user-type .scope-full,
+        .stats-scope-table.show-user-type .scope-steady {
+            display: none;
+        }
+        .user-type-filter {
+            padding: 6px 10px;
+            border-radius: 6px;
+            border: 2px solid #e0e0e0;
+            font-size: 0.75em;
+        }`;
+}
+
+/**
+ * Full run / steady state switch for transaction tables (empty without a steady state window)
+ */
+function generateStatsScopeToggleHTML(steadyState) {
+    if (!steadyState) {
+        return '';
+    }
+    return `
+                        <button onclick="setStatsScope('full')" class="toggle-btn stats-scope-btn active" data-scope="full" style="font-size: 0.75em;">Full Run</button>
+                        <button onclick="setStatsScope('steady')" class="toggle-btn stats-scope-btn" data-scope="steady" style="font-size: 0.75em;" title="${formatPlannedSeconds(steadyState.startOffset)} to ${formatPlannedSeconds(steadyState.endOffset)} of the run">Steady State</button>`;
+}
+
+/**
+ * User type filter for transaction tables (empty without per user type statistics)
+ */
+function generateUserTypeFilterHTML(jmeterData) {
+    const userTypes = (jmeterData.userTypeStats || []).filter((userType) => userType.totalSamples > 0);
+    if (userTypes.length === 0) {
+        return '';
+    }
+    return `
+                        <select onchange="setUserTypeFilter(this.value)" class="user-type-filter" title="Full run statistics of one user type">
+                            <option value="">All user types</option>
+                            ${userTypes.map((userType) => `<option value="${escapeHtml(userType.key)}">${escapeHtml(userType.displayName)}</option>`).join('')}
+                        </select>`;
+}
+
+/**
+ * Generate the dashboard's "Performance by User Type" table: request statistics of each user type
+ * (thread groups mapped with userTypes) next to those of all requests
+ */
+function generateUserTypeStatsHTML(jmeterData) {
+    const userTypes = jmeterData.userTypeStats || [];
+    if (userTypes.length === 0) {
+        return '';
+    }
+
+    const overall = jmeterData.requestStats;
+    const versusAll = (value, allValue) => {
+        if (!(allValue > 0)) return '';
+        const change = Math.round(((value - allValue) / allValue) * 100);
+        return ` <span style="color: ${change > 10 ? '#ff4e42' : '#999'}; font-size: 0.85em;">(${change > 0 ? '+' : ''}${change}%)</span>`;
+    };
+    const rows = userTypes
+        .map(
+            (userType) => `
+                            <tr>
+                                <td><strong>${escapeHtml(userType.displayName)}</strong></td>
+                                <td>${userType.threadGroups.map((group) => escapeHtml(group)).join(', ')}</td>
+                                <td>${userType.totalSamples.toLocaleString()}</td>
+                                <td>${userType.throughput}/s</td>
+                                <td class="metric-value">${userType.stats.avg} ms${versusAll(userType.stats.avg, overall.avg)}</td>
+                                <td>${userType.stats.p90} ms</td>
+                                <td>${userType.stats.p95} ms${versusAll(userType.stats.p95, overall.p95)}</td>
+                                <td>${userType.stats.p99} ms</td>
+                                <td>${userType.stats.max} ms</td>
+                                <td style="color: ${userType.errorCount > 0 ? '#ff4e42' : '#0cce6b'}; font-weight: bold;">${userType.errorRate}%</td>${jmeterData.apdex ? `
+                                <td>${formatApdexScore(userType.apdex)}</td>` : ''}
+                            </tr>`
+        )
+        .join('');
+    const unmapped = jmeterData.unmappedThreadGroups || [];
+
+    return `
+                <!-- Performance by User Type -->
+                <div class="subsection" style="margin-top: 30px;">
+                    <h3 style="font-size: 1.2em; color: #555; margin-bottom: 15px;">Performance by User Type</h3>
+                    <p style="color: #666; margin-bottom: 15px;">
+                        Full run request statistics per user type; the percentages compare with all requests (avg ${overall.avg} ms, p95 ${overall.p95} ms). Filter the JMeter transaction table by user type to see which transactions differ.${
+                            unmapped.length > 0
+                                ? ` ${unmapped.reduce((sum, entry) => sum + entry.totalSamples, 0).toLocaleString()} requests came from thread groups matching no user type (${unmapped.map((entry) => escapeHtml(entry.threadGroup)).join(', ')}).`
+                                : ''
+                        }
+                    </p>
+                    <div class="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>User Type</th>
+                                    <th>Thread Groups</th>
+                                    <th>Requests</th>
+                                    <th>Throughput</th>
+                                    <th>Avg Response Time</th>
+                                    <th>90th %ile</th>
+                                    <th>95th %ile</th>
+                                    <th>99th %ile</th>
+                                    <th>Max</th>
+                                    <th>Error %</th>${jmeterData.apdex ? `
+                                    <th>Apdex</th>` : ''}
+                                </tr>
+                            </thead>
+                            <tbody>${rows}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>`;
+}
+
+/**
+ * Client script for transaction tree tables (tbody#transactionTableBody): expanding rows,
+ * the name filter (matches and their parents stay visible), the setup/teardown toggle
+ * (setupTransactionsVisible, when the page defines it), the full run / steady state
+ * switch of tables with the stats-scope-table class and the user type filter
+ * (rows the user type did not run are hidden, cells show its full run values)
+ */
+function getTransactionTreeScript() {
+    return `
+        function toggleTransactionRow(rowId) {
+            const row = document.querySelector('tr[data-row-id="' + rowId + '"]');
+            if (!row) return;
+            const expanded = row.getAttribute('data-expanded') !== 'true';
+            row.setAttribute('data-expanded', String(expanded));
+            const toggle = row.querySelector('.tree-toggle');
+            if (toggle) toggle.textContent = expanded ? '▼' : '▶';
+            filterTransactions();
+        }
+
+        function setStatsScope(scope) {
+            document.querySelectorAll('.stats-scope-table').forEach(table => {
+                if (scope === 'steady') {
+                    table.classList.add('show-steady');
+                } else {
+                    table.classList.remove('show-steady');
+                }
+            });
+            document.querySelectorAll('.stats-scope-btn').forEach(btn => {
+                if (btn.getAttribute('data-scope') === scope) {
+                    btn.classList.add('active');
+                } else {
+                    btn.classList.remove('active');
+                }
+            });
+        }
+
+        let selectedUserType = '';
+
+        function setUserTypeFilter(userType) {
+            selectedUserType = userType;
+            document.querySelectorAll('.stats-scope-table').forEach(table => {
+                if (userType) {
+                    table.classList.add('show-user-type');
+                } else {
+                    table.classList.remove('show-user-type');
+                }
+                table.querySelectorAll('.scope-user-type').forEach(span => {
+                    span.style.display = userType && span.getAttribute('data-user-type') === userType ? 'inline' : '';
+                });
+            });
+            // User type values are full run values only
+            document.querySelectorAll('.stats-scope-btn').forEach(btn => {
+                btn.disabled = Boolean(userType);
+            });
+            filterTransactions();
+        }
+
+        function filterTransactions() {
+            const input = document.getElementById('transactionFilter');
+            const filter = input ? input.value.toLowerCase() : '';
+            const tbody = document.getElementById('transactionTableBody');
+            if (!tbody) return;
+
+            const showSetup = typeof setupTransactionsVisible === 'undefined' || setupTransactionsVisible;
+            const rows = Array.from(tbody.querySelectorAll('tr[data-row-id]'));
+            const rowsById = {};
+            rows.forEach(row => { rowsById[row.getAttribute('data-row-id')] = row; });
+
+            // While filtering, matching rows and their parents are shown regardless of expansion
+            const matched = new Set();
+            if (filter) {
+                rows.forEach(row => {
+                    if ((row.getAttribute('data-name') || '').toLowerCase().indexOf(filter) === -1) return;
+                    for (let id = row.getAttribute('data-row-id'); id; id = rowsById[id] ? rowsById[id].getAttribute('data-parent-id') : '') {
+                        matched.add(id);
+                    }
+                });
+            }
+
+            // Parents come before their children, so a row is only shown below a shown parent
+            const shown = new Set();
+            let visibleCount = 0;
+            rows.forEach(row => {
+                const rowId = row.getAttribute('data-row-id');
+                const parentId = row.getAttribute('data-parent-id');
+                const parent = parentId ? rowsById[parentId] : null;
+                const isSetupRow = row.classList.contains('setup-transaction');
+                const inTree = filter ? matched.has(rowId) : !parent || parent.getAttribute('data-expanded') === 'true';
+                const ranByUserType = !selectedUserType || (row.getAttribute('data-user-types') || '').split(' ').includes(selectedUserType);
+                const shouldShow = inTree && ranByUserType && (!parent || shown.has(parentId)) && (!isSetupRow || showSetup);
+
+                if (shouldShow) {
+                    shown.add(rowId);
+                    if (isSetupRow) {
+                        row.classList.add('visible');
+                    }
+                    row.style.display = '';
+                    if (row.getAttribute('data-kind') === 'transaction') visibleCount++;
+                } else {
+                    row.style.display = 'none';
+                }
+            });
+
+            const filterCount = document.getElementById('filterCount');
+            if (filterCount) {
+                filterCount.textContent = filter || selectedUserType ? 'Showing ' + visibleCount + ' transactions' : '';
+            }
+        }`;
+}
+
+/**
+ * Order the requests of one execution with the nested transaction controllers that
+ * enclose them ({ kind: 'transaction' | 'request', item, depth })
+ */
+function buildExecutionRows(requests, nestedTransactions = []) {
+    const rows = [];
+    const addMarkersAt = (index) => {
+        nestedTransactions.filter((marker) => marker.start === index).forEach((marker) => rows.push({ kind: 'transaction', item: marker.sample, depth: marker.depth }));
+    };
+    requests.forEach((request, index) => {
+        addMarkersAt(index);
+        const depth = nestedTransactions.filter((marker) => marker.start <= index && index < marker.start + marker.requestCount).length;
+        rows.push({ kind: 'request', item: request, depth });
+    });
+    addMarkersAt(requests.length);
+    return rows;
+}
+
+/**
+ * Generate JMeter summary HTML
+ */
+function generateJMeterSummaryHTML(jmeterData, baselineComparison = null) {
+    const transactions = Object.values(jmeterData.transactions);
+
+    // Sort by total samples (most active transactions first)
+    transactions.sort((a, b) => b.totalSamples - a.totalSamples);
+
+    // Separate business transactions from setup/teardown
+    const businessTransactions = transactions.filter((tx) => !tx.name.toLowerCase().includes('insert') && !tx.name.toLowerCase().includes('clean'));
+    const setupTransactions = transactions.filter((tx) => tx.name.toLowerCase().includes('insert') || tx.name.toLowerCase().includes('clean'));
+
+    // Top-level transactions; nested transaction controllers and samplers expand below them
+    const rootTransactions = transactions.filter((tx) => !tx.parentTransaction);
+    const transactionRows = generateTransactionTreeRows(jmeterData.transactions, rootTransactions, {
+        renderAction: (tx) => `<a href="transactions/${sanitizeFilename(tx.name)}.html" class="btn-details">View Details →</a>`,
+        showApdex: Boolean(jmeterData.apdex),
+        userTypeKeys: (jmeterData.userTypeStats || []).map((userType) => userType.key),
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>JMeter Load Test Summary</title>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+    ${getChartZoomScripts()}
+    ${getCommonStyles()}
+    <style>
+        .transaction-row:hover {
+            background: #f8f9fa;
             cursor: pointer;
         }
         .setup-transaction {
@@ -1934,6 +3339,7 @@ function generateJMeterSummaryHTML(jmeterData) {
         .setup-transaction.visible {
             display: table-row;
         }
+        ${getTransactionTreeStyles()}
         .btn-details {
             background: #667eea;
             color: white;
@@ -2009,6 +3415,14 @@ function generateJMeterSummaryHTML(jmeterData) {
                 </div>
             </div>
 
+            ${generateApdexSectionHTML(jmeterData, 'apdexChart')}
+            ${generateLatencyBreakdownSectionHTML(jmeterData, 'latencyBreakdownChart')}
+            ${generateEngineStatsHTML(jmeterData)}
+            ${generateActiveThreadsSectionHTML(jmeterData, 'activeThreadsChart')}
+            ${generateLoadProfileSectionHTML(jmeterData, 'loadProfileChart')}
+            ${generateTimeSeriesSectionHTML(jmeterData.timeSeries, 'timeSeriesCharts', null, jmeterData.steadyState)}
+            ${generateSteadyStateSectionHTML(jmeterData)}
+            ${generateBaselineSectionHTML(baselineComparison)}
             <!-- Performance Chart -->
             <div class="section">
                 <h2 class="section-title">Response Time Distribution</h2>
@@ -2021,14 +3435,14 @@ function generateJMeterSummaryHTML(jmeterData) {
             <div class="section">
                 <h2 class="section-title">
                     Transaction Details
-                    <div style="display: flex; gap: 10px;">
+                    <div style="display: flex; gap: 10px;">${generateUserTypeFilterHTML(jmeterData)}${generateStatsScopeToggleHTML(jmeterData.steadyState)}
                         <button onclick="toggleSetupTransactions()" class="toggle-btn" id="setupToggleBtn" style="font-size: 0.75em;">
                             ☐ Show Setup/Teardown (${setupTransactions.length})
                         </button>
                     </div>
                 </h2>
                 <p style="color: #666; margin-bottom: 15px;">
-                    Showing ${businessTransactions.length} business transactions. Setup/Teardown transactions (Insert, Clean Up) are hidden by default.
+                    Showing ${businessTransactions.length} business transactions${jmeterData.grouping && jmeterData.grouping.strategy !== 'transactionControllers' ? ` (grouped by ${jmeterData.grouping.label.toLowerCase()})` : ''}. Setup/Teardown transactions (Insert, Clean Up) are hidden by default.
                 </p>
 
                 <!-- Filter Input -->
@@ -2053,28 +3467,1990 @@ function generateJMeterSummaryHTML(jmeterData) {
                     <span id="filterCount" style="margin-left: 15px; color: #666; font-size: 0.9em;"></span>
                 </div>
 
-                <div class="table-container">
-                    <table id="transactionTable">
-                        <thead>
-                            <tr>
-                                <th>Transaction Name</th>
-                                <th>Samples</th>
-                                <th>Avg Response Time</th>
-                                <th>Min</th>
-                                <th>Max</th>
-                                <th>90th %ile</th>
-                                <th>95th %ile</th>
-                                <th>99th %ile</th>
-                                <th>Error %</th>
-                                <th>Actions</th>
-                            </tr>
-                        </thead>
-                        <tbody id="transactionTableBody">
-                            ${transactionRows}
-                        </tbody>
-                    </table>
-                </div>
-            </div>
+                <div class="table-container">
+                    <table id="transactionTable" class="stats-scope-table">
+                        <thead>
+                            <tr>
+                                <th>Transaction Name</th>
+                                <th>Samples</th>
+                                <th>Avg Response Time</th>
+                                <th>Min</th>
+                                <th>Max</th>
+                                <th>90th %ile</th>
+                                <th>95th %ile</th>
+                                <th>99th %ile</th>
+                                <th>Error %</th>
+                                ${jmeterData.apdex ? '<th title="Apdex of the transaction executions">Apdex</th>' : ''}
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody id="transactionTableBody">
+                            ${transactionRows}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            ${generateEndpointStatsHTML(jmeterData)}
+        </div>
+
+        <div class="footer">
+            <a href="../index.html" class="btn-back">← Back to Dashboard</a>
+        </div>
+    </div>
+
+    <script>
+        // Toggle setup/teardown transactions
+        let setupTransactionsVisible = false;
+
+        function toggleSetupTransactions() {
+            setupTransactionsVisible = !setupTransactionsVisible;
+            const setupRows = document.querySelectorAll('.setup-transaction');
+            const btn = document.getElementById('setupToggleBtn');
+
+            setupRows.forEach(row => {
+                if (setupTransactionsVisible) {
+                    row.classList.add('visible');
+                } else {
+                    row.classList.remove('visible');
+                }
+            });
+
+            // Update button text
+            if (setupTransactionsVisible) {
+                btn.innerHTML = '☑️ Hide Setup/Teardown (${setupTransactions.length})';
+            } else {
+                btn.innerHTML = '☐ Show Setup/Teardown (${setupTransactions.length})';
+            }
+
+            // Reapply filter if active
+            filterTransactions();
+        }
+
+        // Expand nested transactions and filter transactions by name
+        ${getTransactionTreeScript()}
+
+        // Performance Chart
+        const ctx = document.getElementById('performanceChart').getContext('2d');
+        new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: ${JSON.stringify(transactions.map((tx) => tx.name))},
+                datasets: [
+                    {
+                        label: 'Avg Response Time (ms)',
+                        data: ${JSON.stringify(transactions.map((tx) => tx.stats.avg))},
+                        backgroundColor: 'rgba(102, 126, 234, 0.8)',
+                        borderColor: 'rgba(102, 126, 234, 1)',
+                        borderWidth: 1
+                    },
+                    {
+                        label: '95th Percentile (ms)',
+                        data: ${JSON.stringify(transactions.map((tx) => tx.stats.p95))},
+                        backgroundColor: 'rgba(255, 99, 132, 0.8)',
+                        borderColor: 'rgba(255, 99, 132, 1)',
+                        borderWidth: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Response Time (ms)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    title: {
+                        display: true,
+                        text: 'Transaction Response Times'
+                    }
+                }
+            }
+        });
+        ${getApdexChartScript('apdexChart', JSON.stringify(jmeterData.apdex || null))}
+        ${getLatencyBreakdownChartScript('latencyBreakdownChart', JSON.stringify(Object.values(jmeterData.transactions).map((tx) => ({ label: tx.name, latencyBreakdown: tx.latencyBreakdown }))), 'Latency Breakdown per Transaction (avg per execution)')}
+        ${getActiveThreadsChartScript('activeThreadsChart', JSON.stringify(jmeterData.activeThreads || null))}
+        ${getLoadProfileChartScript('loadProfileChart', JSON.stringify(jmeterData.loadProfile || null))}
+        ${getTimeSeriesChartFunction()}
+        drawTimeSeriesCharts('timeSeriesCharts', ${JSON.stringify(jmeterData.timeSeries || null)}, null, ${JSON.stringify(jmeterData.steadyState || null)});
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Generate the per load generator statistics table (only shown for distributed runs)
+ */
+function generateEngineStatsHTML(jmeterData) {
+    const engines = jmeterData.engines || [];
+    if (engines.length < 2) {
+        return '';
+    }
+
+    const combinedStats = jmeterData.requestStats || { avg: '-', p90: '-', p95: '-', max: '-' };
+    const combinedThroughput = jmeterData.testDuration > 0 ? (jmeterData.totalRequests / jmeterData.testDuration).toFixed(2) : '0.00';
+    const combinedErrorRate = jmeterData.totalRequests > 0 ? ((jmeterData.totalErrorCount / jmeterData.totalRequests) * 100).toFixed(2) : '0.00';
+
+    const engineRows = engines
+        .map(
+            (engine) => `
+                            <tr>
+                                <td><strong>${escapeHtml(engine.source)}</strong>${engine.hostname && engine.files.length > 0 ? `<div style="color: #999; font-size: 0.8em;">${escapeHtml(engine.files.join(', '))}</div>` : ''}</td>
+                                <td>${engine.requests.toLocaleString()}</td>
+                                <td class="metric-value">${engine.stats.avg} ms</td>
+                                <td>${engine.stats.p90} ms</td>
+                                <td>${engine.stats.p95} ms</td>
+                                <td>${engine.stats.max} ms</td>
+                                <td>${engine.throughput}/s</td>
+                                <td class="${engine.errorRate > 0 ? 'error-rate' : 'success-rate'}">${engine.errorRate}%</td>
+                            </tr>`
+        )
+        .join('');
+
+    return `
+            <!-- Load Generators -->
+            <div class="section">
+                <h2 class="section-title">🖥️ Load Generators (${engines.length})</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Results merged from ${engines.length} load generators. Per-engine figures use individual requests; large differences between engines usually point at the load generator rather than the application.
+                </p>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Engine</th>
+                                <th>Requests</th>
+                                <th>Avg Response Time</th>
+                                <th>90th %ile</th>
+                                <th>95th %ile</th>
+                                <th>Max</th>
+                                <th>Throughput</th>
+                                <th>Error %</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${engineRows}
+                            <tr style="background: #f0f2ff; font-weight: 600;">
+                                <td>Combined</td>
+                                <td>${jmeterData.totalRequests.toLocaleString()}</td>
+                                <td class="metric-value">${combinedStats.avg} ms</td>
+                                <td>${combinedStats.p90} ms</td>
+                                <td>${combinedStats.p95} ms</td>
+                                <td>${combinedStats.max} ms</td>
+                                <td>${combinedThroughput}/s</td>
+                                <td class="${combinedErrorRate > 0 ? 'error-rate' : 'success-rate'}">${combinedErrorRate}%</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+`;
+}
+
+/**
+ * Apdex score colored by its rating, with the counts and thresholds as tooltip ('-' without a score)
+ * @param {Object|undefined} apdex - Transaction, user type or overall Apdex
+ */
+function formatApdexScore(apdex) {
+    if (!apdex) {
+        return '-';
+    }
+    const { color } = getApdexRating(apdex.score);
+    const thresholds = apdex.thresholds ? `, T = ${apdex.thresholds.satisfied} ms, F = ${apdex.thresholds.tolerated} ms` : '';
+    const title = `${apdex.rating}: ${apdex.satisfied.toLocaleString()} satisfied, ${apdex.tolerating.toLocaleString()} tolerating, ${apdex.frustrated.toLocaleString()} frustrated${thresholds}`;
+    return `<span style="color: ${color}; font-weight: 600;" title="${escapeHtml(title)}">${apdex.score.toFixed(2)}</span>`;
+}
+
+/**
+ * Generate the Apdex section: overall score, scores per user type, the thresholds and the score over time
+ */
+function generateApdexSectionHTML(jmeterData, canvasId) {
+    const apdex = jmeterData.apdex;
+    if (!apdex) {
+        return '';
+    }
+
+    const { color } = getApdexRating(apdex.overall.score);
+    const percent = (count) => ((count / apdex.overall.total) * 100).toFixed(1);
+    const userTypeRows = apdex.userTypes
+        .map(
+            (userType) => `
+                            <tr>
+                                <td><strong>${escapeHtml(userType.displayName)}</strong></td>
+                                <td>${formatApdexScore(userType)}</td>
+                                <td>${userType.rating}</td>
+                                <td>${userType.satisfied.toLocaleString()}</td>
+                                <td>${userType.tolerating.toLocaleString()}</td>
+                                <td>${userType.frustrated.toLocaleString()}</td>
+                                <td>${userType.total.toLocaleString()}</td>
+                            </tr>`
+        )
+        .join('');
+    const thresholdRows = [...apdex.rules.map((rule) => ({ ...rule, label: `<code>${escapeHtml(rule.transaction)}</code>` })), { ...apdex.thresholds, label: apdex.rules.length > 0 ? 'Other transactions' : 'All transactions' }]
+        .map(
+            (rule) => `
+                            <tr>
+                                <td>${rule.label}</td>
+                                <td>&le; ${rule.satisfied} ms</td>
+                                <td>&le; ${rule.tolerated} ms</td>
+                                <td>&gt; ${rule.tolerated} ms or failed</td>
+                            </tr>`
+        )
+        .join('');
+
+    return `
+            <!-- Apdex -->
+            <div class="section">
+                <h2 class="section-title">🎯 Apdex</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Application Performance Index over ${apdex.overall.total.toLocaleString()} transaction executions: (satisfied + tolerating / 2) / total, from 0 (all users frustrated) to 1 (all satisfied). Nested transactions count once, through their outermost transaction. Scores per transaction are in the Apdex column of the transaction table.
+                </p>
+                <div class="summary-cards">
+                    <div class="card">
+                        <h3>Apdex Score</h3>
+                        <div class="value" style="color: ${color};">${apdex.overall.score.toFixed(2)}</div>
+                        <div class="sub-value">${apdex.overall.rating}</div>
+                    </div>
+                    <div class="card">
+                        <h3>Satisfied</h3>
+                        <div class="value">${percent(apdex.overall.satisfied)}%</div>
+                        <div class="sub-value">${apdex.overall.satisfied.toLocaleString()} executions</div>
+                    </div>
+                    <div class="card">
+                        <h3>Tolerating</h3>
+                        <div class="value">${percent(apdex.overall.tolerating)}%</div>
+                        <div class="sub-value">${apdex.overall.tolerating.toLocaleString()} executions</div>
+                    </div>
+                    <div class="card">
+                        <h3>Frustrated</h3>
+                        <div class="value">${percent(apdex.overall.frustrated)}%</div>
+                        <div class="sub-value">${apdex.overall.frustrated.toLocaleString()} executions (incl. errors)</div>
+                    </div>
+                </div>${
+                    userTypeRows
+                        ? `
+                <h3 style="margin: 20px 0 10px;">Per User Type</h3>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>User Type</th>
+                                <th>Apdex</th>
+                                <th>Rating</th>
+                                <th>Satisfied</th>
+                                <th>Tolerating</th>
+                                <th>Frustrated</th>
+                                <th>Executions</th>
+                            </tr>
+                        </thead>
+                        <tbody>${userTypeRows}
+                        </tbody>
+                    </table>
+                </div>`
+                        : ''
+                }
+                <h3 style="margin: 20px 0 10px;">Thresholds</h3>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Transactions</th>
+                                <th>Satisfied</th>
+                                <th>Tolerating</th>
+                                <th>Frustrated</th>
+                            </tr>
+                        </thead>
+                        <tbody>${thresholdRows}
+                        </tbody>
+                    </table>
+                </div>${
+                    apdex.timeSeries
+                        ? `
+                <div class="chart-container" style="height: 300px;">
+                    <canvas id="${canvasId}"></canvas>
+                </div>`
+                        : ''
+                }
+            </div>
+`;
+}
+
+/**
+ * Client-side script that draws the Apdex over time chart
+ * @param {string} canvasId - Canvas element id
+ * @param {string} dataExpression - JavaScript expression that evaluates to jmeterData.apdex
+ */
+function getApdexChartScript(canvasId, dataExpression) {
+    return `
+        (function() {
+            const apdex = ${dataExpression};
+            const canvas = document.getElementById('${canvasId}');
+            if (!apdex || !apdex.timeSeries || !canvas || Chart.getChart(canvas)) return;
+
+            const palette = ['#667eea', '#0cce6b', '#ffa400', '#ff4e42', '#17a2b8', '#764ba2', '#e83e8c', '#6c757d'];
+            const line = (label, data, color, extra) => Object.assign({
+                label: label,
+                data: data,
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                pointRadius: 0,
+                spanGaps: true,
+                fill: false
+            }, extra || {});
+
+            const datasets = [line('All Transactions', apdex.timeSeries.overall, '#333', { borderWidth: 3 })];
+            apdex.userTypes.forEach((userType, index) => {
+                datasets.push(line(userType.displayName, apdex.timeSeries.userTypes[userType.key], palette[index % palette.length], { borderWidth: 1.5 }));
+            });
+
+            new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: apdex.timeSeries.timestamps.map(ts => new Date(ts).toLocaleTimeString()),
+                    datasets: datasets
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    scales: {
+                        x: { ticks: { maxTicksLimit: 12 } },
+                        y: { min: 0, max: 1, title: { display: true, text: 'Apdex' } }
+                    },
+                    plugins: {
+                        legend: { display: true, position: 'top' },
+                        title: { display: true, text: 'Apdex Over Time (' + apdex.timeSeries.bucketSeconds + 's buckets)' }
+                    }
+                }
+            });
+        })();
+`;
+}
+
+/**
+ * Generate the per endpoint table: requests grouped by HTTP method and URL path template
+ */
+function generateEndpointStatsHTML(jmeterData) {
+    const endpoints = jmeterData.endpoints;
+    if (!endpoints) {
+        return '';
+    }
+
+    const templating = [endpoints.detectIds ? 'numeric IDs, GUIDs and long hex IDs replaced by {id} / {guid}' : null, endpoints.rules > 0 ? `${endpoints.rules} path rule(s) from jmeter.endpoints.rules` : null].filter(Boolean);
+    const rows = endpoints.endpoints
+        .map((endpoint) => {
+            const other = endpoint.template === OTHER_ENDPOINTS;
+            const labels = `${endpoint.labelCount}${endpoint.labelsTruncated ? '+' : ''} sampler label${endpoint.labelCount === 1 ? '' : 's'}`;
+            return `
+                            <tr>
+                                <td>${endpoint.method ? `<strong>${escapeHtml(endpoint.method)}</strong>` : '<span style="color: #999;">-</span>'}</td>
+                                <td title="${escapeHtml(other ? 'Endpoints beyond jmeter.endpoints.maxEndpoints' : `e.g. ${endpoint.exampleUrl}`)}">
+                                    ${other ? `<em>${OTHER_ENDPOINTS}</em>` : `<code>${escapeHtml(endpoint.template)}</code>`}
+                                    <div style="color: #999; font-size: 0.85em;">${labels}</div>
+                                </td>
+                                <td>${endpoint.totalSamples.toLocaleString()}</td>
+                                <td>${endpoint.throughput}/s</td>
+                                <td class="metric-value">${endpoint.stats.avg} ms</td>
+                                <td>${endpoint.stats.p90} ms</td>
+                                <td>${endpoint.stats.p95} ms</td>
+                                <td>${endpoint.stats.p99} ms</td>
+                                <td>${endpoint.stats.max} ms</td>
+                                <td class="${endpoint.errorRate > 0 ? 'error-rate' : 'success-rate'}">${endpoint.errorRate}%</td>
+                                <td>${formatBytes(endpoint.avgBytes)}</td>
+                                <td>${formatBytes(endpoint.avgSentBytes)}</td>
+                            </tr>`;
+        })
+        .join('');
+
+    return `
+            <!-- Endpoints -->
+            <div class="section">
+                <h2 class="section-title">🔗 Endpoints</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Requests grouped by HTTP method and URL path template, independent of sampler labels${templating.length > 0 ? ` (${templating.join('; ')})` : ''}. The method comes from the results file or the sampler label; hover an endpoint for an example URL.
+                </p>
+                <div class="table-container" style="max-height: 600px; overflow-y: auto;">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Method</th>
+                                <th>Endpoint</th>
+                                <th>Requests</th>
+                                <th>Throughput</th>
+                                <th>Avg Response Time</th>
+                                <th>90th %ile</th>
+                                <th>95th %ile</th>
+                                <th>99th %ile</th>
+                                <th>Max</th>
+                                <th>Error %</th>
+                                <th>Avg Received</th>
+                                <th>Avg Sent</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+`;
+}
+
+// Most transactions/samplers shown in a latency breakdown chart (highest total first)
+const LATENCY_BREAKDOWN_CHART_LIMIT = 25;
+
+/**
+ * Connect / Server / Download cards of a latency breakdown
+ * @param {Object} breakdown - summarizeLatencyBreakdown() result
+ * @param {string} unit - What the averages are per ('request', 'execution')
+ */
+function generateLatencyBreakdownCardsHTML(breakdown, unit) {
+    const card = (title, value, share, description) => `
+                    <div class="card">
+                        <h3>${title}</h3>
+                        <div class="value">${value} ms</div>
+                        <div class="sub-value">${share}% &middot; ${description}</div>
+                    </div>`;
+    return `
+                <div class="summary-cards">${card('Connect', breakdown.connect, breakdown.shares.connect, 'network')}${card('Server', breakdown.server, breakdown.shares.server, 'time to first byte')}${card('Download', breakdown.download, breakdown.shares.download, 'response payload')}
+                    <div class="card">
+                        <h3>Total</h3>
+                        <div class="value">${breakdown.total} ms</div>
+                        <div class="sub-value">Average per ${unit}</div>
+                    </div>
+                </div>`;
+}
+
+/**
+ * Canvas of a latency breakdown chart, one bar per entry (capped at LATENCY_BREAKDOWN_CHART_LIMIT)
+ */
+function generateLatencyBreakdownChartHTML(entryCount, canvasId) {
+    const bars = Math.min(entryCount, LATENCY_BREAKDOWN_CHART_LIMIT);
+    return `
+                <div class="chart-container" style="height: ${Math.max(200, 80 + bars * 28)}px;">
+                    <canvas id="${canvasId}"></canvas>
+                </div>${
+                    entryCount > LATENCY_BREAKDOWN_CHART_LIMIT
+                        ? `
+                <p style="color: #666; font-size: 0.9em;">Showing the ${LATENCY_BREAKDOWN_CHART_LIMIT} slowest of ${entryCount}.</p>`
+                        : ''
+                }`;
+}
+
+/**
+ * Generate the latency breakdown section of the JMeter summary: where request time goes overall
+ * and a stacked bar per transaction (only when the results have Latency values)
+ */
+function generateLatencyBreakdownSectionHTML(jmeterData, canvasId) {
+    const breakdown = jmeterData.latencyBreakdown;
+    if (!breakdown) {
+        return '';
+    }
+    const transactionCount = Object.values(jmeterData.transactions).filter((transaction) => transaction.latencyBreakdown).length;
+
+    return `
+            <!-- Latency Breakdown -->
+            <div class="section">
+                <h2 class="section-title">⏱️ Latency Breakdown</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Where request time goes, from JMeter's Connect and Latency (time to first byte) over ${breakdown.requests.toLocaleString()} requests: <strong>connect</strong> is connection setup (network), <strong>server</strong> is latency minus connect (server processing) and <strong>download</strong> is response time minus latency (payload size and bandwidth). Transaction bars are averages per execution over all requests inside the transaction.
+                </p>
+                ${generateLatencyBreakdownCardsHTML(breakdown, 'request')}${transactionCount > 0 ? generateLatencyBreakdownChartHTML(transactionCount, canvasId) : ''}
+            </div>
+`;
+}
+
+/**
+ * Generate the latency breakdown section of a transaction detail page: the transaction per
+ * execution and a stacked bar per sampler directly inside it
+ */
+function generateTransactionLatencyBreakdownHTML(transaction, canvasId) {
+    const breakdown = transaction.latencyBreakdown;
+    if (!breakdown) {
+        return '';
+    }
+    const samplerCount = (transaction.samplerStats || []).filter((sampler) => sampler.latencyBreakdown).length;
+    const nested = (transaction.childTransactions || []).length > 0;
+
+    return `
+            <!-- Latency Breakdown -->
+            <div class="section">
+                <h2 class="section-title">⏱️ Latency Breakdown</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Request time per execution of this transaction${nested ? ', nested transactions included' : ''}: <strong>connect</strong> (network), <strong>server</strong> (time to first byte minus connect) and <strong>download</strong> (response time minus latency).${samplerCount > 0 ? ` The chart shows the average per request of each sampler${nested ? ' directly inside this transaction' : ''}.` : ''}
+                </p>
+                ${generateLatencyBreakdownCardsHTML(breakdown, 'execution')}${samplerCount > 0 ? generateLatencyBreakdownChartHTML(samplerCount, canvasId) : ''}
+            </div>
+`;
+}
+
+/**
+ * Client-side script that draws a latency breakdown as stacked horizontal bars
+ * @param {string} canvasId - Canvas element id
+ * @param {string} dataExpression - JavaScript expression that evaluates to [{ label, latencyBreakdown }]
+ * @param {string} title - Chart title
+ */
+function getLatencyBreakdownChartScript(canvasId, dataExpression, title) {
+    return `
+        (function() {
+            const canvas = document.getElementById('${canvasId}');
+            if (!canvas || Chart.getChart(canvas)) return;
+            const entries = (${dataExpression})
+                .filter(entry => entry.latencyBreakdown)
+                .sort((a, b) => b.latencyBreakdown.total - a.latencyBreakdown.total)
+                .slice(0, ${LATENCY_BREAKDOWN_CHART_LIMIT});
+            if (entries.length === 0) return;
+
+            const part = (label, key, color) => ({
+                label: label,
+                data: entries.map(entry => entry.latencyBreakdown[key]),
+                backgroundColor: color,
+                borderWidth: 0
+            });
+
+            new Chart(canvas.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: entries.map(entry => entry.label),
+                    datasets: [
+                        part('Connect (network)', 'connect', '#17a2b8'),
+                        part('Server (time to first byte)', 'server', '#667eea'),
+                        part('Download (payload)', 'download', '#ffa400')
+                    ]
+                },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', axis: 'y', intersect: false },
+                    scales: {
+                        x: { stacked: true, beginAtZero: true, title: { display: true, text: 'Average time (ms)' } },
+                        y: { stacked: true }
+                    },
+                    plugins: {
+                        legend: { display: true, position: 'top' },
+                        title: { display: true, text: ${JSON.stringify(title)} },
+                        tooltip: {
+                            callbacks: {
+                                label: (context) => context.dataset.label + ': ' + context.parsed.x + ' ms',
+                                footer: (items) => items.length > 0 ? 'Total: ' + entries[items[0].dataIndex].latencyBreakdown.total + ' ms' : ''
+                            }
+                        }
+                    }
+                }
+            });
+        })();
+`;
+}
+
+/**
+ * Generate the "Active Threads Over Time" section (only when JMeter recorded active thread counts)
+ */
+function generateActiveThreadsSectionHTML(jmeterData, canvasId) {
+    if (!jmeterData.activeThreads) {
+        return '';
+    }
+
+    return `
+            <!-- Active Threads Over Time -->
+            <div class="section">
+                <h2 class="section-title">👥 Active Threads Over Time</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    From JMeter's active thread counts (peak ${jmeterData.activeThreads.peak.total} threads${jmeterData.activeThreads.bucketSeconds > 1 ? `, ${jmeterData.activeThreads.bucketSeconds}s buckets` : ''}).${jmeterData.activeThreads.planned ? ` The shaded area is the planned load from the test plan (peak ${jmeterData.activeThreads.planned.peak.total} threads), aligned to the first sample.` : ''} Click a legend entry to show individual thread groups.
+                </p>
+                <div class="chart-container">
+                    <canvas id="${canvasId}"></canvas>
+                </div>
+            </div>
+`;
+}
+
+/**
+ * Client-side script that draws the active threads chart
+ * @param {string} canvasId - Canvas element id
+ * @param {string} dataExpression - JavaScript expression that evaluates to jmeterData.activeThreads
+ */
+function getActiveThreadsChartScript(canvasId, dataExpression) {
+    return `
+        (function() {
+            const activeThreads = ${dataExpression};
+            const canvas = document.getElementById('${canvasId}');
+            if (!activeThreads || !canvas || Chart.getChart(canvas)) return;
+
+            const palette = ['#667eea', '#0cce6b', '#ffa400', '#ff4e42', '#17a2b8', '#764ba2', '#e83e8c', '#6c757d'];
+            const userTypeKeys = Object.keys(activeThreads.byUserType);
+            let colorIndex = 0;
+            const line = (label, data, extra) => Object.assign({
+                label: label,
+                data: data,
+                borderColor: palette[colorIndex % palette.length],
+                backgroundColor: palette[colorIndex++ % palette.length],
+                borderWidth: 2,
+                pointRadius: 0,
+                stepped: true,
+                fill: false
+            }, extra || {});
+
+            const datasets = [line('All Threads', activeThreads.total, { borderColor: '#333', backgroundColor: '#333', borderDash: [6, 4] })];
+            userTypeKeys.forEach(key => datasets.push(line(activeThreads.userTypeNames[key] || key, activeThreads.byUserType[key])));
+            // Thread groups are hidden when user types already break the load down
+            Object.keys(activeThreads.byThreadGroup).forEach(group => {
+                datasets.push(line('Thread Group: ' + group, activeThreads.byThreadGroup[group], { hidden: userTypeKeys.length > 0, borderWidth: 1 }));
+            });
+            // Planned load from the JMX schedule, drawn as a shaded area behind the actual curves
+            if (activeThreads.planned) {
+                datasets.push(line('Planned (Test Plan)', activeThreads.planned.total, {
+                    borderColor: 'rgba(255, 164, 0, 0.9)',
+                    backgroundColor: 'rgba(255, 164, 0, 0.15)',
+                    fill: 'origin',
+                    order: 10
+                }));
+                Object.keys(activeThreads.planned.byThreadGroup).forEach(group => {
+                    datasets.push(line('Planned: ' + group, activeThreads.planned.byThreadGroup[group], { hidden: true, borderWidth: 1, borderDash: [2, 2] }));
+                });
+            }
+
+            new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: activeThreads.timestamps.map(ts => new Date(ts).toLocaleTimeString()),
+                    datasets: datasets
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    scales: {
+                        x: { ticks: { maxTicksLimit: 12 } },
+                        y: {
+                            beginAtZero: true,
+                            title: { display: true, text: 'Active Threads' }
+                        }
+                    },
+                    plugins: {
+                        legend: { display: true, position: 'top' },
+                        title: { display: true, text: 'Active Threads Over Time' }
+                    }
+                }
+            });
+        })();
+`;
+}
+
+/**
+ * Format a planned duration in seconds ("10m 10s")
+ */
+function formatPlannedSeconds(seconds) {
+    if (seconds === null || seconds === undefined) return '—';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const remainder = Math.round(seconds % 60);
+    return hours > 0 ? `${hours}h ${minutes}m ${remainder}s` : `${minutes}m ${remainder}s`;
+}
+
+/**
+ * Errors by category: count, first/last occurrence, response codes, samplers and example messages
+ */
+function generateErrorCategoriesHTML(errorAnalysis) {
+    const categories = errorAnalysis.categories || [];
+    if (categories.length === 0) {
+        return '';
+    }
+
+    const flags = (errorAnalysis.serverCorrelation && errorAnalysis.serverCorrelation.flags) || [];
+    const spikeBadge = (category) => {
+        const signals = flags.filter((flag) => flag.categoryKey === category.key).map((flag) => flag.signal);
+        return signals.length > 0 ? ` <span title="Lines up with ${escapeHtml(signals.join(', '))} spikes" style="color: #ffa400;">⚡</span>` : '';
+    };
+    const occurrence = (offset, timestamp) =>
+        offset === null ? '-' : `+${formatPlannedSeconds(offset)}<div style="color: #999; font-size: 0.85em;">${new Date(timestamp).toLocaleTimeString('en-US', { hour12: false })}</div>`;
+    const rows = categories
+        .map(
+            (category) => `
+                                    <tr>
+                                        <td><strong>${escapeHtml(category.name)}</strong>${category.custom ? ' <span style="color: #999; font-size: 0.85em;">(rule)</span>' : ''}${spikeBadge(category)}</td>
+                                        <td class="metric-value" style="color: #ff4e42;">${category.count.toLocaleString()}</td>
+                                        <td>${category.share}%</td>
+                                        <td>${occurrence(category.firstOffset, category.firstTimestamp)}</td>
+                                        <td>${occurrence(category.lastOffset, category.lastTimestamp)}</td>
+                                        <td>${category.responseCodes
+                                            .slice(0, 3)
+                                            .map((entry) => `${escapeHtml(entry.code.replace(/^Non HTTP response code:\s*/i, '').substring(0, 50))} (${entry.count.toLocaleString()})`)
+                                            .join('<br>')}</td>
+                                        <td>${category.samplers
+                                            .slice(0, 3)
+                                            .map((entry) => `${escapeHtml(entry.sampler)} (${entry.count.toLocaleString()})`)
+                                            .join('<br>')}</td>
+                                        <td style="max-width: 400px;">
+                                            <details>
+                                                <summary style="cursor: pointer;">${category.examples.length} example${category.examples.length === 1 ? '' : 's'}</summary>
+                                                <ul style="margin: 8px 0 0 18px; font-size: 0.85em; color: #555;">
+                                                    ${category.examples.map((example) => `<li style="word-break: break-word;">${escapeHtml(example.message)} <span style="color: #999;">(${escapeHtml(example.sampler)})</span></li>`).join('')}
+                                                </ul>
+                                            </details>
+                                        </td>
+                                    </tr>`
+        )
+        .join('');
+
+    return `
+                    <!-- Error Categories -->
+                    <div class="error-categories" style="margin-bottom: 20px;">
+                        <h4 style="font-size: 1em; color: #666; margin-bottom: 10px;">Errors by Category</h4>
+                        <div class="table-container">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Category</th>
+                                        <th>Errors</th>
+                                        <th>Share</th>
+                                        <th>First</th>
+                                        <th>Last</th>
+                                        <th>Response Codes</th>
+                                        <th>Top Samplers</th>
+                                        <th>Examples</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${rows}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>`;
+}
+
+/**
+ * Error timeline chart: errors per bucket (by category or response code) with the Azure server metric series
+ */
+function getErrorTimelineChartScript(canvasId, dataExpression) {
+    return `
+        (function() {
+            const data = ${dataExpression};
+            const canvas = document.getElementById('${canvasId}');
+            if (!data || !data.timeline || !canvas || Chart.getChart(canvas)) return;
+
+            const palette = ['#ff4e42', '#ffa400', '#667eea', '#17a2b8', '#764ba2', '#e83e8c', '#0cce6b', '#6c757d'];
+            const signalColors = { http5xx: '#b02a37', appServicePlanCpu: '#333', databaseCpu: '#0d6efd', dbConnectionsFailed: '#d63384' };
+            let mode = 'category';
+
+            const bars = (group, label, counts, index) => ({
+                label: label,
+                data: counts,
+                errorGroup: group,
+                backgroundColor: palette[index % palette.length],
+                stack: 'errors',
+                yAxisID: 'y',
+                order: 2
+            });
+            const datasets = data.timeline.categories
+                .map((category, index) => bars('category', category.name, category.counts, index))
+                .concat(data.timeline.responseCodes.map((entry, index) => bars('responseCode', entry.code, entry.counts, index)));
+            const signals = data.signals || [];
+            signals.forEach((signal, index) => {
+                const color = signalColors[signal.key.split(':')[0]] || palette[index % palette.length];
+                datasets.push({
+                    type: 'line',
+                    label: signal.label + (signal.unit === '%' ? ' (%)' : ''),
+                    data: signal.values,
+                    borderColor: color,
+                    backgroundColor: color,
+                    borderWidth: 2,
+                    borderDash: signal.unit === '%' ? [] : [6, 3],
+                    pointRadius: 0,
+                    stepped: true,
+                    spanGaps: true,
+                    fill: false,
+                    yAxisID: signal.unit === '%' ? 'yPercent' : 'yCount',
+                    order: 1
+                });
+            });
+
+            const scales = {
+                x: { stacked: true, ticks: { maxTicksLimit: 12 } },
+                y: { stacked: true, beginAtZero: true, title: { display: true, text: 'Errors' } }
+            };
+            if (signals.some(signal => signal.unit !== '%')) {
+                scales.yCount = { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'Server count' } };
+            }
+            if (signals.some(signal => signal.unit === '%')) {
+                scales.yPercent = { position: 'right', min: 0, max: 100, grid: { drawOnChartArea: false }, title: { display: true, text: 'CPU %' } };
+            }
+
+            const chart = new Chart(canvas.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: data.timeline.timestamps.map(ts => new Date(ts).toLocaleTimeString()),
+                    datasets: datasets
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    scales: scales,
+                    plugins: {
+                        legend: {
+                            display: true,
+                            position: 'top',
+                            labels: { filter: (item, chartData) => !chartData.datasets[item.datasetIndex].errorGroup || chartData.datasets[item.datasetIndex].errorGroup === mode }
+                        },
+                        tooltip: { filter: (item) => item.raw !== null && item.raw !== 0 },
+                        title: { display: true, text: 'Error Timeline (' + data.timeline.bucketSeconds + 's buckets)' }
+                    }
+                }
+            });
+
+            // By category / by response code switch
+            canvas.setErrorTimelineMode = function(nextMode) {
+                mode = nextMode;
+                chart.data.datasets.forEach((dataset, index) => {
+                    if (dataset.errorGroup) chart.setDatasetVisibility(index, dataset.errorGroup === mode);
+                });
+                chart.update();
+            };
+            canvas.setErrorTimelineMode(mode);
+        })();
+`;
+}
+
+/**
+ * Error timeline with the Azure server metrics on the same time axis, and the error categories
+ * that line up with server-side spikes (empty without an error timeline)
+ */
+function generateErrorTimelineHTML(errorAnalysis) {
+    const timeline = errorAnalysis.timeline;
+    if (!timeline) {
+        return '';
+    }
+
+    const correlation = errorAnalysis.serverCorrelation;
+    const time = (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', { hour12: false });
+    const peak = (flag, spike) => (flag.unit === '%' ? `${Math.round(spike.peak * 10) / 10}%` : Math.round(spike.peak).toLocaleString());
+    const spikeList = (flag) =>
+        flag.spikes
+            .slice(0, 3)
+            .map((spike) => `${time(spike.start)}–${time(spike.end)}, peak ${peak(flag, spike)}`)
+            .join('; ') + (flag.spikes.length > 3 ? `; +${flag.spikes.length - 3} more` : '');
+
+    let findings = '';
+    if (correlation && correlation.flags.length > 0) {
+        findings = `
+                        <div style="background: #fff8e6; border-left: 4px solid #ffa400; border-radius: 6px; padding: 12px 16px; margin-bottom: 15px;">
+                            <strong>⚡ Errors that line up with server-side spikes</strong>
+                            <ul style="margin: 8px 0 0 18px;">
+                                ${correlation.flags
+                                    .map(
+                                        (flag) =>
+                                            `<li><strong>${escapeHtml(flag.category)}</strong>: ${flag.errors.toLocaleString()} of ${flag.totalErrors.toLocaleString()} errors (${flag.share}%) during <strong>${escapeHtml(flag.signal)}</strong> spikes (${spikeList(flag)}), which cover ${flag.timeShare}% of the run</li>`
+                                    )
+                                    .join('')}
+                            </ul>
+                        </div>`;
+    } else if (correlation) {
+        findings = `
+                        <p style="color: #666; font-size: 0.9em; margin-bottom: 15px;">✓ No error category lines up with a spike in ${correlation.signals.map((signal) => escapeHtml(signal.label)).join(', ')}.</p>`;
+    }
+
+    const chartData = { timeline, signals: correlation ? correlation.signals : [] };
+    return `
+                    <!-- Error Timeline -->
+                    <div class="error-timeline" style="margin-bottom: 20px;">
+                        <h4 style="font-size: 1em; color: #666; margin-bottom: 10px;">Error Timeline</h4>
+                        <p style="color: #666; font-size: 0.9em; margin-bottom: 10px;">
+                            Failed requests per ${timeline.bucketSeconds}s bucket${
+                                correlation
+                                    ? ', with the Azure server metrics on the same time axis (lines, right axes). Server-side spikes are intervals with at least twice the average count (HTTP 5xx, DB connection failures), or CPU at 80% or more or well above its average.'
+                                    : '. Azure server metrics (HTTP 5xx, CPU, DB connection failures) are added when their time series are available in azure-server-metrics.json.'
+                            }
+                        </p>
+                        ${findings}
+                        <div style="margin-bottom: 10px;">
+                            <button onclick="setErrorTimelineMode('errorTimelineChart', 'category', this)" class="error-timeline-btn active">By Category</button>
+                            <button onclick="setErrorTimelineMode('errorTimelineChart', 'responseCode', this)" class="error-timeline-btn">By Response Code</button>
+                        </div>
+                        <div style="position: relative; height: 350px;">
+                            <canvas id="errorTimelineChart"></canvas>
+                        </div>
+                        <script>
+                            function setErrorTimelineMode(canvasId, mode, button) {
+                                const canvas = document.getElementById(canvasId);
+                                if (canvas && canvas.setErrorTimelineMode) canvas.setErrorTimelineMode(mode);
+                                button.parentNode.querySelectorAll('.error-timeline-btn').forEach(btn => btn.classList.toggle('active', btn === button));
+                            }
+                            document.addEventListener('DOMContentLoaded', function() {
+                                if (typeof Chart === 'undefined') return;
+                                ${getErrorTimelineChartScript('errorTimelineChart', JSON.stringify(chartData))}
+                            });
+                        </script>
+                    </div>`;
+}
+
+/**
+ * Planned value cell - shows the JMX expression when the value comes from a variable or property
+ */
+function formatPlannedValue(value, expression, suffix = '') {
+    if (value === null || value === undefined) {
+        return expression ? `<code>${escapeHtml(expression)}</code>` : '—';
+    }
+    return expression ? `<span title="${escapeHtml(expression)}" style="border-bottom: 1px dotted #999;">${value}${suffix}</span>` : `${value}${suffix}`;
+}
+
+/**
+ * Generate the planned vs actual load table with load shortfall warnings (part of the Test Plan section)
+ */
+function generateLoadProfileHTML(loadProfile) {
+    if (!loadProfile) {
+        return '';
+    }
+
+    const percentCell = (percent) => {
+        if (percent === null) return '—';
+        const color = percent < loadProfile.shortfallThreshold * 100 ? '#ff4e42' : '#0cce6b';
+        return `<span style="color: ${color}; font-weight: 600;">${percent}%</span>`;
+    };
+    const statusCell = (comparison) => {
+        if (comparison.shortfalls.length === 0) return '<span style="color: #0cce6b;">✓ As planned</span>';
+        return comparison.shortfalls
+            .map((shortfall) => (shortfall.cause === 'system' ? '<span style="color: #ff4e42;">⚠ System limited</span>' : '<span style="color: #856404;">⚠ Load generator shortfall</span>'))
+            .join('<br>');
+    };
+    const rows = [...loadProfile.userTypes, loadProfile.total]
+        .map(
+            (comparison) => `
+                            <tr${comparison.key === 'all' ? ' style="background: #f0f2ff; font-weight: 600;"' : ''}>
+                                <td>${escapeHtml(comparison.displayName)}</td>
+                                <td>${comparison.plannedThreads}</td>
+                                <td>${comparison.actualThreads !== null ? comparison.actualThreads : '—'}</td>
+                                <td>${percentCell(comparison.concurrencyPercent)}</td>
+                                <td>${comparison.targetThroughput !== null ? `${comparison.targetThroughput}/s` : '—'}</td>
+                                <td>${comparison.actualThroughput}/s</td>
+                                <td>${percentCell(comparison.throughputPercent)}</td>
+                                <td>${comparison.avgResponseTime !== null ? `${comparison.avgResponseTime} ms` : '—'}</td>
+                                <td>${statusCell(comparison)}</td>
+                            </tr>`
+        )
+        .join('');
+
+    const warnings = loadProfile.shortfalls
+        .map(
+            (shortfall) => `
+                <p style="color: ${shortfall.cause === 'system' ? '#721c24' : '#856404'}; background: ${shortfall.cause === 'system' ? '#f8d7da' : '#fff3cd'}; padding: 10px 15px; border-radius: 6px; margin-bottom: 10px;">
+                    <strong>${escapeHtml(shortfall.displayName)} - ${shortfall.cause === 'system' ? 'system limited' : 'load generator shortfall'} (${shortfall.metric}):</strong> ${escapeHtml(shortfall.message)}
+                </p>`
+        )
+        .join('');
+
+    return `
+                <h3 style="font-size: 1.2em; color: #555; margin: 30px 0 15px;">Planned vs Actual Load</h3>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Measured while the planned load is at its peak. Shortfalls below ${Math.round(loadProfile.shortfallThreshold * 100)}% are flagged as a load generator shortfall (JMeter did not generate the planned load) or as system limited (response times too slow for the planned threads to reach the target).
+                </p>
+                ${warnings}
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>User Type</th>
+                                <th>Planned Threads</th>
+                                <th>Actual Threads</th>
+                                <th>Concurrency</th>
+                                <th>Target Throughput</th>
+                                <th>Actual Throughput</th>
+                                <th>Throughput</th>
+                                <th>Avg Response Time</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                        </tbody>
+                    </table>
+                </div>
+`;
+}
+
+/**
+ * Generate the "Planned vs Actual Load" chart section (only when the JMX test plan is known)
+ */
+function generateLoadProfileSectionHTML(jmeterData, canvasId) {
+    const loadProfile = jmeterData.loadProfile;
+    if (!loadProfile) {
+        return '';
+    }
+
+    const options = [...loadProfile.userTypes, loadProfile.total]
+        .map((comparison) => `<option value="${escapeHtml(comparison.key)}">${escapeHtml(comparison.displayName)}</option>`)
+        .join('');
+
+    return `
+            <!-- Planned vs Actual Load -->
+            <div class="section">
+                <h2 class="section-title">🎯 Planned vs Actual Load</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Planned concurrency and target throughput from the test plan compared with what JMeter generated${loadProfile.shortfalls.length > 0 ? ` - <strong style="color: #ff4e42;">${loadProfile.shortfalls.length} shortfall(s) flagged</strong> (see the dashboard)` : ''}.
+                    <select id="${canvasId}Select" style="margin-left: 10px; padding: 4px 8px;">${options}</select>
+                </p>
+                <div class="chart-container">
+                    <canvas id="${canvasId}"></canvas>
+                </div>
+            </div>
+`;
+}
+
+/**
+ * Client-side script that draws the planned vs actual load chart
+ * @param {string} canvasId - Canvas element id (the user type selector is canvasId + 'Select')
+ * @param {string} dataExpression - JavaScript expression that evaluates to jmeterData.loadProfile
+ */
+function getLoadProfileChartScript(canvasId, dataExpression) {
+    return `
+        (function() {
+            const loadProfile = ${dataExpression};
+            const canvas = document.getElementById('${canvasId}');
+            const select = document.getElementById('${canvasId}Select');
+            if (!loadProfile || !canvas || Chart.getChart(canvas)) return;
+
+            const comparisons = loadProfile.userTypes.concat([loadProfile.total]);
+            const datasetsFor = (comparison) => {
+                const series = comparison.series;
+                const datasets = [
+                    { label: 'Planned Threads', data: series.plannedThreads, yAxisID: 'y', borderColor: 'rgba(255, 164, 0, 0.9)', backgroundColor: 'rgba(255, 164, 0, 0.15)', fill: 'origin', stepped: true },
+                    { label: 'Actual Threads', data: series.actualThreads || [], yAxisID: 'y', borderColor: '#667eea', backgroundColor: '#667eea', stepped: true },
+                    { label: 'Actual Throughput (req/s)', data: series.actualThroughput, yAxisID: 'y1', borderColor: '#0cce6b', backgroundColor: '#0cce6b' }
+                ];
+                if (series.targetThroughput) {
+                    datasets.push({ label: 'Target Throughput (req/s)', data: series.targetThroughput, yAxisID: 'y1', borderColor: '#ff4e42', backgroundColor: '#ff4e42', borderDash: [6, 4] });
+                }
+                return datasets.map(dataset => Object.assign({ borderWidth: 2, pointRadius: 0, fill: false }, dataset));
+            };
+
+            const chart = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: loadProfile.timestamps.map(ts => new Date(ts).toLocaleTimeString()),
+                    datasets: datasetsFor(comparisons[0])
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    scales: {
+                        x: { ticks: { maxTicksLimit: 12 } },
+                        y: { beginAtZero: true, position: 'left', title: { display: true, text: 'Threads' } },
+                        y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Requests/sec' } }
+                    },
+                    plugins: {
+                        legend: { display: true, position: 'top' },
+                        title: { display: true, text: 'Planned vs Actual Load' }
+                    }
+                }
+            });
+
+            if (select) {
+                select.addEventListener('change', () => {
+                    const comparison = comparisons.find(c => c.key === select.value) || comparisons[0];
+                    chart.data.datasets = datasetsFor(comparison);
+                    chart.update();
+                });
+            }
+        })();
+`;
+}
+
+/**
+ * Script tags for the Chart.js zoom plugin (drag/wheel zoom, shift + drag to pan)
+ */
+function getChartZoomScripts() {
+    return `<script src="https://cdn.jsdelivr.net/npm/hammerjs@2.0.8/hammer.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/chartjs-plugin-zoom@2.0.1/dist/chartjs-plugin-zoom.min.js"></script>`;
+}
+
+/**
+ * Generate the "Performance Over Time" section; the charts are drawn into `containerId`
+ * by drawTimeSeriesCharts() (see getTimeSeriesChartFunction)
+ * @param {Object} timeSeries - jmeterData.timeSeries
+ * @param {string} containerId - Element the charts are drawn into
+ * @param {string|null} transactionName - Only this transaction (detail pages)
+ * @param {Object|null} steadyState - jmeterData.steadyState (shaded on the charts)
+ */
+function generateTimeSeriesSectionHTML(timeSeries, containerId, transactionName = null, steadyState = null) {
+    if (!timeSeries || (transactionName && !timeSeries.transactions[transactionName])) {
+        return '';
+    }
+
+    return `
+            <!-- Performance Over Time -->
+            <div class="section">
+                <h2 class="section-title">📈 Performance Over Time</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    ${transactionName ? 'Executions of this transaction' : 'All requests or a single transaction'} per ${timeSeries.bucketSeconds}s bucket.${steadyState ? ' The shaded band is the steady state window.' : ''} Drag across a chart (or Ctrl + mouse wheel) to zoom - all charts follow; Shift + drag pans.
+                </p>
+                <div id="${containerId}"></div>
+            </div>
+`;
+}
+
+/**
+ * Client-side function that draws the time series charts:
+ * drawTimeSeriesCharts(containerId, timeSeries, transactionName, steadyState)
+ * Without a transaction name a selector switches between all requests and each transaction;
+ * the steady state window ({ start, end }, optional) is shaded.
+ */
+function getTimeSeriesChartFunction() {
+    return `
+        function drawTimeSeriesCharts(containerId, timeSeries, transactionName, steadyState) {
+            const container = document.getElementById(containerId);
+            if (!timeSeries || !container || container.getAttribute('data-drawn') === 'true') return;
+            if (transactionName && !timeSeries.transactions[transactionName]) return;
+            container.setAttribute('data-drawn', 'true');
+            if (window.ChartZoom) Chart.register(window.ChartZoom);
+
+            const escapeText = (text) => String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' })[c]);
+            const names = Object.keys(timeSeries.transactions).sort();
+            container.innerHTML =
+                '<div style="display: flex; gap: 10px; align-items: center; margin-bottom: 15px; flex-wrap: wrap;">' +
+                    (transactionName
+                        ? ''
+                        : '<label for="' + containerId + 'Select" style="color: #666;">Show:</label>' +
+                          '<select id="' + containerId + 'Select" style="padding: 6px 10px; border-radius: 6px; border: 2px solid #e0e0e0;">' +
+                              '<option value="">All requests</option>' +
+                              names.map((name) => '<option value="' + escapeText(name) + '">' + escapeText(name) + '</option>').join('') +
+                          '</select>') +
+                    '<button type="button" class="toggle-btn" id="' + containerId + 'Reset" style="font-size: 0.8em;">Reset Zoom</button>' +
+                '</div>' +
+                ['Throughput', 'ResponseTime', 'ErrorRate'].map((chart) =>
+                    '<div class="chart-container" style="height: 280px; margin: 15px 0;"><canvas id="' + containerId + chart + '"></canvas></div>'
+                ).join('');
+
+            const labels = timeSeries.timestamps.map((ts) => new Date(ts).toLocaleTimeString());
+            const charts = [];
+
+            // Buckets inside the steady state window, shaded behind the lines
+            const steadyBuckets = steadyState ? timeSeries.timestamps.map((ts, index) => (ts >= steadyState.start && ts < steadyState.end ? index : -1)).filter((index) => index >= 0) : [];
+            const steadyStatePlugin = {
+                id: 'steadyStateWindow',
+                beforeDatasetsDraw: (chart) => {
+                    if (steadyBuckets.length === 0) return;
+                    const area = chart.chartArea;
+                    const x = chart.scales.x;
+                    const left = Math.max(area.left, x.getPixelForValue(steadyBuckets[0] - 0.5));
+                    const right = Math.min(area.right, x.getPixelForValue(steadyBuckets[steadyBuckets.length - 1] + 0.5));
+                    if (right <= left) return;
+                    const ctx = chart.ctx;
+                    ctx.save();
+                    ctx.fillStyle = 'rgba(12, 206, 107, 0.08)';
+                    ctx.fillRect(left, area.top, right - left, area.bottom - area.top);
+                    ctx.fillStyle = '#0a9f53';
+                    ctx.font = '11px sans-serif';
+                    ctx.fillText('Steady state', left + 4, area.top + 12);
+                    ctx.restore();
+                }
+            };
+            const syncZoom = ({ chart }) => {
+                const { min, max } = chart.scales.x;
+                charts.forEach((other) => {
+                    if (other !== chart && other.zoomScale) other.zoomScale('x', { min: min, max: max }, 'none');
+                });
+            };
+            const line = (label, data, color, extra) => Object.assign({
+                label: label,
+                data: data,
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                pointRadius: 0,
+                spanGaps: true,
+                fill: false
+            }, extra || {});
+            const createChart = (suffix, title, yTitle, extraScales) => {
+                const canvas = document.getElementById(containerId + suffix);
+                const chart = new Chart(canvas.getContext('2d'), {
+                    type: 'line',
+                    data: { labels: labels, datasets: [] },
+                    plugins: [steadyStatePlugin],
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        animation: false,
+                        interaction: { mode: 'index', intersect: false },
+                        scales: Object.assign({
+                            x: { ticks: { maxTicksLimit: 12 } },
+                            y: { beginAtZero: true, title: { display: true, text: yTitle } }
+                        }, extraScales || {}),
+                        plugins: {
+                            legend: { display: true, position: 'top' },
+                            title: { display: true, text: title },
+                            zoom: {
+                                zoom: { drag: { enabled: true }, wheel: { enabled: true, modifierKey: 'ctrl' }, mode: 'x', onZoomComplete: syncZoom },
+                                pan: { enabled: true, mode: 'x', modifierKey: 'shift', onPanComplete: syncZoom }
+                            }
+                        }
+                    }
+                });
+                charts.push(chart);
+                return chart;
+            };
+
+            const throughputChart = createChart('Throughput', 'Throughput', 'Per second', {
+                y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Active Threads' } }
+            });
+            const responseTimeChart = createChart('ResponseTime', 'Response Time', 'Response Time (ms)');
+            const errorRateChart = createChart('ErrorRate', 'Error Rate', 'Errors (%)');
+
+            const show = (name) => {
+                const series = name ? timeSeries.transactions[name] : timeSeries.overall;
+                if (!series) return;
+                throughputChart.data.datasets = [line(name ? 'Executions/s' : 'Requests/s', series.throughput, '#667eea', { fill: 'origin', backgroundColor: 'rgba(102, 126, 234, 0.15)' })];
+                if (timeSeries.overall.activeThreads) {
+                    throughputChart.data.datasets.push(line('Active Threads', timeSeries.overall.activeThreads, '#333', { yAxisID: 'y1', borderDash: [6, 4], stepped: true, borderWidth: 1 }));
+                }
+                responseTimeChart.data.datasets = [
+                    line('Average', series.avg, '#667eea'),
+                    line('90th Percentile', series.p90, '#ffa400'),
+                    line('95th Percentile', series.p95, '#ff4e42')
+                ];
+                errorRateChart.data.datasets = [line('Error Rate (%)', series.errorRate, '#ff4e42', { fill: 'origin', backgroundColor: 'rgba(255, 78, 66, 0.15)' })];
+                charts.forEach((chart) => chart.update());
+            };
+            show(transactionName || '');
+
+            const select = document.getElementById(containerId + 'Select');
+            if (select) {
+                select.addEventListener('change', () => show(select.value));
+            }
+            const resetButton = document.getElementById(containerId + 'Reset');
+            if (resetButton) {
+                resetButton.addEventListener('click', () => charts.forEach((chart) => chart.resetZoom && chart.resetZoom()));
+            }
+        }
+`;
+}
+
+/**
+ * Time series of one transaction (keeps detail pages small)
+ */
+function selectTransactionTimeSeries(timeSeries, transactionName) {
+    if (!timeSeries || !timeSeries.transactions[transactionName]) {
+        return null;
+    }
+    return {
+        bucketSeconds: timeSeries.bucketSeconds,
+        timestamps: timeSeries.timestamps,
+        overall: { activeThreads: timeSeries.overall.activeThreads },
+        transactions: { [transactionName]: timeSeries.transactions[transactionName] },
+    };
+}
+
+/**
+ * Steady state value below a summary card value (empty without a steady state window)
+ * @param {Object} item - Transaction (or anything with a steadyState in the same shape)
+ * @param {Function} format - (stats) => display value
+ */
+function steadyStateSubValue(item, format) {
+    if (!item.steadyState || item.steadyState.totalSamples === 0) {
+        return '';
+    }
+    return `<div class="sub-value">Steady state: ${format(item.steadyState)}</div>`;
+}
+
+/**
+ * Generate the full run vs steady state comparison of the summary statistics
+ */
+function generateSteadyStateSectionHTML(jmeterData) {
+    const steadyState = jmeterData && jmeterData.steadyState;
+    if (!steadyState) {
+        return '';
+    }
+
+    const full = jmeterData.requestStats || {};
+    const steady = steadyState.requestStats;
+    const errorRate = (errors, total) => (total > 0 ? ((errors / total) * 100).toFixed(2) : '0.00');
+    const change = (fullValue, steadyValue) => {
+        if (!(fullValue > 0)) return '<td>-</td>';
+        const percent = ((steadyValue - fullValue) / fullValue) * 100;
+        return `<td style="color: #666;">${percent > 0 ? '+' : ''}${percent.toFixed(1)}%</td>`;
+    };
+    const rows = [
+        ['Requests', jmeterData.totalRequests.toLocaleString(), steadyState.totalRequests.toLocaleString(), '<td>-</td>'],
+        ['Throughput', `${jmeterData.throughput}/s`, `${steadyState.throughput}/s`, change(jmeterData.throughput, steadyState.throughput)],
+        [
+            'Error Rate',
+            `${errorRate(jmeterData.totalErrorCount, jmeterData.totalRequests)}%`,
+            `${errorRate(steadyState.totalErrorCount, steadyState.totalRequests)}%`,
+            '<td>-</td>',
+        ],
+        ...[
+            ['Avg Response Time', 'avg'],
+            ['90th %ile', 'p90'],
+            ['95th %ile', 'p95'],
+            ['99th %ile', 'p99'],
+            ['Max', 'max'],
+        ].map(([label, key]) => [label, `${full[key]} ms`, `${steady[key]} ms`, change(full[key], steady[key])]),
+    ];
+
+    const detection =
+        steadyState.source === 'auto'
+            ? `detected from ${steadyState.basis === 'activeThreads' ? 'the active thread count' : 'throughput'}. Set jmeter.steadyState.start/end (or --steady-state) to choose the window`
+            : 'configured in jmeter.steadyState';
+
+    return `
+            <!-- Steady State -->
+            <div class="section">
+                <h2 class="section-title">Full Run vs Steady State</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Steady state: ${formatPlannedSeconds(steadyState.startOffset)} to ${formatPlannedSeconds(steadyState.endOffset)} of the run (${formatPlannedSeconds(steadyState.duration)}), ${detection}. Ramp-up and ramp-down are excluded from the steady state statistics; switch the transaction tables to Steady State to compare per transaction.
+                </p>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Metric (all requests)</th>
+                                <th>Full Run</th>
+                                <th>Steady State</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows
+                                .map(
+                                    ([label, fullValue, steadyValue, changeCell]) => `
+                            <tr>
+                                <td><strong>${label}</strong></td>
+                                <td>${fullValue}</td>
+                                <td class="metric-value">${steadyValue}</td>
+                                ${changeCell}
+                            </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+`;
+}
+
+const BASELINE_STATUS = {
+    regressed: { label: '⚠ Regressed', color: '#ff4e42' },
+    improved: { label: '✓ Improved', color: '#0cce6b' },
+    unchanged: { label: 'Unchanged', color: '#666' },
+    new: { label: 'New', color: '#667eea' },
+    missing: { label: 'Missing', color: '#ffa400' },
+};
+
+function formatBaselineValue(value, unit) {
+    if (value === null || value === undefined) return '-';
+    return `${value.toLocaleString()}${unit === 'ms' ? ' ms' : unit}`;
+}
+
+/**
+ * Change vs the baseline: percentage points for error rates, percent otherwise
+ */
+function formatBaselineChange(metricKey, comparison) {
+    if (comparison.delta === null) return '-';
+    if (metricKey === 'errorRate') return `${comparison.delta > 0 ? '+' : ''}${comparison.delta} pts`;
+    if (comparison.deltaPercent === null) return comparison.delta === 0 ? '0%' : `${comparison.delta > 0 ? '+' : ''}${comparison.delta.toLocaleString()}`;
+    return `${comparison.deltaPercent > 0 ? '+' : ''}${comparison.deltaPercent}%`;
+}
+
+/**
+ * Statistical significance of a change: "significant, p = 0.003", "not significant, 95% CI -4 to +12 ms"
+ */
+function formatSignificance(significance, unit) {
+    if (!significance) return '';
+    const detail = significance.ci
+        ? `${significance.confidence}% CI ${significance.ci[0] > 0 ? '+' : ''}${significance.ci[0]} to ${significance.ci[1] > 0 ? '+' : ''}${formatBaselineValue(significance.ci[1], unit)}`
+        : significance.pValue < 0.0001
+          ? 'p < 0.0001'
+          : `p = ${significance.pValue}`;
+    return `${significance.significant ? 'significant' : 'not significant'}, ${detail}`;
+}
+
+function baselineDeltaCell(metricKey, comparison, unit) {
+    if (!comparison) return '<td>-</td>';
+    const color = comparison.status === 'regressed' ? BASELINE_STATUS.regressed.color : comparison.status === 'improved' ? BASELINE_STATUS.improved.color : '#888';
+    const significance = comparison.significance;
+    return `<td>
+                                    ${formatBaselineValue(comparison.current, unit)}
+                                    <div style="font-size: 0.8em; color: ${color};${comparison.status === 'regressed' ? ' font-weight: bold;' : ''}">${formatBaselineChange(metricKey, comparison)} vs ${formatBaselineValue(comparison.baseline, unit)}</div>
+                                    ${significance ? `<div style="font-size: 0.75em; color: ${significance.significant ? '#333' : '#aaa'};">${escapeHtml(formatSignificance(significance, unit))}</div>` : ''}
+                                </td>`;
+}
+
+/**
+ * Which run is the baseline and what counts as a regression
+ */
+function generateBaselineDescription(baselineComparison) {
+    const { baseline, tolerances, minSamples, significance } = baselineComparison;
+    const run = baseline.startTime ? `the baseline run of ${baseline.startTime} ${baseline.timezone || ''}`.trim() : 'the baseline run';
+    return `Compared with ${run} (${escapeHtml(baseline.source)}). Regressions: response times more than ${tolerances.responseTime}% slower, error rate more than ${tolerances.errorRate} percentage points higher, throughput more than ${tolerances.throughput}% lower${baselineComparison.azure.length > 0 ? `, Azure metrics more than ${tolerances.azure}% worse` : ''}. Transactions with fewer than ${minSamples} samples are not flagged.${
+        significance
+            ? ` Response time changes are tested for statistical significance at ${significance.confidence}% confidence (${significance.methodLabel}, on a random sample of each run's response times), error rate changes with a two-proportion z-test; throughput and Azure metrics are not tested.`
+            : ''
+    }`;
+}
+
+/**
+ * Generate the per-transaction comparison with the baseline run (empty without a baseline)
+ */
+function generateBaselineSectionHTML(baselineComparison) {
+    if (!baselineComparison) {
+        return '';
+    }
+
+    const { overall, transactions, summary } = baselineComparison;
+    const metricColumns = [
+        ['avg', 'Avg', 'ms'],
+        ['p90', '90th %ile', 'ms'],
+        ['p95', '95th %ile', 'ms'],
+        ['errorRate', 'Error Rate', '%'],
+        ['throughput', 'Throughput', '/s'],
+    ];
+
+    return `
+            <!-- Baseline Comparison -->
+            <div class="section" id="baseline">
+                <h2 class="section-title">Baseline Comparison</h2>
+                <p style="color: #666; margin-bottom: 15px;">${generateBaselineDescription(baselineComparison)}</p>
+                <div class="summary-cards">
+                    <div class="card ${summary.regressions > 0 ? 'error-card' : 'success-card'}">
+                        <h3>Regressions</h3>
+                        <div class="value">${summary.regressions}</div>
+                        <div class="sub-value">${summary.regressedTransactions} transaction(s)${summary.azureRegressions > 0 ? `, ${summary.azureRegressions} Azure metric(s)` : ''}${baselineComparison.significance ? `<br>${summary.significantRegressions} statistically significant` : ''}</div>
+                    </div>
+                    <div class="card">
+                        <h3>Improved</h3>
+                        <div class="value">${summary.improvedTransactions}</div>
+                        <div class="sub-value">Transactions beyond tolerance</div>
+                    </div>
+                    <div class="card">
+                        <h3>New / Missing</h3>
+                        <div class="value">${summary.newTransactions} / ${summary.missingTransactions}</div>
+                        <div class="sub-value">Transactions only in one run</div>
+                    </div>
+                </div>
+                ${
+                    overall
+                        ? `
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>All Requests</th>
+                                ${metricColumns.map(([, label]) => `<th>${label}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr>
+                                <td><strong>Current vs baseline</strong></td>
+                                ${metricColumns.map(([key, , unit]) => baselineDeltaCell(key, overall[key], unit)).join('')}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>`
+                        : ''
+                }
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Transaction</th>
+                                <th>Status</th>
+                                <th>Samples</th>
+                                ${metricColumns.map(([, label]) => `<th>${label}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${transactions
+                                .map(
+                                    (transaction) => `
+                            <tr>
+                                <td><strong>${escapeHtml(transaction.name)}</strong></td>
+                                <td style="color: ${BASELINE_STATUS[transaction.status].color}; font-weight: bold; white-space: nowrap;">${BASELINE_STATUS[transaction.status].label}</td>
+                                <td>${transaction.totalSamples.toLocaleString()}<div style="font-size: 0.8em; color: #888;">vs ${transaction.baselineSamples.toLocaleString()}${transaction.lowSamples ? ' (too few to flag)' : ''}</div></td>
+                                ${
+                                    transaction.metrics
+                                        ? metricColumns.map(([key, , unit]) => baselineDeltaCell(key, transaction.metrics[key], unit)).join('')
+                                        : `<td colspan="${metricColumns.length}" style="color: #888;">${transaction.status === 'new' ? 'Not in the baseline run' : 'Not in this run'}</td>`
+                                }
+                            </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+`;
+}
+
+/**
+ * Generate the Azure server metric comparison with the baseline run (empty without a baseline)
+ */
+function generateAzureBaselineSectionHTML(baselineComparison) {
+    if (!baselineComparison) {
+        return '';
+    }
+
+    return `
+            <!-- Baseline Comparison -->
+            <div class="section">
+                <h2 class="section-title">📐 Server Metrics vs Baseline</h2>
+                ${
+                    baselineComparison.azure.length === 0
+                        ? '<p style="color: #666;">Azure server metrics are not available for both runs, so they cannot be compared.</p>'
+                        : `
+                <p style="color: #666; margin-bottom: 15px;">${generateBaselineDescription(baselineComparison)}</p>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Metric</th>
+                                <th>Status</th>
+                                <th>Baseline</th>
+                                <th>Current</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${baselineComparison.azure
+                                .map(
+                                    (metric) => `
+                            <tr>
+                                <td><strong>${escapeHtml(metric.label)}</strong></td>
+                                <td style="color: ${BASELINE_STATUS[metric.status].color}; font-weight: bold;">${BASELINE_STATUS[metric.status].label}</td>
+                                <td>${formatBaselineValue(metric.baseline, metric.unit)}</td>
+                                <td class="metric-value">${formatBaselineValue(metric.current, metric.unit)}</td>
+                                <td>${formatBaselineChange(metric.key, metric)}</td>
+                            </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>`
+                }
+            </div>
+`;
+}
+
+/**
+ * Generate the dashboard summary of the baseline comparison (empty without a baseline)
+ */
+function generateBaselineDashboardHTML(baselineComparison) {
+    if (!baselineComparison) {
+        return '';
+    }
+
+    const { regressions, summary, baseline } = baselineComparison;
+    return `
+            <!-- Baseline Comparison -->
+            <div class="section">
+                <div class="card ${regressions.length > 0 ? 'warning-card' : 'success-card'}" style="margin-bottom: 20px;">
+                    <h3>📐 Baseline Comparison${baseline.startTime ? ` - run of ${baseline.startTime} ${baseline.timezone || ''}` : ''}</h3>
+                    <div class="value" style="font-size: 1.5em; color: ${regressions.length > 0 ? '#ff4e42' : '#0cce6b'};">${regressions.length > 0 ? `${regressions.length} regression(s)` : 'No regressions'}</div>
+                    <div class="sub-value">${summary.regressedTransactions} transaction(s) regressed, ${summary.improvedTransactions} improved, ${summary.newTransactions} new, ${summary.missingTransactions} missing${summary.azureRegressions > 0 ? `, ${summary.azureRegressions} Azure metric(s) regressed` : ''}${baselineComparison.significance ? ` - ${summary.significantRegressions} of ${regressions.length} regression(s) statistically significant` : ''}</div>
+                    ${
+                        regressions.length > 0
+                            ? `
+                    <ul style="margin: 15px 0 10px 20px; color: #555; line-height: 1.7;">
+                        ${regressions
+                            .slice(0, 5)
+                            .map(
+                                (regression) =>
+                                    `<li><strong>${escapeHtml(regression.scope)}</strong> - ${regression.label}: ${formatBaselineValue(regression.baseline, regression.unit)} → ${formatBaselineValue(regression.current, regression.unit)} (${formatBaselineChange(regression.metric, regression)})${regression.significance ? ` <span style="color: ${regression.significant ? '#333' : '#aaa'};">${escapeHtml(formatSignificance(regression.significance, regression.unit))}</span>` : ''}</li>`
+                            )
+                            .join('')}
+                        ${regressions.length > 5 ? `<li>... and ${regressions.length - 5} more</li>` : ''}
+                    </ul>`
+                            : ''
+                    }
+                    <a href="jmeter/summary.html" class="btn-primary" style="margin-top: 10px;">View Comparison →</a>
+                </div>
+            </div>
+`;
+}
+
+// Trend status of a transaction across the run history
+const TREND_STATUS = {
+    degrading: { label: '⚠ Degrading', color: '#ff4e42' },
+    improving: { label: '✓ Improving', color: '#0cce6b' },
+    stable: { label: 'Stable', color: '#666' },
+    missing: { label: 'Not in latest run', color: '#ffa400' },
+    insufficient: { label: 'Single run', color: '#999' },
+};
+
+// Azure server metrics charted on the Trends page (when present in the history)
+const AZURE_TREND_METRICS = ['appServicePlan.cpuAvg', 'appServicePlan.cpuMax', 'appServicePlan.memoryAvg', 'appServicePlan.memoryMax', 'database.cpuAvg', 'database.cpuMax'];
+
+/**
+ * Name of a run on the Trends page: its label, otherwise its start time
+ */
+function getHistoryRunLabel(run) {
+    return run.label || (run.run && run.run.startTime) || new Date(run.generatedAt).toLocaleString();
+}
+
+/**
+ * Chart series of the run history (oldest run first)
+ */
+function prepareTrendChartData(runHistory) {
+    const runs = runHistory.runs;
+    const average = (values) => {
+        const numbers = values.filter((value) => typeof value === 'number');
+        return numbers.length > 0 ? Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 1000) / 1000 : null;
+    };
+    const responseTime = (run, key) => (run.jmeter && run.jmeter.responseTimes ? run.jmeter.responseTimes[key] : null);
+
+    const transactions = {};
+    runs.forEach((run, index) => {
+        Object.entries((run.jmeter && run.jmeter.transactions) || {}).forEach(([name, transaction]) => {
+            if (!transactions[name]) {
+                transactions[name] = { avg: runs.map(() => null), p90: runs.map(() => null), p95: runs.map(() => null) };
+            }
+            ['avg', 'p90', 'p95'].forEach((key) => {
+                transactions[name][key][index] = transaction.responseTimes ? transaction.responseTimes[key] : null;
+            });
+        });
+    });
+
+    const azure = AZURE_TREND_METRICS.map((key) => {
+        const latest = [...runs].reverse().find((run) => run.azure && run.azure[key]);
+        return latest ? { key, label: latest.azure[key].label, values: runs.map((run) => (run.azure && run.azure[key] ? run.azure[key].value : null)) } : null;
+    }).filter(Boolean);
+
+    const playwrightRuns = runs.map((run) => Object.values(run.playwright || {}));
+    const playwright = playwrightRuns.some((tests) => tests.length > 0)
+        ? {
+              lcp: playwrightRuns.map((tests) => average(tests.map((test) => test.lcp))),
+              fcp: playwrightRuns.map((tests) => average(tests.map((test) => test.fcp))),
+              pageLoadTime: playwrightRuns.map((tests) => average(tests.map((test) => test.pageLoadTime))),
+          }
+        : null;
+
+    return {
+        labels: runs.map(getHistoryRunLabel),
+        avg: runs.map((run) => responseTime(run, 'avg')),
+        p90: runs.map((run) => responseTime(run, 'p90')),
+        p95: runs.map((run) => responseTime(run, 'p95')),
+        throughput: runs.map((run) => (run.jmeter ? run.jmeter.throughput : null)),
+        errorRate: runs.map((run) => (run.jmeter ? run.jmeter.errorRate : null)),
+        sla: runs.map((run) => (run.sla ? run.sla.verdict : null)),
+        transactions,
+        azure,
+        playwright,
+    };
+}
+
+/**
+ * Generate the Trends page content: summary cards, charts and the run / transaction trend tables
+ */
+function generateTrendsContentHTML(runHistory) {
+    const { runs, totalRuns, dir, currentId, tolerance, transactionTrends: trends } = runHistory;
+    const degrading = trends.filter((trend) => trend.status === 'degrading');
+    const incompleteRuns = runs.filter((run) => run.sla && run.sla.verdict === 'incomplete').length;
+    const chartData = prepareTrendChartData(runHistory);
+    const latest = runs[runs.length - 1];
+    const previous = runs.length > 1 ? runs[runs.length - 2] : null;
+    const latestP95 = latest.jmeter && latest.jmeter.responseTimes ? latest.jmeter.responseTimes.p95 : null;
+    const previousP95 = previous && previous.jmeter && previous.jmeter.responseTimes ? previous.jmeter.responseTimes.p95 : null;
+    const p95Change = latestP95 !== null && previousP95 > 0 ? Math.round(((latestP95 - previousP95) / previousP95) * 10000) / 100 : null;
+    const slaBadge = (sla) =>
+        !sla
+            ? '<span style="color: #999;">-</span>'
+            : sla.verdict === 'passed'
+              ? '<span style="color: #0cce6b; font-weight: bold;">✓ Passed</span>'
+              : sla.verdict === 'incomplete'
+                ? `<span style="color: #ffa400; font-weight: bold;" title="All ${sla.skipped} rule(s) skipped (no data)">⚠ Incomplete</span>`
+                : `<span style="color: #ff4e42; font-weight: bold;" title="${escapeHtml(sla.failedRules.join(', '))}">✗ Failed (${sla.failed})</span>`;
+    const chartBox = (canvasId) => `<div style="position: relative; height: 320px; margin: 15px 0;"><canvas id="${canvasId}"></canvas></div>`;
+
+    return `
+            <div class="summary-cards">
+                <div class="card">
+                    <h3>Runs</h3>
+                    <div class="value">${runs.length}</div>
+                    <div class="sub-value">Last ${runs.length} of ${totalRuns} recorded run(s)</div>
+                </div>
+                <div class="card ${p95Change !== null && p95Change > tolerance ? 'warning-card' : ''}">
+                    <h3>95th %ile vs Previous Run</h3>
+                    <div class="value">${p95Change !== null ? `${p95Change > 0 ? '+' : ''}${p95Change}%` : '-'}</div>
+                    <div class="sub-value">${latestP95 !== null ? `${latestP95.toLocaleString()} ms` : 'No JMeter data'}${previousP95 !== null ? ` (was ${previousP95.toLocaleString()} ms)` : ''}</div>
+                </div>
+                <div class="card ${degrading.length > 0 ? 'error-card' : 'success-card'}">
+                    <h3>Degrading Transactions</h3>
+                    <div class="value">${degrading.length}</div>
+                    <div class="sub-value">95th %ile more than ${tolerance}% slower than in the first run, trending up</div>
+                </div>
+                <div class="card">
+                    <h3>Latest SLA Verdict</h3>
+                    <div class="value" style="font-size: 1.5em;">${slaBadge(latest.sla)}</div>
+                    <div class="sub-value">${runs.filter((run) => run.sla && run.sla.verdict === 'failed').length} of ${runs.length} run(s) failed${incompleteRuns > 0 ? `, ${incompleteRuns} incomplete` : ''}</div>
+                </div>
+            </div>
+            <p style="color: #666; margin-bottom: 20px; font-size: 0.9em;">History: ${escapeHtml(path.join(dir, HISTORY_FILE))}</p>
+
+            ${
+                runs.length < 2
+                    ? `
+            <div class="section">
+                <div class="empty-state">
+                    <p>Trends appear once at least two runs are recorded in the history</p>
+                </div>
+            </div>`
+                    : `
+            <div class="section">
+                <h2 class="section-title">📉 Response Times</h2>
+                ${chartBox('trendResponseTimeChart')}
+            </div>
+
+            <div class="section">
+                <h2 class="section-title">🚀 Throughput & Error Rate</h2>
+                ${chartBox('trendThroughputChart')}
+            </div>
+
+            <div class="section">
+                <h2 class="section-title">
+                    🔍 Transaction Response Times
+                    <select id="trendTransactionSelect" style="font-size: 0.6em; padding: 6px 10px; border-radius: 6px; border: 1px solid #ddd;">
+                        ${trends.map((trend) => `<option value="${escapeHtml(trend.name)}">${escapeHtml(trend.name)}</option>`).join('')}
+                    </select>
+                </h2>
+                ${chartBox('trendTransactionChart')}
+            </div>
+
+            ${
+                chartData.azure.length > 0
+                    ? `
+            <div class="section">
+                <h2 class="section-title">☁️ Azure Server Metrics</h2>
+                ${chartBox('trendAzureChart')}
+            </div>`
+                    : ''
+            }
+
+            ${
+                chartData.playwright
+                    ? `
+            <div class="section">
+                <h2 class="section-title">🎭 Playwright Web Vitals (average of all tests)</h2>
+                ${chartBox('trendPlaywrightChart')}
+            </div>`
+                    : ''
+            }`
+            }
+
+            <div class="section">
+                <h2 class="section-title">🧭 Transaction Trends (95th %ile)</h2>
+                <p style="color: #666; margin-bottom: 15px;">Latest run vs the first run each transaction appears in. Trend/run is the fitted change per run as a share of the average.</p>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Transaction</th>
+                                <th>Status</th>
+                                <th>Runs</th>
+                                <th>First</th>
+                                <th>Latest</th>
+                                <th>Min / Max</th>
+                                <th>Change</th>
+                                <th>Trend/run</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${trends
+                                .map(
+                                    (trend) => `
+                            <tr>
+                                <td><strong>${escapeHtml(trend.name)}</strong></td>
+                                <td style="color: ${TREND_STATUS[trend.status].color}; font-weight: bold; white-space: nowrap;">${TREND_STATUS[trend.status].label}</td>
+                                <td>${trend.runs}</td>
+                                <td>${formatBaselineValue(trend.first, 'ms')}</td>
+                                <td class="metric-value">${formatBaselineValue(trend.latest, 'ms')}</td>
+                                <td>${formatBaselineValue(trend.min, 'ms')} / ${formatBaselineValue(trend.max, 'ms')}</td>
+                                <td style="color: ${TREND_STATUS[trend.status].color};">${trend.changePercent !== null ? `${trend.changePercent > 0 ? '+' : ''}${trend.changePercent}%` : '-'}</td>
+                                <td>${trend.slopePercent !== null ? `${trend.slopePercent > 0 ? '+' : ''}${trend.slopePercent}%` : '-'}</td>
+                            </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div class="section">
+                <h2 class="section-title">📋 Runs</h2>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Run</th>
+                                <th>Started</th>
+                                <th>Environment</th>
+                                <th>Requests</th>
+                                <th>Error Rate</th>
+                                <th>Throughput</th>
+                                <th>Avg</th>
+                                <th>95th %ile</th>
+                                <th>SLA</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${[...runs]
+                                .reverse()
+                                .map((run) => {
+                                    const jmeter = run.jmeter || {};
+                                    const responseTimes = jmeter.responseTimes || {};
+                                    return `
+                            <tr${run.id === currentId ? ' style="background: #f0f4ff;"' : ''}>
+                                <td><strong>${escapeHtml(getHistoryRunLabel(run))}</strong>${run.id === currentId ? ' <span style="color: #667eea; font-size: 0.85em;">(this report)</span>' : ''}</td>
+                                <td>${run.run ? `${escapeHtml(run.run.startTime)} ${escapeHtml(run.run.timezone || '')}` : '-'}</td>
+                                <td>${run.run && run.run.environment ? escapeHtml(run.run.environment) : '-'}</td>
+                                <td>${jmeter.totalRequests !== undefined ? jmeter.totalRequests.toLocaleString() : '-'}</td>
+                                <td>${formatBaselineValue(jmeter.errorRate, '%')}</td>
+                                <td>${formatBaselineValue(jmeter.throughput, '/s')}</td>
+                                <td>${formatBaselineValue(responseTimes.avg, 'ms')}</td>
+                                <td class="metric-value">${formatBaselineValue(responseTimes.p95, 'ms')}</td>
+                                <td>${slaBadge(run.sla)}</td>
+                            </tr>`;
+                                })
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+`;
+}
+
+/**
+ * Chart.js script drawing the Trends page charts from prepareTrendChartData() output
+ */
+function getTrendChartsScript(dataExpression) {
+    return `
+        (function() {
+            const trend = ${dataExpression};
+            if (!trend || trend.labels.length < 2) return;
+
+            const line = (label, data, color, extra) => Object.assign({
+                label: label,
+                data: data,
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                pointRadius: 4,
+                spanGaps: true,
+                fill: false
+            }, extra || {});
+            const draw = (canvasId, datasets, title, scales) => {
+                const canvas = document.getElementById(canvasId);
+                if (!canvas) return null;
+                const existing = Chart.getChart(canvas);
+                if (existing) existing.destroy();
+                return new Chart(canvas.getContext('2d'), {
+                    type: 'line',
+                    data: { labels: trend.labels, datasets: datasets },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        interaction: { mode: 'index', intersect: false },
+                        scales: scales || { y: { beginAtZero: true, title: { display: true, text: 'Response Time (ms)' } } },
+                        plugins: {
+                            legend: { display: true, position: 'top' },
+                            title: { display: true, text: title },
+                            tooltip: {
+                                callbacks: {
+                                    footer: (items) => {
+                                        const verdict = items.length > 0 ? trend.sla[items[0].dataIndex] : null;
+                                        return verdict ? 'SLA: ' + verdict.toUpperCase() : '';
+                                    }
+                                }
+                            }
+                        }
+                    }
+                });
+            };
+
+            draw('trendResponseTimeChart', [
+                line('Avg', trend.avg, '#667eea'),
+                line('90th %ile', trend.p90, '#ffa400'),
+                line('95th %ile', trend.p95, '#ff4e42')
+            ], 'All Requests - Response Times per Run');
+
+            draw('trendThroughputChart', [
+                line('Throughput (req/s)', trend.throughput, '#0cce6b', { yAxisID: 'y' }),
+                line('Error Rate (%)', trend.errorRate, '#ff4e42', { yAxisID: 'y1', borderDash: [6, 4] })
+            ], 'Throughput & Error Rate per Run', {
+                y: { beginAtZero: true, position: 'left', title: { display: true, text: 'Requests/s' } },
+                y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Error Rate (%)' } }
+            });
+
+            const select = document.getElementById('trendTransactionSelect');
+            const drawTransaction = () => {
+                const series = select ? trend.transactions[select.value] : null;
+                if (!series) return;
+                draw('trendTransactionChart', [
+                    line('Avg', series.avg, '#667eea'),
+                    line('90th %ile', series.p90, '#ffa400'),
+                    line('95th %ile', series.p95, '#ff4e42')
+                ], select.value + ' - Response Times per Run');
+            };
+            if (select) {
+                select.addEventListener('change', drawTransaction);
+                drawTransaction();
+            }
+
+            const palette = ['#667eea', '#0cce6b', '#ffa400', '#ff4e42', '#17a2b8', '#764ba2'];
+            draw('trendAzureChart', trend.azure.map((metric, index) => line(metric.label, metric.values, palette[index % palette.length])), 'Azure Server Metrics per Run', {
+                y: { beginAtZero: true, title: { display: true, text: '%' } }
+            });
+
+            if (trend.playwright) {
+                draw('trendPlaywrightChart', [
+                    line('LCP', trend.playwright.lcp, '#ff4e42'),
+                    line('FCP', trend.playwright.fcp, '#667eea'),
+                    line('Page Load Time', trend.playwright.pageLoadTime, '#0cce6b', { borderDash: [6, 4] })
+                ], 'Playwright Web Vitals per Run', {
+                    y: { beginAtZero: true, title: { display: true, text: 'Time (ms)' } }
+                });
+            }
+        })();
+`;
+}
+
+/**
+ * Generate the Trends page (run history charts)
+ */
+function generateTrendsSummary(runHistory, trendsSummary) {
+    const html = generateTrendsSummaryHTML(runHistory);
+    fs.writeFileSync(trendsSummary, html, 'utf-8');
+    console.log(`   ✓ Trends page generated (${runHistory.runs.length} run(s))`);
+}
+
+/**
+ * Generate Trends page HTML
+ */
+function generateTrendsSummaryHTML(runHistory) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Performance Trends</title>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+    ${getCommonStyles()}
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>📈 Performance Trends</h1>
+            <p>Key metrics across the last ${runHistory.runs.length} run(s)</p>
+        </div>
+
+        <div class="content">
+            ${generateTrendsContentHTML(runHistory)}
         </div>
 
         <div class="footer">
@@ -2083,122 +5459,244 @@ function generateJMeterSummaryHTML(jmeterData) {
     </div>
 
     <script>
-        // Toggle setup/teardown transactions
-        let setupTransactionsVisible = false;
+        ${getTrendChartsScript(JSON.stringify(prepareTrendChartData(runHistory)))}
+    </script>
+</body>
+</html>`;
+}
 
-        function toggleSetupTransactions() {
-            setupTransactionsVisible = !setupTransactionsVisible;
-            const setupRows = document.querySelectorAll('.setup-transaction');
-            const btn = document.getElementById('setupToggleBtn');
+/**
+ * Generate the Trends dashboard card (empty when the run history is disabled)
+ */
+function generateTrendsDashboardCardHTML(runHistory) {
+    if (!runHistory) {
+        return '';
+    }
 
-            setupRows.forEach(row => {
-                if (setupTransactionsVisible) {
-                    row.classList.add('visible');
-                } else {
-                    row.classList.remove('visible');
-                }
-            });
+    const degrading = runHistory.transactionTrends.filter((trend) => trend.status === 'degrading');
+    return `
+                <!-- Trends Card -->
+                <div class="dashboard-card">
+                    <h2>
+                        <span class="icon">📈</span>
+                        Trends
+                    </h2>
+                    <p>Key metrics across recent runs</p>
 
-            // Update button text
-            if (setupTransactionsVisible) {
-                btn.innerHTML = '☑️ Hide Setup/Teardown (${setupTransactions.length})';
-            } else {
-                btn.innerHTML = '☐ Show Setup/Teardown (${setupTransactions.length})';
-            }
+                    <div class="stats">
+                        <div class="stat-row">
+                            <span class="stat-label">Runs:</span>
+                            <span class="stat-value">${runHistory.runs.length} of ${runHistory.totalRuns}</span>
+                        </div>
+                        <div class="stat-row">
+                            <span class="stat-label">Degrading Transactions:</span>
+                            <span class="stat-value" style="color: ${degrading.length > 0 ? '#ff4e42' : '#0cce6b'};">${runHistory.runs.length < 2 ? '-' : degrading.length}</span>
+                        </div>
+                    </div>
 
-            // Reapply filter if active
-            filterTransactions();
-        }
+                    <a href="trends/summary.html" class="btn-primary">
+                        View Trends →
+                    </a>
+                </div>
+`;
+}
 
-        // Filter transactions by name
-        function filterTransactions() {
-            const input = document.getElementById('transactionFilter');
-            const filter = input.value.toLowerCase();
-            const tbody = document.getElementById('transactionTableBody');
-            const rows = tbody.getElementsByTagName('tr');
-            let visibleCount = 0;
+/**
+ * Generate the "Test Plan" dashboard section from the parsed JMX (intended load profile vs. what actually ran)
+ */
+function generateTestPlanHTML(jmeterData, reportConfig) {
+    const testPlan = jmeterData && jmeterData.testPlan;
+    if (!testPlan) {
+        return '';
+    }
 
-            for (let i = 0; i < rows.length; i++) {
-                const row = rows[i];
-                const transactionName = row.getElementsByTagName('td')[0];
-                const isSetupRow = row.classList.contains('setup-transaction');
+    const userTypes = reportConfig && reportConfig.userTypes ? reportConfig.userTypes : DEFAULT_USER_TYPES;
+    const userTypeName = (key) => (userTypes.find((userType) => userType.key === key) || { displayName: key }).displayName;
+    const actualPeaks = jmeterData.activeThreads ? jmeterData.activeThreads.peak.byThreadGroup : {};
+    const disabledStyle = (item) => (item.enabled ? '' : ' style="color: #aaa;"');
+    const scopeName = (item) => escapeHtml(item.threadGroup || 'All thread groups');
+    const { summary } = testPlan;
+
+    const threadGroupRows = testPlan.threadGroups
+        .map(
+            (group) => `
+                            <tr${disabledStyle(group)}>
+                                <td><strong>${escapeHtml(group.name)}</strong>${group.enabled ? '' : ' (disabled)'}${group.scheduleSummary ? `<div style="color: #999; font-size: 0.8em;">${escapeHtml(group.scheduleSummary)}</div>` : ''}</td>
+                                <td>${escapeHtml(group.typeLabel)}</td>
+                                <td>${group.userTypes.length > 0 ? group.userTypes.map((key) => escapeHtml(userTypeName(key))).join(', ') : '—'}</td>
+                                <td class="metric-value">${formatPlannedValue(group.threads, group.expressions.threads)}</td>
+                                <td>${formatPlannedValue(group.rampUp, group.expressions.rampUp, 's')}</td>
+                                <td>${group.loops === -1 ? 'Infinite' : formatPlannedValue(group.loops, group.expressions.loops)}</td>
+                                <td>${group.scheduler ? formatPlannedValue(group.duration, group.expressions.duration, 's') : '—'}</td>
+                                <td>${group.scheduler && group.delay ? formatPlannedValue(group.delay, group.expressions.delay, 's') : '—'}</td>
+                                <td>${escapeHtml(group.onSampleError)}</td>
+                                <td>${actualPeaks[group.name] !== undefined ? actualPeaks[group.name] : '—'}</td>
+                            </tr>`
+        )
+        .join('');
 
-                if (transactionName) {
-                    const txtValue = transactionName.textContent || transactionName.innerText;
-                    const matchesFilter = txtValue.toLowerCase().indexOf(filter) > -1;
-                    const shouldShow = matchesFilter && (!isSetupRow || setupTransactionsVisible);
+    const timerRows = testPlan.throughputTimers
+        .map(
+            (timer) => `
+                            <tr${disabledStyle(timer)}>
+                                <td><strong>${escapeHtml(timer.name)}</strong>${timer.enabled ? '' : ' (disabled)'}</td>
+                                <td>${escapeHtml(timer.typeLabel)}</td>
+                                <td>${scopeName(timer)}</td>
+                                <td class="metric-value">${timer.targetPerSecond !== null ? `${timer.targetPerSecond.toFixed(2)}/s` : '—'}</td>
+                                <td>${escapeHtml(timer.details)}</td>
+                            </tr>`
+        )
+        .join('');
 
-                    if (shouldShow) {
-                        if (isSetupRow) {
-                            row.classList.add('visible');
-                        }
-                        row.style.display = '';
-                        visibleCount++;
-                    } else {
-                        row.style.display = 'none';
-                    }
-                }
-            }
+    const csvRows = testPlan.csvDataSets
+        .map(
+            (dataSet) => `
+                            <tr${disabledStyle(dataSet)}>
+                                <td><strong>${escapeHtml(dataSet.name)}</strong>${dataSet.enabled ? '' : ' (disabled)'}</td>
+                                <td><code>${escapeHtml(dataSet.filename || '')}</code></td>
+                                <td>${escapeHtml(dataSet.variableNames.join(', ') || '(header row)')}</td>
+                                <td>${escapeHtml(dataSet.shareMode)}</td>
+                                <td>${dataSet.recycle ? 'Yes' : 'No'}${dataSet.stopThread ? ', stops thread at EOF' : ''}</td>
+                                <td>${scopeName(dataSet)}</td>
+                            </tr>`
+        )
+        .join('');
 
-            // Update count display
-            const filterCount = document.getElementById('filterCount');
-            if (filter) {
-                filterCount.textContent = \`Showing \${visibleCount} transactions\`;
-            } else {
-                filterCount.textContent = '';
-            }
-        }
+    const assertionRows = testPlan.assertions
+        .map(
+            (assertion) => `
+                            <tr${disabledStyle(assertion)}>
+                                <td><strong>${escapeHtml(assertion.name)}</strong>${assertion.enabled ? '' : ' (disabled)'}</td>
+                                <td>${escapeHtml(assertion.type)}</td>
+                                <td>${escapeHtml(assertion.parent)}</td>
+                                <td>${escapeHtml(assertion.details)}</td>
+                            </tr>`
+        )
+        .join('');
 
-        // Performance Chart
-        const ctx = document.getElementById('performanceChart').getContext('2d');
-        new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: ${JSON.stringify(transactions.map((tx) => tx.name))},
-                datasets: [
-                    {
-                        label: 'Avg Response Time (ms)',
-                        data: ${JSON.stringify(transactions.map((tx) => tx.stats.avg))},
-                        backgroundColor: 'rgba(102, 126, 234, 0.8)',
-                        borderColor: 'rgba(102, 126, 234, 1)',
-                        borderWidth: 1
-                    },
-                    {
-                        label: '95th Percentile (ms)',
-                        data: ${JSON.stringify(transactions.map((tx) => tx.stats.p95))},
-                        backgroundColor: 'rgba(255, 99, 132, 0.8)',
-                        borderColor: 'rgba(255, 99, 132, 1)',
-                        borderWidth: 1
-                    }
-                ]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Response Time (ms)'
-                        }
-                    }
-                },
-                plugins: {
-                    legend: {
-                        display: true,
-                        position: 'top'
-                    },
-                    title: {
-                        display: true,
-                        text: 'Transaction Response Times'
-                    }
+    const subsectionTitle = (title) => `<h3 style="font-size: 1.2em; color: #555; margin: 30px 0 15px;">${title}</h3>`;
+
+    return `
+            <!-- Test Plan -->
+            <div class="section">
+                <h2 class="section-title">📋 Test Plan</h2>
+                <p style="color: #666; margin-bottom: 15px;">
+                    Intended load profile from <strong>${escapeHtml(testPlan.testPlan.name)}</strong> (${escapeHtml(testPlan.file)})${testPlan.testPlan.serializeThreadGroups ? ' - thread groups run one after another' : ''}.
+                    ${testPlan.testPlan.comments ? `<br>${escapeHtml(testPlan.testPlan.comments)}` : ''}
+                </p>
+                <div class="summary-cards">
+                    <div class="card">
+                        <h3>Planned Threads</h3>
+                        <div class="value">${summary.plannedThreads}</div>
+                        <div class="sub-value">${jmeterData.activeThreads ? `Actual peak: ${jmeterData.activeThreads.peak.total}` : `Across ${summary.enabledThreadGroups} thread group(s)`}</div>
+                    </div>
+                    <div class="card">
+                        <h3>Planned Duration</h3>
+                        <div class="value">${formatPlannedSeconds(summary.plannedDuration)}</div>
+                        <div class="sub-value">Actual: ${jmeterData.testDurationFormatted}</div>
+                    </div>
+                    <div class="card">
+                        <h3>Thread Groups</h3>
+                        <div class="value">${summary.enabledThreadGroups}</div>
+                        <div class="sub-value">${summary.threadGroups} in plan (incl. setUp/tearDown and disabled)</div>
+                    </div>
+                    <div class="card">
+                        <h3>Assertions</h3>
+                        <div class="value">${testPlan.assertions.filter((assertion) => assertion.enabled).length}</div>
+                        <div class="sub-value">${testPlan.csvDataSets.length} CSV Data Set(s), ${testPlan.throughputTimers.length} throughput timer(s)</div>
+                    </div>
+                </div>
+                ${generateLoadProfileHTML(jmeterData.loadProfile)}
+                ${subsectionTitle('Thread Groups')}
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Thread Group</th>
+                                <th>Type</th>
+                                <th>User Type</th>
+                                <th>Threads</th>
+                                <th>Ramp-up</th>
+                                <th>Loops</th>
+                                <th>Duration</th>
+                                <th>Startup Delay</th>
+                                <th>On Sample Error</th>
+                                <th>Actual Peak Threads</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${threadGroupRows}
+                        </tbody>
+                    </table>
+                </div>
+                ${
+                    timerRows
+                        ? `
+                ${subsectionTitle('Throughput Timers')}
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Timer</th>
+                                <th>Type</th>
+                                <th>Scope</th>
+                                <th>Target</th>
+                                <th>Settings</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${timerRows}
+                        </tbody>
+                    </table>
+                </div>`
+                        : ''
                 }
-            }
-        });
-    </script>
-</body>
-</html>`;
+                ${
+                    csvRows
+                        ? `
+                ${subsectionTitle('CSV Data Sets')}
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>File</th>
+                                <th>Variables</th>
+                                <th>Sharing</th>
+                                <th>Recycle on EOF</th>
+                                <th>Scope</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${csvRows}
+                        </tbody>
+                    </table>
+                </div>`
+                        : ''
+                }
+                ${
+                    assertionRows
+                        ? `
+                ${subsectionTitle('Assertions')}
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Assertion</th>
+                                <th>Type</th>
+                                <th>Applies To</th>
+                                <th>Checks</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${assertionRows}
+                        </tbody>
+                    </table>
+                </div>`
+                        : ''
+                }
+            </div>
+`;
 }
 
 /**
@@ -2886,33 +6384,276 @@ function generatePlaywrightSummaryHTML(playwrightData) {
                     : ''
             }
 
-            <!-- Aggregate Reports -->
-            <!-- Additional Reports section removed -->
+            <!-- Aggregate Reports -->
+            <!-- Additional Reports section removed -->
+
+            ${playwrightUIReportSection}
+        </div>
+
+        <div class="footer">
+            <a href="../index.html" class="btn-back">← Back to Dashboard</a>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Generate Azure summary page
+ */
+function generateAzureSummary(azureData, jmeterData, azureDir, azureSummary, config, baselineComparison = null) {
+    const html = generateAzureSummaryHTML(azureData, jmeterData, baselineComparison);
+    fs.writeFileSync(azureSummary, html, 'utf-8');
+    console.log(`   ✓ Azure summary generated`);
+}
+
+const AZURE_RESOURCE_ICONS = { appServicePlan: '🏗️', appService: '🖥️', database: '🗄️', storage: '💾' };
+
+/**
+ * Azure Monitor time series per resource for the Azure summary charts, limited to the JMeter
+ * test window (the Azure test run, or the series themselves, without JMeter results)
+ * @returns {Object|null} { start, end, resources: [{ name, resourceType, metrics: [{ label, unit, aggregation, intervalSeconds, points }] }] }
+ */
+function prepareAzureMetricChartData(azureData, jmeterData) {
+    const timeSeries = azureData?.serverMetrics?.serverMetrics?.timeSeries || [];
+    if (timeSeries.length === 0) {
+        return null;
+    }
+
+    const details = azureData.serverMetrics.testRunDetails || {};
+    const allTimestamps = timeSeries.flatMap((series) => series.points.map((point) => point.timestamp));
+    let start = Math.min(...allTimestamps);
+    let end = Math.max(...allTimestamps);
+    if (jmeterData && jmeterData.startTimestamp > 0) {
+        start = jmeterData.startTimestamp;
+        end = jmeterData.endTimestamp;
+    } else if (Date.parse(details.startDateTime) && Date.parse(details.endDateTime)) {
+        start = Date.parse(details.startDateTime);
+        end = Date.parse(details.endDateTime);
+    }
+
+    // Series are in Azure Monitor's unit; scale converts them into the configured display unit
+    const components = azureData.serverMetrics.serverMetrics.components || [];
+    const resources = new Map();
+    timeSeries.forEach((series) => {
+        const intervalMs = series.intervalSeconds * 1000;
+        const scale = series.scale || 1;
+        const points = series.points
+            .filter((point) => point.timestamp < end && point.timestamp + intervalMs > start)
+            .map((point) => (scale === 1 ? point : Object.fromEntries(Object.entries(point).map(([key, value]) => [key, key !== 'timestamp' && typeof value === 'number' ? value * scale : value]))));
+        if (points.length === 0) return;
+        const key = (series.resourceId || series.resourceName).toLowerCase();
+        if (!resources.has(key)) {
+            const component = components.find((entry) => entry.resourceId.toLowerCase() === key);
+            resources.set(key, { name: component ? component.name : series.resourceName, resourceType: series.resourceType, metrics: [] });
+        }
+        resources.get(key).metrics.push({
+            label: series.label || series.displayName || series.metric,
+            unit: series.displayUnit || AZURE_UNITS[series.unit] || series.unit || '',
+            aggregation: series.aggregation,
+            // Averaged metrics are charted with their minimum/maximum; totals (counts) on their own
+            aggregations: series.aggregation === 'average' ? (series.aggregations || ['average']).filter((name) => ['average', 'minimum', 'maximum'].includes(name)) : [series.aggregation],
+            intervalSeconds: series.intervalSeconds,
+            points,
+        });
+    });
+    if (resources.size === 0) {
+        return null;
+    }
+
+    const typeOrder = Object.keys(AZURE_RESOURCE_ICONS);
+    const rank = (resource) => (typeOrder.includes(resource.resourceType) ? typeOrder.indexOf(resource.resourceType) : typeOrder.length);
+    return {
+        start,
+        end,
+        resources: Array.from(resources.values()).sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name)),
+    };
+}
+
+/**
+ * Value of a configured Azure metric with its display unit
+ */
+function formatAzureMetricValue(value, unit) {
+    if (value === null || value === undefined) {
+        return 'N/A';
+    }
+    const formatted = value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    if (!unit || unit === 'count') return formatted;
+    return unit === '%' || unit === 'ms' || unit === 's' ? `${formatted}${unit}` : `${formatted} ${unit}`;
+}
+
+/**
+ * Dashboard card rows for the Azure resources: one row per resource with its first two
+ * metrics (all of them in the tooltip), coloured by the worst threshold status
+ * @param {Object[]} components - serverMetrics.components from fetchAzureMetrics
+ */
+function generateAzureResourceStatsHTML(components) {
+    const statusColor = { critical: '#dc3545', warning: '#ffc107' };
+    return components
+        .map((component) => ({ ...component, metrics: component.metrics.filter((metric) => metric.value !== null) }))
+        .filter((component) => component.metrics.length > 0)
+        .map((component) => {
+            const describe = (metric) => `${metric.label} ${formatAzureMetricValue(metric.value, metric.unit)}`;
+            const status = ['critical', 'warning'].find((level) => component.metrics.some((metric) => metric.status === level));
+            return `
+                        <div class="stat-row" title="${escapeHtml(component.metrics.map(describe).join('\n'))}">
+                            <span class="stat-label">${AZURE_RESOURCE_ICONS[component.resourceType] || '☁️'} ${escapeHtml(component.name)}:</span>
+                            <span class="stat-value"${status ? ` style="color: ${statusColor[status]};"` : ''}>${escapeHtml(component.metrics.slice(0, 2).map(describe).join(' · '))}</span>
+                        </div>`;
+        })
+        .join('');
+}
+
+/**
+ * Server-side metric cards of the Azure summary: one group per configured component (and
+ * per unconfigured resource that reported metrics), one card per metric, coloured by the
+ * metric's thresholds
+ * @param {Object[]} components - serverMetrics.components from fetchAzureMetrics
+ */
+function generateAzureComponentMetricsHTML(components) {
+    const statusClass = { critical: 'error-card', warning: 'warning-card', ok: 'success-card' };
+    const subValue = (metric) => {
+        if (metric.value === null) return 'No data in the test window';
+        const format = (value) => formatAzureMetricValue(value, metric.unit);
+        const summary = {
+            average: `Avg | Max: ${format(metric.max)}`,
+            total: `Total over ${metric.intervals} interval${metric.intervals === 1 ? '' : 's'}`,
+            maximum: `Peak | Avg: ${format(metric.avg)}`,
+            minimum: `Lowest | Avg: ${format(metric.avg)}`,
+        }[metric.aggregation];
+        if (metric.status === 'critical') return `⚠️ ${summary} (critical: ${format(metric.thresholds.critical)})`;
+        if (metric.status === 'warning') return `⚠️ ${summary} (warning: ${format(metric.thresholds.warning)})`;
+        return metric.status === 'ok' ? `✓ ${summary}` : summary;
+    };
 
-            ${playwrightUIReportSection}
-        </div>
+    return `
+            <div class="section">
+                <h2 class="section-title">📊 Server-Side Performance Metrics</h2>
+                ${components
+                    .filter((component) => component.metrics.length > 0)
+                    .map(
+                        (component, index) => `
+                <h3 style="font-size: 1.2em; color: #555; margin: ${index === 0 ? 20 : 30}px 0 15px;">${AZURE_RESOURCE_ICONS[component.resourceType] || '☁️'} ${escapeHtml(component.name)}</h3>
+                <div class="summary-cards">
+                    ${component.metrics
+                        .map(
+                            (metric) => `
+                    <div class="card ${statusClass[metric.status] || ''}">
+                        <h3>${escapeHtml(metric.label)}</h3>
+                        <div class="value">${formatAzureMetricValue(metric.value, metric.unit)}</div>
+                        <div class="sub-value">${escapeHtml(subValue(metric))}</div>
+                    </div>`
+                        )
+                        .join('')}
+                </div>`
+                    )
+                    .join('')}
+            </div>
+            `;
+}
 
-        <div class="footer">
-            <a href="../index.html" class="btn-back">← Back to Dashboard</a>
-        </div>
-    </div>
-</body>
-</html>`;
+/**
+ * Azure Monitor metric charts: one line chart per metric, the x axis spanning the test window
+ */
+function getAzureMetricChartsScript(dataExpression) {
+    return `
+        (function() {
+            const data = ${dataExpression};
+            if (!data) return;
+
+            const colors = { average: '#667eea', maximum: '#ff4e42', minimum: '#0cce6b', total: '#667eea' };
+            const formatTime = (value) => new Date(value).toLocaleTimeString();
+            data.resources.forEach((resource, resourceIndex) => {
+                resource.metrics.forEach((metric, metricIndex) => {
+                    const canvas = document.getElementById('azureMetricChart-' + resourceIndex + '-' + metricIndex);
+                    if (!canvas || Chart.getChart(canvas)) return;
+
+                    // Stepped lines: each value holds for its interval (the last point is repeated at the end of its interval)
+                    const last = metric.points[metric.points.length - 1];
+                    const datasets = metric.aggregations.map((aggregation) => ({
+                        label: aggregation.charAt(0).toUpperCase() + aggregation.slice(1),
+                        data: metric.points
+                            .map((point) => ({ x: point.timestamp, y: point[aggregation] }))
+                            .concat([{ x: last.timestamp + metric.intervalSeconds * 1000, y: last[aggregation] }]),
+                        borderColor: colors[aggregation] || '#6c757d',
+                        backgroundColor: colors[aggregation] || '#6c757d',
+                        borderWidth: aggregation === metric.aggregation ? 2 : 1.5,
+                        borderDash: aggregation === metric.aggregation ? [] : [6, 3],
+                        pointRadius: 0,
+                        stepped: 'after',
+                        spanGaps: false,
+                        fill: false
+                    }));
+
+                    new Chart(canvas.getContext('2d'), {
+                        type: 'line',
+                        data: { datasets: datasets },
+                        options: {
+                            responsive: true,
+                            maintainAspectRatio: false,
+                            interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                            scales: {
+                                x: { type: 'linear', min: data.start, max: data.end, ticks: { maxTicksLimit: 8, callback: formatTime } },
+                                y: { beginAtZero: true, max: metric.unit === '%' ? 100 : undefined, title: { display: Boolean(metric.unit), text: metric.unit } }
+                            },
+                            plugins: {
+                                legend: { display: datasets.length > 1, position: 'top' },
+                                title: { display: true, text: metric.label + ' (' + metric.intervalSeconds + 's intervals)' },
+                                tooltip: {
+                                    callbacks: {
+                                        title: (items) => formatTime(items[0].parsed.x),
+                                        label: (item) => item.dataset.label + ': ' + (item.parsed.y === null ? '-' : Math.round(item.parsed.y * 100) / 100) + (metric.unit && metric.unit !== 'count' ? ' ' + metric.unit : '')
+                                    }
+                                }
+                            }
+                        }
+                    });
+                });
+            });
+        })();
+`;
 }
 
 /**
- * Generate Azure summary page
+ * Azure Monitor metric charts section of the Azure summary (empty without time series)
  */
-function generateAzureSummary(azureData, jmeterData, azureDir, azureSummary, config) {
-    const html = generateAzureSummaryHTML(azureData, jmeterData);
-    fs.writeFileSync(azureSummary, html, 'utf-8');
-    console.log(`   ✓ Azure summary generated`);
+function generateAzureMetricChartsHTML(chartData, jmeterData) {
+    if (!chartData) {
+        return '';
+    }
+
+    const time = (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', { hour12: false });
+    const windowSource = jmeterData && jmeterData.startTimestamp > 0 ? 'the JMeter test window' : 'the test run';
+    return `
+            <!-- Server Metrics Over Time -->
+            <div class="section">
+                <h2 class="section-title">📈 Server Metrics Over Time</h2>
+                <p style="color: #666; margin-bottom: 20px; font-size: 0.95em;">
+                    Azure Monitor values per interval over ${windowSource} (${time(chartData.start)} - ${time(chartData.end)}). Lines show the interval total for counts and the average for other metrics (as used for the cards above), with the interval minimum/maximum dashed where Azure Monitor returned them.
+                </p>
+                ${chartData.resources
+                    .map(
+                        (resource, resourceIndex) => `
+                <h3 style="font-size: 1.2em; color: #555; margin: 30px 0 15px;">${AZURE_RESOURCE_ICONS[resource.resourceType] || '☁️'} ${escapeHtml(resource.name)}</h3>
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 20px;">
+                    ${resource.metrics
+                        .map(
+                            (metric, metricIndex) => `
+                    <div style="position: relative; height: 260px; background: white; padding: 10px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                        <canvas id="azureMetricChart-${resourceIndex}-${metricIndex}"></canvas>
+                    </div>`
+                        )
+                        .join('')}
+                </div>`
+                    )
+                    .join('')}
+            </div>`;
 }
 
 /**
  * Generate Azure summary HTML
  */
-function generateAzureSummaryHTML(azureData, jmeterData) {
+function generateAzureSummaryHTML(azureData, jmeterData, baselineComparison = null) {
     if (!azureData) {
         return `<!DOCTYPE html>
 <html lang="en">
@@ -2939,6 +6680,7 @@ function generateAzureSummaryHTML(azureData, jmeterData) {
     const totalRequests = jmeterData ? jmeterData.totalRequests : azureData.totalRequests;
     const testDuration = jmeterData ? jmeterData.testDurationFormatted : 'N/A';
     const testDurationSeconds = jmeterData ? jmeterData.testDuration : 0;
+    const metricChartData = prepareAzureMetricChartData(azureData, jmeterData);
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -2947,6 +6689,16 @@ function generateAzureSummaryHTML(azureData, jmeterData) {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Azure Load Test Summary</title>
     ${getCommonStyles()}
+    ${
+        metricChartData
+            ? `<script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+    <script>
+        document.addEventListener('DOMContentLoaded', function() {
+            ${getAzureMetricChartsScript(JSON.stringify(metricChartData))}
+        });
+    </script>`
+            : ''
+    }
 </head>
 <body>
     <div class="container">
@@ -2970,7 +6722,7 @@ function generateAzureSummaryHTML(azureData, jmeterData) {
                 </div>
                 <div class="card">
                     <h3>Engine Instances</h3>
-                    <div class="value">1</div>
+                    <div class="value">${jmeterData && jmeterData.engines && jmeterData.engines.length > 0 ? jmeterData.engines.length : 1}</div>
                     <div class="sub-value">Load test engines</div>
                 </div>
             </div>
@@ -3067,7 +6819,9 @@ function generateAzureSummaryHTML(azureData, jmeterData) {
 
             <!-- Server-Side Metrics Dashboard -->
             ${
-                azureData.serverMetrics && azureData.serverMetrics.serverMetrics && azureData.serverMetrics.serverMetrics.hasData
+                azureData.serverMetrics && azureData.serverMetrics.serverMetrics && azureData.serverMetrics.serverMetrics.hasData && azureData.serverMetrics.serverMetrics.components
+                    ? generateAzureComponentMetricsHTML(azureData.serverMetrics.serverMetrics.components)
+                    : azureData.serverMetrics && azureData.serverMetrics.serverMetrics && azureData.serverMetrics.serverMetrics.hasData
                     ? `
             <div class="section">
                 <h2 class="section-title">📊 Server-Side Performance Metrics</h2>
@@ -3174,6 +6928,10 @@ function generateAzureSummaryHTML(azureData, jmeterData) {
             `
             }
 
+            ${generateAzureMetricChartsHTML(metricChartData, jmeterData)}
+
+            ${generateAzureBaselineSectionHTML(baselineComparison)}
+
             <!-- Dashboard Links -->
             <div class="section">
                 <h2 class="section-title">📊 Dashboards & Reports</h2>
@@ -3227,26 +6985,92 @@ function generateAzureSummaryHTML(azureData, jmeterData) {
 /**
  * Generate transaction detail pages
  */
-function generateTransactionDetails(transactions, jmeterDir) {
+function generateTransactionDetails(transactions, jmeterDir, timeSeries = null, steadyState = null) {
     const transactionsDir = path.join(jmeterDir, 'transactions');
 
     Object.values(transactions).forEach((transaction) => {
         const filename = sanitizeFilename(transaction.name) + '.html';
         const filepath = path.join(transactionsDir, filename);
 
-        const html = generateTransactionDetailHTML(transaction);
+        const html = generateTransactionDetailHTML(transaction, transactions, selectTransactionTimeSeries(timeSeries, transaction.name), steadyState);
         fs.writeFileSync(filepath, html, 'utf-8');
     });
 
     console.log(`   ✓ Generated ${Object.keys(transactions).length} transaction detail pages`);
 }
 
+/**
+ * Generate the nested transaction hierarchy of a transaction detail page: the enclosing
+ * transactions and a tree of the nested transactions and samplers with their statistics
+ */
+function generateTransactionHierarchyHTML(transaction, transactions, steadyState = null) {
+    const children = transaction.childTransactions || [];
+    const samplers = transaction.samplerStats || [];
+    if (!transaction.parentTransaction && children.length === 0 && samplers.length === 0) {
+        return '';
+    }
+
+    const ancestors = [];
+    for (let parent = transactions[transaction.parentTransaction]; parent && !ancestors.includes(parent); parent = transactions[parent.parentTransaction]) {
+        ancestors.unshift(parent);
+    }
+    const breadcrumb = [
+        ...ancestors.map((parent) => `<a href="${sanitizeFilename(parent.name)}.html">${escapeHtml(parent.name)}</a>`),
+        `<strong>${escapeHtml(transaction.name)}</strong>`,
+    ].join(' <span style="color: #999;">›</span> ');
+
+    const rows = generateTransactionTreeRows(transactions, [transaction], {
+        renderAction: (tx) => (tx === transaction ? '' : `<a href="${sanitizeFilename(tx.name)}.html" class="btn-details">View Details →</a>`),
+        markSetup: false,
+        expandLevels: 1,
+        showApdex: Boolean(transaction.apdex),
+    });
+
+    return `
+            <!-- Transaction Hierarchy -->
+            <div class="section">
+                <h2 class="section-title">
+                    Transaction Hierarchy
+                    <div style="display: flex; gap: 10px;">${generateStatsScopeToggleHTML(steadyState)}
+                    </div>
+                </h2>
+                <p style="color: #666; margin-bottom: 15px;">${breadcrumb}</p>
+                <p style="color: #666; margin-bottom: 15px;">Nested transaction controllers and the samplers directly inside each level. Expand a nested transaction to see its own samplers; sampler statistics include every execution.</p>
+                <div class="table-container">
+                    <table class="stats-scope-table">
+                        <thead>
+                            <tr>
+                                <th>Transaction / Sampler</th>
+                                <th>Samples</th>
+                                <th>Avg Response Time</th>
+                                <th>Min</th>
+                                <th>Max</th>
+                                <th>90th %ile</th>
+                                <th>95th %ile</th>
+                                <th>99th %ile</th>
+                                <th>Error %</th>
+                                ${transaction.apdex ? '<th title="Apdex of the transaction executions">Apdex</th>' : ''}
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody id="transactionTableBody">
+                            ${rows}
+                        </tbody>
+                    </table>
+                </div>
+            </div>`;
+}
+
 /**
  * Generate transaction detail HTML
+ * @param {Object} transactions - All transactions (for the nested transaction hierarchy)
+ * @param {Object|null} timeSeries - Time series of this transaction (selectTransactionTimeSeries)
+ * @param {Object|null} steadyState - jmeterData.steadyState (window shaded on the charts)
  */
-function generateTransactionDetailHTML(transaction) {
+function generateTransactionDetailHTML(transaction, transactions = {}, timeSeries = null, steadyState = null) {
     // Group child requests by transaction execution (using execution-specific array)
     const childRequestsByExecution = transaction.childRequestsByExecution || [];
+    const nestedTransactionsByExecution = transaction.nestedTransactionsByExecution || [];
 
     const sampleRows = transaction.samples
         .map((sample, index) => {
@@ -3258,14 +7082,17 @@ function generateTransactionDetailHTML(transaction) {
             // Only fall back to unique child requests if this execution has no child requests at all
             // This ensures we show the correct (potentially failed) child requests for failed transactions
             const samplersToShow = executionChildRequests.length > 0 ? executionChildRequests : transaction.uniqueChildRequests || [];
+            const nestedTransactions = executionChildRequests.length > 0 ? nestedTransactionsByExecution[index] : [];
 
-            const samplersRows = samplersToShow
-                .map((req, idx) => {
+            // Nested transaction controllers are shown above their requests, indented by level
+            const samplersRows = buildExecutionRows(samplersToShow, nestedTransactions)
+                .map(({ kind, item: req, depth }) => {
+                    const isTransaction = kind === 'transaction';
                     return `
-                            <tr class="sampler-row" style="background-color: #f8f9fa;">
+                            <tr class="${isTransaction ? 'nested-transaction-row' : 'sampler-row'}" style="background-color: ${isTransaction ? '#eef1fb' : '#f8f9fa'};">
                                 <td></td>
-                                <td style="padding-left: 40px;">
-                                    <span style="color: #667eea;">└─</span> ${escapeHtml(req.label)}
+                                <td style="padding-left: ${40 + (isTransaction ? depth - 1 : depth) * 20}px;">
+                                    <span style="color: #667eea;">└─</span> ${isTransaction ? `<strong>${escapeHtml(req.label)}</strong>` : escapeHtml(req.label)}
                                 </td>
                                 <td class="metric-value">${req.elapsed || 0} ms</td>
                                 <td>${req.latency || 0} ms</td>
@@ -3336,11 +7163,24 @@ function generateTransactionDetailHTML(transaction) {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Transaction: ${escapeHtml(transaction.name)}</title>
     <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+    ${getChartZoomScripts()}
     ${getCommonStyles()}
     <style>
         .status-success { color: #0cce6b; font-weight: bold; }
         .status-error { color: #ff4e42; font-weight: bold; }
         .chart-container { margin: 30px 0; height: 300px; }
+        .error-rate { color: #ff4e42; font-weight: bold; }
+        .success-rate { color: #0cce6b; font-weight: bold; }
+        .btn-details {
+            background: #667eea;
+            color: white;
+            padding: 6px 12px;
+            border-radius: 4px;
+            text-decoration: none;
+            font-size: 0.85em;
+            display: inline-block;
+        }
+        ${getTransactionTreeStyles()}
         .toggle-btn {
             background: #667eea;
             color: white;
@@ -3381,15 +7221,27 @@ function generateTransactionDetailHTML(transaction) {
                     <h3>Success Rate</h3>
                     <div class="value">${((transaction.successCount / transaction.totalSamples) * 100).toFixed(1)}%</div>
                     <div class="sub-value">${transaction.successCount} / ${transaction.totalSamples}</div>
+                    ${steadyStateSubValue(transaction, (stats) => `${(100 - parseFloat(stats.errorRate)).toFixed(1)}%`)}
                 </div>
                 <div class="card">
                     <h3>Avg Response Time</h3>
                     <div class="value">${transaction.stats.avg} ms</div>
+                    ${steadyStateSubValue(transaction, (stats) => `${stats.stats.avg} ms`)}
                 </div>
                 <div class="card">
                     <h3>95th Percentile</h3>
                     <div class="value">${transaction.stats.p95} ms</div>
-                </div>
+                    ${steadyStateSubValue(transaction, (stats) => `${stats.stats.p95} ms`)}
+                </div>${
+                    transaction.apdex
+                        ? `
+                <div class="card">
+                    <h3>Apdex</h3>
+                    <div class="value" style="color: ${getApdexRating(transaction.apdex.score).color};">${transaction.apdex.score.toFixed(2)}</div>
+                    <div class="sub-value">${transaction.apdex.rating} (T = ${transaction.apdex.thresholds.satisfied} ms, F = ${transaction.apdex.thresholds.tolerated} ms)</div>
+                </div>`
+                        : ''
+                }
             </div>
 
             <!-- Response Time Distribution Chart -->
@@ -3400,10 +7252,19 @@ function generateTransactionDetailHTML(transaction) {
                 </div>
             </div>
 
+            ${generateTimeSeriesSectionHTML(timeSeries, 'timeSeriesCharts', transaction.name, steadyState)}
+            ${generateTransactionLatencyBreakdownHTML(transaction, 'latencyBreakdownChart')}
+            ${generateTransactionHierarchyHTML(transaction, transactions, steadyState)}
+
             <!-- Transaction Executions Table -->
             <div class="section">
                 <h2 class="section-title">Transaction Executions</h2>
                 <p style="color: #666; margin-bottom: 15px;">Each row represents one complete execution of this transaction. Click on a row to expand and view API samplers within that execution.</p>
+                ${
+                    transaction.sampled
+                        ? `<p style="color: #856404; background: #fff3cd; padding: 10px 15px; border-radius: 6px; margin-bottom: 15px;">Showing a random sample of ${transaction.samples.length.toLocaleString()} of ${transaction.totalSamples.toLocaleString()} executions. Statistics and the distribution chart include all executions.</p>`
+                        : ''
+                }
                 <div class="table-container">
                     <table>
                         <thead>
@@ -3432,6 +7293,16 @@ function generateTransactionDetailHTML(transaction) {
     </div>
 
     <script>
+        // Expand nested transactions in the hierarchy table
+        ${getTransactionTreeScript()}
+
+        // Throughput, response time and error rate of this transaction over time
+        ${getTimeSeriesChartFunction()}
+        drawTimeSeriesCharts('timeSeriesCharts', ${JSON.stringify(timeSeries)}, ${JSON.stringify(transaction.name)}, ${JSON.stringify(steadyState && { start: steadyState.start, end: steadyState.end })});
+
+        // Connect / server / download time per sampler
+        ${getLatencyBreakdownChartScript('latencyBreakdownChart', JSON.stringify((transaction.samplerStats || []).map((sampler) => ({ label: sampler.label, latencyBreakdown: sampler.latencyBreakdown }))), 'Latency Breakdown per Sampler (avg per request)')}
+
         // Handle execution row expansion
         document.querySelectorAll('.execution-row').forEach(row => {
             row.addEventListener('click', function(e) {
@@ -3453,27 +7324,9 @@ function generateTransactionDetailHTML(transaction) {
     </script>
 
     <script>
-        // Response Time Distribution Chart
-        const responseTimes = ${JSON.stringify(transaction.samples.map((s) => s.elapsed))};
-
-        // Create histogram bins
-        const min = Math.min(...responseTimes);
-        const max = Math.max(...responseTimes);
-        const binCount = 20;
-        const binSize = Math.ceil((max - min) / binCount);
-
-        const bins = new Array(binCount).fill(0);
-        const binLabels = [];
-
-        for (let i = 0; i < binCount; i++) {
-            const binStart = min + (i * binSize);
-            binLabels.push(binStart + '-' + (binStart + binSize));
-        }
-
-        responseTimes.forEach(rt => {
-            const binIndex = Math.min(Math.floor((rt - min) / binSize), binCount - 1);
-            bins[binIndex]++;
-        });
+        // Response Time Distribution Chart (bins cover every execution, not only the retained ones)
+        const binLabels = ${JSON.stringify(transaction.distribution.labels)};
+        const bins = ${JSON.stringify(transaction.distribution.counts)};
 
         const ctx = document.getElementById('responseTimeChart').getContext('2d');
         new Chart(ctx, {
@@ -3666,11 +7519,87 @@ function generateAIAnalysisSummaryHTML(aiAnalysis) {
 </html>`;
 }
 
+/**
+ * Generate the SLA verdict banner and per-rule table (empty without SLA rules)
+ */
+function generateSLASectionHTML(slaResults) {
+    if (!slaResults || slaResults.verdict === 'none') {
+        return '';
+    }
+
+    const banner = {
+        passed: { cardClass: 'success-card', icon: '✅', color: '#0cce6b', text: 'PASSED' },
+        failed: { cardClass: 'error-card', icon: '❌', color: '#ff4e42', text: 'FAILED' },
+        incomplete: { cardClass: 'warning-card', icon: '⚠️', color: '#ffa400', text: 'INCOMPLETE' },
+    }[slaResults.verdict];
+    const statusCell = {
+        passed: '<span style="color: #0cce6b; font-weight: bold;">✓ Passed</span>',
+        failed: '<span style="color: #ff4e42; font-weight: bold;">✗ Failed</span>',
+        skipped: '<span style="color: #999; font-weight: bold;">- Skipped</span>',
+    };
+    const formatValue = (rule, value) => `${value.toLocaleString()}${rule.unit === 'ms' || rule.unit === 'pts' ? ` ${rule.unit}` : rule.unit}`;
+    const details = (rule) => {
+        if (rule.status === 'skipped') return rule.note;
+        const failedTargets = rule.checks.filter((check) => !check.passed);
+        const lines = [];
+        if (rule.checks.length > 1) {
+            lines.push(`${rule.checks.length - failedTargets.length} of ${rule.checks.length} within threshold`);
+        }
+        failedTargets.slice(0, 5).forEach((check) => lines.push(`${escapeHtml(check.target)}: ${formatValue(rule, check.value)}`));
+        if (failedTargets.length > 5) lines.push(`... and ${failedTargets.length - 5} more`);
+        if (rule.note) lines.push(rule.note);
+        return lines.join('<br>') || '-';
+    };
+
+    return `
+            <!-- SLA Verdict -->
+            <div class="section">
+                <div class="card ${banner.cardClass}" style="margin-bottom: 20px; display: flex; align-items: center; gap: 20px;">
+                    <div style="font-size: 2.5em;">${banner.icon}</div>
+                    <div>
+                        <h3>SLA Verdict</h3>
+                        <div class="value" style="color: ${banner.color};">${banner.text}</div>
+                        <div class="sub-value">${slaResults.passed} passed, ${slaResults.failed} failed${slaResults.skipped > 0 ? `, ${slaResults.skipped} skipped (no data)` : ''} of ${slaResults.rules.length} rules${slaResults.verdict === 'incomplete' ? ' - no rule had data to check' : ''}</div>
+                    </div>
+                </div>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Status</th>
+                                <th>Rule</th>
+                                <th>Scope</th>
+                                <th>Threshold</th>
+                                <th>Actual</th>
+                                <th>Details</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${slaResults.rules
+                                .map(
+                                    (rule) => `
+                            <tr>
+                                <td>${statusCell[rule.status]}</td>
+                                <td><strong>${escapeHtml(rule.name)}</strong></td>
+                                <td>${escapeHtml(rule.scope)}</td>
+                                <td>${rule.threshold}</td>
+                                <td class="metric-value">${rule.actual !== null ? formatValue(rule, rule.actual) : '-'}</td>
+                                <td style="color: #666; font-size: 0.9em;">${details(rule)}</td>
+                            </tr>`
+                                )
+                                .join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+`;
+}
+
 /**
  * Generate master dashboard
  */
-function generateMasterDashboard(jmeterData, playwrightData, azureData, aiAnalysis, masterDashboard, config) {
-    const html = generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAnalysis, config);
+function generateMasterDashboard(jmeterData, playwrightData, azureData, aiAnalysis, masterDashboard, config, slaResults = null, baselineComparison = null, runHistory = null) {
+    const html = generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAnalysis, config, slaResults, baselineComparison, runHistory);
     fs.writeFileSync(masterDashboard, html, 'utf-8');
     console.log(`   ✓ Master dashboard generated`);
 }
@@ -3678,7 +7607,7 @@ function generateMasterDashboard(jmeterData, playwrightData, azureData, aiAnalys
 /**
  * Generate master dashboard HTML
  */
-function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAnalysis, reportConfig = null) {
+function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAnalysis, reportConfig = null, slaResults = null, baselineComparison = null, runHistory = null) {
     const timestamp = new Date().toLocaleString();
 
     // Prepare data for UI vs API comparison chart (only if automation is enabled and both data sources available)
@@ -3819,6 +7748,20 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
             margin-top: 40px;
             margin-bottom: 40px;
         }
+        .error-timeline-btn {
+            background: #eef1fb;
+            color: #667eea;
+            border: none;
+            padding: 6px 14px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 0.85em;
+            font-weight: 600;
+        }
+        .error-timeline-btn.active {
+            background: #667eea;
+            color: white;
+        }
     </style>
 </head>
 <body>
@@ -3829,6 +7772,9 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
         </div>
 
         <div class="content">
+            ${generateSLASectionHTML(slaResults)}
+            ${generateBaselineDashboardHTML(baselineComparison)}
+
             <!-- Test Configuration Summary -->
             <div class="section">
                 <h2 class="section-title">Test Execution Timeline</h2>
@@ -3887,20 +7833,17 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                 <div class="subsection">
                     <h3 style="font-size: 1.2em; color: #555; margin-bottom: 15px;">User Load Configuration</h3>
                     <div class="summary-cards">
-                        ${(
-                            reportConfig?.userTypes || [
-                                { key: 'districtCoordinators', displayName: 'District Coordinators' },
-                                { key: 'schoolUsers', displayName: 'School Users' },
-                                { key: 'gtAdmins', displayName: 'GT Admins' },
-                                { key: 'stateAdmins', displayName: 'State Admins' },
-                            ]
-                        )
+                        ${(reportConfig?.userTypes || DEFAULT_USER_TYPES)
                             .map(
                                 (userType) => `
                         <div class="card">
                             <h3>${userType.displayName}</h3>
                             <div class="value">${jmeterData.userConfig[userType.key] || 0}</div>
-                            <div class="sub-value">Concurrent users</div>
+                            <div class="sub-value">${jmeterData.userConfig.userLoadSource === 'activeThreads' ? 'Peak active threads' : 'Concurrent users'}</div>
+                            ${(() => {
+                                const userTypeApdex = jmeterData.apdex && jmeterData.apdex.userTypes.find((entry) => entry.key === userType.key);
+                                return userTypeApdex ? `<div class="sub-value">Apdex ${formatApdexScore(userTypeApdex)} (${userTypeApdex.rating})</div>` : '';
+                            })()}
                         </div>
                         `
                             )
@@ -3908,6 +7851,8 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                     </div>
                 </div>
 
+                ${generateUserTypeStatsHTML(jmeterData)}
+
                 <!-- Pass/Fail Statistics -->
                 <div class="subsection" style="margin-top: 30px;">
                     <h3 style="font-size: 1.2em; color: #555; margin-bottom: 15px;">Success Rate</h3>
@@ -3916,11 +7861,22 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                             <h3>Pass Percentage</h3>
                             <div class="value">${jmeterData.passPercentage}%</div>
                             <div class="sub-value">${jmeterData.totalSuccessCount.toLocaleString()} / ${jmeterData.totalRequests.toLocaleString()} requests</div>
-                        </div>
+                            ${jmeterData.steadyState ? `<div class="sub-value">Steady state: ${jmeterData.steadyState.passPercentage}%</div>` : ''}
+                        </div>${
+                            jmeterData.apdex
+                                ? `
+                        <div class="card ${jmeterData.apdex.overall.score >= 0.85 ? 'success-card' : jmeterData.apdex.overall.score >= 0.7 ? 'warning-card' : 'error-card'}">
+                            <h3>Apdex Score</h3>
+                            <div class="value">${jmeterData.apdex.overall.score.toFixed(2)}</div>
+                            <div class="sub-value">${jmeterData.apdex.overall.rating} (T = ${jmeterData.apdex.thresholds.satisfied} ms${jmeterData.apdex.rules.length > 0 ? ', per transaction rules' : ''})</div>
+                        </div>`
+                                : ''
+                        }
                         <div class="card">
                             <h3>Total Requests</h3>
                             <div class="value">${jmeterData.totalRequests.toLocaleString()}</div>
                             <div class="sub-value">All HTTP requests</div>
+                            ${jmeterData.steadyState ? `<div class="sub-value">Steady state: ${jmeterData.steadyState.totalRequests.toLocaleString()} (${jmeterData.steadyState.throughput}/s)</div>` : ''}
                         </div>
                         <div class="card">
                             <h3>Successful Requests</h3>
@@ -3947,6 +7903,8 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                         ? `
                 <div class="subsection" style="margin-top: 30px;">
                     <h3 style="font-size: 1.2em; color: #555; margin-bottom: 15px;">⚠️ Error Analysis</h3>
+                    ${generateErrorCategoriesHTML(jmeterData.errorAnalysis)}
+                    ${generateErrorTimelineHTML(jmeterData.errorAnalysis)}
 
                     <!-- Error Types -->
                     <div class="error-types" style="margin-bottom: 20px;">
@@ -3977,6 +7935,7 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                                         <th>Sampler / Request</th>
                                         <th>Error Count</th>
                                         <th>Error Type</th>
+                                        <th>Category</th>
                                         <th>Message</th>
                                     </tr>
                                 </thead>
@@ -3989,6 +7948,7 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                                         <td><strong>${escapeHtml(error.sampler)}</strong></td>
                                         <td class="metric-value" style="color: #ff4e42;">${error.count}</td>
                                         <td>${escapeHtml(error.errorType)}</td>
+                                        <td>${escapeHtml(error.category || '-')}</td>
                                         <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
                                             ${escapeHtml(error.message.substring(0, 100))}${error.message.length > 100 ? '...' : ''}
                                         </td>
@@ -4009,6 +7969,7 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                     : ''
             }
 
+            ${generateTestPlanHTML(jmeterData, reportConfig)}
             <!-- Dashboard Cards -->
             <div class="dashboard-grid">
                 <!-- JMeter Card -->
@@ -4099,6 +8060,10 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                             <span class="stat-label">Total Requests:</span>
                             <span class="stat-value">${jmeterData ? jmeterData.totalRequests.toLocaleString() : 'N/A'}</span>
                         </div>
+                        ${
+                            azureData.serverMetrics?.serverMetrics?.components
+                                ? generateAzureResourceStatsHTML(azureData.serverMetrics.serverMetrics.components)
+                                : `
                         <div class="stat-row">
                             <span class="stat-label">CPU Usage:</span>
                             <span class="stat-value">${azureData.metrics.cpuPercent}${azureData.metrics.cpuPercent !== 'N/A' ? '%' : ''}</span>
@@ -4106,7 +8071,8 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                         <div class="stat-row">
                             <span class="stat-label">Memory Usage:</span>
                             <span class="stat-value">${azureData.metrics.memoryPercent}${azureData.metrics.memoryPercent !== 'N/A' ? '%' : ''}</span>
-                        </div>
+                        </div>`
+                        }
                     </div>
                     `
                             : '<div class="empty-state">No data available</div>'
@@ -4161,6 +8127,7 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
                 `
                         : ''
                 }
+                ${generateTrendsDashboardCardHTML(runHistory)}
             </div>
 
             <!-- UI vs API Performance Comparison Chart (only if automation is enabled and chart data available) -->
@@ -4408,7 +8375,7 @@ function generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAn
 /**
  * Generate standalone HTML report
  */
-function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysis, config) {
+function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysis, config, slaResults = null, baselineComparison = null, runHistory = null) {
     const timestamp = new Date().toLocaleString();
     const automationEnabled = config?.features?.automation !== false;
     const aiAnalysisEnabled = config?.features?.aiAnalysis !== false;
@@ -4419,6 +8386,8 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
         playwright: automationEnabled ? playwrightData : null,
         azure: azureData,
         aiAnalysis: aiAnalysisEnabled ? aiAnalysis : null,
+        trends: runHistory ? prepareTrendChartData(runHistory) : null,
+        azureMetrics: prepareAzureMetricChartData(azureData, jmeterData),
         timestamp: timestamp,
     });
 
@@ -4429,6 +8398,7 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Unified Performance Report - Standalone</title>
     <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+    ${getChartZoomScripts()}
     <script src="https://cdn.jsdelivr.net/npm/chartjs-plugin-annotation@3.0.1/dist/chartjs-plugin-annotation.min.js"></script>
     ${getCommonStyles()}
     <style>
@@ -4539,6 +8509,20 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
             margin-top: 40px;
             margin-bottom: 40px;
         }
+        .error-timeline-btn {
+            background: #eef1fb;
+            color: #667eea;
+            border: none;
+            padding: 6px 14px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 0.85em;
+            font-weight: 600;
+        }
+        .error-timeline-btn.active {
+            background: #667eea;
+            color: white;
+        }
 
         /* Transaction detail styles */
         .transaction-detail {
@@ -4586,6 +8570,7 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
         .setup-transaction.visible {
             display: table-row;
         }
+        ${getTransactionTreeStyles()}
         .btn-details {
             background: #667eea;
             color: white;
@@ -4626,17 +8611,18 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
         ${automationEnabled ? '<button class="nav-button" onclick="showSection(\'playwright\', this)">🎭 Playwright</button>' : ''}
         <button class="nav-button" onclick="showSection('azure', this)">☁️ Azure</button>
         ${aiAnalysisEnabled ? '<button class="nav-button" onclick="showSection(\'ai-analysis\', this)">🤖 AI Analysis</button>' : ''}
+        ${runHistory ? '<button class="nav-button" onclick="showSection(\'trends\', this)">📈 Trends</button>' : ''}
     </div>
 
     <div class="container">
         <!-- Dashboard Section -->
         <div id="section-dashboard" class="report-section active">
-            ${generateDashboardSection(jmeterData, automationEnabled ? playwrightData : null, azureData, aiAnalysisEnabled ? aiAnalysis : null, config)}
+            ${generateDashboardSection(jmeterData, automationEnabled ? playwrightData : null, azureData, aiAnalysisEnabled ? aiAnalysis : null, config, slaResults, baselineComparison, runHistory)}
         </div>
 
         <!-- JMeter Section -->
         <div id="section-jmeter" class="report-section">
-            ${generateJMeterSection(jmeterData)}
+            ${generateJMeterSection(jmeterData, baselineComparison)}
         </div>
 
         <!-- Playwright Section (only if automation is enabled) -->
@@ -4648,7 +8634,7 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
 
         <!-- Azure Section -->
         <div id="section-azure" class="report-section">
-            ${generateAzureSection(azureData, jmeterData)}
+            ${generateAzureSection(azureData, jmeterData, baselineComparison)}
         </div>
 
         <!-- AI Analysis Section (only if AI analysis is enabled) -->
@@ -4658,6 +8644,13 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
         </div>
         ` : ''}
 
+        <!-- Trends Section (only if the run history is enabled) -->
+        ${runHistory ? `
+        <div id="section-trends" class="report-section">
+            ${generateTrendsSection(runHistory)}
+        </div>
+        ` : ''}
+
         <div class="footer">
             <p>Generated by Unified Performance Testing Framework - Standalone Report</p>
             <p style="font-size: 0.85em; color: #999;">Generated on ${timestamp}</p>
@@ -4696,12 +8689,34 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
             if (sectionName === 'jmeter') {
                 setTimeout(initializeJMeterCharts, 100);
             }
+            if (sectionName === 'trends') {
+                setTimeout(initializeTrendCharts, 100);
+            }
+            if (sectionName === 'azure') {
+                setTimeout(initializeAzureCharts, 100);
+            }
+        }
+
+        // Initialize Trends charts
+        function initializeTrendCharts() {
+            ${getTrendChartsScript('reportData.trends')}
+        }
+
+        // Initialize Azure Monitor metric charts
+        function initializeAzureCharts() {
+            ${getAzureMetricChartsScript('reportData.azureMetrics')}
         }
 
         // Initialize JMeter charts
+        ${getTimeSeriesChartFunction()}
+
         function initializeJMeterCharts() {
             if (!reportData.jmeter || !reportData.jmeter.transactions) return;
-
+            ${getApdexChartScript('jmeterApdexChart', 'reportData.jmeter.apdex')}
+            ${getLatencyBreakdownChartScript('jmeterLatencyBreakdownChart', 'Object.values(reportData.jmeter.transactions).map(tx => ({ label: tx.name, latencyBreakdown: tx.latencyBreakdown }))', 'Latency Breakdown per Transaction (avg per execution)')}
+            ${getActiveThreadsChartScript('jmeterActiveThreadsChart', 'reportData.jmeter.activeThreads')}
+            ${getLoadProfileChartScript('jmeterLoadProfileChart', 'reportData.jmeter.loadProfile')}
+            drawTimeSeriesCharts('jmeterTimeSeriesCharts', reportData.jmeter.timeSeries, null, reportData.jmeter.steadyState);
             const transactions = Object.values(reportData.jmeter.transactions);
             const ctx = document.getElementById('jmeterPerformanceChart');
             if (!ctx) return;
@@ -4771,7 +8786,7 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
                 }
             });
 
-            const setupCount = setupRows.length;
+            const setupCount = document.querySelectorAll('.setup-transaction[data-kind="transaction"]').length;
             if (setupTransactionsVisible) {
                 btn.innerHTML = '☑️ Hide Setup/Teardown (' + setupCount + ')';
             } else {
@@ -4781,48 +8796,7 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
             filterTransactions();
         }
 
-        function filterTransactions() {
-            const input = document.getElementById('transactionFilter');
-            if (!input) return;
-
-            const filter = input.value.toLowerCase();
-            const tbody = document.getElementById('transactionTableBody');
-            if (!tbody) return;
-
-            const rows = tbody.getElementsByTagName('tr');
-            let visibleCount = 0;
-
-            for (let i = 0; i < rows.length; i++) {
-                const row = rows[i];
-                const transactionName = row.getElementsByTagName('td')[0];
-                const isSetupRow = row.classList.contains('setup-transaction');
-
-                if (transactionName) {
-                    const txtValue = transactionName.textContent || transactionName.innerText;
-                    const matchesFilter = txtValue.toLowerCase().indexOf(filter) > -1;
-                    const shouldShow = matchesFilter && (!isSetupRow || setupTransactionsVisible);
-
-                    if (shouldShow) {
-                        if (isSetupRow) {
-                            row.classList.add('visible');
-                        }
-                        row.style.display = '';
-                        visibleCount++;
-                    } else {
-                        row.style.display = 'none';
-                    }
-                }
-            }
-
-            const filterCount = document.getElementById('filterCount');
-            if (filterCount) {
-                if (filter) {
-                    filterCount.textContent = 'Showing ' + visibleCount + ' transactions';
-                } else {
-                    filterCount.textContent = '';
-                }
-            }
-        }
+        ${getTransactionTreeScript()}
 
         function showTransactionDetail(transactionName) {
             if (!reportData.jmeter || !reportData.jmeter.transactions) return;
@@ -4840,27 +8814,13 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
 
             modalName.textContent = transactionName;
 
-            // Generate transaction detail content
-            const responseTimes = transaction.samples.map(s => s.elapsed);
-            const min = Math.min(...responseTimes);
-            const max = Math.max(...responseTimes);
-            const binCount = 20;
-            const binSize = Math.ceil((max - min) / binCount);
-
-            const bins = new Array(binCount).fill(0);
-            const binLabels = [];
-
-            for (let i = 0; i < binCount; i++) {
-                const binStart = min + (i * binSize);
-                binLabels.push(binStart + '-' + (binStart + binSize));
-            }
-
-            responseTimes.forEach(rt => {
-                const binIndex = Math.min(Math.floor((rt - min) / binSize), binCount - 1);
-                bins[binIndex]++;
-            });
+            // Generate transaction detail content (distribution bins cover every execution)
+            const distribution = transaction.distribution || { labels: [], counts: [] };
+            const binLabels = distribution.labels;
+            const bins = distribution.counts;
 
             const childRequestsByExecution = transaction.childRequestsByExecution || [];
+            const nestedTransactionsByExecution = transaction.nestedTransactionsByExecution || [];
 
             const sampleRows = transaction.samples.map((sample, index) => {
                 const executionId = 'exec-' + index;
@@ -4868,13 +8828,17 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
                 const samplersToShow = executionChildRequests.length > 0
                     ? executionChildRequests
                     : (transaction.uniqueChildRequests || []);
+                const nestedTransactions = executionChildRequests.length > 0 ? (nestedTransactionsByExecution[index] || []) : [];
 
-                const samplersRows = samplersToShow.map((req, idx) => {
-                    return '<tr class="sampler-row" style="background-color: #f8f9fa;">' +
+                // Nested transaction controllers are shown above their requests, indented by level
+                const samplersRows = buildExecutionRowsForJS(samplersToShow, nestedTransactions).map((row) => {
+                    const req = row.item;
+                    const isTransaction = row.kind === 'transaction';
+                    return '<tr class="' + (isTransaction ? 'nested-transaction-row' : 'sampler-row') + '" style="background-color: ' + (isTransaction ? '#eef1fb' : '#f8f9fa') + ';">' +
                         '<td></td>' +
-                        '<td style="padding-left: 40px;">' +
+                        '<td style="padding-left: ' + (40 + (isTransaction ? row.depth - 1 : row.depth) * 20) + 'px;">' +
                             '<span style="color: #667eea;">└─</span> ' +
-                            escapeHtmlForJS(req.label) +
+                            (isTransaction ? '<strong>' + escapeHtmlForJS(req.label) + '</strong>' : escapeHtmlForJS(req.label)) +
                         '</td>' +
                         '<td class="metric-value">' + (req.elapsed || 0) + ' ms</td>' +
                         '<td>' + (req.latency || 0) + ' ms</td>' +
@@ -4937,14 +8901,17 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
                         '<h3>Success Rate</h3>' +
                         '<div class="value">' + ((transaction.successCount / transaction.totalSamples) * 100).toFixed(1) + '%</div>' +
                         '<div class="sub-value">' + transaction.successCount + ' / ' + transaction.totalSamples + '</div>' +
+                        steadyStateSubValueForJS(transaction, (stats) => (100 - parseFloat(stats.errorRate)).toFixed(1) + '%') +
                     '</div>' +
                     '<div class="card">' +
                         '<h3>Avg Response Time</h3>' +
                         '<div class="value">' + transaction.stats.avg + ' ms</div>' +
+                        steadyStateSubValueForJS(transaction, (stats) => stats.stats.avg + ' ms') +
                     '</div>' +
                     '<div class="card">' +
                         '<h3>95th Percentile</h3>' +
                         '<div class="value">' + transaction.stats.p95 + ' ms</div>' +
+                        steadyStateSubValueForJS(transaction, (stats) => stats.stats.p95 + ' ms') +
                     '</div>' +
                 '</div>' +
                 '<div class="section" style="margin-top: 30px;">' +
@@ -4953,9 +8920,19 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
                         '<canvas id="modalResponseTimeChart"></canvas>' +
                     '</div>' +
                 '</div>' +
+                (reportData.jmeter.timeSeries && reportData.jmeter.timeSeries.transactions[transactionName]
+                    ? '<div class="section" style="margin-top: 30px;">' +
+                        '<h3 style="font-size: 1.2em; color: #555; margin-bottom: 15px;">Performance Over Time</h3>' +
+                        '<div id="modalTimeSeriesCharts"></div>' +
+                      '</div>'
+                    : '') +
+                generateTransactionHierarchyForJS(transaction, transactions) +
                 '<div class="section" style="margin-top: 30px;">' +
                     '<h3 style="font-size: 1.2em; color: #555; margin-bottom: 15px;">Transaction Executions</h3>' +
                     '<p style="color: #666; margin-bottom: 15px;">Each row represents one complete execution of this transaction. Click on a row to expand and view API samplers within that execution.</p>' +
+                    (transaction.sampled
+                        ? '<p style="color: #856404; background: #fff3cd; padding: 10px 15px; border-radius: 6px; margin-bottom: 15px;">Showing a random sample of ' + transaction.samples.length.toLocaleString() + ' of ' + transaction.totalSamples.toLocaleString() + ' executions. Statistics and the distribution chart include all executions.</p>'
+                        : '') +
                     '<div class="table-container">' +
                         '<table>' +
                             '<thead>' +
@@ -5001,6 +8978,9 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
             }, 50);
 
             setTimeout(() => {
+                if (typeof Chart !== 'undefined') {
+                    drawTimeSeriesCharts('modalTimeSeriesCharts', reportData.jmeter.timeSeries, transactionName, reportData.jmeter.steadyState);
+                }
                 const chartCtx = document.getElementById('modalResponseTimeChart');
                 if (chartCtx && typeof Chart !== 'undefined') {
                     new Chart(chartCtx.getContext('2d'), {
@@ -5066,6 +9046,11 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
             return String(text).replace(/[&<>"']/g, (m) => map[m]);
         }
 
+        function steadyStateSubValueForJS(item, format) {
+            if (!item.steadyState || item.steadyState.totalSamples === 0) return '';
+            return '<div class="sub-value">Steady state: ' + format(item.steadyState) + '</div>';
+        }
+
         function formatBytesForJS(bytes) {
             if (bytes === 0) return '0 B';
             const k = 1024;
@@ -5074,6 +9059,71 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
             return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
         }
 
+        // Requests of one execution with the nested transaction controllers that enclose them
+        function buildExecutionRowsForJS(requests, nestedTransactions) {
+            const rows = [];
+            const addMarkersAt = (index) => {
+                nestedTransactions.filter((marker) => marker.start === index).forEach((marker) => rows.push({ kind: 'transaction', item: marker.sample, depth: marker.depth }));
+            };
+            requests.forEach((request, index) => {
+                addMarkersAt(index);
+                const depth = nestedTransactions.filter((marker) => marker.start <= index && index < marker.start + marker.requestCount).length;
+                rows.push({ kind: 'request', item: request, depth: depth });
+            });
+            addMarkersAt(requests.length);
+            return rows;
+        }
+
+        // Enclosing transactions, nested transactions and direct samplers of a transaction (drill down by clicking a nested transaction)
+        function generateTransactionHierarchyForJS(transaction, transactions) {
+            const children = (transaction.childTransactions || []).map((name) => transactions[name]).filter(Boolean);
+            const samplers = transaction.samplerStats || [];
+            if (!transaction.parentTransaction && children.length === 0 && samplers.length === 0) return '';
+
+            const transactionLink = (tx) => '<a href="#" data-name="' + escapeHtmlForJS(tx.name) + '" onclick="showTransactionDetail(this.getAttribute(\\'data-name\\')); return false;">' + escapeHtmlForJS(tx.name) + '</a>';
+            const ancestors = [];
+            for (let parent = transactions[transaction.parentTransaction]; parent && ancestors.indexOf(parent) === -1; parent = transactions[parent.parentTransaction]) {
+                ancestors.unshift(parent);
+            }
+            const breadcrumb = ancestors.map(transactionLink).concat('<strong>' + escapeHtmlForJS(transaction.name) + '</strong>').join(' <span style="color: #999;">›</span> ');
+
+            // Full run and steady state values; the Full Run / Steady State switch shows one of them
+            const cell = (item, format, className) => {
+                const classOf = className || (() => '');
+                if (item.steadyState === undefined) {
+                    return '<td class="' + classOf(item) + '">' + format(item) + '</td>';
+                }
+                const steady = item.steadyState && item.steadyState.totalSamples > 0
+                    ? '<span class="scope-steady ' + classOf(item.steadyState) + '">' + format(item.steadyState) + '</span>'
+                    : '<span class="scope-steady">-</span>';
+                return '<td><span class="scope-full ' + classOf(item) + '">' + format(item) + '</span>' + steady + '</td>';
+            };
+            const statCells = (item) =>
+                cell(item, (stats) => stats.totalSamples.toLocaleString()) +
+                cell(item, (stats) => stats.stats.avg + ' ms', () => 'metric-value') +
+                cell(item, (stats) => stats.stats.p90 + ' ms') +
+                cell(item, (stats) => stats.stats.p95 + ' ms') +
+                cell(item, (stats) => stats.errorRate + '%', (stats) => (stats.errorRate > 0 ? 'error-rate' : 'success-rate'));
+            const rows = children.map((child) =>
+                '<tr><td><strong>' + transactionLink(child) + '</strong>' + ((child.childTransactions || []).length > 0 ? ' <span class="tree-badge">' + child.childTransactions.length + ' nested</span>' : '') + '</td>' + statCells(child) + '</tr>'
+            ).concat(samplers.map((sampler) =>
+                '<tr class="sampler-tree-row"><td><span style="color: #667eea;">└─</span> ' + escapeHtmlForJS(sampler.label) + '</td>' + statCells(sampler) + '</tr>'
+            )).join('');
+
+            return '<div class="section" style="margin-top: 30px;">' +
+                    '<h3 style="font-size: 1.2em; color: #555; margin-bottom: 15px;">Transaction Hierarchy</h3>' +
+                    '<p style="color: #666; margin-bottom: 15px;">' + breadcrumb + '</p>' +
+                    (rows
+                        ? '<div class="table-container">' +
+                            '<table class="stats-scope-table' + (document.querySelector('.stats-scope-table.show-steady') ? ' show-steady' : '') + '">' +
+                                '<thead><tr><th>Nested Transaction / Sampler</th><th>Samples</th><th>Avg Response Time</th><th>90th %ile</th><th>95th %ile</th><th>Error %</th></tr></thead>' +
+                                '<tbody>' + rows + '</tbody>' +
+                            '</table>' +
+                        '</div>'
+                        : '') +
+                '</div>';
+        }
+
         // Close modal when clicking outside
         document.addEventListener('click', function(event) {
             const modal = document.getElementById('transactionDetailModal');
@@ -5096,8 +9146,8 @@ function generateStandaloneHTML(jmeterData, playwrightData, azureData, aiAnalysi
 /**
  * Generate dashboard section HTML for standalone report
  */
-function generateDashboardSection(jmeterData, playwrightData, azureData, aiAnalysis, config) {
-    const fullHTML = generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAnalysis, config);
+function generateDashboardSection(jmeterData, playwrightData, azureData, aiAnalysis, config, slaResults = null, baselineComparison = null, runHistory = null) {
+    const fullHTML = generateMasterDashboardHTML(jmeterData, playwrightData, azureData, aiAnalysis, config, slaResults, baselineComparison, runHistory);
 
     // Extract content between <div class="container"> and the closing </div> before </body>
     const containerStart = fullHTML.indexOf('<div class="container">');
@@ -5146,6 +9196,7 @@ function generateDashboardSection(jmeterData, playwrightData, azureData, aiAnaly
         if (config?.features?.aiAnalysis !== false) {
             content = content.replace(/href="ai-analysis\/summary\.html"/g, 'href="javascript:void(0)" onclick="showSection(\'ai-analysis\', this); return false;"');
         }
+        content = content.replace(/href="trends\/summary\.html"/g, 'href="javascript:void(0)" onclick="showSection(\'trends\', this); return false;"');
         content = content.replace(/href="\.\.\/index\.html"/g, 'href="javascript:void(0)" onclick="showSection(\'dashboard\', this); return false;"');
         content = content.replace(
             /href="jmeter\/dashboard\/index\.html"/g,
@@ -5180,7 +9231,7 @@ function generateDashboardSection(jmeterData, playwrightData, azureData, aiAnaly
 /**
  * Generate JMeter section HTML for standalone report
  */
-function generateJMeterSection(jmeterData) {
+function generateJMeterSection(jmeterData, baselineComparison = null) {
     if (!jmeterData || !jmeterData.transactions) {
         return `
             <div class="header">
@@ -5201,27 +9252,12 @@ function generateJMeterSection(jmeterData) {
     const businessTransactions = transactions.filter((tx) => !tx.name.toLowerCase().includes('insert') && !tx.name.toLowerCase().includes('clean'));
     const setupTransactions = transactions.filter((tx) => tx.name.toLowerCase().includes('insert') || tx.name.toLowerCase().includes('clean'));
 
-    const transactionRows = transactions
-        .map((tx) => {
-            const isSetup = tx.name.toLowerCase().includes('insert') || tx.name.toLowerCase().includes('clean');
-            return `
-        <tr class="transaction-row ${isSetup ? 'setup-transaction' : 'business-transaction'}">
-            <td><strong>${escapeHtml(tx.name)}</strong></td>
-            <td>${tx.totalSamples.toLocaleString()}</td>
-            <td class="metric-value">${tx.stats.avg} ms</td>
-            <td>${tx.stats.min} ms</td>
-            <td>${tx.stats.max} ms</td>
-            <td>${tx.stats.p90} ms</td>
-            <td>${tx.stats.p95} ms</td>
-            <td>${tx.stats.p99} ms</td>
-            <td class="${tx.errorRate > 0 ? 'error-rate' : 'success-rate'}">${tx.errorRate}%</td>
-            <td>
-                <button onclick="showTransactionDetail('${tx.name.replace(/'/g, "\\'")}')" class="btn-details">View Details →</button>
-            </td>
-        </tr>
-    `;
-        })
-        .join('');
+    const rootTransactions = transactions.filter((tx) => !tx.parentTransaction);
+    const transactionRows = generateTransactionTreeRows(jmeterData.transactions, rootTransactions, {
+        renderAction: (tx) => `<button onclick="showTransactionDetail('${escapeHtml(tx.name.replace(/'/g, "\\'"))}')" class="btn-details">View Details →</button>`,
+        showApdex: Boolean(jmeterData.apdex),
+        userTypeKeys: (jmeterData.userTypeStats || []).map((userType) => userType.key),
+    });
 
     return `
         <div class="header">
@@ -5252,6 +9288,14 @@ function generateJMeterSection(jmeterData) {
                 </div>
             </div>
 
+            ${generateApdexSectionHTML(jmeterData, 'jmeterApdexChart')}
+            ${generateLatencyBreakdownSectionHTML(jmeterData, 'jmeterLatencyBreakdownChart')}
+            ${generateEngineStatsHTML(jmeterData)}
+            ${generateActiveThreadsSectionHTML(jmeterData, 'jmeterActiveThreadsChart')}
+            ${generateLoadProfileSectionHTML(jmeterData, 'jmeterLoadProfileChart')}
+            ${generateTimeSeriesSectionHTML(jmeterData.timeSeries, 'jmeterTimeSeriesCharts', null, jmeterData.steadyState)}
+            ${generateSteadyStateSectionHTML(jmeterData)}
+            ${generateBaselineSectionHTML(baselineComparison)}
             <!-- Performance Chart -->
             <div class="section">
                 <h2 class="section-title">Response Time Distribution</h2>
@@ -5264,14 +9308,14 @@ function generateJMeterSection(jmeterData) {
             <div class="section">
                 <h2 class="section-title">
                     Transaction Details
-                    <div style="display: flex; gap: 10px;">
+                    <div style="display: flex; gap: 10px;">${generateUserTypeFilterHTML(jmeterData)}${generateStatsScopeToggleHTML(jmeterData.steadyState)}
                         <button onclick="toggleSetupTransactions()" class="toggle-btn" id="setupToggleBtn" style="font-size: 0.75em;">
                             ☐ Show Setup/Teardown (${setupTransactions.length})
                         </button>
                     </div>
                 </h2>
                 <p style="color: #666; margin-bottom: 15px;">
-                    Showing ${businessTransactions.length} business transactions. Setup/Teardown transactions (Insert, Clean Up) are hidden by default.
+                    Showing ${businessTransactions.length} business transactions${jmeterData.grouping && jmeterData.grouping.strategy !== 'transactionControllers' ? ` (grouped by ${jmeterData.grouping.label.toLowerCase()})` : ''}. Setup/Teardown transactions (Insert, Clean Up) are hidden by default.
                 </p>
 
                 <!-- Filter Input -->
@@ -5297,7 +9341,7 @@ function generateJMeterSection(jmeterData) {
                 </div>
 
                 <div class="table-container">
-                    <table id="transactionTable">
+                    <table id="transactionTable" class="stats-scope-table">
                         <thead>
                             <tr>
                                 <th>Transaction Name</th>
@@ -5309,6 +9353,7 @@ function generateJMeterSection(jmeterData) {
                                 <th>95th %ile</th>
                                 <th>99th %ile</th>
                                 <th>Error %</th>
+                                ${jmeterData.apdex ? '<th title="Apdex of the transaction executions">Apdex</th>' : ''}
                                 <th>Actions</th>
                             </tr>
                         </thead>
@@ -5318,6 +9363,7 @@ function generateJMeterSection(jmeterData) {
                     </table>
                 </div>
             </div>
+            ${generateEndpointStatsHTML(jmeterData)}
         </div>
 
         <!-- Transaction Detail Modal -->
@@ -5379,7 +9425,7 @@ function generatePlaywrightSection(playwrightData) {
 /**
  * Generate Azure section HTML for standalone report
  */
-function generateAzureSection(azureData, jmeterData) {
+function generateAzureSection(azureData, jmeterData, baselineComparison = null) {
     if (!azureData) {
         return `
             <div class="header">
@@ -5394,7 +9440,7 @@ function generateAzureSection(azureData, jmeterData) {
         `;
     }
 
-    const fullHTML = generateAzureSummaryHTML(azureData, jmeterData);
+    const fullHTML = generateAzureSummaryHTML(azureData, jmeterData, baselineComparison);
     const match = fullHTML.match(/<div class="container">([\s\S]*?)<\/div>\s*<\/body>/);
     if (match && match[1]) {
         let content = match[1];
@@ -5521,3 +9567,18 @@ function generateAIAnalysisSection(aiAnalysis) {
         </div>
     `;
 }
+
+/**
+ * Generate Trends section HTML for standalone report
+ */
+function generateTrendsSection(runHistory) {
+    return `
+            <div class="header">
+                <h1>📈 Performance Trends</h1>
+                <p>Key metrics across the last ${runHistory.runs.length} run(s)</p>
+            </div>
+            <div class="content">
+                ${generateTrendsContentHTML(runHistory)}
+            </div>
+        `;
+}
@@ -0,0 +1,294 @@
+/**
+ * Active Threads Tracking
+ *
+ * JMeter records the number of active threads in the sample's thread group (grpThreads)
+ * and across all thread groups (allThreads) on every sample. These are tracked per second
+ * while parsing and turned into "active threads over time" series per thread group and
+ * per user type. Counts are kept per load generator because each engine reports only
+ * its own threads; series sum the engines.
+ *
+ * When the JMX test plan is known, the planned thread curve of each thread group is
+ * added on the same timeline (aligned to the first sample) for comparison.
+ */
+
+import { plannedThreadsAt } from './parseJMX.js';
+
+// Maximum number of points in a series (longer runs use wider buckets)
+const MAX_SERIES_POINTS = 600;
+
+/**
+ * Thread group name from a JMeter thread name ("Group Name 1-5" -> "Group Name")
+ * @param {string} threadName
+ * @returns {string}
+ */
+export function getThreadGroupName(threadName) {
+    const groupMatch = (threadName || '').match(/^(.+?)\s*\d+-\d+$/);
+    // Concurrency Thread Group threads are named "Group Name-ThreadStarter 1-5"
+    return groupMatch ? groupMatch[1].replace(/-ThreadStarter$/, '').trim() : threadName || '';
+}
+
+/**
+ * Create the per-second accumulator used while parsing
+ */
+export function createActiveThreadsTracker() {
+    return {
+        groups: new Map(), // source + group -> { group, seconds: Map(second -> max grpThreads) }
+        totals: new Map(), // source -> Map(second -> max allThreads)
+        hasData: false,
+    };
+}
+
+/**
+ * Record the active thread counts reported on a sample
+ * @param {Object} tracker - From createActiveThreadsTracker()
+ * @param {Object} sample - Parsed sample (grpThreads, allThreads, threadName, source, timestamp)
+ */
+export function recordActiveThreads(tracker, sample) {
+    if (!(sample.grpThreads > 0 || sample.allThreads > 0) || !(sample.timestamp > 0)) {
+        return;
+    }
+    tracker.hasData = true;
+
+    // Thread counts are captured when the sample completes
+    const second = Math.floor((sample.timestamp + (sample.elapsed || 0)) / 1000);
+    const source = sample.source || '';
+
+    if (sample.grpThreads > 0 && sample.threadName) {
+        const group = getThreadGroupName(sample.threadName);
+        const key = source + '\u0000' + group;
+        if (!tracker.groups.has(key)) {
+            tracker.groups.set(key, { group, seconds: new Map() });
+        }
+        updateMax(tracker.groups.get(key).seconds, second, sample.grpThreads);
+    }
+
+    if (sample.allThreads > 0) {
+        if (!tracker.totals.has(source)) {
+            tracker.totals.set(source, new Map());
+        }
+        updateMax(tracker.totals.get(source), second, sample.allThreads);
+    }
+}
+
+function updateMax(seconds, second, value) {
+    const current = seconds.get(second);
+    if (current === undefined || value > current) {
+        seconds.set(second, value);
+    }
+}
+
+/**
+ * Expand per-second observations onto a timeline. Between observations the last
+ * value is carried forward (threads stay active while no sample completes);
+ * outside the observed range the value is 0.
+ */
+function expandObservations(seconds, firstSecond, length) {
+    const values = new Array(length).fill(0);
+    const observed = Array.from(seconds.keys()).sort((a, b) => a - b);
+    if (observed.length === 0) return values;
+
+    const lastObserved = observed[observed.length - 1];
+    let current = 0;
+    for (let i = 0; i < length; i++) {
+        const second = firstSecond + i;
+        if (second > lastObserved) break;
+        if (seconds.has(second)) current = seconds.get(second);
+        if (second >= observed[0]) values[i] = current;
+    }
+    return values;
+}
+
+export function sumSeries(seriesList, length) {
+    const total = new Array(length).fill(0);
+    seriesList.forEach((series) => {
+        for (let i = 0; i < length; i++) total[i] += series[i];
+    });
+    return total;
+}
+
+/**
+ * Bucket size (seconds) that keeps a timeline of `length` seconds within MAX_SERIES_POINTS
+ */
+export function seriesBucketSeconds(length) {
+    return Math.max(1, Math.ceil(length / MAX_SERIES_POINTS));
+}
+
+/**
+ * Reduce a per-second series to buckets (max for thread counts, avg for rates)
+ */
+export function downsample(values, bucketSize, mode = 'max') {
+    const result = [];
+    for (let i = 0; i < values.length; i += bucketSize) {
+        const end = Math.min(i + bucketSize, values.length);
+        let max = 0;
+        let sum = 0;
+        for (let j = i; j < end; j++) {
+            if (values[j] > max) max = values[j];
+            sum += values[j];
+        }
+        result.push(mode === 'avg' ? sum / (end - i) : max);
+    }
+    return result;
+}
+
+/**
+ * Planned threads per second for the enabled main thread groups of the test plan.
+ * Serialized thread groups start when the previous one has finished.
+ * @returns {Object|null} { total, byThreadGroup, byUserType, groupsByUserType } (per second)
+ */
+export function buildPlannedSeries(testPlan, length, userTypes) {
+    const groupSeries = {};
+    let offset = 0;
+
+    testPlan.threadGroups
+        .filter((group) => group.enabled && group.role === 'main' && group.schedule)
+        .forEach((group) => {
+            const values = new Array(length);
+            for (let i = 0; i < length; i++) {
+                values[i] = Math.round(plannedThreadsAt(group.schedule, i - offset));
+            }
+            groupSeries[group.name] = groupSeries[group.name] ? sumSeries([groupSeries[group.name], values], length) : values;
+
+            if (testPlan.testPlan.serializeThreadGroups && !group.schedule.openEnded) {
+                offset += group.schedule.points[group.schedule.points.length - 1][0];
+            }
+        });
+
+    if (Object.keys(groupSeries).length === 0) {
+        return null;
+    }
+
+    const userTypeSeries = {};
+    const groupsByUserType = {};
+    userTypes.forEach((userType) => {
+        const groups = Object.keys(groupSeries).filter((name) => {
+            const group = testPlan.threadGroups.find((threadGroup) => threadGroup.name === name);
+            return group.userTypes && group.userTypes.length > 0 ? group.userTypes.includes(userType.key) : userType.matches(name);
+        });
+        if (groups.length > 0) {
+            groupsByUserType[userType.key] = groups;
+            userTypeSeries[userType.key] = sumSeries(
+                groups.map((name) => groupSeries[name]),
+                length
+            );
+        }
+    });
+
+    return { total: sumSeries(Object.values(groupSeries), length), byThreadGroup: groupSeries, byUserType: userTypeSeries, groupsByUserType };
+}
+
+/**
+ * Active threads per second per thread group (summed over load generators)
+ */
+function threadGroupSeries(tracker, firstSecond, length) {
+    const groupSeries = {};
+    tracker.groups.forEach(({ group, seconds }) => {
+        const expanded = expandObservations(seconds, firstSecond, length);
+        groupSeries[group] = groupSeries[group] ? sumSeries([groupSeries[group], expanded], length) : expanded;
+    });
+    return groupSeries;
+}
+
+/**
+ * All active threads per second: JMeter's allThreads when recorded, otherwise the sum of the thread groups
+ */
+function totalActiveThreads(tracker, groupSeries, firstSecond, length) {
+    if (tracker.totals.size > 0) {
+        return sumSeries(
+            Array.from(tracker.totals.values()).map((seconds) => expandObservations(seconds, firstSecond, length)),
+            length
+        );
+    }
+    return sumSeries(Object.values(groupSeries), length);
+}
+
+/**
+ * Peak active threads (all thread groups) per time bucket, for the time series charts
+ * @param {Object} tracker - From createActiveThreadsTracker()
+ * @param {number} firstBucket - First bucket (epoch seconds / bucketSeconds)
+ * @param {number} bucketCount - Number of buckets
+ * @param {number} bucketSeconds - Bucket size in seconds
+ * @returns {Array<number>|null} null when no thread counts were recorded
+ */
+export function activeThreadsPerBucket(tracker, firstBucket, bucketCount, bucketSeconds) {
+    if (!tracker || !tracker.hasData) {
+        return null;
+    }
+    const firstSecond = firstBucket * bucketSeconds;
+    const length = bucketCount * bucketSeconds;
+    return downsample(totalActiveThreads(tracker, threadGroupSeries(tracker, firstSecond, length), firstSecond, length), bucketSeconds);
+}
+
+/**
+ * Build active thread series and peaks
+ * @param {Object} tracker - From createActiveThreadsTracker()
+ * @param {Object} options
+ * @param {number} options.startTimestamp - Test start (ms)
+ * @param {number} options.endTimestamp - Test end (ms)
+ * @param {Array<Object>} options.userTypes - [{ key, displayName, matches(groupName) }]
+ * @param {Object} options.testPlan - Parsed JMX test plan (optional) for the planned curves
+ * @returns {Object|null} { bucketSeconds, timestamps, total, byThreadGroup, byUserType, userTypeNames, peak, planned } or null without data
+ */
+export function buildActiveThreadSeries(tracker, { startTimestamp, endTimestamp, userTypes = [], testPlan = null }) {
+    if (!tracker || !tracker.hasData || !(endTimestamp > startTimestamp)) {
+        return null;
+    }
+
+    const firstSecond = Math.floor(startTimestamp / 1000);
+    const length = Math.floor(endTimestamp / 1000) - firstSecond + 1;
+
+    const groupSeries = threadGroupSeries(tracker, firstSecond, length);
+    const totalSeries = totalActiveThreads(tracker, groupSeries, firstSecond, length);
+
+    // Per user type: sum of the thread groups that belong to it
+    const userTypeSeries = {};
+    const userTypeNames = {};
+    userTypes.forEach((userType) => {
+        const groups = Object.keys(groupSeries).filter((group) => userType.matches(group));
+        if (groups.length > 0) {
+            userTypeNames[userType.key] = userType.displayName || userType.key;
+            userTypeSeries[userType.key] = sumSeries(
+                groups.map((group) => groupSeries[group]),
+                length
+            );
+        }
+    });
+
+    const peakOf = (values) => values.reduce((max, value) => (value > max ? value : max), 0);
+    const bucketSeconds = seriesBucketSeconds(length);
+    const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+    const timestamps = [];
+    for (let i = 0; i < length; i += bucketSeconds) {
+        timestamps.push((firstSecond + i) * 1000);
+    }
+
+    // Planned curves from the JMX schedules, starting with the first sample
+    const planned = testPlan ? buildPlannedSeries(testPlan, length, userTypes) : null;
+
+    return {
+        bucketSeconds,
+        timestamps,
+        total: downsample(totalSeries, bucketSeconds),
+        byThreadGroup: mapValues(groupSeries, (values) => downsample(values, bucketSeconds)),
+        byUserType: mapValues(userTypeSeries, (values) => downsample(values, bucketSeconds)),
+        userTypeNames,
+        peak: {
+            total: peakOf(totalSeries),
+            byThreadGroup: mapValues(groupSeries, peakOf),
+            byUserType: mapValues(userTypeSeries, peakOf),
+        },
+        planned: planned
+            ? {
+                  total: downsample(planned.total, bucketSeconds),
+                  byThreadGroup: mapValues(planned.byThreadGroup, (values) => downsample(values, bucketSeconds)),
+                  byUserType: mapValues(planned.byUserType, (values) => downsample(values, bucketSeconds)),
+                  peak: {
+                      total: peakOf(planned.total),
+                      byThreadGroup: mapValues(planned.byThreadGroup, peakOf),
+                      byUserType: mapValues(planned.byUserType, peakOf),
+                  },
+              }
+            : null,
+    };
+}
@@ -0,0 +1,299 @@
+/**
+ * Apdex
+ *
+ * Application Performance Index: the share of satisfied users, (satisfied + tolerating / 2) / total.
+ * A transaction execution is satisfied up to `satisfied` ms, tolerating up to `tolerated` ms
+ * and frustrated above that or when it failed. Thresholds are `jmeter.apdex.satisfied` /
+ * `tolerated`, or those of the first `jmeter.apdex.rules` entry whose `transaction` regex
+ * matches the transaction name.
+ *
+ * Scores are kept per transaction (and per transaction and thread group), and over the
+ * top-level transaction executions (nested Transaction Controllers count once, through their
+ * outermost transaction) for the whole run, per thread group (mapped to user types in the
+ * report) and per second for the chart.
+ */
+
+import { getThreadGroupName } from './activeThreads.js';
+import { compilePattern } from '../regexPatterns.js';
+
+export const DEFAULT_APDEX = {
+    enabled: true,
+    satisfied: 500, // ms
+    tolerated: 1500, // ms
+    rules: [],
+};
+
+// Apdex rating bands (lower bound of the score)
+const APDEX_RATINGS = [
+    { min: 0.94, rating: 'Excellent', color: '#0cce6b' },
+    { min: 0.85, rating: 'Good', color: '#6abf40' },
+    { min: 0.7, rating: 'Fair', color: '#ffa400' },
+    { min: 0.5, rating: 'Poor', color: '#ff7a42' },
+    { min: 0, rating: 'Unacceptable', color: '#ff4e42' },
+];
+
+function validateThresholds(thresholds, prefix, errors) {
+    const { satisfied, tolerated } = thresholds;
+    if (!(typeof satisfied === 'number' && satisfied > 0)) {
+        errors.push(`${prefix}.satisfied must be a positive number of ms (got ${JSON.stringify(satisfied)})`);
+    } else if (tolerated !== undefined && tolerated !== null && !(typeof tolerated === 'number' && tolerated >= satisfied)) {
+        errors.push(`${prefix}.tolerated must be a number of ms >= satisfied (got ${JSON.stringify(tolerated)})`);
+    }
+}
+
+/**
+ * Validate the `jmeter.apdex` config block
+ * @param {Object} apdexConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateApdexConfig(apdexConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!apdexConfig) {
+        return { errors, warnings };
+    }
+
+    if (apdexConfig.enabled !== undefined && typeof apdexConfig.enabled !== 'boolean') {
+        errors.push(`jmeter.apdex.enabled must be true or false (got ${JSON.stringify(apdexConfig.enabled)})`);
+    }
+    validateThresholds(apdexConfig, 'jmeter.apdex', errors);
+
+    const rules = apdexConfig.rules || [];
+    if (!Array.isArray(rules)) {
+        errors.push('jmeter.apdex.rules must be an array of { transaction, satisfied, tolerated } rules');
+        return { errors, warnings };
+    }
+    rules.forEach((rule, index) => {
+        if (!rule || (typeof rule.transaction !== 'string' && !(rule.transaction instanceof RegExp))) {
+            errors.push(`jmeter.apdex.rules[${index}] needs a transaction pattern (string or RegExp)`);
+            return;
+        }
+        try {
+            compilePattern(rule.transaction, rule.flags);
+        } catch (error) {
+            errors.push(`jmeter.apdex.rules[${index}].transaction is not a valid regular expression: ${error.message}`);
+        }
+        validateThresholds(rule, `jmeter.apdex.rules[${index}]`, errors);
+    });
+
+    return { errors, warnings };
+}
+
+/**
+ * Satisfied/tolerated thresholds, with the Apdex convention of 4 x satisfied when tolerated is not set
+ */
+function toThresholds({ satisfied, tolerated }) {
+    return { satisfied, tolerated: typeof tolerated === 'number' ? tolerated : satisfied * 4 };
+}
+
+function createCounts() {
+    return { satisfied: 0, tolerating: 0, frustrated: 0 };
+}
+
+function countInto(counts, level) {
+    counts[level]++;
+}
+
+/**
+ * Create the accumulator used while parsing (null when Apdex is disabled)
+ * @param {Object} apdexConfig - `jmeter.apdex`, merged over DEFAULT_APDEX
+ */
+export function createApdexTracker(apdexConfig = DEFAULT_APDEX) {
+    const config = { ...DEFAULT_APDEX, ...apdexConfig };
+    if (config.enabled === false) {
+        return null;
+    }
+    return {
+        defaults: toThresholds(config),
+        rules: (config.rules || []).map((rule) => ({ pattern: compilePattern(rule.transaction, rule.flags), source: String(rule.transaction), ...toThresholds(rule) })),
+        thresholdsByTransaction: new Map(), // Transaction name -> thresholds of its first matching rule (or the defaults)
+        transactions: new Map(), // Transaction name -> counts
+        transactionGroups: new Map(), // Transaction name -> Map(thread group -> counts)
+        overall: createCounts(), // Top-level transaction executions
+        groups: new Map(), // Thread group -> counts (top-level executions)
+        seconds: new Map(), // Second -> counts (top-level executions)
+        groupSeconds: new Map(), // Thread group -> Map(second -> counts)
+    };
+}
+
+function thresholdsFor(tracker, transactionName) {
+    let thresholds = tracker.thresholdsByTransaction.get(transactionName);
+    if (!thresholds) {
+        const rule = tracker.rules.find((candidate) => candidate.pattern.test(transactionName));
+        thresholds = rule ? { satisfied: rule.satisfied, tolerated: rule.tolerated, rule: rule.source } : { ...tracker.defaults, rule: null };
+        tracker.thresholdsByTransaction.set(transactionName, thresholds);
+    }
+    return thresholds;
+}
+
+function countPerSecond(seconds, second, level) {
+    let counts = seconds.get(second);
+    if (!counts) {
+        counts = createCounts();
+        seconds.set(second, counts);
+    }
+    countInto(counts, level);
+}
+
+/**
+ * Record a transaction execution
+ * @param {Object} tracker - From createApdexTracker()
+ * @param {string} transactionName
+ * @param {Object} sample - Parsed transaction sample (elapsed, success, timestamp, threadName)
+ * @param {boolean} isTopLevel - Not nested in another transaction (counts towards the overall scores)
+ */
+export function recordApdexSample(tracker, transactionName, sample, isTopLevel) {
+    const { satisfied, tolerated } = thresholdsFor(tracker, transactionName);
+    const level = !sample.success || sample.elapsed > tolerated ? 'frustrated' : sample.elapsed > satisfied ? 'tolerating' : 'satisfied';
+
+    const group = getThreadGroupName(sample.threadName);
+    if (!tracker.transactions.has(transactionName)) {
+        tracker.transactions.set(transactionName, createCounts());
+        tracker.transactionGroups.set(transactionName, new Map());
+    }
+    countInto(tracker.transactions.get(transactionName), level);
+    const transactionGroups = tracker.transactionGroups.get(transactionName);
+    if (!transactionGroups.has(group)) {
+        transactionGroups.set(group, createCounts());
+    }
+    countInto(transactionGroups.get(group), level);
+    if (!isTopLevel) {
+        return;
+    }
+
+    countInto(tracker.overall, level);
+    if (!tracker.groups.has(group)) {
+        tracker.groups.set(group, createCounts());
+        tracker.groupSeconds.set(group, new Map());
+    }
+    countInto(tracker.groups.get(group), level);
+    if (sample.timestamp > 0) {
+        const second = Math.floor(sample.timestamp / 1000);
+        countPerSecond(tracker.seconds, second, level);
+        countPerSecond(tracker.groupSeconds.get(group), second, level);
+    }
+}
+
+/**
+ * Rating band of a score
+ * @param {number} score - 0 to 1
+ * @returns {{ rating: string, color: string }}
+ */
+export function getApdexRating(score) {
+    const band = APDEX_RATINGS.find((candidate) => score >= candidate.min) || APDEX_RATINGS[APDEX_RATINGS.length - 1];
+    return { rating: band.rating, color: band.color };
+}
+
+/**
+ * Score of a set of counts, or null without executions
+ */
+function toScore(counts) {
+    const total = counts.satisfied + counts.tolerating + counts.frustrated;
+    if (total === 0) {
+        return null;
+    }
+    const score = Math.round(((counts.satisfied + counts.tolerating / 2) / total) * 100) / 100;
+    return { score, rating: getApdexRating(score).rating, ...counts, total };
+}
+
+function mergeCounts(target, counts) {
+    target.satisfied += counts.satisfied;
+    target.tolerating += counts.tolerating;
+    target.frustrated += counts.frustrated;
+    return target;
+}
+
+/**
+ * Scores per time bucket (null where a bucket has no executions)
+ */
+function toSeries(seconds, firstBucket, bucketCount, bucketSeconds) {
+    const buckets = Array.from({ length: bucketCount }, () => createCounts());
+    seconds.forEach((counts, second) => {
+        const index = Math.floor(second / bucketSeconds) - firstBucket;
+        if (index >= 0 && index < bucketCount) mergeCounts(buckets[index], counts);
+    });
+    return buckets.map((counts) => {
+        const scored = toScore(counts);
+        return scored ? scored.score : null;
+    });
+}
+
+/**
+ * Build the Apdex scores for the report
+ * @param {Object|null} tracker - From createApdexTracker()
+ * @param {Object} options
+ * @param {Object[]} options.userTypes - [{ key, displayName, matches(threadGroupName) }]
+ * @param {Object|null} options.timeSeries - jmeterData.timeSeries; the Apdex series uses its buckets
+ * @returns {Object|null} { thresholds, rules, overall, transactions, userTypes, timeSeries } or null without executions
+ */
+export function buildApdex(tracker, { userTypes = [], timeSeries = null } = {}) {
+    if (!tracker) {
+        return null;
+    }
+    const overall = toScore(tracker.overall);
+    if (!overall) {
+        return null;
+    }
+
+    // Scores of the thread groups mapped to each user type: key -> score (user types without executions are left out)
+    const scoreByUserType = (groupCounts) => {
+        const scores = {};
+        userTypes.forEach((userType) => {
+            const counts = Array.from(groupCounts.keys())
+                .filter((group) => userType.matches(group))
+                .reduce((merged, group) => mergeCounts(merged, groupCounts.get(group)), createCounts());
+            const scored = toScore(counts);
+            if (scored) scores[userType.key] = scored;
+        });
+        return scores;
+    };
+
+    const transactions = {};
+    tracker.transactions.forEach((counts, name) => {
+        const { rule, ...thresholds } = thresholdsFor(tracker, name);
+        transactions[name] = { ...toScore(counts), thresholds, rule, userTypes: scoreByUserType(tracker.transactionGroups.get(name)) };
+    });
+
+    const groupsOf = (userType) => Array.from(tracker.groups.keys()).filter((group) => userType.matches(group));
+    const byUserType = userTypes
+        .map((userType) => {
+            const groups = groupsOf(userType);
+            const counts = groups.reduce((merged, group) => mergeCounts(merged, tracker.groups.get(group)), createCounts());
+            const scored = toScore(counts);
+            return scored ? { key: userType.key, displayName: userType.displayName, threadGroups: groups, ...scored } : null;
+        })
+        .filter(Boolean);
+
+    let series = null;
+    if (timeSeries && timeSeries.timestamps.length > 0) {
+        const { bucketSeconds, timestamps } = timeSeries;
+        const firstBucket = Math.floor(timestamps[0] / 1000 / bucketSeconds);
+        const userTypeSeries = {};
+        byUserType.forEach((userType) => {
+            const seconds = new Map();
+            userType.threadGroups.forEach((group) => {
+                tracker.groupSeconds.get(group).forEach((counts, second) => {
+                    if (!seconds.has(second)) seconds.set(second, createCounts());
+                    mergeCounts(seconds.get(second), counts);
+                });
+            });
+            userTypeSeries[userType.key] = toSeries(seconds, firstBucket, timestamps.length, bucketSeconds);
+        });
+        series = {
+            bucketSeconds,
+            timestamps,
+            overall: toSeries(tracker.seconds, firstBucket, timestamps.length, bucketSeconds),
+            userTypes: userTypeSeries,
+        };
+    }
+
+    return {
+        thresholds: { ...tracker.defaults },
+        rules: tracker.rules.map(({ source, satisfied, tolerated }) => ({ transaction: source, satisfied, tolerated })),
+        overall,
+        transactions,
+        userTypes: byUserType,
+        timeSeries: series,
+    };
+}
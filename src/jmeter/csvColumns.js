@@ -0,0 +1,180 @@
+/**
+ * JMeter CSV Column Mapping
+ *
+ * Describes the CSV/JTL columns the report understands, resolves them against a
+ * results file header (or the configured column list for header-less files) and
+ * validates the `jmeter.csv` configuration block.
+ */
+
+// Column order JMeter writes with default saveservice settings
+export const DEFAULT_JTL_COLUMNS = [
+    'timeStamp',
+    'elapsed',
+    'label',
+    'responseCode',
+    'responseMessage',
+    'threadName',
+    'dataType',
+    'success',
+    'failureMessage',
+    'bytes',
+    'sentBytes',
+    'grpThreads',
+    'allThreads',
+    'URL',
+    'Latency',
+    'IdleTime',
+    'Connect',
+];
+
+// Columns the report reads. `degrades` lists the report sections affected when an optional column is missing.
+export const JTL_COLUMNS = {
+    label: { required: true },
+    elapsed: { required: true },
+    timeStamp: { degrades: ['Test duration, start/end times and throughput'] },
+    success: { degrades: ['Success rate, error counts and error analysis (every sample is counted as failed)'] },
+    responseCode: { degrades: ['Error breakdown by response code', 'Response codes in transaction details'] },
+    responseMessage: { degrades: ['Transaction controller detection (child requests are not grouped under transactions)'] },
+    dataType: { degrades: ['Request vs. transaction controller classification (falls back to URL)'] },
+    threadName: { degrades: ['User load configuration (thread counts per user type)'] },
+    failureMessage: { degrades: ['Assertion failure messages in error analysis'] },
+    bytes: { degrades: ['Response size in transaction details'] },
+    sentBytes: { degrades: [] },
+    grpThreads: { degrades: [] },
+    allThreads: { degrades: [] },
+    URL: { degrades: ['Environment detection', 'Request classification for samplers without a data type'] },
+    Latency: { degrades: ['Latency in transaction details', 'Latency breakdown'] },
+    Connect: { degrades: ['Connect time in transaction details', 'Connect share of the latency breakdown'] },
+    IdleTime: { degrades: [] },
+    Hostname: { degrades: [] }, // Load generators fall back to the results file name
+};
+
+/**
+ * Normalize the configured delimiter ('\t' and 'tab' both mean a tab character)
+ * @param {string} delimiter
+ * @returns {string}
+ */
+export function normalizeDelimiter(delimiter) {
+    if (delimiter === undefined || delimiter === null || delimiter === '') return ',';
+    if (delimiter === '\\t' || String(delimiter).toLowerCase() === 'tab') return '\t';
+    return String(delimiter);
+}
+
+/**
+ * Map a header name to the canonical column name using aliases (case-insensitive)
+ * @param {string} name - Column name from the file header or the configured column list
+ * @param {Object} aliases - { canonicalName: ['alias', ...] }
+ * @returns {string|null}
+ */
+export function canonicalColumnName(name, aliases = {}) {
+    const normalized = String(name || '')
+        .replace(/^\uFEFF/, '')
+        .trim()
+        .toLowerCase();
+    if (!normalized) return null;
+
+    for (const canonical of Object.keys(JTL_COLUMNS)) {
+        if (canonical.toLowerCase() === normalized) return canonical;
+    }
+    for (const [canonical, names] of Object.entries(aliases || {})) {
+        const aliasList = Array.isArray(names) ? names : [names];
+        if (aliasList.some((alias) => String(alias).trim().toLowerCase() === normalized)) {
+            return canonical;
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve column positions from a list of column names
+ * @param {string[]} names - Header values or configured column list
+ * @param {Object} aliases - Column aliases from config
+ * @returns {{ indexes: Object, missingRequired: string[], missingOptional: string[] }}
+ */
+export function resolveColumns(names, aliases = {}) {
+    const indexes = {};
+    Object.keys(JTL_COLUMNS).forEach((column) => {
+        indexes[column] = -1;
+    });
+
+    names.forEach((name, index) => {
+        const canonical = canonicalColumnName(name, aliases);
+        if (canonical && indexes[canonical] === -1) {
+            indexes[canonical] = index;
+        }
+    });
+
+    const missing = Object.keys(JTL_COLUMNS).filter((column) => indexes[column] === -1);
+    return {
+        indexes,
+        missingRequired: missing.filter((column) => JTL_COLUMNS[column].required),
+        missingOptional: missing.filter((column) => !JTL_COLUMNS[column].required),
+    };
+}
+
+/**
+ * Describe which report sections are degraded by missing optional columns
+ * @param {string[]} missingOptional
+ * @returns {string[]} Log lines ("column: section; section")
+ */
+export function describeDegradedSections(missingOptional) {
+    return missingOptional.filter((column) => JTL_COLUMNS[column].degrades.length > 0).map((column) => `${column}: ${JTL_COLUMNS[column].degrades.join('; ')}`);
+}
+
+/**
+ * Validate the `jmeter.csv` config block
+ * @param {Object} csvConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateCSVConfig(csvConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!csvConfig) {
+        return { errors, warnings };
+    }
+
+    const delimiter = normalizeDelimiter(csvConfig.delimiter);
+    if (delimiter.length !== 1) {
+        errors.push(`jmeter.csv.delimiter must be a single character (got "${csvConfig.delimiter}")`);
+    } else if (delimiter === '"') {
+        errors.push('jmeter.csv.delimiter cannot be a double quote');
+    }
+
+    if (![true, false, 'auto'].includes(csvConfig.header)) {
+        errors.push(`jmeter.csv.header must be true, false or 'auto' (got ${JSON.stringify(csvConfig.header)})`);
+    }
+
+    const aliases = csvConfig.aliases || {};
+    if (typeof aliases !== 'object' || Array.isArray(aliases)) {
+        errors.push('jmeter.csv.aliases must be an object of { columnName: [aliases] }');
+    } else {
+        Object.entries(aliases).forEach(([canonical, names]) => {
+            if (!JTL_COLUMNS[canonical]) {
+                warnings.push(`jmeter.csv.aliases.${canonical} is not a known column (known: ${Object.keys(JTL_COLUMNS).join(', ')})`);
+            }
+            if (!Array.isArray(names) && typeof names !== 'string') {
+                errors.push(`jmeter.csv.aliases.${canonical} must be a string or an array of strings`);
+            }
+        });
+    }
+
+    const columns = csvConfig.columns;
+    if (columns !== null && columns !== undefined && (!Array.isArray(columns) || columns.some((name) => typeof name !== 'string'))) {
+        errors.push('jmeter.csv.columns must be an array of column names');
+    } else if (columns && columns.length > 0) {
+        const validAliases = typeof aliases === 'object' && !Array.isArray(aliases) ? aliases : {};
+        const unknown = columns.filter((name) => name && !canonicalColumnName(name, validAliases));
+        if (unknown.length > 0) {
+            warnings.push(`jmeter.csv.columns contains columns the report does not use (ignored): ${unknown.join(', ')}`);
+        }
+        const { missingRequired } = resolveColumns(columns, validAliases);
+        if (missingRequired.length > 0) {
+            errors.push(`jmeter.csv.columns is missing required columns: ${missingRequired.join(', ')}`);
+        }
+    } else if (csvConfig.header === false) {
+        warnings.push(`jmeter.csv.header is false but no jmeter.csv.columns are set - assuming JMeter's default column order`);
+    }
+
+    return { errors, warnings };
+}
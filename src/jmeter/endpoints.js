@@ -0,0 +1,243 @@
+/**
+ * Endpoint Aggregation
+ *
+ * Sampler labels often contain raw URLs with IDs, so the same API call shows up under many
+ * labels. Requests are grouped here by HTTP method and URL path template instead: the path of
+ * the `URL` column with the `jmeter.endpoints.rules` replacements applied in order (regex,
+ * template with $1 capture references), then numeric IDs, GUIDs and long hex IDs replaced
+ * segment by segment (`detectIds`). `/api/orders/12345?expand=1` becomes `/api/orders/{id}`.
+ *
+ * The method comes from the XML results (`<method>`) or a leading HTTP verb in the label;
+ * CSV results do not record it otherwise. Requests without a URL (non-HTTP samplers) are
+ * not counted. Once `maxEndpoints` templates exist, further ones are merged into one
+ * "other endpoints" row so unmatched dynamic segments cannot grow the report without bound.
+ */
+
+import { ResponseTimeHistogram } from './responseTimeHistogram.js';
+
+export const DEFAULT_ENDPOINTS = {
+    enabled: true,
+    detectIds: true,
+    rules: [],
+    maxEndpoints: 500,
+};
+
+export const OTHER_ENDPOINTS = '(other endpoints)';
+
+// Distinct sampler labels remembered per endpoint
+const MAX_LABELS = 100;
+
+const HTTP_METHOD = /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|TRACE|CONNECT)\b/i;
+const GUID_SEGMENT = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+const NUMERIC_SEGMENT = /^\d+$/;
+const HEX_ID_SEGMENT = /^(?=.*\d)[0-9a-f]{16,}$/i;
+
+function compileRule(rule) {
+    const source = rule.pattern instanceof RegExp ? rule.pattern.source : rule.pattern;
+    const flags = rule.pattern instanceof RegExp ? rule.pattern.flags : rule.flags || '';
+    return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+}
+
+/**
+ * Validate the `jmeter.endpoints` config block
+ * @param {Object} endpointsConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateEndpointsConfig(endpointsConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!endpointsConfig) {
+        return { errors, warnings };
+    }
+
+    const { enabled, detectIds, maxEndpoints } = endpointsConfig;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push(`jmeter.endpoints.enabled must be true or false (got ${JSON.stringify(enabled)})`);
+    }
+    if (detectIds !== undefined && typeof detectIds !== 'boolean') {
+        errors.push(`jmeter.endpoints.detectIds must be true or false (got ${JSON.stringify(detectIds)})`);
+    }
+    if (maxEndpoints !== undefined && !(Number.isInteger(maxEndpoints) && maxEndpoints >= 1)) {
+        errors.push(`jmeter.endpoints.maxEndpoints must be a whole number >= 1 (got ${JSON.stringify(maxEndpoints)})`);
+    }
+
+    const rules = endpointsConfig.rules || [];
+    if (!Array.isArray(rules)) {
+        errors.push('jmeter.endpoints.rules must be an array of { pattern, template } rules');
+        return { errors, warnings };
+    }
+    rules.forEach((rule, index) => {
+        if (!rule || (typeof rule.pattern !== 'string' && !(rule.pattern instanceof RegExp))) {
+            errors.push(`jmeter.endpoints.rules[${index}] needs a pattern (string or RegExp)`);
+            return;
+        }
+        if (typeof rule.template !== 'string') {
+            errors.push(`jmeter.endpoints.rules[${index}] needs a template string (got ${JSON.stringify(rule.template)})`);
+        }
+        try {
+            compileRule(rule);
+        } catch (error) {
+            errors.push(`jmeter.endpoints.rules[${index}].pattern is not a valid regular expression: ${error.message}`);
+        }
+    });
+
+    return { errors, warnings };
+}
+
+/**
+ * Path of a URL without scheme, host, query string, fragment and trailing slash
+ */
+function toPath(url) {
+    const path = url
+        .trim()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, '')
+        .replace(/[?#].*$/, '')
+        .replace(/;jsessionid=[^/]*/i, '')
+        .replace(/\/+$/, '');
+    return path.startsWith('/') ? path : `/${path}`;
+}
+
+/**
+ * Replace ID-like path segments with placeholders
+ */
+function replaceIds(path) {
+    return path
+        .split('/')
+        .map((segment) => {
+            if (GUID_SEGMENT.test(segment)) return '{guid}';
+            if (NUMERIC_SEGMENT.test(segment) || HEX_ID_SEGMENT.test(segment)) return '{id}';
+            return segment;
+        })
+        .join('/');
+}
+
+/**
+ * Create the accumulator used while parsing (null when endpoint aggregation is disabled)
+ * @param {Object} endpointsConfig - `jmeter.endpoints`, merged over DEFAULT_ENDPOINTS
+ */
+export function createEndpointTracker(endpointsConfig = DEFAULT_ENDPOINTS) {
+    const config = { ...DEFAULT_ENDPOINTS, ...endpointsConfig };
+    if (config.enabled === false) {
+        return null;
+    }
+    return {
+        detectIds: config.detectIds !== false,
+        rules: (config.rules || []).map((rule) => ({ regex: compileRule(rule), template: rule.template })),
+        maxEndpoints: config.maxEndpoints,
+        templates: new Map(), // URL -> template (URLs repeat, so rules and ID detection run once per URL)
+        endpoints: new Map(), // "METHOD template" -> counters and histogram
+        overflowRequests: 0, // Requests merged into OTHER_ENDPOINTS
+    };
+}
+
+/**
+ * Path template of a URL
+ * @param {Object} tracker - From createEndpointTracker()
+ * @param {string} url
+ * @returns {string}
+ */
+export function toEndpointTemplate(tracker, url) {
+    let template = tracker.templates.get(url);
+    if (template === undefined) {
+        template = tracker.rules.reduce((path, rule) => path.replace(rule.regex, rule.template), toPath(url));
+        if (tracker.detectIds) {
+            template = replaceIds(template);
+        }
+        // Only remember a bounded number of raw URLs; IDs make most of them unique
+        if (tracker.templates.size < tracker.maxEndpoints * 20) {
+            tracker.templates.set(url, template);
+        }
+    }
+    return template;
+}
+
+/**
+ * Count a request under its endpoint
+ * @param {Object} tracker - From createEndpointTracker()
+ * @param {Object} request - Parsed request sample (url, method, label, elapsed, success, bytes, sentBytes)
+ */
+export function recordEndpointRequest(tracker, request) {
+    if (!request.url || request.url === 'null') {
+        return;
+    }
+
+    const methodMatch = request.method ? null : request.label.match(HTTP_METHOD);
+    let method = (request.method || (methodMatch ? methodMatch[1] : '')).toUpperCase();
+    let template = toEndpointTemplate(tracker, request.url);
+    let key = `${method} ${template}`;
+    if (!tracker.endpoints.has(key) && tracker.endpoints.size >= tracker.maxEndpoints) {
+        method = '';
+        template = OTHER_ENDPOINTS;
+        key = OTHER_ENDPOINTS;
+        tracker.overflowRequests++;
+    }
+
+    let endpoint = tracker.endpoints.get(key);
+    if (!endpoint) {
+        endpoint = {
+            method,
+            template,
+            totalSamples: 0,
+            successCount: 0,
+            errorCount: 0,
+            histogram: new ResponseTimeHistogram(),
+            bytes: 0,
+            sentBytes: 0,
+            labels: new Set(),
+            exampleUrl: request.url,
+        };
+        tracker.endpoints.set(key, endpoint);
+    }
+    endpoint.totalSamples++;
+    if (request.success) {
+        endpoint.successCount++;
+    } else {
+        endpoint.errorCount++;
+    }
+    endpoint.histogram.record(request.elapsed);
+    endpoint.bytes += request.bytes || 0;
+    endpoint.sentBytes += request.sentBytes || 0;
+    if (endpoint.labels.size < MAX_LABELS) {
+        endpoint.labels.add(request.label);
+    }
+}
+
+/**
+ * Build the per endpoint statistics for the report
+ * @param {Object|null} tracker - From createEndpointTracker()
+ * @param {Object} [options]
+ * @param {number} [options.durationSec] - Test duration; adds throughput (requests/sec)
+ * @returns {Object|null} { detectIds, rules, overflowRequests, endpoints: [...] } (most requests first),
+ *                        or null without requests that have a URL
+ */
+export function buildEndpointStats(tracker, { durationSec = 0 } = {}) {
+    if (!tracker || tracker.endpoints.size === 0) {
+        return null;
+    }
+
+    const endpoints = Array.from(tracker.endpoints.values())
+        .map((endpoint) => ({
+            method: endpoint.method,
+            template: endpoint.template,
+            totalSamples: endpoint.totalSamples,
+            successCount: endpoint.successCount,
+            errorCount: endpoint.errorCount,
+            errorRate: ((endpoint.errorCount / endpoint.totalSamples) * 100).toFixed(2),
+            throughput: durationSec > 0 ? Math.round((endpoint.totalSamples / durationSec) * 100) / 100 : 0,
+            stats: endpoint.histogram.getStats(),
+            avgBytes: Math.round(endpoint.bytes / endpoint.totalSamples),
+            avgSentBytes: Math.round(endpoint.sentBytes / endpoint.totalSamples),
+            labelCount: endpoint.labels.size,
+            labelsTruncated: endpoint.labels.size >= MAX_LABELS,
+            exampleUrl: endpoint.exampleUrl,
+        }))
+        .sort((a, b) => (a.template === OTHER_ENDPOINTS) - (b.template === OTHER_ENDPOINTS) || b.totalSamples - a.totalSamples || a.template.localeCompare(b.template));
+
+    return {
+        detectIds: tracker.detectIds,
+        rules: tracker.rules.length,
+        overflowRequests: tracker.overflowRequests,
+        endpoints,
+    };
+}
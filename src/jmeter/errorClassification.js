@@ -0,0 +1,196 @@
+/**
+ * Error Classification
+ *
+ * Failed requests are put into categories from their response code, response message and
+ * failure (assertion) message, so timeouts, connection problems, assertion failures and
+ * server errors can be told apart. `jmeter.errors.rules` ({ category, pattern, flags })
+ * are tried first, against "responseCode responseMessage failureMessage"; then the
+ * built-in categories:
+ * - network failures (JMeter's "Non HTTP response code: java.net...") by exception/message
+ * - HTTP 4xx / 5xx by response code
+ * - assertion failures: a failure message on an otherwise successful response
+ *
+ * Per category the count, first and last occurrence, response codes, samplers and a few
+ * distinct example messages are kept.
+ */
+
+import { compilePattern } from '../regexPatterns.js';
+
+export const DEFAULT_ERRORS = {
+    rules: [],
+};
+
+// Built-in categories, in the order they are tried (network failures before HTTP codes)
+const NETWORK_CATEGORIES = [
+    { key: 'timeout', name: 'Timeout', pattern: /timed?\s*out|timeout/i },
+    { key: 'ssl', name: 'SSL/TLS', pattern: /ssl|tls|handshake|certificate|pkix/i },
+    { key: 'connection', name: 'Connection Refused/Reset', pattern: /connection (refused|reset|closed|aborted)|broken pipe|connectexception|socketexception|nohttpresponseexception|failed to respond|unknownhostexception/i },
+];
+const HTTP_4XX = { key: 'http4xx', name: 'HTTP 4xx (client error)' };
+const HTTP_5XX = { key: 'http5xx', name: 'HTTP 5xx (server error)' };
+const ASSERTION = { key: 'assertion', name: 'Assertion Failure' };
+const OTHER = { key: 'other', name: 'Other' };
+
+const MAX_EXAMPLES = 3;
+const MAX_EXAMPLE_LENGTH = 300;
+const MAX_TRACKED = 20; // Distinct response codes / samplers counted per category
+
+/**
+ * Validate the `jmeter.errors` config block
+ * @param {Object} errorsConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateErrorsConfig(errorsConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!errorsConfig) {
+        return { errors, warnings };
+    }
+
+    const rules = errorsConfig.rules || [];
+    if (!Array.isArray(rules)) {
+        errors.push('jmeter.errors.rules must be an array of { category, pattern } rules');
+        return { errors, warnings };
+    }
+    rules.forEach((rule, index) => {
+        if (!rule || typeof rule.category !== 'string' || rule.category.trim() === '') {
+            errors.push(`jmeter.errors.rules[${index}] needs a category name`);
+            return;
+        }
+        if (typeof rule.pattern !== 'string' && !(rule.pattern instanceof RegExp)) {
+            errors.push(`jmeter.errors.rules[${index}] needs a pattern (string or RegExp)`);
+            return;
+        }
+        try {
+            compilePattern(rule.pattern, rule.flags);
+        } catch (error) {
+            errors.push(`jmeter.errors.rules[${index}].pattern is not a valid regular expression: ${error.message}`);
+        }
+    });
+
+    return { errors, warnings };
+}
+
+/**
+ * Create the accumulator used while parsing
+ * @param {Object} errorsConfig - `jmeter.errors`
+ */
+export function createErrorCategoryTracker(errorsConfig = DEFAULT_ERRORS) {
+    return {
+        rules: (errorsConfig.rules || []).map((rule) => ({ key: `rule:${rule.category}`, name: rule.category, pattern: compilePattern(rule.pattern, rule.flags), custom: true })),
+        categories: new Map(), // Category key -> counters, occurrences and examples
+    };
+}
+
+/**
+ * Category of a failed request
+ * @param {Object} tracker - From createErrorCategoryTracker()
+ * @param {Object} sample - Failed request (responseCode, responseMessage, failureMessage)
+ * @returns {{ key: string, name: string, custom?: boolean }}
+ */
+export function classifyError(tracker, sample) {
+    const responseCode = sample.responseCode || '';
+    const failureMessage = sample.failureMessage || '';
+    const response = `${responseCode} ${sample.responseMessage || ''}`;
+
+    const rule = tracker.rules.find((candidate) => candidate.pattern.test(`${response} ${failureMessage}`));
+    if (rule) {
+        return rule;
+    }
+
+    const status = /^\d{3}$/.test(responseCode) ? parseInt(responseCode, 10) : null;
+    if (status === null) {
+        const network = NETWORK_CATEGORIES.find((category) => category.pattern.test(response));
+        if (network) return network;
+    }
+    if (status >= 500) return HTTP_5XX;
+    if (status >= 400) return HTTP_4XX;
+    if (failureMessage && !/^non http/i.test(responseCode)) return ASSERTION;
+    return OTHER;
+}
+
+function countInto(counts, key) {
+    if (counts.has(key)) {
+        counts.set(key, counts.get(key) + 1);
+    } else if (counts.size < MAX_TRACKED) {
+        counts.set(key, 1);
+    }
+}
+
+/**
+ * Record a failed request under its category
+ * @param {Object} tracker - From createErrorCategoryTracker()
+ * @param {Object} sample - Failed request
+ * @returns {Object} The category ({ key, name })
+ */
+export function recordErrorCategory(tracker, sample) {
+    const category = classifyError(tracker, sample);
+    let entry = tracker.categories.get(category.key);
+    if (!entry) {
+        entry = {
+            key: category.key,
+            name: category.name,
+            custom: Boolean(category.custom),
+            count: 0,
+            firstTimestamp: null,
+            lastTimestamp: null,
+            responseCodes: new Map(),
+            samplers: new Map(),
+            examples: [],
+        };
+        tracker.categories.set(category.key, entry);
+    }
+
+    entry.count++;
+    if (sample.timestamp > 0) {
+        if (entry.firstTimestamp === null || sample.timestamp < entry.firstTimestamp) entry.firstTimestamp = sample.timestamp;
+        if (entry.lastTimestamp === null || sample.timestamp > entry.lastTimestamp) entry.lastTimestamp = sample.timestamp;
+    }
+    countInto(entry.responseCodes, sample.responseCode || 'Unknown');
+    countInto(entry.samplers, sample.label);
+
+    if (entry.examples.length < MAX_EXAMPLES) {
+        const message = [sample.responseCode, sample.responseMessage, sample.failureMessage].filter(Boolean).join(' - ').slice(0, MAX_EXAMPLE_LENGTH);
+        if (message && !entry.examples.some((example) => example.message === message)) {
+            entry.examples.push({ message, sampler: sample.label, timestamp: sample.timestamp || null });
+        }
+    }
+    return category;
+}
+
+function topCounts(counts, field) {
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([value, count]) => ({ [field]: value, count }));
+}
+
+/**
+ * Build the error categories for the report
+ * @param {Object} tracker - From createErrorCategoryTracker()
+ * @param {Object} [options]
+ * @param {number} [options.startTimestamp] - Run start; adds first/last occurrence offsets in seconds
+ * @returns {Object[]} Most frequent category first: { key, name, custom, count, share, firstTimestamp,
+ *                     lastTimestamp, firstOffset, lastOffset, responseCodes, samplers, examples }
+ */
+export function buildErrorCategories(tracker, { startTimestamp = null } = {}) {
+    const total = Array.from(tracker.categories.values()).reduce((sum, entry) => sum + entry.count, 0);
+    const offset = (timestamp) => (timestamp !== null && startTimestamp > 0 ? Math.max(0, Math.round((timestamp - startTimestamp) / 1000)) : null);
+
+    return Array.from(tracker.categories.values())
+        .map((entry) => ({
+            key: entry.key,
+            name: entry.name,
+            custom: entry.custom,
+            count: entry.count,
+            share: total > 0 ? Math.round((entry.count / total) * 1000) / 10 : 0,
+            firstTimestamp: entry.firstTimestamp,
+            lastTimestamp: entry.lastTimestamp,
+            firstOffset: offset(entry.firstTimestamp),
+            lastOffset: offset(entry.lastTimestamp),
+            responseCodes: topCounts(entry.responseCodes, 'code'),
+            samplers: topCounts(entry.samplers, 'sampler').slice(0, 5),
+            examples: entry.examples,
+        }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,108 @@
+/**
+ * Error Timeline
+ *
+ * Failed requests per second, split by error category (errorClassification.js) and by
+ * response code, bucketed onto the report's time series so errors can be plotted - and
+ * correlated - against server-side metrics over the same time axis.
+ */
+
+// Response codes with their own series; less frequent codes are merged into OTHER_CODES
+const MAX_RESPONSE_CODES = 8;
+const OTHER_CODES = 'Other';
+
+/**
+ * Short form of a response code ("Non HTTP response code: java.net.SocketTimeoutException" -> "SocketTimeoutException")
+ */
+function shortResponseCode(responseCode) {
+    if (!responseCode) return 'Unknown';
+    return responseCode.replace(/^Non HTTP response code:\s*/i, '').replace(/^(?:[a-z_$][\w$]*\.)+(?=[A-Z])/, '');
+}
+
+function countSecond(seconds, second) {
+    seconds.set(second, (seconds.get(second) || 0) + 1);
+}
+
+/**
+ * Create the accumulator used while parsing
+ */
+export function createErrorTimelineTracker() {
+    return {
+        categories: new Map(), // Category key -> { name, seconds: Map(epoch second -> errors) }
+        responseCodes: new Map(), // Short response code -> Map(epoch second -> errors)
+    };
+}
+
+/**
+ * Count a failed request in its second
+ * @param {Object} tracker - From createErrorTimelineTracker()
+ * @param {Object} sample - Failed request (timestamp, responseCode)
+ * @param {Object} category - Category from recordErrorCategory() ({ key, name })
+ */
+export function recordErrorTimeline(tracker, sample, category) {
+    if (!(sample.timestamp > 0)) {
+        return;
+    }
+    const second = Math.floor(sample.timestamp / 1000);
+
+    let entry = tracker.categories.get(category.key);
+    if (!entry) {
+        entry = { name: category.name, seconds: new Map() };
+        tracker.categories.set(category.key, entry);
+    }
+    countSecond(entry.seconds, second);
+
+    const code = shortResponseCode(sample.responseCode);
+    if (!tracker.responseCodes.has(code)) {
+        tracker.responseCodes.set(code, new Map());
+    }
+    countSecond(tracker.responseCodes.get(code), second);
+}
+
+/**
+ * Errors per time bucket (0 where a bucket has none)
+ */
+function toCounts(seconds, firstBucket, bucketCount, bucketSeconds) {
+    const counts = new Array(bucketCount).fill(0);
+    seconds.forEach((errors, second) => {
+        const index = Math.floor(second / bucketSeconds) - firstBucket;
+        if (index >= 0 && index < bucketCount) counts[index] += errors;
+    });
+    return counts;
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Build the error timeline for the report
+ * @param {Object} tracker - From createErrorTimelineTracker()
+ * @param {Object|null} timeSeries - jmeterData.timeSeries; the error counts use its buckets
+ * @returns {Object|null} { bucketSeconds, timestamps, categories: [{ key, name, counts, total }],
+ *                        responseCodes: [{ code, counts, total }] } (most errors first), or null without errors or time series
+ */
+export function buildErrorTimeline(tracker, timeSeries) {
+    if (!tracker || tracker.categories.size === 0 || !timeSeries || timeSeries.timestamps.length === 0) {
+        return null;
+    }
+
+    const { bucketSeconds, timestamps } = timeSeries;
+    const firstBucket = Math.floor(timestamps[0] / 1000 / bucketSeconds);
+    const toEntry = (seconds) => {
+        const counts = toCounts(seconds, firstBucket, timestamps.length, bucketSeconds);
+        return { counts, total: sum(counts) };
+    };
+
+    const categories = Array.from(tracker.categories.entries())
+        .map(([key, entry]) => ({ key, name: entry.name, ...toEntry(entry.seconds) }))
+        .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+    let responseCodes = Array.from(tracker.responseCodes.entries())
+        .map(([code, seconds]) => ({ code, ...toEntry(seconds) }))
+        .sort((a, b) => b.total - a.total || a.code.localeCompare(b.code));
+    if (responseCodes.length > MAX_RESPONSE_CODES) {
+        const merged = responseCodes.slice(MAX_RESPONSE_CODES - 1);
+        const counts = timestamps.map((_, index) => sum(merged.map((entry) => entry.counts[index])));
+        responseCodes = [...responseCodes.slice(0, MAX_RESPONSE_CODES - 1), { code: OTHER_CODES, counts, total: sum(counts) }];
+    }
+
+    return { bucketSeconds, timestamps, categories, responseCodes };
+}
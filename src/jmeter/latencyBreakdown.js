@@ -0,0 +1,66 @@
+/**
+ * Latency Breakdown
+ *
+ * Splits request time into where it was spent, from JMeter's Connect and Latency (time to
+ * first byte, which includes the connect time):
+ * - connect: Connect - TCP/TLS connection setup (network)
+ * - server: Latency - Connect - waiting for the first byte (server processing)
+ * - download: elapsed - Latency - receiving the response (payload size, bandwidth)
+ *
+ * Sums are kept while streaming for all requests, per sampler (averaged per request) and per
+ * transaction (every request inside it, averaged per transaction execution).
+ */
+
+/**
+ * Create an accumulator
+ */
+export function createLatencyBreakdown() {
+    return { requests: 0, connect: 0, server: 0, download: 0, latencyRecorded: false };
+}
+
+/**
+ * Add a request to an accumulator
+ * @param {Object} breakdown - From createLatencyBreakdown()
+ * @param {Object} request - Parsed request sample (elapsed, latency, connect)
+ */
+export function recordLatencyBreakdown(breakdown, request) {
+    const elapsed = Math.max(0, request.elapsed || 0);
+    const latency = Math.min(elapsed, Math.max(0, request.latency || 0));
+    const connect = Math.min(latency, Math.max(0, request.connect || 0));
+
+    breakdown.requests++;
+    breakdown.connect += connect;
+    breakdown.server += latency - connect;
+    breakdown.download += elapsed - latency;
+    if (latency > 0) {
+        breakdown.latencyRecorded = true;
+    }
+}
+
+/**
+ * Average breakdown
+ * @param {Object} breakdown - From createLatencyBreakdown()
+ * @param {number} [executions] - Divide by this instead of the request count (per transaction execution)
+ * @returns {Object|null} { connect, server, download, total } in ms, shares in %, and the request count;
+ *                        null without requests or when Latency was not recorded
+ */
+export function summarizeLatencyBreakdown(breakdown, executions = breakdown.requests) {
+    if (!breakdown || breakdown.requests === 0 || !breakdown.latencyRecorded || !(executions > 0)) {
+        return null;
+    }
+
+    const round = (value) => Math.round(value * 10) / 10;
+    const connect = breakdown.connect / executions;
+    const server = breakdown.server / executions;
+    const download = breakdown.download / executions;
+    const total = connect + server + download;
+    const share = (value) => (total > 0 ? Math.round((value / total) * 1000) / 10 : 0);
+    return {
+        connect: round(connect),
+        server: round(server),
+        download: round(download),
+        total: round(total),
+        shares: { connect: share(connect), server: share(server), download: share(download) },
+        requests: breakdown.requests,
+    };
+}
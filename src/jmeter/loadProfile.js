@@ -0,0 +1,262 @@
+/**
+ * Planned vs Actual Load Profile
+ *
+ * Compares the load the JMX test plan intended (concurrency from the thread group
+ * schedules, target throughput from Constant/Precise Throughput Timers) with what JMeter
+ * actually generated, per user type across the test timeline.
+ *
+ * Shortfalls are classified so a slow system can be told apart from an under-driving test:
+ * - loadGenerator: planned threads were not active, or threads and response times allowed
+ *   the target throughput but the requests were not sent (load generator saturation)
+ * - system: response times were too slow for the planned threads to reach the target
+ */
+
+import { buildPlannedSeries, downsample, getThreadGroupName, seriesBucketSeconds, sumSeries } from './activeThreads.js';
+
+// Planned load counts as "full" from this fraction of its peak
+const FULL_LOAD_FRACTION = 0.99;
+
+/**
+ * Create the per-second request accumulator used while parsing
+ */
+export function createLoadProfileTracker() {
+    return {
+        groups: new Map(), // Thread group -> Map(second -> { count, elapsed })
+    };
+}
+
+/**
+ * Record an individual request (transaction controllers are not counted as throughput)
+ * @param {Object} tracker - From createLoadProfileTracker()
+ * @param {Object} sample - Parsed sample (threadName, timestamp, elapsed)
+ */
+export function recordRequest(tracker, sample) {
+    if (!(sample.timestamp > 0)) return;
+
+    const group = getThreadGroupName(sample.threadName);
+    if (!tracker.groups.has(group)) {
+        tracker.groups.set(group, new Map());
+    }
+    const seconds = tracker.groups.get(group);
+    const second = Math.floor(sample.timestamp / 1000);
+    const bucket = seconds.get(second);
+    if (bucket) {
+        bucket.count++;
+        bucket.elapsed += sample.elapsed || 0;
+    } else {
+        seconds.set(second, { count: 1, elapsed: sample.elapsed || 0 });
+    }
+}
+
+/**
+ * Target requests per second per thread group from the enabled throughput timers.
+ * Constant Throughput Timers scale with their "based on" mode; Precise Throughput
+ * Timers always apply to each thread group on their own.
+ */
+function buildTargetThroughput(testPlan, planned, length) {
+    const timers = testPlan.throughputTimers.filter((timer) => timer.enabled && timer.targetPerSecond !== null);
+    if (timers.length === 0) return null;
+
+    const targets = {};
+    const plannedGroups = Object.keys(planned.byThreadGroup);
+
+    timers.forEach((timer) => {
+        const groups = timer.threadGroup ? plannedGroups.filter((group) => group === timer.threadGroup) : plannedGroups;
+        // "All active threads" at test plan level shares one target across every thread group
+        const sharedAcrossGroups = timer.type === 'ConstantThroughputTimer' && !timer.threadGroup && (timer.calcMode === 1 || timer.calcMode === 3);
+
+        groups.forEach((group) => {
+            const threads = planned.byThreadGroup[group];
+            const target = targets[group] || new Array(length).fill(0);
+            for (let i = 0; i < length; i++) {
+                if (threads[i] <= 0) continue;
+                if (timer.type === 'ConstantThroughputTimer' && timer.calcMode === 0) {
+                    target[i] += timer.targetPerSecond * threads[i];
+                } else if (sharedAcrossGroups) {
+                    target[i] += (timer.targetPerSecond * threads[i]) / planned.total[i];
+                } else {
+                    target[i] += timer.targetPerSecond;
+                }
+            }
+            targets[group] = target;
+        });
+    });
+
+    return targets;
+}
+
+function average(values, indexes) {
+    return indexes.length > 0 ? indexes.reduce((sum, index) => sum + values[index], 0) / indexes.length : 0;
+}
+
+/**
+ * Compare planned and actual load for one user type (or all thread groups)
+ */
+function compareLoad({ plannedThreads, targetThroughput, actualThreads, requestCounts, elapsedSums, bucketSeconds, shortfallThreshold }) {
+    const plannedPeak = plannedThreads.reduce((max, value) => Math.max(max, value), 0);
+    const fullLoadSeconds = [];
+    plannedThreads.forEach((value, index) => {
+        if (plannedPeak > 0 && value >= plannedPeak * FULL_LOAD_FRACTION) fullLoadSeconds.push(index);
+    });
+
+    // Actual threads are only available per bucket (max of the bucket)
+    const fullLoadBuckets = Array.from(new Set(fullLoadSeconds.map((index) => Math.floor(index / bucketSeconds))));
+    const actualAvgThreads = actualThreads ? average(actualThreads, fullLoadBuckets) : null;
+
+    const requests = fullLoadSeconds.reduce((sum, index) => sum + requestCounts[index], 0);
+    const elapsed = fullLoadSeconds.reduce((sum, index) => sum + elapsedSums[index], 0);
+    const actualThroughput = fullLoadSeconds.length > 0 ? requests / fullLoadSeconds.length : 0;
+    const targetAvg = targetThroughput ? average(targetThroughput, fullLoadSeconds) : null;
+    const avgResponseTime = requests > 0 ? elapsed / requests : null;
+
+    const result = {
+        plannedThreads: plannedPeak,
+        actualThreads: actualAvgThreads !== null ? Math.round(actualAvgThreads * 10) / 10 : null,
+        concurrencyPercent: actualAvgThreads !== null && plannedPeak > 0 ? Math.round((actualAvgThreads / plannedPeak) * 1000) / 10 : null,
+        targetThroughput: targetAvg !== null ? Math.round(targetAvg * 100) / 100 : null,
+        actualThroughput: Math.round(actualThroughput * 100) / 100,
+        throughputPercent: targetAvg ? Math.round((actualThroughput / targetAvg) * 1000) / 10 : null,
+        avgResponseTime: avgResponseTime !== null ? Math.round(avgResponseTime) : null,
+        fullLoadSeconds: fullLoadSeconds.length,
+        shortfalls: [],
+    };
+
+    if (result.concurrencyPercent !== null && result.concurrencyPercent < shortfallThreshold * 100) {
+        result.shortfalls.push({
+            metric: 'concurrency',
+            cause: 'loadGenerator',
+            message: `Only ${result.actualThreads} of ${plannedPeak} planned threads were active at full load (${result.concurrencyPercent}%) - JMeter did not start or keep the planned threads (load generator saturation, thread start-up errors or the test stopped early)`,
+        });
+    }
+
+    if (result.throughputPercent !== null && result.throughputPercent < shortfallThreshold * 100) {
+        // Requests per second the active threads could send back to back at the measured response time
+        const threads = actualAvgThreads !== null ? actualAvgThreads : plannedPeak;
+        const capacity = avgResponseTime ? threads / (avgResponseTime / 1000) : Infinity;
+        const systemLimited = capacity < targetAvg;
+        result.shortfalls.push({
+            metric: 'throughput',
+            cause: systemLimited ? 'system' : 'loadGenerator',
+            message: systemLimited
+                ? `Reached ${result.actualThroughput} of ${result.targetThroughput} target req/s (${result.throughputPercent}%) - at ${result.avgResponseTime} ms average response time ${Math.round(threads)} threads can send at most ~${Math.round(capacity * 10) / 10} req/s, so the system under test limited throughput`
+                : `Reached ${result.actualThroughput} of ${result.targetThroughput} target req/s (${result.throughputPercent}%) although threads and response times allowed ~${Math.round(capacity * 10) / 10} req/s - the load generator did not send the planned requests`,
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Build the planned vs actual load comparison
+ * @param {Object} tracker - From createLoadProfileTracker()
+ * @param {Object} options
+ * @param {Object} options.testPlan - Parsed JMX test plan (nothing is compared without one)
+ * @param {Object} options.activeThreads - Active thread series (null when grpThreads/allThreads were not recorded)
+ * @param {number} options.startTimestamp - Test start (ms)
+ * @param {number} options.endTimestamp - Test end (ms)
+ * @param {Array<Object>} options.userTypes - [{ key, displayName, matches(groupName) }]
+ * @param {number} options.shortfallThreshold - Fraction of the planned load below which a shortfall is flagged
+ * @returns {Object|null} { bucketSeconds, timestamps, userTypes, total, shortfalls } or null
+ */
+export function buildLoadProfile(tracker, { testPlan, activeThreads, startTimestamp, endTimestamp, userTypes = [], shortfallThreshold = 0.9 }) {
+    if (!testPlan || !(endTimestamp > startTimestamp)) {
+        return null;
+    }
+
+    const firstSecond = Math.floor(startTimestamp / 1000);
+    const length = Math.floor(endTimestamp / 1000) - firstSecond + 1;
+    const planned = buildPlannedSeries(testPlan, length, userTypes);
+    if (!planned) {
+        return null;
+    }
+
+    const bucketSeconds = activeThreads ? activeThreads.bucketSeconds : seriesBucketSeconds(length);
+    const targets = buildTargetThroughput(testPlan, planned, length);
+
+    // Actual requests and response time sums per second for a set of thread groups
+    const actualSeries = (groupNames) => {
+        const counts = new Array(length).fill(0);
+        const elapsed = new Array(length).fill(0);
+        groupNames.forEach((group) => {
+            tracker.groups.get(group).forEach((bucket, second) => {
+                const index = second - firstSecond;
+                if (index >= 0 && index < length) {
+                    counts[index] += bucket.count;
+                    elapsed[index] += bucket.elapsed;
+                }
+            });
+        });
+        return { counts, elapsed };
+    };
+    const targetSeries = (groupNames) => {
+        const groupTargets = targets ? groupNames.filter((group) => targets[group]).map((group) => targets[group]) : [];
+        return groupTargets.length > 0 ? sumSeries(groupTargets, length) : null;
+    };
+
+    const compare = ({ key, displayName, plannedThreads, plannedGroups, actualGroups, actualThreads }) => {
+        const actual = actualSeries(actualGroups);
+        const targetThroughput = targetSeries(plannedGroups);
+        return {
+            key,
+            displayName,
+            ...compareLoad({
+                plannedThreads,
+                targetThroughput,
+                actualThreads,
+                requestCounts: actual.counts,
+                elapsedSums: actual.elapsed,
+                bucketSeconds,
+                shortfallThreshold,
+            }),
+            series: {
+                plannedThreads: downsample(plannedThreads, bucketSeconds),
+                actualThreads: actualThreads || null,
+                targetThroughput: targetThroughput ? downsample(targetThroughput, bucketSeconds, 'avg') : null,
+                actualThroughput: downsample(actual.counts, bucketSeconds, 'avg'),
+            },
+        };
+    };
+
+    const actualGroupNames = Array.from(tracker.groups.keys());
+    const userTypeComparisons = userTypes
+        .filter((userType) => planned.byUserType[userType.key])
+        .map((userType) =>
+            compare({
+                key: userType.key,
+                displayName: userType.displayName || userType.key,
+                plannedThreads: planned.byUserType[userType.key],
+                plannedGroups: planned.groupsByUserType[userType.key],
+                actualGroups: actualGroupNames.filter((group) => userType.matches(group)),
+                actualThreads: activeThreads ? activeThreads.byUserType[userType.key] || null : null,
+            })
+        );
+
+    const total = compare({
+        key: 'all',
+        displayName: 'All Thread Groups',
+        plannedThreads: planned.total,
+        plannedGroups: Object.keys(planned.byThreadGroup),
+        actualGroups: actualGroupNames,
+        actualThreads: activeThreads ? activeThreads.total : null,
+    });
+
+    // Flag per user type; the overall comparison only when no user type covers the load
+    const flagged = userTypeComparisons.length > 0 ? userTypeComparisons : [total];
+    const shortfalls = flagged.flatMap((comparison) =>
+        comparison.shortfalls.map((shortfall) => ({ userType: comparison.key, displayName: comparison.displayName, ...shortfall }))
+    );
+
+    const timestamps = [];
+    for (let i = 0; i < length; i += bucketSeconds) {
+        timestamps.push((firstSecond + i) * 1000);
+    }
+
+    return {
+        bucketSeconds,
+        timestamps,
+        shortfallThreshold,
+        userTypes: userTypeComparisons,
+        total,
+        shortfalls,
+    };
+}
@@ -0,0 +1,609 @@
+/**
+ * JMX Test Plan Parser
+ *
+ * Reads a JMeter test plan (.jmx) into its planned load profile: thread groups with
+ * thread counts, ramp-up, duration, loop count and scheduler settings, plus throughput
+ * timers, CSV Data Sets and assertions.
+ *
+ * A JMX file is a serialized "hashTree": every test element is followed by a <hashTree>
+ * sibling holding its children, so the test element tree is rebuilt from those pairs.
+ */
+
+import { decodeEntities, parseAttributes } from './parseJMeterXML.js';
+
+const PROPERTY_ELEMENTS = new Set(['stringProp', 'boolProp', 'intProp', 'longProp', 'doubleProp', 'floatProp']);
+
+// Thread group elements. `role` separates the main load from setUp/tearDown groups.
+// Plugin thread groups are saved with their class name; only the last segment is matched.
+const THREAD_GROUP_TYPES = {
+    ThreadGroup: { label: 'Thread Group', role: 'main', parse: parseThreadGroup },
+    SetupThreadGroup: { label: 'setUp Thread Group', role: 'setup', parse: parseThreadGroup },
+    PostThreadGroup: { label: 'tearDown Thread Group', role: 'teardown', parse: parseThreadGroup },
+    ConcurrencyThreadGroup: { label: 'Concurrency Thread Group', role: 'main', parse: parseConcurrencyThreadGroup },
+    UltimateThreadGroup: { label: 'Ultimate Thread Group', role: 'main', parse: parseUltimateThreadGroup },
+    SteppingThreadGroup: { label: 'Stepping Thread Group', role: 'main', parse: parseSteppingThreadGroup },
+};
+
+const THROUGHPUT_TIMER_TYPES = {
+    ConstantThroughputTimer: { label: 'Constant Throughput Timer', parse: parseConstantThroughputTimer },
+    PreciseThroughputTimer: { label: 'Precise Throughput Timer', parse: parsePreciseThroughputTimer },
+};
+
+// Constant Throughput Timer "Calculate Throughput based on" modes
+const CALC_MODES = {
+    0: 'this thread only',
+    1: 'all active threads',
+    2: 'all active threads in current thread group',
+    3: 'all active threads (shared)',
+    4: 'all active threads in current thread group (shared)',
+};
+
+const CSV_SHARE_MODES = {
+    'shareMode.all': 'All threads',
+    'shareMode.group': 'Current thread group',
+    'shareMode.thread': 'Current thread',
+};
+
+const ASSERTION_FIELDS = {
+    'Assertion.response_data': 'Response body',
+    'Assertion.response_data_as_document': 'Document (text)',
+    'Assertion.response_code': 'Response code',
+    'Assertion.response_message': 'Response message',
+    'Assertion.response_headers': 'Response headers',
+    'Assertion.request_headers': 'Request headers',
+    'Assertion.request_data': 'Request data',
+    'Assertion.sample_label': 'URL sampled',
+};
+
+const SIZE_OPERATORS = { 1: '=', 2: '!=', 3: '>', 4: '<', 5: '>=', 6: '<=' };
+
+/**
+ * Parse XML into a tree of { name, attributes, children, text }.
+ * JMX files are small, so the whole document is kept in memory.
+ */
+function parseXMLTree(content) {
+    const tokenRegex =
+        /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/([\w.:-]+)\s*>|<([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    let match;
+
+    while ((match = tokenRegex.exec(content)) !== null) {
+        const current = stack[stack.length - 1];
+        const [, cdata, closeName, openName, attrText, selfClosing, text] = match;
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (closeName !== undefined) {
+            // Tolerate mismatched tags by unwinding to the matching open element
+            const index = stack.map((element) => element.name).lastIndexOf(closeName);
+            if (index > 0) stack.length = index;
+        } else if (openName !== undefined) {
+            const element = { name: openName, attributes: parseAttributes(attrText), children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Rebuild the test element tree from JMeter's element/hashTree sibling pairs
+ */
+function buildTestElementTree(hashTree) {
+    const nodes = [];
+    const children = hashTree.children;
+    for (let i = 0; i < children.length; i++) {
+        const element = children[i];
+        if (element.name === 'hashTree') continue;
+        const next = children[i + 1];
+        nodes.push({ element, children: next && next.name === 'hashTree' ? buildTestElementTree(next) : [] });
+    }
+    return nodes;
+}
+
+function propertyName(property) {
+    if (property.attributes.name !== undefined) return property.attributes.name;
+    // doubleProp/floatProp keep their name and value in child elements
+    const nameElement = property.children.find((child) => child.name === 'name');
+    return nameElement ? nameElement.text.trim() : null;
+}
+
+/**
+ * Raw text of a simple property (stringProp, intProp, doubleProp, ...)
+ */
+function getProperty(element, name) {
+    const property = element.children.find((child) => PROPERTY_ELEMENTS.has(child.name) && propertyName(child) === name);
+    if (!property) return null;
+    const valueElement = property.children.find((child) => child.name === 'value');
+    return valueElement ? valueElement.text : property.text;
+}
+
+/**
+ * Nested elementProp/collectionProp by name
+ */
+function getElementProperty(element, name) {
+    return element.children.find((child) => (child.name === 'elementProp' || child.name === 'collectionProp') && child.attributes.name === name) || null;
+}
+
+/**
+ * Resolve ${variable} references and ${__P(name,default)} property functions.
+ * Properties passed on the command line are not known here, so their defaults are used;
+ * anything that cannot be resolved is left as written.
+ */
+function resolveValue(raw, variables) {
+    if (raw === null || raw === undefined) return null;
+    let value = String(raw).trim();
+
+    for (let depth = 0; depth < 5 && value.includes('${'); depth++) {
+        value = value.replace(/\$\{([^${}]*)\}/g, (expression, body) => {
+            const propertyFunction = body.match(/^__(P|property)\(([^,)]*)(?:,([^,)]*))?(?:,([^,)]*))?\)$/);
+            if (propertyFunction) {
+                // __P(name, default) defaults to 1 like JMeter; __property(name, variable, default) has no default
+                const defaultValue = propertyFunction[1] === 'P' ? (propertyFunction[3] !== undefined ? propertyFunction[3] : '1') : propertyFunction[4];
+                return defaultValue !== undefined && defaultValue.trim() !== '' ? defaultValue.trim() : expression;
+            }
+            return Object.prototype.hasOwnProperty.call(variables, body) ? variables[body] : expression;
+        });
+    }
+    return value;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '' || value.includes('${')) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function toBoolean(value) {
+    return String(value).trim().toLowerCase() === 'true';
+}
+
+/**
+ * Property reader bound to one element. Remembers the expressions of values that
+ * used variables or property functions so the report can show what was configured.
+ */
+function createPropertyReader(element, variables) {
+    const expressions = {};
+    return {
+        expressions,
+        string(name, field = name) {
+            const raw = getProperty(element, name);
+            if (raw !== null && raw.includes('${')) expressions[field] = raw.trim();
+            return resolveValue(raw, variables);
+        },
+        number(name, field = name) {
+            return toNumber(this.string(name, field));
+        },
+        boolean(name) {
+            return toBoolean(resolveValue(getProperty(element, name), variables));
+        },
+    };
+}
+
+function parseThreadGroup(element, variables) {
+    const props = createPropertyReader(element, variables);
+    const loopController = getElementProperty(element, 'ThreadGroup.main_controller');
+    const loopProps = loopController ? createPropertyReader(loopController, variables) : null;
+    const scheduler = props.boolean('ThreadGroup.scheduler');
+
+    const threadGroup = {
+        threads: props.number('ThreadGroup.num_threads', 'threads'),
+        rampUp: props.number('ThreadGroup.ramp_time', 'rampUp'),
+        loops: loopProps ? loopProps.number('LoopController.loops', 'loops') : null, // -1 = infinite
+        scheduler,
+        duration: scheduler ? props.number('ThreadGroup.duration', 'duration') : null,
+        delay: scheduler ? props.number('ThreadGroup.delay', 'delay') : null,
+        onSampleError: props.string('ThreadGroup.on_sample_error') || 'continue',
+    };
+    if (loopProps && loopProps.boolean('LoopController.continue_forever') && threadGroup.loops === null) {
+        threadGroup.loops = -1;
+    }
+    Object.assign(props.expressions, loopProps ? loopProps.expressions : {});
+    threadGroup.expressions = props.expressions;
+
+    // Threads start evenly over the ramp-up and run until the scheduler duration ends (or the loops do)
+    const start = threadGroup.delay || 0;
+    const rampEnd = start + (threadGroup.rampUp || 0);
+    threadGroup.schedule =
+        threadGroup.threads === null
+            ? null
+            : threadGroup.duration
+              ? createSchedule([[start, 0], [rampEnd, threadGroup.threads], [start + threadGroup.duration, threadGroup.threads], [start + threadGroup.duration, 0]])
+              : createSchedule([[start, 0], [rampEnd, threadGroup.threads]], true);
+    return threadGroup;
+}
+
+/**
+ * Planned schedule as piecewise-linear points [[secondsFromStart, threads], ...].
+ * Repeating a time gives a step. Open-ended schedules (loop based) hold the last level.
+ */
+function createSchedule(points, openEnded = false) {
+    return { points, openEnded };
+}
+
+/**
+ * Concurrency Thread Group (BlazeMeter plugin): ramp up to the target concurrency,
+ * optionally in steps, then hold it
+ */
+function parseConcurrencyThreadGroup(element, variables) {
+    const props = createPropertyReader(element, variables);
+    const unit = props.string('Unit') === 'M' ? 60 : 1;
+    const target = props.number('TargetLevel', 'threads');
+    const rampUp = (props.number('RampUp', 'rampUp') || 0) * unit;
+    const steps = props.number('Steps', 'steps') || 0;
+    const hold = props.number('Hold', 'hold');
+    const iterations = props.number('Iterations', 'loops');
+
+    let schedule = null;
+    if (target !== null) {
+        const points = [[0, 0]];
+        if (steps > 0 && rampUp > 0) {
+            // Each step adds target/steps threads at once, the first one at the start
+            for (let step = 0; step < steps; step++) {
+                const time = (rampUp * step) / steps;
+                points.push([time, (target * step) / steps], [time, (target * (step + 1)) / steps]);
+            }
+        }
+        points.push([rampUp, target]);
+        if (hold !== null) {
+            points.push([rampUp + hold * unit, target], [rampUp + hold * unit, 0]);
+        }
+        schedule = createSchedule(points, hold === null);
+    }
+
+    return {
+        threads: target,
+        rampUp,
+        loops: iterations || -1,
+        scheduler: hold !== null,
+        duration: hold !== null ? rampUp + hold * unit : null,
+        delay: null,
+        onSampleError: props.string('ThreadGroup.on_sample_error') || 'continue',
+        scheduleSummary:
+            `Target ${target !== null ? target : '?'} threads, ramp-up ${rampUp}s` +
+            (steps > 0 ? ` in ${steps} steps` : '') +
+            (hold !== null ? `, hold ${hold * unit}s` : ''),
+        expressions: props.expressions,
+        schedule,
+    };
+}
+
+/**
+ * Ultimate Thread Group (jp@gc plugin): each schedule row starts its own block of
+ * threads - initial delay, startup time, hold time and shutdown time
+ */
+function parseUltimateThreadGroup(element, variables) {
+    const props = createPropertyReader(element, variables);
+    const data = getElementProperty(element, 'ultimatethreadgroupdata');
+    const rows = (data ? data.children.filter((child) => child.name === 'collectionProp') : []).map((row) => {
+        const [threads, delay, startup, hold, shutdown] = row.children
+            .filter((child) => PROPERTY_ELEMENTS.has(child.name))
+            .map((child) => toNumber(resolveValue(child.text, variables)) || 0);
+        return { threads: threads || 0, delay: delay || 0, startup: startup || 0, hold: hold || 0, shutdown: shutdown || 0 };
+    });
+
+    // The planned curve is the sum of one trapezoid per row
+    const trapezoids = rows.map((row) => [
+        [row.delay, 0],
+        [row.delay + row.startup, row.threads],
+        [row.delay + row.startup + row.hold, row.threads],
+        [row.delay + row.startup + row.hold + row.shutdown, 0],
+    ]);
+    const times = Array.from(new Set(trapezoids.flat().map(([time]) => time))).sort((a, b) => a - b);
+    const points = [];
+    times.forEach((time) => {
+        const before = trapezoids.reduce((sum, trapezoid) => sum + interpolate(trapezoid, time, 'before'), 0);
+        const after = trapezoids.reduce((sum, trapezoid) => sum + interpolate(trapezoid, time, 'after'), 0);
+        points.push([time, before]);
+        if (after !== before) points.push([time, after]);
+    });
+
+    const end = times.length > 0 ? times[times.length - 1] : null;
+    return {
+        threads: points.reduce((max, [, threads]) => Math.max(max, threads), 0),
+        rampUp: rows.length > 0 ? rows[0].startup : null,
+        loops: -1,
+        scheduler: true,
+        duration: end,
+        delay: null,
+        onSampleError: props.string('ThreadGroup.on_sample_error') || 'continue',
+        ultimateSchedule: rows,
+        scheduleSummary: rows.map((row) => `${row.threads} threads at ${row.delay}s (start ${row.startup}s, hold ${row.hold}s, stop ${row.shutdown}s)`).join('; '),
+        expressions: props.expressions,
+        schedule: points.length > 0 ? createSchedule(points) : null,
+    };
+}
+
+/**
+ * Stepping Thread Group (jp@gc plugin): an optional initial burst, then N threads
+ * every period (each step ramped), hold, then stop N threads every period
+ */
+function parseSteppingThreadGroup(element, variables) {
+    const props = createPropertyReader(element, variables);
+    const total = props.number('ThreadGroup.num_threads', 'threads');
+    const delay = props.number('Threads initial delay', 'delay') || 0;
+    const burst = props.number('Start users count burst') || 0;
+    const startCount = props.number('Start users count') || 0;
+    const startPeriod = props.number('Start users period') || 0;
+    const stepRampUp = props.number('rampUp') || 0;
+    const hold = props.number('flighttime', 'hold') || 0;
+    const stopCount = props.number('Stop users count') || 0;
+    const stopPeriod = props.number('Stop users period') || 0;
+
+    let schedule = null;
+    let rampUpEnd = delay;
+    let end = delay;
+    if (total !== null && total > 0) {
+        const points = [[0, 0], [delay, 0]];
+        let time = delay;
+        let current = 0;
+        if (burst > 0) {
+            current = Math.min(burst, total);
+            points.push([time, current]);
+            time += startPeriod;
+        }
+        while (current < total) {
+            const added = startCount > 0 ? Math.min(startCount, total - current) : total - current;
+            points.push([time, current], [time + stepRampUp, current + added]);
+            current += added;
+            rampUpEnd = time + stepRampUp;
+            time += Math.max(startPeriod, stepRampUp);
+        }
+
+        let stopTime = rampUpEnd + hold;
+        points.push([stopTime, total]);
+        while (current > 0) {
+            const stopped = stopCount > 0 ? Math.min(stopCount, current) : current;
+            points.push([stopTime, current - stopped]);
+            current -= stopped;
+            if (current > 0) {
+                stopTime += stopPeriod;
+                points.push([stopTime, current]);
+            }
+        }
+        end = stopTime;
+        schedule = createSchedule(points);
+    }
+
+    return {
+        threads: total,
+        rampUp: rampUpEnd - delay,
+        loops: -1,
+        scheduler: true,
+        duration: end - delay,
+        delay,
+        onSampleError: props.string('ThreadGroup.on_sample_error') || 'continue',
+        scheduleSummary:
+            `${burst > 0 ? `Burst of ${burst}, then ` : ''}${startCount || total} threads every ${startPeriod}s` +
+            `${stepRampUp > 0 ? ` (ramp-up ${stepRampUp}s)` : ''}, hold ${hold}s, stop ${stopCount || 'all'} every ${stopPeriod}s`,
+        expressions: props.expressions,
+        schedule,
+    };
+}
+
+/**
+ * Value of a piecewise-linear schedule at a time. At a step, `side` picks the level
+ * just before or just after it.
+ */
+function interpolate(points, time, side = 'after') {
+    if (points.length === 0 || time < points[0][0]) return 0;
+    let value = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [pointTime, level] = points[i];
+        if (pointTime > time) {
+            const [previousTime, previousLevel] = points[i - 1];
+            return previousLevel + ((level - previousLevel) * (time - previousTime)) / (pointTime - previousTime);
+        }
+        if (pointTime === time && side === 'before') return level;
+        value = level;
+    }
+    return value;
+}
+
+/**
+ * Planned number of threads of a thread group at a time
+ * @param {Object} schedule - threadGroup.schedule
+ * @param {number} seconds - Seconds since the thread group started
+ * @returns {number}
+ */
+export function plannedThreadsAt(schedule, seconds) {
+    if (!schedule || schedule.points.length === 0) return 0;
+    const lastTime = schedule.points[schedule.points.length - 1][0];
+    if (seconds > lastTime && !schedule.openEnded) return 0;
+    return interpolate(schedule.points, Math.min(seconds, lastTime));
+}
+
+function parseConstantThroughputTimer(element, variables) {
+    const props = createPropertyReader(element, variables);
+    const perMinute = props.number('throughput', 'throughput');
+    const calcMode = props.number('calcMode');
+    return {
+        targetPerMinute: perMinute,
+        targetPerSecond: perMinute !== null ? perMinute / 60 : null,
+        calcMode: CALC_MODES[calcMode] ? calcMode : 0,
+        basedOn: CALC_MODES[calcMode] || CALC_MODES[0],
+        details: `${perMinute !== null ? perMinute : '?'} samples/min based on ${CALC_MODES[calcMode] || CALC_MODES[0]}`,
+        expressions: props.expressions,
+    };
+}
+
+function parsePreciseThroughputTimer(element, variables) {
+    const props = createPropertyReader(element, variables);
+    const throughput = props.number('throughput');
+    const period = props.number('throughputPeriod') || 1;
+    const duration = props.number('duration');
+    const batchSize = props.number('batchSize');
+    const targetPerSecond = throughput !== null ? throughput / period : null;
+    return {
+        targetPerMinute: targetPerSecond !== null ? targetPerSecond * 60 : null,
+        targetPerSecond,
+        basedOn: 'all threads in the thread group',
+        details:
+            `${throughput !== null ? throughput : '?'} samples per ${period}s` +
+            (duration ? ` for ${duration}s` : '') +
+            (batchSize > 1 ? `, batches of ${batchSize}` : ''),
+        expressions: props.expressions,
+    };
+}
+
+function parseCSVDataSet(element, variables) {
+    const props = createPropertyReader(element, variables);
+    const shareMode = props.string('shareMode') || 'shareMode.all';
+    const variableNames = props.string('variableNames');
+    return {
+        filename: props.string('filename'),
+        variableNames: variableNames ? variableNames.split(/\s*,\s*/).filter(Boolean) : [],
+        delimiter: getProperty(element, 'delimiter') || ',',
+        ignoreFirstLine: props.boolean('ignoreFirstLine'),
+        recycle: props.boolean('recycle'),
+        stopThread: props.boolean('stopThread'),
+        shareMode: CSV_SHARE_MODES[shareMode] || shareMode,
+    };
+}
+
+/**
+ * Short human readable description of what an assertion checks
+ */
+function describeAssertion(type, element, variables) {
+    const props = createPropertyReader(element, variables);
+
+    switch (type) {
+        case 'ResponseAssertion': {
+            const field = ASSERTION_FIELDS[props.string('Assertion.test_field')] || 'Response body';
+            const testType = props.number('Assertion.test_type') || 0;
+            // test_type bit flags: 1 matches, 2 contains, 4 not, 8 equals, 16 substring, 32 or
+            const operator = testType & 8 ? 'equals' : testType & 1 ? 'matches' : testType & 16 ? 'has substring' : 'contains';
+            const patternsElement = getElementProperty(element, 'Asserion.test_strings') || getElementProperty(element, 'Assertion.test_strings');
+            const patterns = patternsElement ? patternsElement.children.filter((child) => PROPERTY_ELEMENTS.has(child.name)).map((child) => `"${child.text.trim()}"`) : [];
+            return `${field} ${testType & 4 ? 'not ' : ''}${operator} ${patterns.join(testType & 32 ? ' or ' : ' and ') || '(no patterns)'}`;
+        }
+        case 'DurationAssertion':
+            return `Response time <= ${props.string('DurationAssertion.duration')} ms`;
+        case 'SizeAssertion':
+            return `Size ${SIZE_OPERATORS[props.number('SizeAssertion.operator')] || '='} ${props.string('SizeAssertion.size')} bytes`;
+        case 'JSONPathAssertion': {
+            const expected = props.boolean('JSONVALIDATION') ? ` = ${props.string('EXPECTED_VALUE')}` : ' exists';
+            return `${props.string('JSON_PATH')}${props.boolean('INVERT') ? ' not' : ''}${expected}`;
+        }
+        case 'XPathAssertion':
+            return props.string('XPath.xpath') || '';
+        case 'XPath2Assertion':
+            return props.string('XPath2.xpath') || '';
+        case 'JSR223Assertion':
+            return `${props.string('scriptLanguage') || 'groovy'} script`;
+        case 'BeanShellAssertion':
+            return 'BeanShell script';
+        default:
+            return '';
+    }
+}
+
+/**
+ * User defined variables of the test plan (Test Plan element and top-level "User Defined Variables")
+ */
+function collectVariables(argumentsElement, variables) {
+    const argumentList = argumentsElement ? getElementProperty(argumentsElement, 'Arguments.arguments') : null;
+    if (!argumentList) return;
+    argumentList.children.forEach((argument) => {
+        const name = getProperty(argument, 'Argument.name');
+        if (name) {
+            variables[name.trim()] = resolveValue(getProperty(argument, 'Argument.value'), variables);
+        }
+    });
+}
+
+/**
+ * Element type without the package prefix (plugins are saved with their class name)
+ */
+function elementType(element) {
+    return element.name.split('.').pop();
+}
+
+function walkTestElements(nodes, context, plan) {
+    nodes.forEach(({ element, children }) => {
+        const type = elementType(element);
+        const name = element.attributes.testname || type;
+        const enabled = context.enabled && element.attributes.enabled !== 'false';
+        const scope = { threadGroup: context.threadGroup, parent: context.parent };
+        const childContext = { ...context, enabled, parent: name };
+
+        if (THREAD_GROUP_TYPES[type]) {
+            const { label, role, parse } = THREAD_GROUP_TYPES[type];
+            plan.threadGroups.push({ name, type, typeLabel: label, role, enabled, ...parse(element, context.variables) });
+            childContext.threadGroup = name;
+        } else if (THROUGHPUT_TIMER_TYPES[type]) {
+            const { label, parse } = THROUGHPUT_TIMER_TYPES[type];
+            plan.throughputTimers.push({ name, type, typeLabel: label, enabled, ...scope, ...parse(element, context.variables) });
+        } else if (type === 'CSVDataSet') {
+            plan.csvDataSets.push({ name, enabled, ...scope, ...parseCSVDataSet(element, context.variables) });
+        } else if (type.endsWith('Assertion')) {
+            plan.assertions.push({ name, type, enabled, ...scope, details: describeAssertion(type, element, context.variables) });
+        }
+
+        walkTestElements(children, childContext, plan);
+    });
+}
+
+/**
+ * Planned totals for the enabled main thread groups
+ */
+function summarizePlan(plan) {
+    const mainGroups = plan.threadGroups.filter((group) => group.enabled && group.role === 'main');
+    const threadCounts = mainGroups.map((group) => group.threads || 0);
+    const durations = mainGroups.map((group) => (group.duration !== null && group.duration !== undefined ? group.duration + (group.delay || 0) : null));
+    const allTimed = durations.length > 0 && durations.every((duration) => duration !== null);
+    const serialize = plan.testPlan.serializeThreadGroups;
+
+    return {
+        threadGroups: plan.threadGroups.length,
+        enabledThreadGroups: mainGroups.length,
+        // Serialized thread groups run one after another, so only the largest runs at a time
+        plannedThreads: serialize ? Math.max(0, ...threadCounts) : threadCounts.reduce((sum, count) => sum + count, 0),
+        plannedDuration: allTimed ? (serialize ? durations.reduce((sum, d) => sum + d, 0) : Math.max(...durations)) : null,
+    };
+}
+
+/**
+ * Parse a JMeter test plan
+ * @param {string} content - JMX file content
+ * @returns {Object} { testPlan, threadGroups, throughputTimers, csvDataSets, assertions, summary }
+ */
+export function parseJMX(content) {
+    const document = parseXMLTree(content);
+    const root = document.children.find((element) => element.name === 'jmeterTestPlan');
+    const rootTree = root && root.children.find((element) => element.name === 'hashTree');
+    if (!rootTree) {
+        throw new Error('Not a JMeter test plan (no <jmeterTestPlan> element)');
+    }
+
+    const elementTree = buildTestElementTree(rootTree);
+    const testPlanNode = elementTree.find(({ element }) => element.name === 'TestPlan');
+    const testPlanElement = testPlanNode ? testPlanNode.element : null;
+
+    const variables = {};
+    if (testPlanElement) {
+        collectVariables(getElementProperty(testPlanElement, 'TestPlan.user_defined_variables'), variables);
+        testPlanNode.children.filter(({ element }) => element.name === 'Arguments').forEach(({ element }) => collectVariables(element, variables));
+    }
+
+    const plan = {
+        testPlan: {
+            name: testPlanElement ? testPlanElement.attributes.testname || 'Test Plan' : 'Test Plan',
+            comments: testPlanElement ? resolveValue(getProperty(testPlanElement, 'TestPlan.comments'), variables) || '' : '',
+            serializeThreadGroups: testPlanElement ? toBoolean(getProperty(testPlanElement, 'TestPlan.serialize_threadgroups')) : false,
+            variables,
+        },
+        threadGroups: [],
+        throughputTimers: [],
+        csvDataSets: [],
+        assertions: [],
+    };
+
+    walkTestElements(testPlanNode ? testPlanNode.children : elementTree, { enabled: true, threadGroup: null, parent: plan.testPlan.name, variables }, plan);
+    plan.summary = summarizePlan(plan);
+    return plan;
+}
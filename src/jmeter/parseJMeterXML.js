@@ -0,0 +1,355 @@
+/**
+ * JMeter XML JTL Parser
+ *
+ * Parses JMeter results saved in XML format (jmeter.save.saveservice.output_format=xml).
+ * Unlike CSV output, XML keeps the real sample hierarchy: sub-samples are nested inside
+ * their parent <sample>/<httpSample>, and assertion results and response data are kept
+ * alongside each sample.
+ *
+ * The parser is push based (write/end) so it can be fed a whole file or chunks of one.
+ */
+
+// Elements that represent a sample result in a JTL file
+const SAMPLE_ELEMENTS = new Set(['sample', 'httpSample']);
+
+// Maximum number of characters of response data kept per failed sample
+const RESPONSE_DATA_LIMIT = 500;
+
+/**
+ * Decode XML entities in text or attribute values
+ */
+export function decodeEntities(text) {
+    if (!text || text.indexOf('&') === -1) return text;
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+        switch (entity) {
+            case 'amp':
+                return '&';
+            case 'lt':
+                return '<';
+            case 'gt':
+                return '>';
+            case 'quot':
+                return '"';
+            case 'apos':
+                return "'";
+            default:
+                if (entity.startsWith('#x')) {
+                    return String.fromCodePoint(parseInt(entity.slice(2), 16));
+                }
+                return String.fromCodePoint(parseInt(entity.slice(1), 10));
+        }
+    });
+}
+
+/**
+ * Parse the attribute section of a start tag into an object
+ */
+export function parseAttributes(attrText) {
+    const attributes = {};
+    const attrRegex = /([\w.:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attrRegex.exec(attrText)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+}
+
+/**
+ * Convert JTL sample attributes to the sample shape used by the report
+ * (same field names as the CSV parser)
+ */
+function createSample(elementName, attrs) {
+    return {
+        label: attrs.lb || '',
+        elapsed: parseInt(attrs.t) || 0,
+        success: attrs.s === 'true',
+        responseCode: attrs.rc || '',
+        responseMessage: attrs.rm || '',
+        dataType: attrs.dt || '',
+        threadName: attrs.tn || '',
+        failureMessage: '',
+        latency: parseInt(attrs.lt) || 0,
+        connect: parseInt(attrs.ct) || 0,
+        bytes: parseInt(attrs.by) || 0,
+        sentBytes: parseInt(attrs.sby) || 0,
+        grpThreads: parseInt(attrs.ng) || 0,
+        allThreads: parseInt(attrs.na) || 0,
+        hostname: attrs.hn || '',
+        url: '',
+        timestamp: parseInt(attrs.ts) || 0,
+        elementName,
+        subResults: [],
+        assertionResults: [],
+    };
+}
+
+/**
+ * Streaming parser for JMeter XML JTL content.
+ * Calls onSample(sample) for every top-level sample once its closing tag is seen;
+ * nested samples are available through sample.subResults.
+ */
+export class JMeterXMLParser {
+    /**
+     * @param {Function} onSample - Callback invoked with each completed top-level sample
+     */
+    constructor(onSample) {
+        this.onSample = onSample;
+        this.buffer = '';
+        this.elementStack = []; // Names of open elements
+        this.sampleStack = []; // Open sample objects (innermost last)
+        this.currentAssertion = null;
+        this.textContent = '';
+        this.sawTestResults = false;
+    }
+
+    /**
+     * Feed a chunk of XML
+     * @param {string} chunk - XML text
+     */
+    write(chunk) {
+        this.buffer += chunk;
+        this.processBuffer();
+    }
+
+    /**
+     * Signal end of input
+     * Samples still open (a truncated file) are closed innermost first, so the partial
+     * outermost sample is emitted with everything read inside it.
+     * @returns {{ unclosedSamples: number }} Number of samples that were not closed
+     */
+    end() {
+        this.processBuffer();
+        if (!this.sawTestResults) {
+            throw new Error('Not a JMeter XML results file (missing <testResults> element)');
+        }
+        const unclosedSamples = this.sampleStack.length;
+        while (this.sampleStack.length > 0) {
+            const finished = this.sampleStack.pop();
+            finalizeSample(finished);
+            if (this.sampleStack.length > 0) {
+                this.sampleStack[this.sampleStack.length - 1].subResults.push(finished);
+            } else {
+                this.onSample(finished);
+            }
+        }
+        return { unclosedSamples };
+    }
+
+    /**
+     * Consume as many complete tokens from the buffer as possible
+     */
+    processBuffer() {
+        let pos = 0;
+        const buffer = this.buffer;
+
+        while (pos < buffer.length) {
+            const tagStart = buffer.indexOf('<', pos);
+            if (tagStart === -1) {
+                this.handleText(buffer.substring(pos));
+                pos = buffer.length;
+                break;
+            }
+            if (tagStart > pos) {
+                this.handleText(buffer.substring(pos, tagStart));
+            }
+
+            // Comments, CDATA sections and processing instructions
+            if (buffer.startsWith('<!--', tagStart)) {
+                const commentEnd = buffer.indexOf('-->', tagStart + 4);
+                if (commentEnd === -1) {
+                    pos = tagStart;
+                    break;
+                }
+                pos = commentEnd + 3;
+                continue;
+            }
+            if (buffer.startsWith('<![CDATA[', tagStart)) {
+                const cdataEnd = buffer.indexOf(']]>', tagStart + 9);
+                if (cdataEnd === -1) {
+                    pos = tagStart;
+                    break;
+                }
+                this.textContent += buffer.substring(tagStart + 9, cdataEnd);
+                pos = cdataEnd + 3;
+                continue;
+            }
+            if (buffer.startsWith('<?', tagStart) || buffer.startsWith('<!', tagStart)) {
+                const declEnd = buffer.indexOf('>', tagStart + 2);
+                if (declEnd === -1) {
+                    pos = tagStart;
+                    break;
+                }
+                pos = declEnd + 1;
+                continue;
+            }
+
+            // Find the end of the tag, skipping '>' characters inside quoted attribute values
+            let tagEnd = -1;
+            let quote = null;
+            for (let i = tagStart + 1; i < buffer.length; i++) {
+                const char = buffer[i];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '>') {
+                    tagEnd = i;
+                    break;
+                }
+            }
+            if (tagEnd === -1) {
+                pos = tagStart;
+                break;
+            }
+
+            this.handleTag(buffer.substring(tagStart + 1, tagEnd));
+            pos = tagEnd + 1;
+        }
+
+        this.buffer = buffer.substring(pos);
+    }
+
+    /**
+     * Accumulate text content for the element currently open
+     */
+    handleText(text) {
+        // Only keep text for elements whose content we use
+        const current = this.elementStack[this.elementStack.length - 1];
+        if (current && !SAMPLE_ELEMENTS.has(current) && current !== 'testResults') {
+            this.textContent += text;
+        }
+    }
+
+    /**
+     * Handle a start, end or self-closing tag (without the angle brackets)
+     */
+    handleTag(tagContent) {
+        if (tagContent.startsWith('/')) {
+            this.handleEndTag(tagContent.substring(1).trim());
+            return;
+        }
+
+        const selfClosing = tagContent.endsWith('/');
+        const body = selfClosing ? tagContent.slice(0, -1) : tagContent;
+        const nameMatch = body.match(/^([\w.:-]+)/);
+        if (!nameMatch) return;
+
+        const name = nameMatch[1];
+        this.handleStartTag(name, body.substring(name.length));
+        if (selfClosing) {
+            this.handleEndTag(name);
+        }
+    }
+
+    handleStartTag(name, attrText) {
+        this.elementStack.push(name);
+        this.textContent = '';
+
+        if (name === 'testResults') {
+            this.sawTestResults = true;
+        } else if (SAMPLE_ELEMENTS.has(name)) {
+            const sample = createSample(name, parseAttributes(attrText));
+            this.sampleStack.push(sample);
+        } else if (name === 'assertionResult' && this.sampleStack.length > 0) {
+            this.currentAssertion = { name: '', failure: false, error: false, failureMessage: '' };
+        }
+    }
+
+    handleEndTag(name) {
+        // Pop until the matching element (tolerates minor nesting problems)
+        const index = this.elementStack.lastIndexOf(name);
+        if (index === -1) return;
+        this.elementStack.length = index;
+
+        const text = decodeEntities(this.textContent);
+        this.textContent = '';
+        const sample = this.sampleStack[this.sampleStack.length - 1];
+
+        if (SAMPLE_ELEMENTS.has(name)) {
+            const finished = this.sampleStack.pop();
+            finalizeSample(finished);
+            if (this.sampleStack.length > 0) {
+                this.sampleStack[this.sampleStack.length - 1].subResults.push(finished);
+            } else {
+                this.onSample(finished);
+            }
+            return;
+        }
+
+        if (!sample) return;
+
+        if (this.currentAssertion) {
+            switch (name) {
+                case 'name':
+                    this.currentAssertion.name = text;
+                    return;
+                case 'failure':
+                    this.currentAssertion.failure = text.trim() === 'true';
+                    return;
+                case 'error':
+                    this.currentAssertion.error = text.trim() === 'true';
+                    return;
+                case 'failureMessage':
+                    this.currentAssertion.failureMessage = text;
+                    return;
+                case 'assertionResult':
+                    sample.assertionResults.push(this.currentAssertion);
+                    this.currentAssertion = null;
+                    return;
+            }
+        }
+
+        switch (name) {
+            case 'java.net.URL':
+                sample.url = text.trim();
+                break;
+            case 'method':
+                sample.method = text.trim();
+                break;
+            case 'responseData':
+                // Response data is only useful for diagnosing failures - keep a short excerpt
+                if (!sample.success && text) {
+                    sample.responseData = text.length > RESPONSE_DATA_LIMIT ? text.substring(0, RESPONSE_DATA_LIMIT) + '...' : text;
+                }
+                break;
+        }
+    }
+}
+
+/**
+ * Derive fields that depend on child elements once a sample is complete
+ */
+function finalizeSample(sample) {
+    // CSV output puts the first failing assertion's message in failureMessage - do the same
+    const failedAssertion = sample.assertionResults.find((a) => a.failure || a.error);
+    if (failedAssertion) {
+        sample.failureMessage = failedAssertion.failureMessage || failedAssertion.name;
+    }
+    // JMeter writes "null" as the URL of non-HTTP samples in CSV; mirror that for consistency
+    if (!sample.url && sample.elementName === 'sample' && sample.subResults.length === 0) {
+        sample.url = 'null';
+    }
+}
+
+/**
+ * Parse a complete JMeter XML JTL document
+ * @param {string} content - XML file content
+ * @returns {Array<Object>} Top-level samples (with nested subResults)
+ */
+export function parseJMeterXML(content) {
+    const samples = [];
+    const parser = new JMeterXMLParser((sample) => samples.push(sample));
+    parser.write(content);
+    parser.end();
+    return samples;
+}
+
+/**
+ * Check whether file content looks like an XML JTL (rather than CSV)
+ * @param {string} head - First bytes of the file
+ * @returns {boolean}
+ */
+export function isJMeterXML(head) {
+    const trimmed = head.replace(/^\uFEFF/, '').trimStart();
+    return trimmed.startsWith('<?xml') || trimmed.startsWith('<testResults');
+}
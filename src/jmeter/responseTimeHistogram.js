@@ -0,0 +1,178 @@
+/**
+ * Response Time Histogram
+ *
+ * Mergeable percentile sketch for response times, modelled on HDR histograms.
+ * Values below 2048 ms are counted exactly; larger values share log-linear buckets
+ * (1024 sub-buckets per power of two), so percentiles stay within ~0.05% of the
+ * exact value while memory depends only on the spread of values, not on the sample count.
+ *
+ * Histograms from different files, engines or transactions can be merged without
+ * loss, which is what lets results be aggregated while streaming.
+ */
+
+const SUB_BUCKET_BITS = 10;
+const SUB_BUCKET_COUNT = 1 << SUB_BUCKET_BITS;
+const EXACT_LIMIT = SUB_BUCKET_COUNT * 2;
+
+/**
+ * Map a value to its bucket index
+ */
+function bucketIndex(value) {
+    if (value < EXACT_LIMIT) return value;
+    const shift = Math.floor(Math.log2(value)) - SUB_BUCKET_BITS;
+    return EXACT_LIMIT + (shift - 1) * SUB_BUCKET_COUNT + (Math.floor(value / 2 ** shift) - SUB_BUCKET_COUNT);
+}
+
+/**
+ * Representative (middle) value of a bucket
+ */
+function bucketValue(index) {
+    if (index < EXACT_LIMIT) return index;
+    const offset = index - EXACT_LIMIT;
+    const shift = Math.floor(offset / SUB_BUCKET_COUNT) + 1;
+    const low = ((offset % SUB_BUCKET_COUNT) + SUB_BUCKET_COUNT) * 2 ** shift;
+    return Math.round(low + (2 ** shift - 1) / 2);
+}
+
+export class ResponseTimeHistogram {
+    constructor() {
+        this.buckets = new Map(); // Bucket index -> count
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = 0;
+        this.sortedIndexes = null; // Cached sorted bucket indexes (reset on every change)
+    }
+
+    /**
+     * Record a response time (ms)
+     * @param {number} value - Response time in milliseconds
+     * @param {number} count - Number of occurrences
+     */
+    record(value, count = 1) {
+        const normalized = Math.max(0, Math.round(value) || 0);
+        const index = bucketIndex(normalized);
+        this.buckets.set(index, (this.buckets.get(index) || 0) + count);
+        this.count += count;
+        this.sum += normalized * count;
+        this.min = Math.min(this.min, normalized);
+        this.max = Math.max(this.max, normalized);
+        this.sortedIndexes = null;
+    }
+
+    /**
+     * Add all values of another histogram to this one
+     * @param {ResponseTimeHistogram} other
+     * @returns {ResponseTimeHistogram} this
+     */
+    merge(other) {
+        if (!other || other.count === 0) return this;
+        other.buckets.forEach((count, index) => {
+            this.buckets.set(index, (this.buckets.get(index) || 0) + count);
+        });
+        this.count += other.count;
+        this.sum += other.sum;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        this.sortedIndexes = null;
+        return this;
+    }
+
+    getSortedIndexes() {
+        if (!this.sortedIndexes) {
+            this.sortedIndexes = Array.from(this.buckets.keys()).sort((a, b) => a - b);
+        }
+        return this.sortedIndexes;
+    }
+
+    /**
+     * Percentile using the nearest-rank method
+     * @param {number} p - Percentile (0-100)
+     * @returns {number}
+     */
+    percentile(p) {
+        if (this.count === 0) return 0;
+        const rank = Math.max(1, Math.ceil((p / 100) * this.count));
+        let cumulative = 0;
+        for (const index of this.getSortedIndexes()) {
+            cumulative += this.buckets.get(index);
+            if (cumulative >= rank) {
+                return Math.min(this.max, Math.max(this.min, bucketValue(index)));
+            }
+        }
+        return this.max;
+    }
+
+    /**
+     * Summary statistics in the report's { min, max, avg, p90, p95, p99 } shape
+     */
+    getStats() {
+        if (this.count === 0) {
+            return { min: 0, max: 0, avg: 0, p90: 0, p95: 0, p99: 0 };
+        }
+        return {
+            min: this.min,
+            max: this.max,
+            avg: Math.round(this.sum / this.count),
+            p90: this.percentile(90),
+            p95: this.percentile(95),
+            p99: this.percentile(99),
+        };
+    }
+
+    /**
+     * Equal-width bins between min and max for distribution charts
+     * @param {number} binCount - Number of bins
+     * @returns {{labels: string[], counts: number[]}}
+     */
+    toDistribution(binCount = 20) {
+        if (this.count === 0) {
+            return { labels: [], counts: [] };
+        }
+        const binSize = Math.max(1, Math.ceil((this.max - this.min) / binCount));
+        const labels = [];
+        const counts = new Array(binCount).fill(0);
+
+        for (let i = 0; i < binCount; i++) {
+            const binStart = this.min + i * binSize;
+            labels.push(binStart + '-' + (binStart + binSize));
+        }
+
+        this.buckets.forEach((count, index) => {
+            const value = Math.min(this.max, Math.max(this.min, bucketValue(index)));
+            const binIndex = Math.min(Math.floor((value - this.min) / binSize), binCount - 1);
+            counts[binIndex] += count;
+        });
+
+        return { labels, counts };
+    }
+
+    /**
+     * Serializable form (used when the histogram is saved with report data)
+     */
+    toJSON() {
+        return {
+            count: this.count,
+            sum: this.sum,
+            min: this.count > 0 ? this.min : 0,
+            max: this.max,
+            buckets: Array.from(this.buckets.entries()),
+        };
+    }
+
+    /**
+     * Restore a histogram saved with toJSON()
+     * @param {Object} json
+     * @returns {ResponseTimeHistogram}
+     */
+    static fromJSON(json) {
+        const histogram = new ResponseTimeHistogram();
+        if (!json || !Array.isArray(json.buckets)) return histogram;
+        json.buckets.forEach(([index, count]) => histogram.buckets.set(index, count));
+        histogram.count = json.count || 0;
+        histogram.sum = json.sum || 0;
+        histogram.min = histogram.count > 0 ? json.min : Infinity;
+        histogram.max = json.max || 0;
+        return histogram;
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Steady State Window
+ *
+ * Statistics over the whole run include ramp-up and ramp-down, which skews the
+ * percentiles. The steady state is the part of the run at full load:
+ * - configured: `jmeter.steadyState.start`/`end` (or --steady-state) as offsets from the
+ *   test start ('5m', 300, '-2m' from the end) or as timestamps
+ * - auto: the longest stretch where active threads stay near their peak (or throughput
+ *   when thread counts were not recorded), trimmed to where throughput has settled
+ *
+ * Statistics are merged from the time series buckets, so the window is aligned to the
+ * time series bucket size.
+ */
+
+import { mergeTimeSeriesBuckets } from './timeSeries.js';
+
+export const DEFAULT_STEADY_STATE_THRESHOLD = 0.95;
+
+// Auto-detected windows shorter than this many buckets are ignored
+const MIN_STEADY_BUCKETS = 3;
+// Throughput is smoothed over about this many seconds before it is compared
+const SMOOTHING_SECONDS = 15;
+// Plain numbers at least this large are epoch milliseconds rather than offsets in seconds
+const EPOCH_MS_THRESHOLD = 1e11;
+
+const OFFSET_UNITS = { ms: 0.001, s: 1, m: 60, h: 3600 };
+
+/**
+ * Parse a window bound
+ * @param {number|string|Date|null} value - Offset from the test start (seconds, or '90s', '5m', '1h';
+ *                                          negative counts back from the end) or a timestamp (epoch ms or date string)
+ * @returns {{ offset: number }|{ timestamp: number }|null} Offset in seconds or timestamp in ms; null when not set
+ */
+export function parseWindowBound(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) throw new Error('invalid date');
+        return { timestamp: value.getTime() };
+    }
+
+    const offsetMatch = String(value)
+        .trim()
+        .match(/^(-?\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i);
+    if (offsetMatch) {
+        const number = parseFloat(offsetMatch[1]);
+        if (!offsetMatch[2] && Math.abs(number) >= EPOCH_MS_THRESHOLD) {
+            return { timestamp: number };
+        }
+        return { offset: number * OFFSET_UNITS[(offsetMatch[2] || 's').toLowerCase()] };
+    }
+
+    const timestamp = Date.parse(String(value));
+    if (Number.isNaN(timestamp)) {
+        throw new Error(`${JSON.stringify(value)} is neither an offset (e.g. 300, '5m', '-2m') nor a date/time`);
+    }
+    return { timestamp };
+}
+
+/**
+ * Validate the `jmeter.steadyState` config block
+ * @param {Object} steadyConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateSteadyStateConfig(steadyConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!steadyConfig) {
+        return { errors, warnings };
+    }
+
+    const bounds = {};
+    ['start', 'end'].forEach((key) => {
+        try {
+            bounds[key] = parseWindowBound(steadyConfig[key]);
+        } catch (error) {
+            errors.push(`jmeter.steadyState.${key}: ${error.message}`);
+        }
+    });
+    const { start, end } = bounds;
+    if (start && end && (start.timestamp !== undefined ? start.timestamp >= end.timestamp : start.offset >= 0 && end.offset >= 0 && start.offset >= end.offset)) {
+        errors.push(`jmeter.steadyState.start (${steadyConfig.start}) must be before jmeter.steadyState.end (${steadyConfig.end})`);
+    }
+    if (steadyConfig.enabled === false && (start || end)) {
+        warnings.push('jmeter.steadyState.start/end are ignored while jmeter.steadyState.enabled is false');
+    }
+
+    const threshold = steadyConfig.threshold;
+    if (threshold !== undefined && threshold !== null && !(threshold > 0 && threshold <= 1)) {
+        errors.push(`jmeter.steadyState.threshold must be a fraction between 0 and 1 (got ${JSON.stringify(threshold)})`);
+    }
+
+    return { errors, warnings };
+}
+
+function movingAverage(values, width) {
+    const half = Math.floor(width / 2);
+    return values.map((value, index) => {
+        const from = Math.max(0, index - half);
+        const to = Math.min(values.length - 1, index + half);
+        let sum = 0;
+        for (let i = from; i <= to; i++) sum += values[i] || 0;
+        return sum / (to - from + 1);
+    });
+}
+
+function percentileOf(values, p) {
+    const sorted = values.filter((value) => value !== null).sort((a, b) => a - b);
+    return sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))] : 0;
+}
+
+/**
+ * Longest run of consecutive indexes between `from` and `to` for which `test` holds
+ */
+function longestRun(from, to, test) {
+    let best = null;
+    let runStart = null;
+    for (let i = from; i <= to + 1; i++) {
+        if (i <= to && test(i)) {
+            if (runStart === null) runStart = i;
+        } else if (runStart !== null) {
+            if (!best || i - runStart > best.end - best.start + 1) best = { start: runStart, end: i - 1 };
+            runStart = null;
+        }
+    }
+    return best;
+}
+
+/**
+ * Detect the steady state buckets from the time series
+ * @returns {{ start: number, end: number, basis: string }|null} Bucket indexes (inclusive) and the series used
+ */
+function detectSteadyState(timeSeries, threshold, startTimestamp, endTimestamp) {
+    const { timestamps, bucketSeconds, overall } = timeSeries;
+    const bucketMs = bucketSeconds * 1000;
+
+    // Only whole buckets: the first and last ones are usually cut by the test start and end
+    const first = timestamps[0] < startTimestamp ? 1 : 0;
+    const last = timestamps[timestamps.length - 1] + bucketMs > endTimestamp ? timestamps.length - 2 : timestamps.length - 1;
+    if (last - first + 1 < MIN_STEADY_BUCKETS) return null;
+
+    const throughput = movingAverage(overall.throughput, Math.max(1, Math.round(SMOOTHING_SECONDS / bucketSeconds)) | 1);
+    const threads = overall.activeThreads;
+    const peakThreads = threads ? Math.max(...threads.slice(first, last + 1)) : 0;
+
+    let range;
+    let basis;
+    if (peakThreads > 0) {
+        range = longestRun(first, last, (i) => threads[i] >= peakThreads * threshold);
+        basis = 'activeThreads';
+    } else {
+        // Without thread counts: the longest stretch near the (robust) peak throughput
+        const peakThroughput = percentileOf(throughput.slice(first, last + 1), 90);
+        if (!(peakThroughput > 0)) return null;
+        range = longestRun(first, last, (i) => throughput[i] >= peakThroughput * threshold);
+        basis = 'throughput';
+    }
+    if (!range) return null;
+
+    // Trim the edges where throughput has not settled yet (threads started but requests still ramping)
+    const level = percentileOf(throughput.slice(range.start, range.end + 1), 50);
+    while (range.start < range.end && throughput[range.start] < level * threshold) range.start++;
+    while (range.end > range.start && throughput[range.end] < level * threshold) range.end--;
+
+    return range.end - range.start + 1 >= MIN_STEADY_BUCKETS ? { ...range, basis } : null;
+}
+
+/**
+ * Resolve the steady state window from config or by detection
+ * @param {Object} steadyConfig - `jmeter.steadyState`
+ * @param {Object} options
+ * @param {Object} options.timeSeries - From buildTimeSeries()
+ * @param {number} options.startTimestamp - Test start (ms)
+ * @param {number} options.endTimestamp - Test end (ms)
+ * @returns {{ window: Object|null, reason: string|null }} window { source, basis, start, end, startOffset, endOffset, duration };
+ *          reason explains a missing window
+ */
+export function resolveSteadyStateWindow(steadyConfig = {}, { timeSeries, startTimestamp, endTimestamp }) {
+    if (steadyConfig.enabled === false) {
+        return { window: null, reason: 'disabled in jmeter.steadyState' };
+    }
+    if (!timeSeries) {
+        return { window: null, reason: 'no sample timestamps' };
+    }
+
+    const bucketMs = timeSeries.bucketSeconds * 1000;
+    const threshold = steadyConfig.threshold || DEFAULT_STEADY_STATE_THRESHOLD;
+    const toWindow = (source, basis, start, end) => ({
+        source,
+        basis,
+        start,
+        end,
+        startOffset: Math.round((start - startTimestamp) / 1000),
+        endOffset: Math.round((end - startTimestamp) / 1000),
+        duration: Math.round((end - start) / 1000),
+    });
+
+    const startBound = parseWindowBound(steadyConfig.start);
+    const endBound = parseWindowBound(steadyConfig.end);
+    if (startBound || endBound) {
+        const toTimestamp = (bound, fallback) => {
+            if (!bound) return fallback;
+            if (bound.timestamp !== undefined) return bound.timestamp;
+            return bound.offset < 0 ? endTimestamp + bound.offset * 1000 : startTimestamp + bound.offset * 1000;
+        };
+        // Clamp to the run and round to the nearest bucket boundaries
+        const start = Math.round(Math.max(startTimestamp, toTimestamp(startBound, startTimestamp)) / bucketMs) * bucketMs;
+        const end = Math.round(Math.min(endTimestamp, toTimestamp(endBound, endTimestamp)) / bucketMs) * bucketMs;
+        if (end <= start) {
+            return { window: null, reason: `configured window is outside the run or shorter than one ${timeSeries.bucketSeconds}s bucket` };
+        }
+        return { window: toWindow('configured', null, start, end), reason: null };
+    }
+
+    const detected = detectSteadyState(timeSeries, threshold, startTimestamp, endTimestamp);
+    if (!detected) {
+        return { window: null, reason: 'no stable load detected' };
+    }
+    const start = timeSeries.timestamps[detected.start];
+    const end = timeSeries.timestamps[detected.end] + bucketMs;
+    return { window: toWindow('auto', detected.basis, start, end), reason: null };
+}
+
+/**
+ * Statistics for the steady state window in the same shape as the full run ones
+ * @param {Object} tracker - From createTimeSeriesTracker()
+ * @param {Object} window - From resolveSteadyStateWindow()
+ * @returns {Object} window plus { totalRequests, totalSuccessCount, totalErrorCount, passPercentage, throughput, requestStats, transactions }
+ */
+export function buildSteadyStateStats(tracker, window) {
+    const merged = mergeTimeSeriesBuckets(tracker, window.start, window.end);
+    const errorRate = (totals) => (totals.count > 0 ? ((totals.errors / totals.count) * 100).toFixed(2) : '0.00');
+
+    const transactions = {};
+    merged.transactions.forEach((totals, name) => {
+        const samplers = merged.samplers.get(name) || new Map();
+        transactions[name] = {
+            totalSamples: totals.count,
+            successCount: totals.count - totals.errors,
+            errorCount: totals.errors,
+            errorRate: errorRate(totals),
+            stats: totals.histogram.getStats(),
+            samplerStats: Array.from(samplers, ([label, samplerTotals]) => ({
+                label,
+                totalSamples: samplerTotals.count,
+                successCount: samplerTotals.count - samplerTotals.errors,
+                errorCount: samplerTotals.errors,
+                errorRate: errorRate(samplerTotals),
+                stats: samplerTotals.histogram.getStats(),
+            })),
+        };
+    });
+
+    const overall = merged.overall;
+    return {
+        ...window,
+        totalRequests: overall.count,
+        totalSuccessCount: overall.count - overall.errors,
+        totalErrorCount: overall.errors,
+        passPercentage: overall.count > 0 ? (((overall.count - overall.errors) / overall.count) * 100).toFixed(2) : 100,
+        throughput: window.duration > 0 ? Math.round((overall.count / window.duration) * 100) / 100 : 0,
+        requestStats: overall.histogram.getStats(),
+        transactions,
+    };
+}
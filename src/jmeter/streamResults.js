@@ -0,0 +1,108 @@
+/**
+ * Streaming readers for JMeter results files
+ *
+ * Results files from long soak tests can be several GB, so they are never loaded
+ * into memory as a whole: CSV files are read record by record and XML JTL files
+ * are fed to the push parser in chunks.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { JMeterXMLParser, isJMeterXML } from './parseJMeterXML.js';
+
+/**
+ * Read the first bytes of a file (used for format detection)
+ * @param {string} filePath
+ * @param {number} length - Number of bytes to read
+ * @returns {string}
+ */
+export function readFileHead(filePath, length = 512) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+        return buffer.toString('utf-8', 0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Check whether a results file is an XML JTL (rather than CSV)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isJMeterXMLFile(filePath) {
+    return isJMeterXML(readFileHead(filePath));
+}
+
+/**
+ * Stream CSV records from a file.
+ * A record can span several lines when a quoted value contains a line break
+ * (e.g. multi-line failure messages), so lines are joined until quotes balance.
+ * @param {string} filePath
+ * @param {Function} onRecord - Called with the raw text of each non-empty record
+ * @returns {Promise<number>} Number of records read
+ */
+export async function streamCSVRecords(filePath, onRecord) {
+    const input = fs.createReadStream(filePath, { encoding: 'utf-8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let pending = null;
+    let pendingQuotes = 0;
+    let recordCount = 0;
+
+    for await (const line of lines) {
+        const quotes = countQuotes(line);
+
+        if (pending !== null) {
+            pending += '\n' + line;
+            pendingQuotes += quotes;
+        } else {
+            pending = line;
+            pendingQuotes = quotes;
+        }
+
+        if (pendingQuotes % 2 === 0) {
+            if (pending.trim()) {
+                onRecord(pending);
+                recordCount++;
+            }
+            pending = null;
+        }
+    }
+
+    // Unbalanced quotes at end of file - pass the remainder through rather than dropping it
+    if (pending !== null && pending.trim()) {
+        onRecord(pending);
+        recordCount++;
+    }
+
+    return recordCount;
+}
+
+/**
+ * Stream top-level samples from an XML JTL file
+ * @param {string} filePath
+ * @param {Function} onSample - Called with each top-level sample (nested samples in subResults)
+ * @returns {Promise<{ unclosedSamples: number }>} unclosedSamples > 0 when the file is truncated
+ */
+export async function streamXMLSamples(filePath, onSample) {
+    const parser = new JMeterXMLParser(onSample);
+    const input = fs.createReadStream(filePath, { encoding: 'utf-8' });
+
+    for await (const chunk of input) {
+        parser.write(chunk);
+    }
+    return parser.end();
+}
+
+function countQuotes(line) {
+    let count = 0;
+    let index = line.indexOf('"');
+    while (index !== -1) {
+        count++;
+        index = line.indexOf('"', index + 1);
+    }
+    return count;
+}
@@ -0,0 +1,237 @@
+/**
+ * Time Series
+ *
+ * Throughput, response time (avg/p90/p95) and error rate per time bucket, for all
+ * requests and per transaction. Buckets are filled while streaming and each keeps a
+ * mergeable histogram, so percentiles stay accurate without holding raw samples.
+ *
+ * The bucket size is `jmeter.timeSeries.bucketSeconds`; with 'auto' runs start with
+ * 1 second buckets and switch to 10s (then 60s, 300s) once a run needs more than
+ * MAX_AUTO_BUCKETS of them. Buckets are aligned to multiples of the bucket size.
+ *
+ * The buckets (including the per sampler ones, which are not charted) are also what
+ * the steady state statistics are merged from. Sampler buckets are kept for the first
+ * MAX_SAMPLER_LABELS labels of each transaction only, so labels with raw IDs in them
+ * cannot grow the tracker without bound; the other samplers get no steady state stats.
+ */
+
+import { ResponseTimeHistogram } from './responseTimeHistogram.js';
+
+const AUTO_BUCKET_LEVELS = [1, 10, 60, 300];
+const MAX_AUTO_BUCKETS = 600;
+const MAX_SAMPLER_LABELS = 100;
+
+/**
+ * Create the bucket accumulator used while parsing
+ * @param {number|string} bucketSeconds - Bucket size in seconds or 'auto'
+ */
+export function createTimeSeriesTracker(bucketSeconds = 'auto') {
+    const fixed = parseInt(bucketSeconds, 10);
+    const auto = !(fixed > 0);
+    return {
+        auto,
+        bucketSeconds: auto ? AUTO_BUCKET_LEVELS[0] : fixed,
+        overall: new Map(), // Bucket -> { count, errors, histogram } of individual requests
+        transactions: new Map(), // Transaction name -> Map(bucket -> { count, errors, histogram })
+        samplers: new Map(), // Transaction name -> Map(sampler label -> Map(bucket -> { count, errors, histogram }))
+        untrackedSamplerRequests: 0, // Requests of sampler labels past MAX_SAMPLER_LABELS
+        minBucket: Infinity,
+        maxBucket: -Infinity,
+    };
+}
+
+function recordInto(buckets, bucket, sample) {
+    let entry = buckets.get(bucket);
+    if (!entry) {
+        entry = { count: 0, errors: 0, histogram: new ResponseTimeHistogram() };
+        buckets.set(bucket, entry);
+    }
+    entry.count++;
+    if (!sample.success) entry.errors++;
+    entry.histogram.record(sample.elapsed);
+}
+
+function bucketOf(tracker, sample) {
+    if (!(sample.timestamp > 0)) return null;
+    const bucket = Math.floor(sample.timestamp / 1000 / tracker.bucketSeconds);
+    tracker.minBucket = Math.min(tracker.minBucket, bucket);
+    tracker.maxBucket = Math.max(tracker.maxBucket, bucket);
+    if (tracker.auto && tracker.maxBucket - tracker.minBucket >= MAX_AUTO_BUCKETS) {
+        coarsen(tracker);
+        return Math.floor(sample.timestamp / 1000 / tracker.bucketSeconds);
+    }
+    return bucket;
+}
+
+/**
+ * Merge buckets into the next (larger) auto bucket size until the run fits
+ */
+function coarsen(tracker) {
+    while (tracker.maxBucket - tracker.minBucket >= MAX_AUTO_BUCKETS) {
+        const level = AUTO_BUCKET_LEVELS.indexOf(tracker.bucketSeconds);
+        if (level === AUTO_BUCKET_LEVELS.length - 1) return;
+
+        const current = tracker.bucketSeconds;
+        const next = AUTO_BUCKET_LEVELS[level + 1];
+        const rebucket = (buckets) => {
+            const merged = new Map();
+            buckets.forEach((entry, bucket) => {
+                const target = Math.floor((bucket * current) / next);
+                const existing = merged.get(target);
+                if (existing) {
+                    existing.count += entry.count;
+                    existing.errors += entry.errors;
+                    existing.histogram.merge(entry.histogram);
+                } else {
+                    merged.set(target, entry);
+                }
+            });
+            return merged;
+        };
+
+        tracker.overall = rebucket(tracker.overall);
+        tracker.transactions.forEach((buckets, name) => tracker.transactions.set(name, rebucket(buckets)));
+        tracker.samplers.forEach((labels) => labels.forEach((buckets, label) => labels.set(label, rebucket(buckets))));
+        tracker.bucketSeconds = next;
+        tracker.minBucket = Math.floor((tracker.minBucket * current) / next);
+        tracker.maxBucket = Math.floor((tracker.maxBucket * current) / next);
+    }
+}
+
+/**
+ * Record an individual request (overall series)
+ */
+export function recordTimeSeriesRequest(tracker, sample) {
+    const bucket = bucketOf(tracker, sample);
+    if (bucket !== null) recordInto(tracker.overall, bucket, sample);
+}
+
+/**
+ * Record a transaction sample (per transaction series)
+ */
+export function recordTimeSeriesTransaction(tracker, name, sample) {
+    const bucket = bucketOf(tracker, sample);
+    if (bucket === null) return;
+    if (!tracker.transactions.has(name)) {
+        tracker.transactions.set(name, new Map());
+    }
+    recordInto(tracker.transactions.get(name), bucket, sample);
+}
+
+/**
+ * Record a request under the transaction whose sampler statistics it belongs to
+ * (ignored for labels past the first MAX_SAMPLER_LABELS of the transaction)
+ */
+export function recordTimeSeriesSampler(tracker, transactionName, sample) {
+    const bucket = bucketOf(tracker, sample);
+    if (bucket === null) return;
+    if (!tracker.samplers.has(transactionName)) {
+        tracker.samplers.set(transactionName, new Map());
+    }
+    const labels = tracker.samplers.get(transactionName);
+    if (!labels.has(sample.label)) {
+        if (labels.size >= MAX_SAMPLER_LABELS) {
+            tracker.untrackedSamplerRequests++;
+            return;
+        }
+        labels.set(sample.label, new Map());
+    }
+    recordInto(labels.get(sample.label), bucket, sample);
+}
+
+/**
+ * Merge the buckets that start within [fromTimestamp, toTimestamp) - statistics over part of the run
+ * @param {Object} tracker - From createTimeSeriesTracker()
+ * @param {number} fromTimestamp - Start (ms), a bucket boundary
+ * @param {number} toTimestamp - End (ms), a bucket boundary
+ * @returns {Object} { overall, transactions: Map(name -> totals), samplers: Map(name -> Map(label -> totals)) }
+ *                   with totals { count, errors, histogram }
+ */
+export function mergeTimeSeriesBuckets(tracker, fromTimestamp, toTimestamp) {
+    const bucketMs = tracker.bucketSeconds * 1000;
+    const first = Math.round(fromTimestamp / bucketMs);
+    const last = Math.round(toTimestamp / bucketMs) - 1;
+
+    const merge = (buckets) => {
+        const totals = { count: 0, errors: 0, histogram: new ResponseTimeHistogram() };
+        buckets.forEach((entry, bucket) => {
+            if (bucket < first || bucket > last) return;
+            totals.count += entry.count;
+            totals.errors += entry.errors;
+            totals.histogram.merge(entry.histogram);
+        });
+        return totals;
+    };
+
+    const transactions = new Map();
+    tracker.transactions.forEach((buckets, name) => transactions.set(name, merge(buckets)));
+    const samplers = new Map();
+    tracker.samplers.forEach((labels, name) => {
+        samplers.set(name, new Map(Array.from(labels, ([label, buckets]) => [label, merge(buckets)])));
+    });
+
+    return { overall: merge(tracker.overall), transactions, samplers };
+}
+
+/**
+ * Series over the timeline for one set of buckets (null where a bucket has no samples)
+ */
+function toSeries(buckets, firstBucket, bucketCount, bucketSeconds) {
+    const series = { throughput: [], avg: [], p90: [], p95: [], errorRate: [] };
+    for (let i = 0; i < bucketCount; i++) {
+        const entry = buckets.get(firstBucket + i);
+        if (!entry) {
+            series.throughput.push(0);
+            series.avg.push(null);
+            series.p90.push(null);
+            series.p95.push(null);
+            series.errorRate.push(null);
+            continue;
+        }
+        series.throughput.push(Math.round((entry.count / bucketSeconds) * 100) / 100);
+        series.avg.push(Math.round(entry.histogram.sum / entry.histogram.count));
+        series.p90.push(entry.histogram.percentile(90));
+        series.p95.push(entry.histogram.percentile(95));
+        series.errorRate.push(Math.round((entry.errors / entry.count) * 10000) / 100);
+    }
+    return series;
+}
+
+/**
+ * Build the time series for the report
+ * @param {Object} tracker - From createTimeSeriesTracker()
+ * @param {Object} options
+ * @param {number} options.startTimestamp - Test start (ms)
+ * @param {number} options.endTimestamp - Test end (ms)
+ * @param {Function} options.activeThreads - (firstBucket, bucketCount, bucketSeconds) => peak active threads per bucket or null
+ * @returns {Object|null} { bucketSeconds, timestamps, overall, transactions } or null without timestamps
+ */
+export function buildTimeSeries(tracker, { startTimestamp, endTimestamp, activeThreads = null }) {
+    if (!tracker || !(endTimestamp >= startTimestamp) || tracker.minBucket === Infinity) {
+        return null;
+    }
+
+    const bucketSeconds = tracker.bucketSeconds;
+    const firstBucket = Math.floor(startTimestamp / 1000 / bucketSeconds);
+    const bucketCount = Math.floor(endTimestamp / 1000 / bucketSeconds) - firstBucket + 1;
+
+    const timestamps = [];
+    for (let i = 0; i < bucketCount; i++) {
+        timestamps.push((firstBucket + i) * bucketSeconds * 1000);
+    }
+
+    const transactions = {};
+    tracker.transactions.forEach((buckets, name) => {
+        transactions[name] = toSeries(buckets, firstBucket, bucketCount, bucketSeconds);
+    });
+
+    return {
+        bucketSeconds,
+        timestamps,
+        overall: {
+            ...toSeries(tracker.overall, firstBucket, bucketCount, bucketSeconds),
+            activeThreads: activeThreads ? activeThreads(firstBucket, bucketCount, bucketSeconds) : null,
+        },
+        transactions,
+    };
+}
@@ -0,0 +1,94 @@
+/**
+ * Transaction Grouping
+ *
+ * Decides what counts as a "transaction" in the report (`jmeter.grouping.strategy`):
+ * - transactionControllers: Transaction Controller samples with their child requests (default)
+ * - labelRegex: requests grouped by the first matching `jmeter.grouping.labelGroups` rule
+ * - samplerLabels: one transaction per sampler label (plans without Transaction Controllers)
+ *
+ * With the request based strategies every request is one execution of its group, so the
+ * transaction tables, detail pages and AI input are filled the same way for every plan.
+ */
+
+import { compilePattern } from '../regexPatterns.js';
+
+export const GROUPING_STRATEGIES = {
+    transactionControllers: 'Transaction Controllers',
+    labelRegex: 'Label Groups',
+    samplerLabels: 'Sampler Labels',
+};
+
+export const DEFAULT_GROUPING_STRATEGY = 'transactionControllers';
+
+/**
+ * Validate the `jmeter.grouping` config block
+ * @param {Object} groupingConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateGroupingConfig(groupingConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!groupingConfig) {
+        return { errors, warnings };
+    }
+
+    const strategy = groupingConfig.strategy || DEFAULT_GROUPING_STRATEGY;
+    if (!GROUPING_STRATEGIES[strategy]) {
+        errors.push(`jmeter.grouping.strategy must be one of ${Object.keys(GROUPING_STRATEGIES).join(', ')} (got ${JSON.stringify(groupingConfig.strategy)})`);
+    }
+
+    const labelGroups = groupingConfig.labelGroups || [];
+    if (!Array.isArray(labelGroups)) {
+        errors.push('jmeter.grouping.labelGroups must be an array of { name, pattern } rules');
+    } else {
+        labelGroups.forEach((rule, index) => {
+            if (!rule || (typeof rule.pattern !== 'string' && !(rule.pattern instanceof RegExp))) {
+                errors.push(`jmeter.grouping.labelGroups[${index}] needs a pattern (string or RegExp)`);
+                return;
+            }
+            try {
+                compilePattern(rule.pattern, rule.flags);
+            } catch (error) {
+                errors.push(`jmeter.grouping.labelGroups[${index}].pattern is not a valid regular expression: ${error.message}`);
+            }
+        });
+        if (strategy === 'labelRegex' && labelGroups.length === 0) {
+            warnings.push('jmeter.grouping.strategy is labelRegex but no labelGroups are set - every sampler label becomes its own transaction');
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Create the function that maps a request label to its transaction
+ * @param {Object} groupingConfig - `jmeter.grouping` (already validated)
+ * @returns {Function|null} (label) => transaction name, or null for the transactionControllers strategy
+ */
+export function createRequestGrouper(groupingConfig = {}) {
+    const strategy = groupingConfig.strategy || DEFAULT_GROUPING_STRATEGY;
+    if (strategy === 'transactionControllers') {
+        return null;
+    }
+    if (strategy === 'samplerLabels') {
+        return (label) => label;
+    }
+
+    // labelRegex: the first matching rule wins; `name` may reference capture groups ($1, $2, ...).
+    // Without a name the first capture group (or the whole match) is used.
+    const rules = (groupingConfig.labelGroups || []).map((rule) => ({ name: rule.name, regex: compilePattern(rule.pattern, rule.flags) }));
+    const unmatchedGroup = groupingConfig.unmatchedGroup || null;
+
+    return (label) => {
+        for (const rule of rules) {
+            const match = rule.regex.exec(label);
+            if (!match) continue;
+            if (rule.name) {
+                return rule.name.replace(/\$(\d+)/g, (placeholder, group) => match[parseInt(group, 10)] || '');
+            }
+            return match[1] || match[0];
+        }
+        return unmatchedGroup || label;
+    };
+}
@@ -0,0 +1,84 @@
+/**
+ * User Type Statistics
+ *
+ * Requests, transaction executions and samplers are also counted per thread group while
+ * parsing. The report maps thread groups to the configured `userTypes` (JMX thread group
+ * names, or `threadGroupPatterns`) - the same mapping used to count users - and merges
+ * their counters into statistics per user type, so one user type degrading shows up even
+ * when the overall numbers look fine.
+ */
+
+import { ResponseTimeHistogram } from './responseTimeHistogram.js';
+import { getThreadGroupName } from './activeThreads.js';
+
+/**
+ * Count a sample under its thread group
+ * @param {Map} groups - Thread group -> { totalSamples, successCount, errorCount, histogram }
+ * @param {Object} sample - Parsed sample (threadName, elapsed, success)
+ */
+export function recordThreadGroupSample(groups, sample) {
+    const group = getThreadGroupName(sample.threadName);
+    let entry = groups.get(group);
+    if (!entry) {
+        entry = { totalSamples: 0, successCount: 0, errorCount: 0, histogram: new ResponseTimeHistogram() };
+        groups.set(group, entry);
+    }
+    entry.totalSamples++;
+    if (sample.success) {
+        entry.successCount++;
+    } else {
+        entry.errorCount++;
+    }
+    entry.histogram.record(sample.elapsed);
+}
+
+/**
+ * Merge the thread group counters into statistics per user type
+ * @param {Map} groups - From recordThreadGroupSample()
+ * @param {Object[]} userTypes - [{ key, displayName, matches(threadGroupName) }]
+ * @param {Object} [options]
+ * @param {number} [options.durationSec] - Test duration; adds throughput (samples/sec)
+ * @returns {Object} key -> { totalSamples, successCount, errorCount, errorRate, stats, threadGroups[, throughput] }
+ *                   for the user types with samples
+ */
+export function mergeUserTypeStats(groups, userTypes, { durationSec = null } = {}) {
+    const result = {};
+    userTypes.forEach((userType) => {
+        const threadGroups = Array.from(groups.keys()).filter((group) => userType.matches(group));
+        if (threadGroups.length === 0) return;
+
+        const histogram = new ResponseTimeHistogram();
+        let successCount = 0;
+        let errorCount = 0;
+        threadGroups.forEach((group) => {
+            const entry = groups.get(group);
+            histogram.merge(entry.histogram);
+            successCount += entry.successCount;
+            errorCount += entry.errorCount;
+        });
+        const totalSamples = successCount + errorCount;
+        result[userType.key] = {
+            totalSamples,
+            successCount,
+            errorCount,
+            errorRate: ((errorCount / totalSamples) * 100).toFixed(2),
+            stats: histogram.getStats(),
+            threadGroups,
+        };
+        if (durationSec !== null) {
+            result[userType.key].throughput = durationSec > 0 ? Math.round((totalSamples / durationSec) * 100) / 100 : 0;
+        }
+    });
+    return result;
+}
+
+/**
+ * Thread groups that match no user type (their samples only appear in the overall statistics)
+ * @returns {Array<{ threadGroup: string, totalSamples: number }>} Most samples first
+ */
+export function findUnmappedThreadGroups(groups, userTypes) {
+    return Array.from(groups.entries())
+        .filter(([group]) => !userTypes.some((userType) => userType.matches(group)))
+        .map(([threadGroup, entry]) => ({ threadGroup, totalSamples: entry.totalSamples }))
+        .sort((a, b) => b.totalSamples - a.totalSamples);
+}
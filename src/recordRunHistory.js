@@ -0,0 +1,199 @@
+/**
+ * Run History
+ *
+ * Every report appends a compact summary of its run to HISTORY_FILE, a JSON-lines file in
+ * `history.dir`: the REPORT_DATA_FILE model (per transaction stats, Azure aggregates,
+ * Playwright vitals, run metadata) plus the SLA verdict and an optional `label`.
+ * The Trends page charts the last `history.runs` entries so gradual degradation across
+ * releases shows up. Generating the report again for the same test run replaces its entry.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { REPORT_DATA_VERSION } from './compareBaseline.js';
+
+export const HISTORY_FILE = 'runs.jsonl';
+export const DEFAULT_HISTORY_RUNS = 20;
+
+/**
+ * Validate the `history` config block
+ * @param {Object} historyConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateHistoryConfig(historyConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!historyConfig) {
+        return { errors, warnings };
+    }
+
+    const { enabled, dir, runs, label } = historyConfig;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push(`history.enabled must be true or false (got ${JSON.stringify(enabled)})`);
+    }
+    if (typeof dir !== 'string' || dir.trim() === '') {
+        errors.push(`history.dir must be a directory path (got ${JSON.stringify(dir)})`);
+    }
+    if (runs !== undefined && !(Number.isInteger(runs) && runs >= 2)) {
+        errors.push(`history.runs must be a whole number >= 2 (got ${JSON.stringify(runs)})`);
+    }
+    if (label !== undefined && label !== null && typeof label !== 'string') {
+        errors.push(`history.label must be a string (got ${JSON.stringify(label)})`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Identifies a test run: its start and end timestamps, so a regenerated report replaces its entry
+ * @param {Object} entry - History entry or report data model
+ * @returns {string}
+ */
+export function getRunId(entry) {
+    const run = entry.run;
+    return run && run.startTimestamp ? `${run.startTimestamp}-${run.endTimestamp}` : entry.generatedAt;
+}
+
+function runTime(entry) {
+    return (entry.run && entry.run.startTimestamp) || Date.parse(entry.generatedAt) || 0;
+}
+
+/**
+ * Read the history of a directory, oldest run first
+ * @param {string} historyDir
+ * @returns {{ runs: Object[], invalidLines: number }}
+ */
+export function loadRunHistory(historyDir) {
+    const historyFile = path.join(historyDir, HISTORY_FILE);
+    if (!fs.existsSync(historyFile)) {
+        return { runs: [], invalidLines: 0 };
+    }
+
+    const runs = [];
+    let invalidLines = 0;
+    fs.readFileSync(historyFile, 'utf-8')
+        .split('\n')
+        .filter((line) => line.trim() !== '')
+        .forEach((line) => {
+            try {
+                const entry = JSON.parse(line);
+                if (entry && entry.version === REPORT_DATA_VERSION && 'jmeter' in entry) {
+                    runs.push(entry);
+                    return;
+                }
+            } catch (error) {
+                // Counted below
+            }
+            invalidLines++;
+        });
+
+    return { runs: runs.sort((a, b) => runTime(a) - runTime(b)), invalidLines };
+}
+
+/**
+ * The report data model without the response time samples (only used for significance tests)
+ */
+function withoutSamples(reportData) {
+    if (!reportData.jmeter) {
+        return reportData;
+    }
+
+    const { samples, transactions, ...jmeter } = reportData.jmeter;
+    return {
+        ...reportData,
+        jmeter: {
+            ...jmeter,
+            transactions: Object.fromEntries(Object.entries(transactions || {}).map(([name, { samples: transactionSamples, ...transaction }]) => [name, transaction])),
+        },
+    };
+}
+
+/**
+ * Add a run to the history (replacing an earlier entry of the same test run)
+ * @param {string} historyDir - Created when missing
+ * @param {Object} reportData - Report data model including the SLA summary
+ * @param {Object} [options]
+ * @param {string|null} [options.label] - Release/build label shown on the Trends page
+ * @returns {{ entry: Object, runs: Object[], replaced: boolean, invalidLines: number }} runs oldest first
+ */
+export function recordRun(historyDir, reportData, { label = null } = {}) {
+    const entry = { id: getRunId(reportData), label: label || null, ...withoutSamples(reportData) };
+    const { runs, invalidLines } = loadRunHistory(historyDir);
+    const replaced = runs.some((run) => run.id === entry.id);
+    const updated = [...runs.filter((run) => run.id !== entry.id), entry].sort((a, b) => runTime(a) - runTime(b));
+
+    fs.mkdirSync(historyDir, { recursive: true });
+    const historyFile = path.join(historyDir, HISTORY_FILE);
+    if (replaced || invalidLines > 0) {
+        fs.writeFileSync(historyFile, updated.map((run) => JSON.stringify(run)).join('\n') + '\n', 'utf-8');
+    } else {
+        fs.appendFileSync(historyFile, JSON.stringify(entry) + '\n', 'utf-8');
+    }
+
+    return { entry, runs: updated, replaced, invalidLines };
+}
+
+/**
+ * Per transaction trend of one response time metric across runs (oldest first)
+ * - change: latest value vs the first run the transaction appears in
+ * - slope: least squares slope per run, as % of the mean
+ * - status: 'degrading' / 'improving' when the change is beyond `tolerance` % in the
+ *   direction of the slope, 'missing' when absent from the latest run, 'insufficient' with one value
+ * @param {Object[]} runs
+ * @param {Object} [options]
+ * @param {string} [options.metric] - avg, p90, p95 or p99
+ * @param {number} [options.tolerance] - % change
+ * @returns {Object[]} Worst change first
+ */
+export function summarizeTransactionTrends(runs, { metric = 'p95', tolerance = 10 } = {}) {
+    const names = new Set();
+    runs.forEach((run) => Object.keys((run.jmeter && run.jmeter.transactions) || {}).forEach((name) => names.add(name)));
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const rows = [...names].map((name) => {
+        const points = runs
+            .map((run, index) => {
+                const transaction = run.jmeter && run.jmeter.transactions && run.jmeter.transactions[name];
+                const value = transaction && transaction.responseTimes ? transaction.responseTimes[metric] : null;
+                return typeof value === 'number' ? { index, value } : null;
+            })
+            .filter(Boolean);
+
+        const first = points[0];
+        const latest = points[points.length - 1];
+        const inLatestRun = latest && latest.index === runs.length - 1;
+        const values = points.map((point) => point.value);
+        const row = {
+            name,
+            runs: points.length,
+            first: first ? first.value : null,
+            latest: inLatestRun ? latest.value : null,
+            min: values.length > 0 ? Math.min(...values) : null,
+            max: values.length > 0 ? Math.max(...values) : null,
+            changePercent: null,
+            slopePercent: null,
+            status: !inLatestRun ? 'missing' : points.length < 2 ? 'insufficient' : 'stable',
+        };
+        if (row.status !== 'stable') {
+            return row;
+        }
+
+        const meanIndex = points.reduce((sum, point) => sum + point.index, 0) / points.length;
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const covariance = points.reduce((sum, point) => sum + (point.index - meanIndex) * (point.value - mean), 0);
+        const variance = points.reduce((sum, point) => sum + (point.index - meanIndex) ** 2, 0);
+        const slope = variance > 0 ? covariance / variance : 0;
+
+        row.changePercent = first.value > 0 ? round(((latest.value - first.value) / first.value) * 100) : null;
+        row.slopePercent = mean > 0 ? round((slope / mean) * 100) : null;
+        if (row.changePercent !== null && row.changePercent > tolerance && slope > 0) {
+            row.status = 'degrading';
+        } else if (row.changePercent !== null && row.changePercent < -tolerance && slope < 0) {
+            row.status = 'improving';
+        }
+        return row;
+    });
+
+    return rows.sort((a, b) => (b.changePercent ?? -Infinity) - (a.changePercent ?? -Infinity) || a.name.localeCompare(b.name));
+}
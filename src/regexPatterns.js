@@ -0,0 +1,24 @@
+/**
+ * Config Patterns
+ *
+ * Regular expressions in config rules are strings with optional flags, or RegExp objects.
+ * They are only ever used to test or match a single string, so the stateful `g` and `y`
+ * flags are dropped: with them `test()` and `exec()` continue from the previous match's
+ * `lastIndex`, and `String.match()` loses the capture groups.
+ */
+
+const STATEFUL_FLAGS = /[gy]/g;
+
+/**
+ * Compile a config pattern without the `g`/`y` flags
+ * @param {string|RegExp} pattern
+ * @param {string} [flags] - Flags of a string pattern (a RegExp keeps its own)
+ * @returns {RegExp}
+ * @throws {SyntaxError} When the pattern or flags are invalid
+ */
+export function compilePattern(pattern, flags = '') {
+    if (pattern instanceof RegExp) {
+        return new RegExp(pattern.source, pattern.flags.replace(STATEFUL_FLAGS, ''));
+    }
+    return new RegExp(pattern, (flags || '').replace(STATEFUL_FLAGS, ''));
+}
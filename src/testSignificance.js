@@ -0,0 +1,225 @@
+/**
+ * Statistical Significance
+ *
+ * Tells real run-to-run changes from noise for the baseline comparison, using the random
+ * response time samples each run keeps (per transaction and for all requests):
+ * - mannWhitney: Mann-Whitney U test on the two response time distributions (normal
+ *   approximation with tie correction); one p-value for avg, p90 and p95
+ * - bootstrap: bootstrap confidence interval of the difference of each statistic (mean,
+ *   p90, p95); significant when the interval excludes zero
+ * Error rates use a two-proportion z-test on the error counts. Throughput and Azure metrics
+ * are single values per run and are not tested.
+ */
+
+export const SIGNIFICANCE_METHODS = {
+    mannWhitney: 'Mann-Whitney U test',
+    bootstrap: 'Bootstrap confidence interval',
+};
+
+export const DEFAULT_SIGNIFICANCE = {
+    enabled: true,
+    method: 'mannWhitney',
+    confidence: 95, // %
+    iterations: 1000, // Bootstrap resamples
+    sampleSize: 5000, // Response times of all requests kept per run (random sample)
+};
+
+/**
+ * Validate the `baseline.significance` config block
+ * @param {Object} significanceConfig
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateSignificanceConfig(significanceConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!significanceConfig) {
+        return { errors, warnings };
+    }
+
+    const { enabled, method, confidence, iterations, sampleSize } = significanceConfig;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push(`baseline.significance.enabled must be true or false (got ${JSON.stringify(enabled)})`);
+    }
+    if (method !== undefined && !(method in SIGNIFICANCE_METHODS)) {
+        errors.push(`baseline.significance.method must be one of ${Object.keys(SIGNIFICANCE_METHODS).join(', ')} (got ${JSON.stringify(method)})`);
+    }
+    if (confidence !== undefined && !(typeof confidence === 'number' && confidence >= 50 && confidence < 100)) {
+        errors.push(`baseline.significance.confidence must be a percentage from 50 to 99.9 (got ${JSON.stringify(confidence)})`);
+    }
+    if (iterations !== undefined && !(Number.isInteger(iterations) && iterations >= 100)) {
+        errors.push(`baseline.significance.iterations must be a whole number >= 100 (got ${JSON.stringify(iterations)})`);
+    }
+    if (sampleSize !== undefined && !(Number.isInteger(sampleSize) && sampleSize >= 0)) {
+        errors.push(`baseline.significance.sampleSize must be a whole number >= 0 (got ${JSON.stringify(sampleSize)})`);
+    }
+    if (method !== 'bootstrap' && iterations !== undefined && iterations !== DEFAULT_SIGNIFICANCE.iterations) {
+        warnings.push("baseline.significance.iterations only applies to method 'bootstrap'");
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function twoSidedPValue(z) {
+    return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+/**
+ * Mann-Whitney U test (two-sided, normal approximation with tie and continuity correction)
+ * @param {number[]} current
+ * @param {number[]} baseline
+ * @returns {{ u: number, z: number, pValue: number }}
+ */
+export function mannWhitneyU(current, baseline) {
+    const n1 = current.length;
+    const n2 = baseline.length;
+    const values = [...current.map((value) => ({ value, group: 0 })), ...baseline.map((value) => ({ value, group: 1 }))].sort((a, b) => a.value - b.value);
+    const n = values.length;
+
+    // Average ranks for ties
+    let rankSum = 0;
+    let tieTerm = 0;
+    for (let start = 0; start < n; ) {
+        let end = start;
+        while (end + 1 < n && values[end + 1].value === values[start].value) end++;
+        const rank = (start + end + 2) / 2;
+        const ties = end - start + 1;
+        for (let i = start; i <= end; i++) {
+            if (values[i].group === 0) rankSum += rank;
+        }
+        tieTerm += ties ** 3 - ties;
+        start = end + 1;
+    }
+
+    const u = rankSum - (n1 * (n1 + 1)) / 2;
+    const mean = (n1 * n2) / 2;
+    const variance = ((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1)));
+    if (!(variance > 0)) {
+        return { u, z: 0, pValue: 1 };
+    }
+    const z = (u - mean - Math.sign(u - mean) * 0.5) / Math.sqrt(variance);
+    return { u, z, pValue: twoSidedPValue(z) };
+}
+
+/**
+ * Two-proportion z-test, e.g. error counts of two runs
+ * @returns {number} Two-sided p-value
+ */
+export function twoProportionPValue(currentCount, currentTotal, baselineCount, baselineTotal) {
+    const pooled = (currentCount + baselineCount) / (currentTotal + baselineTotal);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / currentTotal + 1 / baselineTotal));
+    if (!(standardError > 0)) {
+        return 1;
+    }
+    return twoSidedPValue((currentCount / currentTotal - baselineCount / baselineTotal) / standardError);
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) so bootstrap intervals are stable between report generations
+ */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Nearest-rank percentile of a sorted typed array
+function percentileOf(sorted, percentile) {
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1))];
+}
+
+const BOOTSTRAP_STATISTICS = {
+    avg: (sorted) => sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    p90: (sorted) => percentileOf(sorted, 90),
+    p95: (sorted) => percentileOf(sorted, 95),
+};
+
+/**
+ * Bootstrap confidence intervals of current - baseline for avg, p90 and p95
+ * @param {number[]} current
+ * @param {number[]} baseline
+ * @param {Object} options
+ * @param {number} options.confidence - %
+ * @param {number} options.iterations
+ * @returns {Object} { avg: [low, high], p90: [low, high], p95: [low, high] }
+ */
+export function bootstrapDifferences(current, baseline, { confidence = DEFAULT_SIGNIFICANCE.confidence, iterations = DEFAULT_SIGNIFICANCE.iterations } = {}) {
+    const random = createSeededRandom(0xb007);
+    const keys = Object.keys(BOOTSTRAP_STATISTICS);
+    const differences = Object.fromEntries(keys.map((key) => [key, new Float64Array(iterations)]));
+    const currentResample = new Float64Array(current.length);
+    const baselineResample = new Float64Array(baseline.length);
+    const resample = (source, target) => {
+        for (let i = 0; i < target.length; i++) target[i] = source[Math.floor(random() * source.length)];
+        return target.sort();
+    };
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        resample(current, currentResample);
+        resample(baseline, baselineResample);
+        keys.forEach((key) => {
+            differences[key][iteration] = BOOTSTRAP_STATISTICS[key](currentResample) - BOOTSTRAP_STATISTICS[key](baselineResample);
+        });
+    }
+
+    const tail = (100 - confidence) / 2;
+    const round = (value) => Math.round(value * 100) / 100;
+    return Object.fromEntries(
+        keys.map((key) => {
+            const sorted = differences[key].sort();
+            return [key, [round(percentileOf(sorted, tail)), round(percentileOf(sorted, 100 - tail))]];
+        })
+    );
+}
+
+/**
+ * Significance of the response time and error rate changes between two runs
+ * @param {Object} current - { samples: number[], errorCount, totalSamples }
+ * @param {Object} baseline - Same shape
+ * @param {Object} options - `baseline.significance` merged over DEFAULT_SIGNIFICANCE, plus minSamples
+ * @returns {Object} { avg, p90, p95, errorRate } - each { method, confidence, significant, pValue | ci } or null when not tested
+ */
+export function testSignificance(current, baseline, options = {}) {
+    const { method, confidence, iterations, minSamples = 10 } = { ...DEFAULT_SIGNIFICANCE, ...options };
+    const alpha = 1 - confidence / 100;
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const result = { avg: null, p90: null, p95: null, errorRate: null };
+
+    const currentSamples = current.samples || [];
+    const baselineSamples = baseline.samples || [];
+    if (currentSamples.length >= Math.max(2, minSamples) && baselineSamples.length >= Math.max(2, minSamples)) {
+        if (method === 'bootstrap') {
+            const intervals = bootstrapDifferences(currentSamples, baselineSamples, { confidence, iterations });
+            Object.entries(intervals).forEach(([key, ci]) => {
+                result[key] = { method, confidence, ci, significant: ci[0] > 0 || ci[1] < 0 };
+            });
+        } else {
+            const { pValue } = mannWhitneyU(currentSamples, baselineSamples);
+            ['avg', 'p90', 'p95'].forEach((key) => {
+                result[key] = { method, confidence, pValue: round(pValue), significant: pValue < alpha };
+            });
+        }
+    }
+
+    if (current.totalSamples >= minSamples && baseline.totalSamples >= minSamples && current.totalSamples > 0 && baseline.totalSamples > 0) {
+        const pValue = twoProportionPValue(current.errorCount, current.totalSamples, baseline.errorCount, baseline.totalSamples);
+        result.errorRate = { method: 'twoProportion', confidence, pValue: round(pValue), significant: pValue < alpha };
+    }
+
+    return result;
+}
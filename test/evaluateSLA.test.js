@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateSLA, validateSLAConfig, summarizeSLAResults } from '../src/evaluateSLA.js';
+
+const jmeterData = {
+    testDuration: 100,
+    totalRequests: 1000,
+    totalErrorCount: 20,
+    requestStats: { avg: 300, p90: 600, p95: 800, p99: 1200, max: 2500 },
+    transactions: {
+        Login: { name: 'Login', totalSamples: 100, errorCount: 0, stats: { avg: 400, p90: 700, p95: 900, p99: 1000, max: 1100 } },
+        Checkout: { name: 'Checkout', totalSamples: 100, errorCount: 10, stats: { avg: 900, p90: 1400, p95: 1800, p99: 2000, max: 2400 } },
+    },
+};
+
+test('verdict is none without rules', () => {
+    assert.equal(evaluateSLA({ rules: [] }, { jmeterData }).verdict, 'none');
+    assert.equal(evaluateSLA(undefined, { jmeterData }).verdict, 'none');
+});
+
+test('verdict passes when every rule with data passes', () => {
+    const results = evaluateSLA({ rules: [{ metric: 'p95', max: 1000 }, { metric: 'errorRate', max: 5 }, { metric: 'throughput', min: 5 }] }, { jmeterData });
+
+    assert.equal(results.verdict, 'passed');
+    assert.deepEqual([results.passed, results.failed, results.skipped], [3, 0, 0]);
+    assert.equal(results.rules[1].actual, 2);
+    assert.equal(results.rules[2].actual, 10);
+});
+
+test('verdict fails when a transaction breaks the threshold', () => {
+    const results = evaluateSLA({ rules: [{ metric: 'p95', max: 1000, transaction: '.' }] }, { jmeterData });
+
+    assert.equal(results.verdict, 'failed');
+    assert.equal(results.rules[0].failedChecks, 1);
+    assert.equal(results.rules[0].actual, 1800);
+    assert.equal(results.rules[0].actualTarget, 'Checkout');
+});
+
+test('skipped rules do not fail the verdict', () => {
+    const results = evaluateSLA({ rules: [{ metric: 'p95', max: 1000 }, { metric: 'azureCpuMax', max: 80 }] }, { jmeterData });
+
+    assert.equal(results.verdict, 'passed');
+    assert.deepEqual([results.passed, results.failed, results.skipped], [1, 0, 1]);
+    assert.equal(results.rules[1].status, 'skipped');
+});
+
+test('failed rules fail the verdict next to skipped ones', () => {
+    const results = evaluateSLA({ rules: [{ metric: 'p95', max: 500 }, { metric: 'lcp', max: 2500 }] }, { jmeterData });
+
+    assert.equal(results.verdict, 'failed');
+    assert.deepEqual([results.passed, results.failed, results.skipped], [0, 1, 1]);
+});
+
+test('verdict is incomplete when every rule is skipped', () => {
+    const results = evaluateSLA(
+        {
+            rules: [
+                { metric: 'azureCpuMax', max: 80 },
+                { metric: 'p95', max: 1000, transaction: '^Search' },
+                { metric: 'p95Change', max: 10 },
+            ],
+        },
+        { jmeterData }
+    );
+
+    assert.equal(results.verdict, 'incomplete');
+    assert.deepEqual([results.passed, results.failed, results.skipped], [0, 0, 3]);
+    assert.equal(results.rules[2].note, 'No baseline comparison (baseline.path)');
+    assert.equal(summarizeSLAResults(results).verdict, 'incomplete');
+});
+
+test('validateSLAConfig rejects unknown metrics, missing thresholds and non-boolean settings', () => {
+    const { errors } = validateSLAConfig({
+        allowSkipped: 'yes',
+        rules: [{ metric: 'p42', max: 1 }, { metric: 'p95' }, { metric: 'p95', max: 1, transaction: '(' }],
+    });
+
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /sla\.allowSkipped/);
+    assert.match(errors[1], /sla\.rules\[0\]\.metric/);
+    assert.match(errors[2], /sla\.rules\[1\] needs a numeric max/);
+    assert.match(errors[3], /sla\.rules\[2\]\.transaction/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_JTL_COLUMNS, JTL_COLUMNS, canonicalColumnName, normalizeDelimiter, resolveColumns, describeDegradedSections, validateCSVConfig } from '../../src/jmeter/csvColumns.js';
+
+test('the default JMeter header resolves every column it contains', () => {
+    const { indexes, missingRequired, missingOptional } = resolveColumns(DEFAULT_JTL_COLUMNS);
+
+    DEFAULT_JTL_COLUMNS.forEach((column, index) => assert.equal(indexes[column], index, column));
+    assert.deepEqual(missingRequired, []);
+    assert.deepEqual(missingOptional, ['Hostname']);
+});
+
+test('header names match case-insensitively, trimmed and without a byte order mark', () => {
+    const { indexes } = resolveColumns(['\uFEFFTIMESTAMP', ' Elapsed ', 'LABEL', 'latency']);
+
+    assert.equal(indexes.timeStamp, 0);
+    assert.equal(indexes.elapsed, 1);
+    assert.equal(indexes.label, 2);
+    assert.equal(indexes.Latency, 3);
+});
+
+test('aliases map custom header names to columns', () => {
+    const aliases = { label: ['Sampler'], elapsed: 'duration', responseCode: ['status', 'code'] };
+    const { indexes, missingRequired } = resolveColumns(['Sampler', 'Duration', 'CODE'], aliases);
+
+    assert.deepEqual(missingRequired, []);
+    assert.equal(indexes.label, 0);
+    assert.equal(indexes.elapsed, 1);
+    assert.equal(indexes.responseCode, 2);
+    assert.equal(canonicalColumnName('unknown', aliases), null);
+});
+
+test('the first of duplicate columns wins', () => {
+    const { indexes } = resolveColumns(['label', 'elapsed', 'Label']);
+
+    assert.equal(indexes.label, 0);
+});
+
+test('missing columns are split into required and optional ones', () => {
+    const { indexes, missingRequired, missingOptional } = resolveColumns(['timeStamp', 'label', 'success']);
+
+    assert.equal(indexes.elapsed, -1);
+    assert.deepEqual(missingRequired, ['elapsed']);
+    assert.equal(missingOptional.length, Object.keys(JTL_COLUMNS).length - 4);
+    assert.ok(!missingOptional.includes('success'));
+});
+
+test('degraded sections are listed for missing optional columns that affect the report', () => {
+    const lines = describeDegradedSections(['responseCode', 'sentBytes']);
+
+    assert.equal(lines.length, 1);
+    assert.match(lines[0], /^responseCode: Error breakdown by response code/);
+});
+
+test('delimiters and the jmeter.csv block are validated', () => {
+    assert.equal(normalizeDelimiter(undefined), ',');
+    assert.equal(normalizeDelimiter('tab'), '\t');
+    assert.equal(normalizeDelimiter('\\t'), '\t');
+
+    assert.deepEqual(validateCSVConfig({ delimiter: ';', header: 'auto' }).errors, []);
+    const { errors } = validateCSVConfig({ delimiter: '::', header: 'yes' });
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /jmeter\.csv\.delimiter/);
+    assert.match(errors[1], /jmeter\.csv\.header/);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseTimeHistogram } from '../../src/jmeter/responseTimeHistogram.js';
+
+// Nearest-rank percentile of the raw values, as the histogram computes it
+function exactPercentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(1, Math.ceil((p / 100) * sorted.length)) - 1];
+}
+
+// Deterministic values spread over the given range
+function spread(count, from, to) {
+    return Array.from({ length: count }, (_, i) => from + ((i * 7919) % (to - from + 1)));
+}
+
+test('percentiles are exact below 2048 ms', () => {
+    const values = spread(5000, 0, 2047);
+    const histogram = new ResponseTimeHistogram();
+    values.forEach((value) => histogram.record(value));
+
+    [1, 50, 90, 95, 99, 100].forEach((p) => {
+        assert.equal(histogram.percentile(p), exactPercentile(values, p), `p${p}`);
+    });
+});
+
+test('values from 2048 ms share log-linear buckets within 0.05% of the exact value', () => {
+    const values = spread(5000, 2048, 600000);
+    const histogram = new ResponseTimeHistogram();
+    values.forEach((value) => histogram.record(value));
+
+    [10, 50, 90, 95, 99].forEach((p) => {
+        const exact = exactPercentile(values, p);
+        const relativeError = Math.abs(histogram.percentile(p) - exact) / exact;
+        assert.ok(relativeError <= 0.0005, `p${p}: ${histogram.percentile(p)} vs ${exact}`);
+    });
+
+    // Nearby large values fall into the same bucket; the bucket width doubles with each power of two
+    const buckets = (...recorded) => {
+        const single = new ResponseTimeHistogram();
+        recorded.forEach((value) => single.record(value));
+        return single.buckets.size;
+    };
+    assert.equal(buckets(2047, 2046), 2);
+    assert.equal(buckets(2048, 2049), 1);
+    assert.equal(buckets(4096, 4099), 1);
+    assert.equal(buckets(4096, 4100), 2);
+});
+
+test('min, max and avg stay exact and percentiles stay within min and max', () => {
+    const histogram = new ResponseTimeHistogram();
+    [3000, 3001, 2999].forEach((value) => histogram.record(value));
+
+    const stats = histogram.getStats();
+    assert.equal(stats.min, 2999);
+    assert.equal(stats.max, 3001);
+    assert.equal(stats.avg, 3000);
+    assert.ok(stats.p99 >= stats.min && stats.p99 <= stats.max);
+});
+
+test('merged histograms give the same percentiles as one histogram of all values', () => {
+    const values = spread(3000, 0, 20000);
+    const whole = new ResponseTimeHistogram();
+    const first = new ResponseTimeHistogram();
+    const second = new ResponseTimeHistogram();
+    values.forEach((value, index) => {
+        whole.record(value);
+        (index % 2 === 0 ? first : second).record(value);
+    });
+
+    assert.deepEqual(first.merge(second).getStats(), whole.getStats());
+});
+
+test('toJSON() and fromJSON() round-trip', () => {
+    const histogram = new ResponseTimeHistogram();
+    spread(500, 0, 10000).forEach((value) => histogram.record(value));
+
+    const restored = ResponseTimeHistogram.fromJSON(JSON.parse(JSON.stringify(histogram)));
+    assert.deepEqual(restored.getStats(), histogram.getStats());
+    assert.deepEqual(ResponseTimeHistogram.fromJSON(null).getStats(), { min: 0, max: 0, avg: 0, p90: 0, p95: 0, p99: 0 });
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mannWhitneyU, twoProportionPValue, bootstrapDifferences, testSignificance, validateSignificanceConfig } from '../src/testSignificance.js';
+
+// Deterministic response times around `center` (+/- spread)
+function samples(count, center, spread) {
+    return Array.from({ length: count }, (_, i) => center - spread + ((i * 37) % (2 * spread + 1)));
+}
+
+test('Mann-Whitney U test', () => {
+    const baseline = samples(200, 300, 50);
+
+    const same = mannWhitneyU(samples(200, 300, 50), baseline);
+    assert.equal(same.u, 200 * 200 / 2);
+    assert.ok(same.pValue > 0.9);
+
+    const slower = mannWhitneyU(samples(200, 330, 50), baseline);
+    assert.ok(slower.z > 0);
+    assert.ok(slower.pValue < 0.001);
+
+    // U counts the pairs where the current value is higher: only 4 > 3
+    assert.equal(mannWhitneyU([1, 2, 4], [3, 5, 6, 7]).u, 1);
+
+    // Identical constant values have no variance
+    assert.deepEqual(mannWhitneyU([5, 5, 5], [5, 5, 5]), { u: 4.5, z: 0, pValue: 1 });
+});
+
+test('two-proportion z-test', () => {
+    assert.ok(twoProportionPValue(10, 1000, 10, 1000) > 0.999);
+    assert.ok(twoProportionPValue(50, 1000, 10, 1000) < 0.001);
+    assert.ok(twoProportionPValue(11, 1000, 10, 1000) > 0.5);
+    assert.equal(twoProportionPValue(0, 100, 0, 100), 1);
+});
+
+test('bootstrap intervals exclude zero only for real differences', () => {
+    const baseline = samples(300, 300, 50);
+
+    const shifted = bootstrapDifferences(samples(300, 400, 50), baseline, { confidence: 95, iterations: 200 });
+    ['avg', 'p90', 'p95'].forEach((key) => assert.ok(shifted[key][0] > 0, `${key}: ${shifted[key]}`));
+
+    const same = bootstrapDifferences(samples(300, 300, 50), baseline, { confidence: 95, iterations: 200 });
+    assert.ok(same.avg[0] <= 0 && same.avg[1] >= 0, `avg: ${same.avg}`);
+
+    // Seeded, so the intervals are the same on every report generation
+    assert.deepEqual(bootstrapDifferences(samples(300, 400, 50), baseline, { confidence: 95, iterations: 200 }), shifted);
+});
+
+test('testSignificance() flags response time and error rate changes', () => {
+    const baseline = { samples: samples(200, 300, 50), errorCount: 5, totalSamples: 1000 };
+    const current = { samples: samples(200, 360, 50), errorCount: 40, totalSamples: 1000 };
+
+    const mannWhitney = testSignificance(current, baseline, { method: 'mannWhitney', confidence: 95 });
+    ['avg', 'p90', 'p95'].forEach((key) => assert.equal(mannWhitney[key].significant, true, key));
+    assert.equal(mannWhitney.avg.method, 'mannWhitney');
+    assert.equal(mannWhitney.errorRate.method, 'twoProportion');
+    assert.equal(mannWhitney.errorRate.significant, true);
+
+    const bootstrap = testSignificance(current, baseline, { method: 'bootstrap', confidence: 95, iterations: 200 });
+    assert.equal(bootstrap.avg.significant, true);
+    assert.equal(bootstrap.avg.ci.length, 2);
+
+    const unchanged = testSignificance({ ...baseline }, baseline, { method: 'mannWhitney' });
+    assert.equal(unchanged.avg.significant, false);
+    assert.equal(unchanged.errorRate.significant, false);
+});
+
+test('testSignificance() skips runs with too few samples', () => {
+    const result = testSignificance({ samples: [100, 200], errorCount: 0, totalSamples: 2 }, { samples: samples(100, 300, 50), errorCount: 0, totalSamples: 100 }, { minSamples: 10 });
+
+    assert.deepEqual(result, { avg: null, p90: null, p95: null, errorRate: null });
+});
+
+test('validateSignificanceConfig()', () => {
+    assert.deepEqual(validateSignificanceConfig({ method: 'bootstrap', confidence: 99, iterations: 500, sampleSize: 2000 }), { errors: [], warnings: [] });
+
+    const { errors, warnings } = validateSignificanceConfig({ method: 'ttest', confidence: 100, iterations: 10, sampleSize: -1 });
+    assert.equal(errors.length, 4);
+    assert.equal(warnings.length, 1);
+});